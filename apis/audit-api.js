@@ -0,0 +1,230 @@
+/**
+ * Audit log API endpoints for compliance reviews
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Audit log of security and compliance events
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authGuard } = require('../middleware/auth');
+const auditService = require('../services/AuditService');
+
+/**
+ * Send the response for an error thrown by AuditService
+ * @param {Object} res - The response
+ * @param {Error} err - The error
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, err, message) => {
+  if (err.message.startsWith('Invalid ')) {
+    return res.status(400).json({ message: err.message });
+  }
+
+  console.error(`${message}:`, err);
+  res.status(500).json({ message, error: err.message });
+};
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AuditActorUserId:
+ *       in: query
+ *       name: actorUserId
+ *       schema:
+ *         type: integer
+ *       description: Only events by this user
+ *     AuditAction:
+ *       in: query
+ *       name: action
+ *       schema:
+ *         type: string
+ *       description: Only events of this action, e.g. CERTIFICATE_UPDATED
+ *     AuditTargetType:
+ *       in: query
+ *       name: targetType
+ *       schema:
+ *         type: string
+ *       description: Only events on this kind of record, e.g. Certificate
+ *     AuditTargetId:
+ *       in: query
+ *       name: targetId
+ *       schema:
+ *         type: string
+ *       description: Only events on the record with this ID; use with targetType
+ *     AuditFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Only events at or after this time
+ *     AuditTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Only events at or before this time
+ *   schemas:
+ *     AuditEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         actorUserId:
+ *           type: integer
+ *           nullable: true
+ *           description: User who did it; empty for anonymous requests such as failed sign-ins
+ *         action:
+ *           type: string
+ *           example: CERTIFICATE_UPDATED
+ *         targetType:
+ *           type: string
+ *           nullable: true
+ *           example: Certificate
+ *         targetId:
+ *           type: string
+ *           nullable: true
+ *         changes:
+ *           type: object
+ *           nullable: true
+ *           description: Changed fields with their values before and after
+ *           example:
+ *             expiryDate:
+ *               before: '2025-06-30'
+ *               after: '2026-06-30'
+ *         details:
+ *           type: object
+ *           nullable: true
+ *           description: Other facts about the event
+ *         ipAddress:
+ *           type: string
+ *           nullable: true
+ *         userAgent:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             email:
+ *               type: string
+ *             firstName:
+ *               type: string
+ *             lastName:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Search the audit log
+ *     description: Requires the LIST permission on AUDIT.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *         description: Number of items per page
+ *       - $ref: '#/components/parameters/AuditActorUserId'
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditTargetType'
+ *       - $ref: '#/components/parameters/AuditTargetId'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *     responses:
+ *       200:
+ *         description: A page of events, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEvent'
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 totalItems:
+ *                   type: integer
+ *       400:
+ *         description: Invalid query parameter
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authGuard, async (req, res) => {
+  try {
+    res.json(await auditService.searchEvents(req.query));
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch audit events');
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit/export:
+ *   get:
+ *     summary: Export the audit log as CSV
+ *     description: Exports every event matching the filters, oldest first. Requires the LIST permission on AUDIT.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditActorUserId'
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditTargetType'
+ *       - $ref: '#/components/parameters/AuditTargetId'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *     responses:
+ *       200:
+ *         description: The events as CSV, with changes and details as JSON
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameter, or more events match than one export allows
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/export', authGuard, async (req, res) => {
+  try {
+    const csv = await auditService.exportCsv(req.query);
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(csv);
+  } catch (err) {
+    sendError(res, err, 'Failed to export audit events');
+  }
+});
+
+module.exports = router;
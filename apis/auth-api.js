@@ -1,12 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const { User, UserCredential, Role, UserAvatar, Permission, Feature, PermissionAction } = require('../models');
-const { Op } = require('sequelize');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { sequelize } = require('../config/database');
-const config = require('../config/config');
+const { check, validationResult } = require('express-validator');
 const manageUsers = require('../services/UserService');
+const sessionService = require('../services/SessionService');
+const oidcService = require('../services/OidcService');
+const mfaService = require('../services/MfaService');
+const throttleService = require('../services/ThrottleService');
+const passwordResetService = require('../services/PasswordResetService');
+const passwordPolicyService = require('../services/PasswordPolicyService');
+const emailVerificationService = require('../services/EmailVerificationService');
+const credentialService = require('../services/CredentialService');
+const auditService = require('../services/AuditService');
+const { authGuard } = require('../middleware/auth');
 const { sendPasswordResetEmail } = require('../services/emailService');
 
 // Middleware to parse JSON bodies
@@ -40,6 +47,9 @@ router.use(express.json());
  *         avatarId:
  *           type: integer
  *           description: The user's avatar ID
+ *         emailVerified:
+ *           type: boolean
+ *           description: Whether the user has confirmed their email address
  *         permissions:
  *           type: array
  *           items:
@@ -71,7 +81,7 @@ router.use(express.json());
  *           description: The ID of the user this credential belongs to.
  *         authType:
  *           type: string
- *           enum: [password, openid]
+ *           enum: [password, openid, totp]
  *           description: The authentication type.
  *         loginName:
  *           type: string
@@ -108,9 +118,128 @@ router.use(express.json());
  *           description: Response message
  *         token:
  *           type: string
- *           description: JWT authentication token
+ *           description: Short-lived JWT access token
+ *         refreshToken:
+ *           type: string
+ *           description: Refresh token, exchanged at /api/auth/refresh for a new token pair
+ *         expiresIn:
+ *           type: integer
+ *           description: Lifetime of the access token in seconds
  *         user:
  *           $ref: '#/components/schemas/User'
+ *     MfaChallengeResponse:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           description: Response message
+ *         mfaRequired:
+ *           type: boolean
+ *           description: The user must enter a code at /api/auth/mfa/verify
+ *         mfaEnrollmentRequired:
+ *           type: boolean
+ *           description: The user's role requires MFA, which must be set up at /api/auth/mfa/totp/setup first
+ *         mfaToken:
+ *           type: string
+ *           description: Short-lived token for the MFA step; it is not an access token
+ *     MfaCodeRequest:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Current code from the authenticator app
+ *         recoveryCode:
+ *           type: string
+ *           description: Unused recovery code, instead of a code from the app
+ *     MfaStatus:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           description: Whether an authenticator app is set up
+ *         required:
+ *           type: boolean
+ *           description: Whether the user's role requires MFA
+ *         recoveryCodesRemaining:
+ *           type: integer
+ *           description: Number of unused recovery codes
+ *     OidcProvider:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Provider ID used in the sign-in URLs
+ *         name:
+ *           type: string
+ *           description: Display name of the provider
+ *     OidcAuthorizeResponse:
+ *       type: object
+ *       properties:
+ *         authorizationUrl:
+ *           type: string
+ *           description: Provider URL to send the user to
+ *         state:
+ *           type: string
+ *           description: State the provider returns with the code, valid for a single sign-in
+ *     OidcCallbackRequest:
+ *       type: object
+ *       required:
+ *         - code
+ *         - state
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Authorization code from the provider redirect
+ *         state:
+ *           type: string
+ *           description: State from the provider redirect
+ *     RefreshRequest:
+ *       type: object
+ *       required:
+ *         - refreshToken
+ *       properties:
+ *         refreshToken:
+ *           type: string
+ *           description: The refresh token from the last sign-in or refresh
+ *     TokenResponse:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Short-lived JWT access token
+ *         refreshToken:
+ *           type: string
+ *           description: Replacement refresh token; the one presented can no longer be used
+ *         expiresIn:
+ *           type: integer
+ *           description: Lifetime of the access token in seconds
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The session ID
+ *         userAgent:
+ *           type: string
+ *           description: User agent of the device that signed in
+ *         ipAddress:
+ *           type: string
+ *           description: IP address the session was last used from
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the user signed in
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the session was last used
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the refresh token expires unless it is used
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session making the request
  *     LoginRequest:
  *       type: object
  *       required:
@@ -150,58 +279,273 @@ router.use(express.json());
  *         loginName:
  *           type: string
  *           description: User's login name
- *         roleId:
+ *     PasswordPolicy:
+ *       type: object
+ *       properties:
+ *         minLength:
+ *           type: integer
+ *           description: Minimum number of characters
+ *         maxBytes:
  *           type: integer
- *           description: Optional role ID
+ *           description: Maximum length in UTF-8 bytes
+ *         requireUppercase:
+ *           type: boolean
+ *         requireLowercase:
+ *           type: boolean
+ *         requireDigit:
+ *           type: boolean
+ *         requireSymbol:
+ *           type: boolean
+ *         rejectCommon:
+ *           type: boolean
+ *           description: Whether common and breached passwords are refused
+ *         historyCount:
+ *           type: integer
+ *           description: Number of recent passwords, including the current one, that cannot be reused
+ *         maxAgeDays:
+ *           type: integer
+ *           description: Days after which a password expires and has to be reset (0 = never)
+ *     PasswordPolicyError:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           example: Password does not meet the password policy
+ *         violations:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: The rules the password breaks
+ *     ReauthResponse:
+ *       type: object
+ *       properties:
+ *         reauthToken:
+ *           type: string
+ *           description: Send in the X-Reauth-Token header to change sign-in methods in this session
+ *         expiresIn:
+ *           type: integer
+ *           description: Lifetime of the token in seconds
+ *   parameters:
+ *     ReauthToken:
+ *       in: header
+ *       name: X-Reauth-Token
+ *       schema:
+ *         type: string
+ *       required: true
+ *       description: Token from /api/auth/reauthenticate
  */
 
-// Helper function to generate JWT token
-const generateToken = (user, credential) => {
-  return jwt.sign(
-    { 
-      userId: user.id,
-      email: user.email,
-      loginName: credential.loginName,
-      authType: credential.authType,
-      roleId: user.roleId,
-      avatarId: user.avatarId
-    }, 
-    config.jwt.secret, 
-    { expiresIn: config.jwt.expiresIn }
-  );
-};
+// User details loaded to build the login response
+const signInUserIncludes = [
+  {
+    model: Role,
+    as: 'role',
+    attributes: ['id', 'name']
+  },
+  {
+    model: UserAvatar,
+    as: 'avatar',
+    attributes: ['id']
+  }
+];
+
+/**
+ * Record a failed sign-in in the audit log
+ * @param {Object} req - Express request
+ * @param {string} loginName - The login name tried
+ * @param {Object|null} credential - The credential it belongs to, if any
+ * @param {string} reason - Why it failed, e.g. invalid_password
+ * @returns {Promise<Object|null>} - The audit event
+ */
+const recordLoginFailure = (req, loginName, credential, reason) => auditService.record(req, {
+  action: 'LOGIN_FAILED',
+  targetType: credential ? 'User' : null,
+  targetId: credential ? credential.userId : null,
+  details: { loginName, reason }
+});
 
 /**
- * Helper function to hash passwords
+ * Start a session for a user who has completed every sign-in step
+ * @param {Object} req - Express request
+ * @param {Object} credential - The credential used, with its user loaded with signInUserIncludes
+ * @returns {Promise<Object>} - The login response body
  */
-const hashPassword = async (password) => {
-  const salt = await bcrypt.genSalt(10);
+const completeSignIn = async (req, credential) => {
+  const { user } = credential;
+
+  const roleWithPermissions = await Role.findByPk(user.roleId, {
+    include: [{
+      model: Permission,
+      as: 'permissions',
+      through: { attributes: [] } // Exclude junction table attributes
+    }]
+  });
+
+  const permissions = roleWithPermissions ? roleWithPermissions.permissions.map(p => p.code) : [];
+
+  const { token, refreshToken, expiresIn } = await sessionService.createSession(
+    user,
+    credential,
+    sessionService.getClientContext(req)
+  );
+
+  await auditService.record(req, {
+    action: 'LOGIN_SUCCEEDED',
+    actorUserId: user.id,
+    targetType: 'User',
+    targetId: user.id,
+    details: { loginName: credential.loginName, authType: credential.authType }
+  });
+
   return {
-    hash: await bcrypt.hash(password, salt),
-    salt
+    message: 'Login successful',
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      avatarId: user.avatar?.id ?? 0,
+      emailVerified: user.emailVerified,
+      permissions
+    }
   };
 };
 
 /**
- * Middleware to authenticate JWT token
+ * Sign in a user whose credential has been checked. Users with an authenticator, or whose role
+ * requires one, get the MFA step instead of a session.
+ * @param {Object} req - Express request
+ * @param {Object} credential - The credential used, with its user loaded with signInUserIncludes
+ * @returns {Promise<Object>} - The login response body, or the MFA step response body
  */
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  
-  if (!token) {
-    return res.status(401).json({ message: 'Authentication token required' });
+const beginSignIn = async (req, credential) => {
+  const mfaRequirement = await mfaService.getLoginRequirement(credential.user);
+
+  if (mfaRequirement === 'verify') {
+    return {
+      message: 'Enter the code from your authenticator app',
+      mfaRequired: true,
+      mfaToken: mfaService.createChallengeToken(credential.user, credential, 'mfa')
+    };
   }
-  
-  jwt.verify(token, config.jwt.secret, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
+
+  if (mfaRequirement === 'enroll') {
+    return {
+      message: 'Your role requires multi-factor authentication. Set up an authenticator app to continue.',
+      mfaEnrollmentRequired: true,
+      mfaToken: mfaService.createChallengeToken(credential.user, credential, 'mfa-enroll')
+    };
+  }
+
+  return completeSignIn(req, credential);
+};
+
+// Status codes for MfaService errors
+const MFA_ERROR_STATUS = {
+  'Invalid or expired MFA token': 401,
+  // DO NOT SET IT TO 401. 401 ERROR INVALIDATES TOKEN AUTOMATICALLY
+  'Invalid code': 400,
+  'No MFA setup in progress': 400,
+  'MFA is not enabled': 400,
+  'MFA is required for your role': 403,
+  'MFA is already enabled': 409
+};
+
+// Status codes for CredentialService errors, including the MFA checks of re-authentication
+const CREDENTIAL_ERROR_STATUS = {
+  // DO NOT SET THESE TO 401. 401 ERROR INVALIDATES TOKEN AUTOMATICALLY
+  'Current password is incorrect': 400,
+  'Invalid code': 400,
+  'Invalid or expired login state': 400,
+  'Re-authenticate with your identity provider': 400,
+  'This identity is not linked to your account': 400,
+  'Cannot delete the only credential for this user': 400,
+  'Only password login names can be changed': 400,
+  'Credential not found': 404,
+  'Unknown identity provider': 404,
+  'A password is already set for this account': 409,
+  'Login name already in use': 409,
+  'This identity is already linked to your account': 409,
+  'This identity is already linked to another account': 409,
+  'Account is temporarily locked': 423
+};
+
+/**
+ * Status code for an error from CredentialService
+ * @param {Error} err - The error
+ * @returns {number|null} - The status code, or null for an unexpected error
+ */
+const getCredentialErrorStatus = (err) => {
+  if (CREDENTIAL_ERROR_STATUS[err.message]) {
+    return CREDENTIAL_ERROR_STATUS[err.message];
+  }
+  if (err.message.startsWith('Invalid ID token')) {
+    return 400;
+  }
+  if (err.message.startsWith('Identity provider')) {
+    return 502;
+  }
+  return null;
+};
+
+/**
+ * Refuse a request that is over a rate limit
+ * @param {Object} res - Express response
+ * @param {number} retryAfter - Seconds until the client may try again
+ * @param {string} message - Response message
+ */
+const sendTooManyRequests = (res, retryAfter, message) => {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ message, retryAfter });
+};
+
+/**
+ * Refuse a login for a locked credential
+ * @param {Object} res - Express response
+ * @param {Date} lockedUntil - When the lock ends
+ */
+const sendLocked = (res, lockedUntil) => {
+  res.status(423).json({
+    message: 'Account is temporarily locked after too many failed login attempts. Check your email to unlock it.',
+    lockedUntil
   });
 };
 
+/**
+ * Authenticate MFA setup with an access token or, for members of a role that requires
+ * MFA who have not set it up yet, with the mfaToken returned by /login
+ */
+const mfaEnrollmentGuard = (req, res, next) => {
+  if (!req.body || !req.body.mfaToken) {
+    return authGuard(req, res, next);
+  }
+
+  try {
+    req.mfaEnrollment = mfaService.verifyChallengeToken(req.body.mfaToken, 'mfa-enroll');
+    next();
+  } catch (err) {
+    res.status(401).json({ message: err.message });
+  }
+};
+
+/**
+ * Require a recent re-authentication in this session, passed in the X-Reauth-Token header,
+ * before changing the user's sign-in methods. Use after authGuard.
+ */
+const reauthGuard = (req, res, next) => {
+  try {
+    credentialService.verifyReauthToken(req.get('X-Reauth-Token'), req.user.userId, req.user.sid);
+    next();
+  } catch (err) {
+    // DO NOT SET IT TO 401. 401 ERROR INVALIDATES TOKEN AUTOMATICALLY
+    res.status(403).json({ message: err.message, reauthenticationRequired: true });
+  }
+};
+
 /**
  * @swagger
  * tags:
@@ -214,6 +558,10 @@ const authenticateToken = (req, res, next) => {
  * /api/auth/login:
  *   post:
  *     summary: Login with password
+ *     description: >
+ *       Users with multi-factor authentication, or whose role requires it, get an mfaToken
+ *       instead of a session and finish signing in at /api/auth/mfa/verify (or set up an
+ *       authenticator first at /api/auth/mfa/totp/setup).
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -223,15 +571,21 @@ const authenticateToken = (req, res, next) => {
  *             $ref: '#/components/schemas/LoginRequest'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a second step is needed
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/MfaChallengeResponse'
  *       400:
  *         description: Bad request - Missing required fields
  *       401:
  *         description: Unauthorized - Invalid credentials or expired password
+ *       423:
+ *         description: Locked - Too many failed logins; an unlock link has been emailed
+ *       429:
+ *         description: Too many failed logins from this IP address; see the Retry-After header
  *       500:
  *         description: Server error
  */
@@ -243,6 +597,11 @@ router.post('/login', async (req, res) => {
   }
   
   try {
+    const retryAfter = await throttleService.beforeLogin(loginName, req.ip);
+    if (retryAfter > 0) {
+      return sendTooManyRequests(res, retryAfter, 'Too many failed login attempts. Try again later.');
+    }
+
     // Find the user credential
     const credential = await UserCredential.findOne({
       where: {
@@ -259,66 +618,41 @@ router.post('/login', async (req, res) => {
             isActive: true,
             isDeleted: false
           },
-          include: [
-            {
-              model: Role,
-              as: 'role',
-              attributes: ['id', 'name']
-            },
-            {
-              model: UserAvatar,
-              as: 'avatar',
-              attributes: ['id']
-            }
-          ]
+          include: signInUserIncludes
         }
       ]
     });
     
     if (!credential) {
+      await throttleService.recordLoginFailure(loginName, req.ip, null);
+      await recordLoginFailure(req, loginName, null, 'unknown_login_name');
       return res.status(401).json({ message: 'Invalid login credentials' });
     }
-    
-    // Check if password is expired
-    if (credential.passwordExpired) {
-      return res.status(401).json({ message: 'Password has expired. Please reset your password.' });
+
+    if (throttleService.isLocked(credential)) {
+      return sendLocked(res, credential.lockedUntil);
     }
     
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, credential.passwordHash);
     
     if (!isPasswordValid) {
+      const lockedUntil = await throttleService.recordLoginFailure(loginName, req.ip, credential);
+      await recordLoginFailure(req, loginName, credential, lockedUntil ? 'invalid_password_locked' : 'invalid_password');
+      if (lockedUntil) {
+        return sendLocked(res, lockedUntil);
+      }
       return res.status(401).json({ message: 'Invalid login credentials' });
     }
 
-    const roleWithPermissions = await Role.findByPk(credential.user.roleId, {
-      include: [{
-        model: Permission,
-        as: 'permissions',
-        through: { attributes: [] } // Exclude junction table attributes
-      }]
-    });
+    await throttleService.recordLoginSuccess(loginName);
 
-    const permissions = roleWithPermissions ? roleWithPermissions.permissions.map(p => p.code) : [];
-    
-    console.log(`Permissions: ${permissions}`);
-    
-    // Generate JWT token
-    const token = generateToken(credential.user, credential);
-    
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: credential.user.id,
-        email: credential.user.email,
-        firstName: credential.user.firstName,
-        lastName: credential.user.lastName,
-        role: credential.user.role,
-        avatarId: credential.user.avatar?.id ?? 0,
-        permissions
-      }
-    });
+    // Only someone who knows the password learns that it has expired, or has just reached the maximum age
+    if (await manageUsers.checkPasswordExpiry(credential)) {
+      return res.status(401).json({ message: 'Password has expired. Please reset your password.' });
+    }
+
+    res.json(await beginSignIn(req, credential));
   } catch (err) {
     console.error('Login error:', err);
     res.status(500).json({ message: 'Login failed', error: err.message });
@@ -339,20 +673,26 @@ router.post('/login', async (req, res) => {
  *             $ref: '#/components/schemas/RegisterRequest'
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: >
+ *           User registered successfully. A link to confirm the email address is sent; until it is
+ *           used the user cannot send invites or connection requests.
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
  *       400:
- *         description: Bad request - Missing required fields
+ *         description: Bad request - Missing required fields, or the password breaks the password policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PasswordPolicyError'
  *       409:
- *         description: Conflict - Login name already in use
+ *         description: Conflict - Email address or login name already in use
  *       500:
  *         description: Server error
  */
 router.post('/register', async (req, res) => {
-  const { email, password, firstName, lastName, loginName, roleId } = req.body;
+  const { email, password, firstName, lastName, loginName } = req.body;
   
   if (!email || !password || !firstName || !lastName || !loginName) {
     return res.status(400).json({ message: 'Email, password, first name, last name, and login name are required' });
@@ -364,11 +704,33 @@ router.post('/register', async (req, res) => {
       password,
       firstName,
       lastName,
-      loginName,
-      roleId
+      loginName
+    }, sessionService.getClientContext(req));
+
+    await auditService.record(req, {
+      action: 'USER_REGISTERED',
+      actorUserId: result.user.id,
+      targetType: 'User',
+      targetId: result.user.id,
+      details: { loginName, email: result.user.email }
     });
+
+    // The account works straight away, but is limited until the address is confirmed
+    if (!result.user.emailVerified) {
+      try {
+        await throttleService.consumeVerificationEmail(result.user.id);
+        await emailVerificationService.sendVerification(result.user);
+      } catch (emailError) {
+        console.error('Failed to send verification email:', emailError);
+      }
+    }
+
     res.status(201).json(result);
   } catch (err) {
+    if (err.violations) {
+      return res.status(400).json({ message: err.message, violations: err.violations });
+    }
+    
     console.error('Registration error:', err);
     const statusCode = err.message.includes('already in use') ? 409 : 500;
     res.status(statusCode).json({ 
@@ -381,181 +743,1495 @@ router.post('/register', async (req, res) => {
 
 /**
  * @swagger
- * /api/auth/openid:
+ * /api/auth/oidc/providers:
+ *   get:
+ *     summary: List the identity providers users can sign in with
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Configured OpenID Connect providers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/OidcProvider'
+ */
+router.get('/oidc/providers', (req, res) => {
+  res.json(oidcService.listProviders());
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/{provider}/authorize:
+ *   get:
+ *     summary: Start signing in with an OpenID Connect provider
+ *     description: >
+ *       Returns the provider URL to send the user to. The provider redirects back to the
+ *       configured redirect URI with a code and state, which the client posts to
+ *       /api/auth/oidc/{provider}/callback.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Provider ID
+ *     responses:
+ *       200:
+ *         description: Sign-in started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OidcAuthorizeResponse'
+ *       404:
+ *         description: Unknown identity provider
+ *       502:
+ *         description: Identity provider could not be reached
+ *       500:
+ *         description: Server error
+ */
+router.get('/oidc/:provider/authorize', async (req, res) => {
+  try {
+    const result = await oidcService.startLogin(req.params.provider);
+    res.json(result);
+  } catch (err) {
+    if (err.message === 'Unknown identity provider') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message.startsWith('Identity provider')) {
+      return res.status(502).json({ message: err.message });
+    }
+
+    console.error('OpenID authorize error:', err);
+    res.status(500).json({ message: 'Authentication failed', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/{provider}/callback:
  *   post:
- *     summary: Login or register with OpenID
+ *     summary: Finish signing in with an OpenID Connect provider
+ *     description: >
+ *       Exchanges the authorization code for an ID token and signs the user in. A new
+ *       account is created for an unknown email address; an existing account is only
+ *       linked when the provider has verified the email address. As with /api/auth/login,
+ *       users with multi-factor authentication, or whose role requires it, get an mfaToken
+ *       instead of a session.
  *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Provider ID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - provider
- *               - subject
- *               - email
- *               - loginName
- *             properties:
- *               provider:
- *                 type: string
- *                 description: OpenID provider name
- *               subject:
- *                 type: string
- *                 description: OpenID subject identifier
- *               email:
- *                 type: string
- *                 format: email
- *                 description: User's email address
- *               firstName:
- *                 type: string
- *                 description: User's first name
- *               lastName:
- *                 type: string
- *                 description: User's last name
- *               loginName:
- *                 type: string
- *                 description: User's login name
+ *             $ref: '#/components/schemas/OidcCallbackRequest'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a second step is needed
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/MfaChallengeResponse'
  *       201:
- *         description: Registration successful
+ *         description: Account created and signed in, or a second step is needed
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/MfaChallengeResponse'
  *       400:
- *         description: Bad request - Missing required fields
+ *         description: Bad request - Missing code or state, or no email address shared
+ *       401:
+ *         description: Unauthorized - Invalid or expired state, or invalid ID token
+ *       403:
+ *         description: Forbidden - Account is disabled
+ *       404:
+ *         description: Unknown identity provider
+ *       409:
+ *         description: Conflict - An account with this email exists and the provider has not verified it
+ *       502:
+ *         description: Identity provider could not be reached or rejected the code
  *       500:
  *         description: Server error
  */
-router.post('/openid', async (req, res) => {
-  const { provider, subject, email, firstName, lastName, loginName } = req.body;
-  
-  if (!provider || !subject || !email || !loginName) {
-    return res.status(400).json({ message: 'Provider, subject, email, and login name are required' });
+router.post('/oidc/:provider/callback', async (req, res) => {
+  const { code, state } = req.body;
+
+  if (!code || !state) {
+    return res.status(400).json({ message: 'Code and state are required' });
   }
-  
-  // Start a transaction
-  const transaction = await sequelize.transaction();
-  
+
   try {
-    // Check if OpenID credential already exists
-    let credential = await UserCredential.findOne({
-      where: {
-        openIdProvider: provider,
-        openIdSubject: subject,
-        isActive: true,
-        isDeleted: false
-      },
-      include: [
-        {
-          model: User,
-          as: 'user',
-          include: [
-            {
-              model: Role,
-              as: 'role',
-              attributes: ['id', 'name']
-            }
-          ]
-        }
-      ],
-      transaction
+    const { credential, created } = await oidcService.completeLogin(req.params.provider, { code, state });
+
+    // Load the user the way the password login does
+    const signInCredential = await UserCredential.findOne({
+      where: { id: credential.id },
+      include: [{
+        model: User,
+        as: 'user',
+        include: signInUserIncludes
+      }]
+    });
+
+    res.status(created ? 201 : 200).json(await beginSignIn(req, signInCredential));
+  } catch (err) {
+    if (err.message === 'Unknown identity provider') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message === 'Invalid or expired login state' || err.message.startsWith('Invalid ID token')) {
+      return res.status(401).json({ message: err.message });
+    }
+    if (err.message === 'Account is disabled') {
+      return res.status(403).json({ message: err.message });
+    }
+    if (err.message === 'An account with this email already exists') {
+      return res.status(409).json({ message: err.message });
+    }
+    if (err.message === 'Identity provider did not share an email address') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.message.startsWith('Identity provider')) {
+      return res.status(502).json({ message: err.message });
+    }
+
+    console.error('OpenID authentication error:', err);
+    res.status(500).json({ message: 'Authentication failed', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     description: >
+ *       Each refresh token can be used once. Presenting a refresh token that has already been
+ *       exchanged signs the session out, as it means the token has been copied.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshRequest'
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenResponse'
+ *       400:
+ *         description: Bad request - Missing refresh token
+ *       401:
+ *         description: Unauthorized - Refresh token is invalid, expired or revoked
+ *       500:
+ *         description: Server error
+ */
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({ message: 'Refresh token is required' });
+  }
+
+  try {
+    const { token, refreshToken: nextRefreshToken, expiresIn } = await sessionService.refreshSession(
+      refreshToken,
+      sessionService.getClientContext(req)
+    );
+
+    res.json({ token, refreshToken: nextRefreshToken, expiresIn });
+  } catch (err) {
+    if (err.message === 'Invalid refresh token') {
+      return res.status(401).json({ message: err.message });
+    }
+
+    console.error('Token refresh error:', err);
+    res.status(500).json({ message: 'Token refresh failed', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Sign out the current session (requires authentication)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Signed out; the session's access and refresh tokens are no longer accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.post('/logout', authGuard, async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await sessionService.revokeSession(req.user.sid, req.user.userId);
+    }
+
+    await auditService.record(req, {
+      action: 'LOGOUT',
+      targetType: 'Session',
+      targetId: req.user.sid
+    });
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ message: 'Logout failed', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the current user's signed-in sessions (requires authentication)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Sign out all other sessions (requires authentication)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions signed out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revoked:
+ *                   type: integer
+ *                   description: Number of sessions signed out
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/sessions', authGuard, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.userId, req.user.sid);
+    res.json(sessions);
+  } catch (err) {
+    console.error('Get sessions error:', err);
+    res.status(500).json({ message: 'Failed to get sessions', error: err.message });
+  }
+});
+
+router.delete('/sessions', authGuard, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user.userId, { exceptSessionId: req.user.sid });
+
+    await auditService.record(req, {
+      action: 'SESSIONS_REVOKED',
+      targetType: 'User',
+      targetId: req.user.userId,
+      details: { revoked }
+    });
+
+    res.json({ message: 'Other sessions signed out', revoked });
+  } catch (err) {
+    console.error('Revoke sessions error:', err);
+    res.status(500).json({ message: 'Failed to revoke sessions', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one of the current user's sessions (requires authentication)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session signed out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/sessions/:id', authGuard, async (req, res) => {
+  const sessionId = parseInt(req.params.id, 10);
+
+  if (isNaN(sessionId)) {
+    return res.status(404).json({ message: 'Session not found' });
+  }
+
+  try {
+    await sessionService.revokeSession(sessionId, req.user.userId);
+
+    await auditService.record(req, {
+      action: 'SESSION_REVOKED',
+      targetType: 'Session',
+      targetId: sessionId
+    });
+
+    res.json({ message: 'Session signed out' });
+  } catch (err) {
+    if (err.message === 'Session not found') {
+      return res.status(404).json({ message: err.message });
+    }
+
+    console.error('Revoke session error:', err);
+    res.status(500).json({ message: 'Failed to revoke session', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/verify:
+ *   post:
+ *     summary: Finish a password login with a code from the authenticator app or a recovery code
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/MfaCodeRequest'
+ *               - type: object
+ *                 required:
+ *                   - mfaToken
+ *                 properties:
+ *                   mfaToken:
+ *                     type: string
+ *                     description: The mfaToken returned by /api/auth/login
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Bad request - Missing MFA token or code
+ *       401:
+ *         description: Unauthorized - Invalid code, or invalid or expired MFA token
+ *       423:
+ *         description: Locked - Too many failed attempts; an unlock link has been emailed
+ *       429:
+ *         description: Too many failed logins from this IP address; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post('/mfa/verify', async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  if (!mfaToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ message: 'MFA token and a code or recovery code are required' });
+  }
+
+  let credential;
+
+  try {
+    const decoded = mfaService.verifyChallengeToken(mfaToken, 'mfa');
+    credential = await mfaService.getChallengeCredential(decoded, signInUserIncludes);
+
+    const retryAfter = await throttleService.beforeLogin(credential.loginName, req.ip);
+    if (retryAfter > 0) {
+      return sendTooManyRequests(res, retryAfter, 'Too many failed login attempts. Try again later.');
+    }
+
+    if (throttleService.isLocked(credential)) {
+      return sendLocked(res, credential.lockedUntil);
+    }
+
+    await mfaService.verifySecondFactor(credential.userId, { code, recoveryCode });
+    await throttleService.recordLoginSuccess(credential.loginName);
+
+    res.json(await completeSignIn(req, credential));
+  } catch (err) {
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (err.message === 'Invalid code') {
+      const lockedUntil = await throttleService.recordLoginFailure(credential.loginName, req.ip, credential);
+      await recordLoginFailure(req, credential.loginName, credential, lockedUntil ? 'invalid_mfa_code_locked' : 'invalid_mfa_code');
+      if (lockedUntil) {
+        return sendLocked(res, lockedUntil);
+      }
+    }
+
+    // No session exists yet, so a wrong code is a failed login
+    if (err.message === 'Invalid code' || err.message === 'Invalid or expired MFA token') {
+      return res.status(401).json({ message: err.message });
+    }
+    if (err.message === 'MFA is not enabled') {
+      return res.status(401).json({ message: 'Invalid or expired MFA token' });
+    }
+
+    console.error('MFA verification error:', err);
+    res.status(500).json({ message: 'Login failed', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa:
+ *   get:
+ *     summary: Get the current user's multi-factor authentication status (requires authentication)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: MFA status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MfaStatus'
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/mfa', authGuard, async (req, res) => {
+  try {
+    res.json(await mfaService.getStatus(req.userRecord));
+  } catch (err) {
+    console.error('Get MFA status error:', err);
+    res.status(500).json({ message: 'Failed to get MFA status', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/totp/setup:
+ *   post:
+ *     summary: Start setting up an authenticator app
+ *     description: >
+ *       Returns a new secret and the otpauth URI to show as a QR code. MFA is not enabled
+ *       until the first code is confirmed at /api/auth/mfa/totp/activate. Members of a role
+ *       that requires MFA can call this with the mfaToken from /api/auth/login instead of
+ *       an access token.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 description: The mfaToken from /api/auth/login, when signing in for the first time
+ *     responses:
+ *       200:
+ *         description: Setup started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   description: Base32 secret, for entering into the app by hand
+ *                 otpauthUri:
+ *                   type: string
+ *                   description: otpauth URI to show as a QR code
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       409:
+ *         description: Conflict - MFA is already enabled
+ *       500:
+ *         description: Server error
+ */
+router.post('/mfa/totp/setup', mfaEnrollmentGuard, async (req, res) => {
+  try {
+    const user = req.mfaEnrollment
+      ? (await mfaService.getChallengeCredential(req.mfaEnrollment)).user
+      : req.userRecord;
+
+    res.json(await mfaService.setupTotp(user));
+  } catch (err) {
+    if (MFA_ERROR_STATUS[err.message]) {
+      return res.status(MFA_ERROR_STATUS[err.message]).json({ message: err.message });
+    }
+
+    console.error('MFA setup error:', err);
+    res.status(500).json({ message: 'Failed to set up MFA', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/totp/activate:
+ *   post:
+ *     summary: Enable MFA by confirming the first code from the authenticator app
+ *     description: >
+ *       Returns recovery codes, which are only shown once. When called with the mfaToken
+ *       from /api/auth/login, the response also signs the user in.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Current code from the authenticator app
+ *               mfaToken:
+ *                 type: string
+ *                 description: The mfaToken from /api/auth/login, when signing in for the first time
+ *     responses:
+ *       200:
+ *         description: MFA enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: One-time recovery codes
+ *       400:
+ *         description: Bad request - Missing or invalid code, or no setup in progress
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       409:
+ *         description: Conflict - MFA is already enabled
+ *       500:
+ *         description: Server error
+ */
+router.post('/mfa/totp/activate', mfaEnrollmentGuard, async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ message: 'Code is required' });
+  }
+
+  try {
+    if (!req.mfaEnrollment) {
+      const recoveryCodes = await mfaService.activateTotp(req.user.userId, code);
+      await auditService.record(req, { action: 'MFA_ENABLED', targetType: 'User', targetId: req.user.userId });
+      return res.json({ message: 'MFA enabled', recoveryCodes });
+    }
+
+    const credential = await mfaService.getChallengeCredential(req.mfaEnrollment, signInUserIncludes);
+    const recoveryCodes = await mfaService.activateTotp(credential.userId, code);
+
+    await auditService.record(req, {
+      action: 'MFA_ENABLED',
+      actorUserId: credential.userId,
+      targetType: 'User',
+      targetId: credential.userId
+    });
+
+    res.json({ ...(await completeSignIn(req, credential)), recoveryCodes });
+  } catch (err) {
+    if (MFA_ERROR_STATUS[err.message]) {
+      return res.status(MFA_ERROR_STATUS[err.message]).json({ message: err.message });
+    }
+
+    console.error('MFA activation error:', err);
+    res.status(500).json({ message: 'Failed to enable MFA', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/totp:
+ *   delete:
+ *     summary: Disable MFA (requires authentication)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MfaCodeRequest'
+ *     responses:
+ *       200:
+ *         description: MFA disabled and recovery codes removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Bad request - Missing or invalid code, or MFA is not enabled
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       403:
+ *         description: Forbidden - The user's role requires MFA
+ *       500:
+ *         description: Server error
+ */
+router.delete('/mfa/totp', authGuard, async (req, res) => {
+  const { code, recoveryCode } = req.body || {};
+
+  if (!code && !recoveryCode) {
+    return res.status(400).json({ message: 'A code or recovery code is required' });
+  }
+
+  try {
+    await mfaService.disableTotp(req.userRecord, { code, recoveryCode });
+    await auditService.record(req, { action: 'MFA_DISABLED', targetType: 'User', targetId: req.user.userId });
+    res.json({ message: 'MFA disabled' });
+  } catch (err) {
+    if (MFA_ERROR_STATUS[err.message]) {
+      return res.status(MFA_ERROR_STATUS[err.message]).json({ message: err.message });
+    }
+
+    console.error('MFA disable error:', err);
+    res.status(500).json({ message: 'Failed to disable MFA', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Replace the current user's recovery codes (requires authentication)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MfaCodeRequest'
+ *     responses:
+ *       200:
+ *         description: New recovery codes; the old ones no longer work
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Bad request - Missing or invalid code, or MFA is not enabled
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.post('/mfa/recovery-codes', authGuard, async (req, res) => {
+  const { code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    return res.status(400).json({ message: 'A code or recovery code is required' });
+  }
+
+  try {
+    const recoveryCodes = await mfaService.regenerateRecoveryCodes(req.user.userId, { code, recoveryCode });
+    await auditService.record(req, { action: 'MFA_RECOVERY_CODES_REPLACED', targetType: 'User', targetId: req.user.userId });
+    res.json({ recoveryCodes });
+  } catch (err) {
+    if (MFA_ERROR_STATUS[err.message]) {
+      return res.status(MFA_ERROR_STATUS[err.message]).json({ message: err.message });
+    }
+
+    console.error('Recovery code error:', err);
+    res.status(500).json({ message: 'Failed to replace recovery codes', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/password-policy:
+ *   get:
+ *     summary: Get the rules new passwords have to meet
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: The password policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PasswordPolicy'
+ */
+router.get('/password-policy', (req, res) => {
+  res.json(passwordPolicyService.getPolicy());
+});
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change password (requires authentication)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *                 description: Current password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 description: New password
+ *     responses:
+ *       200:
+ *         description: Password changed successfully. Other sessions are signed out and a new
+ *           access token is issued for this one, since tokens issued before the change are rejected.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *                   description: New access token for the current session
+ *       400:
+ *         description: Bad request - Missing required fields, or the new password breaks the password policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PasswordPolicyError'
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.post('/change-password', authGuard, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const userId = req.user.userId;
+  
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ message: 'Current password and new password are required' });
+  }
+  
+  try {
+    // Find the user credential
+    const credential = await UserCredential.findOne({
+      where: {
+        userId,
+        authType: 'password',
+        isActive: true,
+        isDeleted: false
+      }
+    });
+    
+    if (!credential) {
+      return res.status(400).json({ message: 'No password credential found for this user' });
+    }
+    
+    // Verify current password
+    const isPasswordValid = await bcrypt.compare(currentPassword, credential.passwordHash);
+    
+    if (!isPasswordValid) {
+      // DO NOT SET IT TO 401. 401 ERROR INVALIDATES TOKEN AUTOMATICALLY
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+    
+    await manageUsers.setPassword(credential, newPassword);
+    
+    await sessionService.revokeAllSessions(userId, { exceptSessionId: req.user.sid });
+    await passwordResetService.revokeResetTokens(userId);
+
+    await auditService.record(req, {
+      action: 'PASSWORD_CHANGED',
+      targetType: 'User',
+      targetId: userId,
+      details: { credentialId: credential.id }
+    });
+
+    const token = sessionService.generateAccessToken(req.userRecord, credential, { id: req.user.sid });
+    
+    res.json({ message: 'Password changed successfully', token });
+  } catch (err) {
+    if (err.violations) {
+      return res.status(400).json({ message: err.message, violations: err.violations });
+    }
+    
+    console.error('Password change error:', err);
+    res.status(500).json({ message: 'Password change failed', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password-request:
+ *   post:
+ *     summary: Request a password reset
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: User's email address
+ *     responses:
+ *       200:
+ *         description: Password reset request successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Bad request - Missing required fields
+ *       404:
+ *         description: User not found
+ *       429:
+ *         description: Too many reset requests from this IP address or for this email; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post('/reset-password-request', async (req, res) => {
+  const { email } = req.body;
+  
+  if (!email) {
+    return res.status(400).json({ message: 'Email is required' });
+  }
+
+  try {
+    const retryAfter = await throttleService.consumeResetRequest(req.ip, email);
+    if (retryAfter > 0) {
+      return sendTooManyRequests(res, retryAfter, 'Too many password reset requests. Try again later.');
+    }
+
+    const user = await User.findOne({ where: { email } });
+    
+    // Always return success to prevent email enumeration attacks
+    if (!user) {
+      return res.json({ 
+        message: 'If an account with that email exists, a password reset link has been sent.'
+      });
+    }
+    
+    // Replaces any link sent before
+    const resetToken = await passwordResetService.createResetToken(user.id);
+
+    await auditService.record(req, {
+      action: 'PASSWORD_RESET_REQUESTED',
+      targetType: 'User',
+      targetId: user.id
+    });
+    
+    try {
+      await sendPasswordResetEmail(email, resetToken);
+
+      res.json({
+        message: 'If an account with that email exists, a password reset link has been sent.'
+      });
+    } catch (emailError) {
+      console.error('Failed to send password reset email:', emailError);
+      res.status(500).json({ 
+        message: 'Failed to send password reset email',
+        error: process.env.NODE_ENV === 'development' ? emailError.message : undefined
+      });
+    }
+  } catch (err) {
+    console.error('Password reset request error:', err);
+    res.status(500).json({ 
+      message: 'Password reset request failed', 
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password-confirm:
+ *   post:
+ *     summary: Confirm password reset
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resetToken
+ *               - newPassword
+ *             properties:
+ *               resetToken:
+ *                 type: string
+ *                 description: Password reset token
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 description: New password
+ *     responses:
+ *       200:
+ *         description: >
+ *           Password reset successful. The link cannot be used again, and all of the user's
+ *           sessions are signed out.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Bad request - Missing required fields, or the new password breaks the password policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PasswordPolicyError'
+ *       401:
+ *         description: Unauthorized - Reset token is invalid, already used, replaced by a newer one or expired
+ *       500:
+ *         description: Server error
+ */
+router.post('/reset-password-confirm', async (req, res) => {
+  const { resetToken, newPassword } = req.body;
+  
+  if (!resetToken || !newPassword) {
+    return res.status(400).json({ message: 'Reset token and new password are required' });
+  }
+  
+  try {
+    const userId = await passwordResetService.resetPassword(resetToken, newPassword);
+
+    await auditService.record(req, {
+      action: 'PASSWORD_RESET',
+      actorUserId: userId,
+      targetType: 'User',
+      targetId: userId
     });
     
-    let user;
+    res.json({ message: 'Password reset successful' });
+  } catch (err) {
+    if (err.message === 'Invalid or expired reset token') {
+      return res.status(401).json({ message: err.message });
+    }
+    if (err.violations) {
+      return res.status(400).json({ message: err.message, violations: err.violations });
+    }
     
-    if (credential) {
-      // Existing user - update information if needed
-      user = credential.user;
-      
-      // Update user information if provided
-      if (firstName || lastName) {
-        await user.update({
-          firstName: firstName || user.firstName,
-          lastName: lastName || user.lastName
-        }, { transaction });
+    console.error('Password reset confirmation error:', err);
+    res.status(500).json({ message: 'Password reset failed', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/unlock:
+ *   post:
+ *     summary: Unlock an account with the link from the account locked email
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Unlock token from the email link
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Bad request - Missing, invalid or expired token
+ *       500:
+ *         description: Server error
+ */
+router.post('/unlock', async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ message: 'Unlock token is required' });
+  }
+
+  try {
+    const credentialId = await throttleService.unlockWithToken(token);
+
+    await auditService.record(req, {
+      action: 'CREDENTIAL_UNLOCKED',
+      targetType: 'UserCredential',
+      targetId: credentialId,
+      details: { method: 'unlock_link' }
+    });
+
+    res.json({ message: 'Account unlocked' });
+  } catch (err) {
+    if (err.message === 'Invalid or expired unlock link') {
+      return res.status(400).json({ message: err.message });
+    }
+
+    console.error('Account unlock error:', err);
+    res.status(500).json({ message: 'Account unlock failed', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/email/verification:
+ *   post:
+ *     summary: Send a new link to confirm the user's email address (requires authentication)
+ *     description: >
+ *       A link is sent when a user registers; this sends another one, replacing any sent before.
+ *       Until the address is confirmed the user cannot send invites or connection requests.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Bad request - Email address is already verified
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       429:
+ *         description: Too many verification emails; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post('/email/verification', authGuard, async (req, res) => {
+  try {
+    if (req.userRecord.emailVerified) {
+      return res.status(400).json({ message: 'Email address is already verified' });
+    }
+
+    const retryAfter = await throttleService.consumeVerificationEmail(req.userRecord.id);
+    if (retryAfter > 0) {
+      return sendTooManyRequests(res, retryAfter, 'Too many verification emails. Try again later.');
+    }
+
+    await emailVerificationService.sendVerification(req.userRecord);
+    res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    console.error('Send verification email error:', err);
+    res.status(500).json({ message: 'Failed to send verification email', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/email/verification/confirm:
+ *   post:
+ *     summary: Confirm an email address with the link from a verification or email change email
+ *     description: >
+ *       For a verification link the user's address is marked as verified. For an email change
+ *       link the new address replaces the current one; login names are not changed.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the email link
+ *     responses:
+ *       200:
+ *         description: Email address confirmed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 email:
+ *                   type: string
+ *                   format: email
+ *                   description: The user's email address, now verified
+ *       400:
+ *         description: Bad request - Missing, invalid, used or expired token
+ *       409:
+ *         description: Conflict - The new address has been taken by another account meanwhile
+ *       500:
+ *         description: Server error
+ */
+router.post('/email/verification/confirm', async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ message: 'Verification token is required' });
+  }
+
+  try {
+    const { userId, email, purpose } = await emailVerificationService.confirm(token);
+
+    await auditService.record(req, {
+      action: purpose === 'change' ? 'EMAIL_CHANGED' : 'EMAIL_VERIFIED',
+      actorUserId: userId,
+      targetType: 'User',
+      targetId: userId,
+      details: { email }
+    });
+
+    res.json({
+      message: purpose === 'change' ? 'Email address changed' : 'Email address verified',
+      email
+    });
+  } catch (err) {
+    if (err.message === 'Invalid or expired verification link') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.message === 'Email address is already in use') {
+      return res.status(409).json({ message: err.message });
+    }
+
+    console.error('Email verification error:', err);
+    res.status(500).json({ message: 'Email verification failed', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/email/change:
+ *   post:
+ *     summary: Ask to change the user's email address (requires authentication)
+ *     description: >
+ *       Sends a confirmation link to the new address. The address only changes once the link is
+ *       used at /api/auth/email/verification/confirm. Users with a password must enter it.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newEmail
+ *             properties:
+ *               newEmail:
+ *                 type: string
+ *                 format: email
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *                 description: Required when the user has a password
+ *     responses:
+ *       200:
+ *         description: Confirmation email sent to the new address
+ *       400:
+ *         description: Bad request - Invalid or unchanged address, or missing or incorrect password
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       409:
+ *         description: Conflict - Another account uses the address
+ *       429:
+ *         description: Too many verification emails; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/email/change',
+  authGuard,
+  check('newEmail', 'Please include a valid email').isEmail(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { newEmail, currentPassword } = req.body;
+
+    try {
+      const credential = await UserCredential.findOne({
+        where: {
+          userId: req.userRecord.id,
+          authType: 'password',
+          isActive: true,
+          isDeleted: false
+        }
+      });
+
+      // DO NOT SET IT TO 401. 401 ERROR INVALIDATES TOKEN AUTOMATICALLY
+      if (credential && !(currentPassword && await bcrypt.compare(currentPassword, credential.passwordHash))) {
+        return res.status(400).json({ message: 'Current password is incorrect' });
       }
-    } else {
-      // Check if user with this email exists
-      user = await User.findOne({
-        where: { email },
-        transaction
-      });
-      
-      if (!user) {
-        // Create new user
-        user = await User.create({
-          email,
-          firstName: firstName || '',
-          lastName: lastName || '',
-          roleId: 1, // Default role
-          isActive: true,
-          isDeleted: false
-        }, { transaction });
+
+      const retryAfter = await throttleService.consumeVerificationEmail(req.userRecord.id);
+      if (retryAfter > 0) {
+        return sendTooManyRequests(res, retryAfter, 'Too many verification emails. Try again later.');
       }
-      
-      // Create new OpenID credential
-      credential = await UserCredential.create({
-        userId: user.id,
-        authType: 'openid',
-        loginName,
-        openIdProvider: provider,
-        openIdSubject: subject,
-        isActive: true,
-        isDeleted: false
-      }, { transaction });
+
+      const email = await emailVerificationService.requestEmailChange(req.userRecord, newEmail);
+      res.json({ message: `A confirmation link has been sent to ${email}` });
+    } catch (err) {
+      if (err.message === 'New email address is the same as the current one') {
+        return res.status(400).json({ message: err.message });
+      }
+      if (err.message === 'Email address is already in use') {
+        return res.status(409).json({ message: err.message });
+      }
+
+      console.error('Email change error:', err);
+      res.status(500).json({ message: 'Email change failed', error: err.message });
     }
-    
-    // Commit the transaction
-    await transaction.commit();
+  }
+);
 
-    const roleWithPermissions = await Role.findByPk(user.roleId, {
-      include: [{
-        model: Permission,
-        as: 'permissions',
-        through: { attributes: [] } // Exclude junction table attributes
-      }]
+/**
+ * @swagger
+ * /api/auth/lockouts:
+ *   get:
+ *     summary: List credentials locked after failed logins (requires MANAGE_USERS)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Locked credentials, soonest to unlock first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                     description: The credential ID
+ *                   userId:
+ *                     type: integer
+ *                   loginName:
+ *                     type: string
+ *                   lockedUntil:
+ *                     type: string
+ *                     format: date-time
+ *                   user:
+ *                     $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       403:
+ *         description: Forbidden - Missing the MANAGE_USERS permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/lockouts', authGuard, async (req, res) => {
+  try {
+    const lockouts = await throttleService.listLockouts();
+    res.json(lockouts);
+  } catch (err) {
+    console.error('Get lockouts error:', err);
+    res.status(500).json({ message: 'Failed to get lockouts', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/lockouts/{credentialId}:
+ *   delete:
+ *     summary: Unlock a credential and clear its failed logins (requires MANAGE_USERS)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: credentialId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Credential ID
+ *     responses:
+ *       200:
+ *         description: Credential unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       403:
+ *         description: Forbidden - Missing the MANAGE_USERS permission
+ *       404:
+ *         description: Credential not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/lockouts/:credentialId', authGuard, async (req, res) => {
+  const credentialId = parseInt(req.params.credentialId, 10);
+
+  if (isNaN(credentialId)) {
+    return res.status(404).json({ message: 'Credential not found' });
+  }
+
+  try {
+    await throttleService.clearLockout(credentialId);
+
+    await auditService.record(req, {
+      action: 'CREDENTIAL_UNLOCKED',
+      targetType: 'UserCredential',
+      targetId: credentialId,
+      details: { method: 'admin' }
     });
 
-    const permissions = roleWithPermissions ? roleWithPermissions.permissions : [];
-    
-    console.log(`Permissions: ${permissions}`);
+    res.json({ message: 'Credential unlocked' });
+  } catch (err) {
+    if (err.message === 'Credential not found') {
+      return res.status(404).json({ message: err.message });
+    }
+
+    console.error('Clear lockout error:', err);
+    res.status(500).json({ message: 'Failed to clear lockout', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get current user information (requires authentication)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User information
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/me', authGuard, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.userId, {
+      attributes: ['id', 'email', 'emailVerified', 'firstName', 'lastName', 'roleId'],
+      include: [
+        {
+          model: Role,
+          as: 'role',
+          attributes: ['id', 'name']
+        }
+      ]
+    });
     
-    // Generate JWT token
-    const token = generateToken(user, credential);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
     
-    res.json({
-      message: 'OpenID authentication successful',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role,
-        permissions
-      }
-    });
+    res.json(user);
   } catch (err) {
-    // Rollback the transaction in case of error
-    await transaction.rollback();
-    console.error('OpenID authentication error:', err);
-    res.status(500).json({ message: 'Authentication failed', error: err.message });
+    console.error('Get user info error:', err);
+    res.status(500).json({ message: 'Failed to get user information', error: err.message });
   }
 });
 
 /**
  * @swagger
- * /api/auth/change-password:
+ * /api/auth/reauthenticate:
  *   post:
- *     summary: Change password (requires authentication)
+ *     summary: Confirm who the signed-in user is before changing their sign-in methods (requires authentication)
+ *     description: >
+ *       Users with a password enter it, plus a code when MFA is on; users who only sign in with an
+ *       identity provider and have no MFA re-authenticate through /api/auth/reauthenticate/oidc/{provider}/authorize.
+ *       The returned token is sent in the X-Reauth-Token header and only works for the current session.
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
@@ -565,94 +2241,202 @@ router.post('/openid', async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - currentPassword
- *               - newPassword
  *             properties:
- *               currentPassword:
+ *               password:
  *                 type: string
  *                 format: password
- *                 description: Current password
- *               newPassword:
+ *               code:
  *                 type: string
- *                 format: password
- *                 description: New password
+ *                 description: Current code from the authenticator app, when MFA is on
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Unused recovery code, instead of a code from the app
  *     responses:
  *       200:
- *         description: Password changed successfully
+ *         description: Re-authenticated
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
+ *               $ref: '#/components/schemas/ReauthResponse'
  *       400:
- *         description: Bad request - Missing required fields
+ *         description: Bad request - Incorrect password or code, or the user has to re-authenticate with their identity provider
  *       401:
  *         description: Unauthorized - Not authenticated
+ *       423:
+ *         description: Locked - Too many failed attempts
  *       500:
  *         description: Server error
  */
-router.post('/change-password', authenticateToken, async (req, res) => {
-  const { currentPassword, newPassword } = req.body;
-  const userId = req.user.userId;
-  
-  if (!currentPassword || !newPassword) {
-    return res.status(400).json({ message: 'Current password and new password are required' });
-  }
-  
-  if (newPassword.length < 8) {
-    return res.status(400).json({ message: 'Password must be at least 8 characters long' });
+router.post('/reauthenticate', authGuard, async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  try {
+    res.json(await credentialService.reauthenticate(req.userRecord, {
+      sessionId: req.user.sid,
+      ip: req.ip,
+      password,
+      code,
+      recoveryCode
+    }));
+  } catch (err) {
+    const status = getCredentialErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ message: err.message });
+    }
+
+    console.error('Re-authentication error:', err);
+    res.status(500).json({ message: 'Re-authentication failed', error: err.message });
   }
-  
+});
+
+/**
+ * @swagger
+ * /api/auth/reauthenticate/oidc/{provider}/authorize:
+ *   post:
+ *     summary: Start re-authenticating with an identity provider linked to the account (requires authentication)
+ *     description: >
+ *       The provider redirects back to the configured redirect URI; the client posts the code and
+ *       state to /api/auth/reauthenticate/oidc/{provider}/callback.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Provider ID
+ *     responses:
+ *       200:
+ *         description: Re-authentication started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OidcAuthorizeResponse'
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       404:
+ *         description: Unknown identity provider
+ *       502:
+ *         description: Identity provider could not be reached
+ *       500:
+ *         description: Server error
+ */
+router.post('/reauthenticate/oidc/:provider/authorize', authGuard, async (req, res) => {
   try {
-    // Find the user credential
-    const credential = await UserCredential.findOne({
-      where: {
-        userId,
-        authType: 'password',
-        isActive: true,
-        isDeleted: false
-      }
-    });
-    
-    if (!credential) {
-      return res.status(400).json({ message: 'No password credential found for this user' });
+    res.json(await credentialService.startProviderFlow(req.userRecord, req.params.provider, 'reauth'));
+  } catch (err) {
+    const status = getCredentialErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ message: err.message });
     }
-    
-    // Verify current password
-    const isPasswordValid = await bcrypt.compare(currentPassword, credential.passwordHash);
-    
-    if (!isPasswordValid) {
-      // DO NOT SET IT TO 401. 401 ERROR INVALIDATES TOKEN AUTOMATICALLY
-      return res.status(400).json({ message: 'Current password is incorrect' });
+
+    console.error('OpenID re-authentication error:', err);
+    res.status(500).json({ message: 'Re-authentication failed', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reauthenticate/oidc/{provider}/callback:
+ *   post:
+ *     summary: Finish re-authenticating with an identity provider (requires authentication)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Provider ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OidcCallbackRequest'
+ *     responses:
+ *       200:
+ *         description: Re-authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReauthResponse'
+ *       400:
+ *         description: Bad request - Missing, invalid or expired state, invalid ID token, or an identity not linked to the account
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       404:
+ *         description: Unknown identity provider
+ *       502:
+ *         description: Identity provider could not be reached or rejected the code
+ *       500:
+ *         description: Server error
+ */
+router.post('/reauthenticate/oidc/:provider/callback', authGuard, async (req, res) => {
+  const { code, state } = req.body;
+
+  if (!code || !state) {
+    return res.status(400).json({ message: 'Code and state are required' });
+  }
+
+  try {
+    res.json(await credentialService.reauthenticateWithProvider(req.userRecord, req.user.sid, req.params.provider, { code, state }));
+  } catch (err) {
+    const status = getCredentialErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ message: err.message });
     }
-    
-    // Hash the new password
-    const { hash, salt } = await hashPassword(newPassword);
-    
-    // Update the credential
-    await credential.update({
-      passwordHash: hash,
-      passwordSalt: salt,
-      lastPasswordChange: new Date(),
-      passwordExpired: false
-    });
-    
-    res.json({ message: 'Password changed successfully' });
+
+    console.error('OpenID re-authentication error:', err);
+    res.status(500).json({ message: 'Re-authentication failed', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/credentials:
+ *   get:
+ *     summary: Get the credentials the user can sign in with (requires authentication)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User credentials
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/UserCredential'
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/credentials', authGuard, async (req, res) => {
+  try {
+    res.json(await credentialService.listCredentials(req.user.userId));
   } catch (err) {
-    console.error('Password change error:', err);
-    res.status(500).json({ message: 'Password change failed', error: err.message });
+    console.error('Get credentials error:', err);
+    res.status(500).json({ message: 'Failed to get credentials', error: err.message });
   }
 });
 
 /**
  * @swagger
- * /api/auth/reset-password-request:
+ * /api/auth/credentials/password:
  *   post:
- *     summary: Request a password reset
+ *     summary: Add a password to an account that signs in with identity providers only (requires re-authentication)
  *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReauthToken'
  *     requestBody:
  *       required: true
  *       content:
@@ -660,248 +2444,262 @@ router.post('/change-password', authenticateToken, async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - email
+ *               - loginName
+ *               - password
  *             properties:
- *               email:
+ *               loginName:
  *                 type: string
- *                 format: email
- *                 description: User's email address
+ *               password:
+ *                 type: string
+ *                 format: password
  *     responses:
- *       200:
- *         description: Password reset request successful
+ *       201:
+ *         description: Password added; the user is notified in the app and by email
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
+ *               $ref: '#/components/schemas/UserCredential'
  *       400:
- *         description: Bad request - Missing required fields
- *       404:
- *         description: User not found
+ *         description: Bad request - Missing fields, or the password breaks the password policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PasswordPolicyError'
+ *       401:
+ *         description: Unauthorized - Not authenticated
+ *       403:
+ *         description: Forbidden - Re-authentication required
+ *       409:
+ *         description: Conflict - The account already has a password, or the login name is taken
  *       500:
  *         description: Server error
  */
-router.post('/reset-password-request', async (req, res) => {
-  const { email } = req.body;
-  
-  if (!email) {
-    return res.status(400).json({ message: 'Email is required' });
+router.post('/credentials/password', authGuard, reauthGuard, async (req, res) => {
+  const { loginName, password } = req.body;
+
+  if (!loginName || !password) {
+    return res.status(400).json({ message: 'Login name and password are required' });
   }
 
   try {
-    const user = await User.findOne({ where: { email } });
-    
-    // Always return success to prevent email enumeration attacks
-    if (!user) {
-      console.log('Password reset requested for non-existent email:', email);
-      return res.json({ 
-        message: 'If an account with that email exists, a password reset link has been sent.'
-      });
+    const credential = await credentialService.addPassword(req.userRecord, { loginName, password });
+
+    await auditService.record(req, {
+      action: 'CREDENTIAL_ADDED',
+      targetType: 'UserCredential',
+      targetId: credential.id,
+      details: { authType: 'password', loginName }
+    });
+    res.status(201).json(await credentialService.findCredential(req.user.userId, credential.id));
+  } catch (err) {
+    if (err.violations) {
+      return res.status(400).json({ message: err.message, violations: err.violations });
     }
-    
-    const resetToken = jwt.sign(
-      { userId: user.id, email: user.email },
-      config.jwt.secret,
-      { expiresIn: '1h' }
-    );
-    
-    try {
-      await sendPasswordResetEmail(email, resetToken);
-      console.log('Password reset email sent to:', email);
-      
-      res.json({
-        message: 'If an account with that email exists, a password reset link has been sent.'
-      });
-    } catch (emailError) {
-      console.error('Failed to send password reset email:', emailError);
-      res.status(500).json({ 
-        message: 'Failed to send password reset email',
-        error: process.env.NODE_ENV === 'development' ? emailError.message : undefined
-      });
+    const status = getCredentialErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ message: err.message });
     }
-  } catch (err) {
-    console.error('Password reset request error:', err);
-    res.status(500).json({ 
-      message: 'Password reset request failed', 
-      error: process.env.NODE_ENV === 'development' ? err.message : undefined
-    });
+
+    console.error('Add password error:', err);
+    res.status(500).json({ message: 'Failed to add password', error: err.message });
   }
 });
 
 /**
  * @swagger
- * /api/auth/reset-password-confirm:
+ * /api/auth/credentials/openid/{provider}/authorize:
  *   post:
- *     summary: Confirm password reset
+ *     summary: Start linking an identity provider account (requires re-authentication)
+ *     description: >
+ *       The provider redirects back to the configured redirect URI; the client posts the code and
+ *       state to /api/auth/credentials/openid/{provider}/callback.
  *     tags: [Auth]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - resetToken
- *               - newPassword
- *             properties:
- *               resetToken:
- *                 type: string
- *                 description: Password reset token
- *               newPassword:
- *                 type: string
- *                 format: password
- *                 description: New password
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Provider ID
+ *       - $ref: '#/components/parameters/ReauthToken'
  *     responses:
  *       200:
- *         description: Password reset successful
+ *         description: Linking started
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *       400:
- *         description: Bad request - Missing required fields
+ *               $ref: '#/components/schemas/OidcAuthorizeResponse'
  *       401:
- *         description: Unauthorized - Invalid reset token
+ *         description: Unauthorized - Not authenticated
+ *       403:
+ *         description: Forbidden - Re-authentication required
+ *       404:
+ *         description: Unknown identity provider
+ *       502:
+ *         description: Identity provider could not be reached
  *       500:
  *         description: Server error
  */
-router.post('/reset-password-confirm', async (req, res) => {
-  const { resetToken, newPassword } = req.body;
-  
-  if (!resetToken || !newPassword) {
-    return res.status(400).json({ message: 'Reset token and new password are required' });
-  }
-  
-  if (newPassword.length < 8) {
-    return res.status(400).json({ message: 'Password must be at least 8 characters long' });
-  }
-  
+router.post('/credentials/openid/:provider/authorize', authGuard, reauthGuard, async (req, res) => {
   try {
-    // Verify the reset token
-    const decoded = jwt.verify(resetToken, config.jwt.secret);
-    
-    // Find the user credential
-    const credential = await UserCredential.findOne({
-      where: {
-        userId: decoded.userId,
-        authType: 'password',
-        isActive: true,
-        isDeleted: false
-      }
-    });
-    
-    if (!credential) {
-      return res.status(404).json({ message: 'Invalid reset token' });
-    }
-    
-    // Hash the new password
-    const { hash, salt } = await hashPassword(newPassword);
-    
-    // Update the credential
-    await credential.update({
-      passwordHash: hash,
-      passwordSalt: salt,
-      lastPasswordChange: new Date(),
-      passwordExpired: false
-    });
-    
-    res.json({ message: 'Password reset successful' });
+    res.json(await credentialService.startProviderFlow(req.userRecord, req.params.provider, 'link'));
   } catch (err) {
-    if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
-      return res.status(401).json({ message: 'Invalid or expired reset token' });
+    const status = getCredentialErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ message: err.message });
     }
-    
-    console.error('Password reset confirmation error:', err);
-    res.status(500).json({ message: 'Password reset failed', error: err.message });
+
+    console.error('OpenID link error:', err);
+    res.status(500).json({ message: 'Failed to link identity provider', error: err.message });
   }
 });
 
 /**
  * @swagger
- * /api/auth/me:
- *   get:
- *     summary: Get current user information (requires authentication)
+ * /api/auth/credentials/openid/{provider}/callback:
+ *   post:
+ *     summary: Finish linking an identity provider account (requires authentication)
+ *     description: Only completes a link started by the same user, which required re-authentication.
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Provider ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OidcCallbackRequest'
  *     responses:
- *       200:
- *         description: User information
+ *       201:
+ *         description: Identity linked; the user is notified in the app and by email
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/User'
+ *               $ref: '#/components/schemas/UserCredential'
+ *       400:
+ *         description: Bad request - Missing, invalid or expired state, or invalid ID token
  *       401:
  *         description: Unauthorized - Not authenticated
+ *       404:
+ *         description: Unknown identity provider
+ *       409:
+ *         description: Conflict - The identity is already linked to this or another account
+ *       502:
+ *         description: Identity provider could not be reached or rejected the code
  *       500:
  *         description: Server error
  */
-router.get('/me', authenticateToken, async (req, res) => {
+router.post('/credentials/openid/:provider/callback', authGuard, async (req, res) => {
+  const { code, state } = req.body;
+
+  if (!code || !state) {
+    return res.status(400).json({ message: 'Code and state are required' });
+  }
+
   try {
-    const user = await User.findByPk(req.user.userId, {
-      attributes: ['id', 'email', 'firstName', 'lastName', 'roleId'],
-      include: [
-        {
-          model: Role,
-          as: 'role',
-          attributes: ['id', 'name']
-        }
-      ]
+    const credential = await credentialService.linkProvider(req.userRecord, req.params.provider, { code, state });
+
+    await auditService.record(req, {
+      action: 'CREDENTIAL_ADDED',
+      targetType: 'UserCredential',
+      targetId: credential.id,
+      details: { authType: 'openid', provider: req.params.provider }
     });
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    res.json(user);
+    res.status(201).json(await credentialService.findCredential(req.user.userId, credential.id));
   } catch (err) {
-    console.error('Get user info error:', err);
-    res.status(500).json({ message: 'Failed to get user information', error: err.message });
+    const status = getCredentialErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ message: err.message });
+    }
+
+    console.error('OpenID link error:', err);
+    res.status(500).json({ message: 'Failed to link identity provider', error: err.message });
   }
 });
 
 /**
  * @swagger
- * /api/auth/credentials:
- *   get:
- *     summary: Get user credentials (requires authentication)
+ * /api/auth/credentials/{id}/login-name:
+ *   put:
+ *     summary: Change the login name of the user's password (requires re-authentication)
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Credential ID
+ *       - $ref: '#/components/parameters/ReauthToken'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - loginName
+ *             properties:
+ *               loginName:
+ *                 type: string
  *     responses:
  *       200:
- *         description: User credentials
+ *         description: Login name changed; the user is notified in the app and by email
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/UserCredential'
+ *               $ref: '#/components/schemas/UserCredential'
+ *       400:
+ *         description: Bad request - Missing login name, or not a password credential
  *       401:
  *         description: Unauthorized - Not authenticated
+ *       403:
+ *         description: Forbidden - Re-authentication required
+ *       404:
+ *         description: Credential not found
+ *       409:
+ *         description: Conflict - Login name already in use
  *       500:
  *         description: Server error
  */
-router.get('/credentials', authenticateToken, async (req, res) => {
+router.put('/credentials/:id/login-name', authGuard, reauthGuard, async (req, res) => {
+  const { loginName } = req.body;
+
+  if (!loginName) {
+    return res.status(400).json({ message: 'Login name is required' });
+  }
+
   try {
-    const credentials = await UserCredential.findAll({
-      where: {
-        userId: req.user.userId,
-        isActive: true,
-        isDeleted: false
-      },
-      attributes: ['id', 'authType', 'loginName', 'openIdProvider', 'lastPasswordChange', 'passwordExpired', 'createdAt']
+    const before = await credentialService.findCredential(req.user.userId, req.params.id);
+    await credentialService.renameLoginName(req.userRecord, req.params.id, loginName);
+
+    await auditService.record(req, {
+      action: 'CREDENTIAL_RENAMED',
+      targetType: 'UserCredential',
+      targetId: req.params.id,
+      before: { loginName: before.loginName },
+      after: { loginName }
     });
-    
-    res.json(credentials);
+    res.json(await credentialService.findCredential(req.user.userId, req.params.id));
   } catch (err) {
-    console.error('Get credentials error:', err);
-    res.status(500).json({ message: 'Failed to get credentials', error: err.message });
+    const status = getCredentialErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ message: err.message });
+    }
+
+    console.error('Rename login name error:', err);
+    res.status(500).json({ message: 'Failed to change login name', error: err.message });
   }
 });
 
@@ -909,7 +2707,10 @@ router.get('/credentials', authenticateToken, async (req, res) => {
  * @swagger
  * /api/auth/credentials/{id}:
  *   delete:
- *     summary: Delete a user credential (requires authentication)
+ *     summary: Remove a sign-in method (requires re-authentication)
+ *     description: >
+ *       The last sign-in method cannot be removed. Other sessions signed in with it are signed
+ *       out, and the user is notified in the app and by email.
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
@@ -920,6 +2721,7 @@ router.get('/credentials', authenticateToken, async (req, res) => {
  *           type: integer
  *         required: true
  *         description: Credential ID
+ *       - $ref: '#/components/parameters/ReauthToken'
  *     responses:
  *       200:
  *         description: Credential deleted successfully
@@ -930,54 +2732,33 @@ router.get('/credentials', authenticateToken, async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
+ *       400:
+ *         description: Bad request - The only credential of the user cannot be deleted
  *       401:
  *         description: Unauthorized - Not authenticated
  *       403:
- *         description: Forbidden - Not authorized to delete this credential
+ *         description: Forbidden - Re-authentication required
  *       404:
  *         description: Credential not found
  *       500:
  *         description: Server error
  */
-router.delete('/credentials/:id', authenticateToken, async (req, res) => {
-  const credentialId = req.params.id;
-  
+router.delete('/credentials/:id', authGuard, reauthGuard, async (req, res) => {
   try {
-    const credential = await UserCredential.findOne({
-      where: {
-        id: credentialId,
-        userId: req.user.userId,
-        isActive: true,
-        isDeleted: false
-      }
-    });
-    
-    if (!credential) {
-      return res.status(404).json({ message: 'Credential not found' });
-    }
-    
-    // Count active credentials for this user
-    const credentialCount = await UserCredential.count({
-      where: {
-        userId: req.user.userId,
-        isActive: true,
-        isDeleted: false
-      }
-    });
-    
-    // Don't allow deleting the last credential
-    if (credentialCount <= 1) {
-      return res.status(400).json({ message: 'Cannot delete the only credential for this user' });
-    }
-    
-    // Soft delete the credential
-    await credential.update({
-      isActive: false,
-      isDeleted: true
+    await credentialService.removeCredential(req.userRecord, req.params.id, { exceptSessionId: req.user.sid });
+
+    await auditService.record(req, {
+      action: 'CREDENTIAL_REMOVED',
+      targetType: 'UserCredential',
+      targetId: req.params.id
     });
-    
     res.json({ message: 'Credential deleted successfully' });
   } catch (err) {
+    const status = getCredentialErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ message: err.message });
+    }
+
     console.error('Delete credential error:', err);
     res.status(500).json({ message: 'Failed to delete credential', error: err.message });
   }
@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { Certificate, Jurisdiction, Country, State, File, CertificateFile, LcrType } = require('../models');
-const { Op } = require('sequelize');
 const { authGuard, ownerGuard, requirePermissions } = require('../middleware/auth');
+const certificateFileService = require('../services/CertificateFileService');
+const certificateService = require('../services/CertificateService');
+const auditService = require('../services/AuditService');
+const { FEATURES, ACTIONS } = require('../config/permissions');
 
 // Middleware to parse JSON bodies
 router.use(express.json());
@@ -98,6 +101,57 @@ router.use(express.json());
  *           example: "2023-01-15T10:30:00Z"
  *           description: When the file was uploaded
  *
+ *     CertificateListResponse:
+ *       type: object
+ *       properties:
+ *         certificates:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CertificateResponse'
+ *         totalPages:
+ *           type: integer
+ *           example: 3
+ *         currentPage:
+ *           type: integer
+ *           example: 1
+ *         totalItems:
+ *           type: integer
+ *           example: 45
+ *
+ *     CertificateHistoryResponse:
+ *       type: object
+ *       properties:
+ *         continuous:
+ *           type: boolean
+ *           description: True when every renewal was issued by the day after its predecessor expired
+ *         certificates:
+ *           type: array
+ *           description: The renewal chain, oldest first
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CertificateResponse'
+ *               - type: object
+ *                 properties:
+ *                   coverageGapDays:
+ *                     type: integer
+ *                     nullable: true
+ *                     description: Days without coverage since the previous certificate expired, null if a date is missing
+ *
+ *     CertificateFileResponse:
+ *       allOf:
+ *         - $ref: '#/components/schemas/File'
+ *         - type: object
+ *           properties:
+ *             label:
+ *               type: string
+ *               enum: [front, back, supporting]
+ *               nullable: true
+ *               description: How the file relates to the certificate
+ *             sortOrder:
+ *               type: integer
+ *               example: 0
+ *               description: Position of the file within the certificate, lowest first
+ *
  *     CertificateBase:
  *       type: object
  *       required:
@@ -219,6 +273,15 @@ router.use(express.json());
  *               type: integer
  *               example: 1
  *               description: The LCR Type ID associated with the certificate
+ *             previousCertificateId:
+ *               type: integer
+ *               nullable: true
+ *               description: The certificate this one renewed
+ *             supersededOn:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: When the certificate was replaced by a renewal
  *             createdAt:
  *               type: string
  *               format: date-time
@@ -230,6 +293,77 @@ router.use(express.json());
  *               example: "2023-01-15T10:30:00Z"
  *               description: Last update timestamp
  *
+ *   parameters:
+ *     CertificatePage:
+ *       in: query
+ *       name: page
+ *       schema:
+ *         type: integer
+ *         default: 1
+ *       description: Page number
+ *     CertificateLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         default: 20
+ *         maximum: 100
+ *       description: Number of certificates per page
+ *     CertificateLcrTypeId:
+ *       in: query
+ *       name: lcrTypeId
+ *       schema:
+ *         type: integer
+ *       description: Only certificates of this LCR type
+ *     CertificateJurisdictionId:
+ *       in: query
+ *       name: jurisdictionId
+ *       schema:
+ *         type: integer
+ *       description: Only certificates in this jurisdiction
+ *     CertificateExpiry:
+ *       in: query
+ *       name: expiry
+ *       schema:
+ *         type: string
+ *         enum: [expired, expiring, none]
+ *       description: Expired certificates, certificates expiring within expiringWithinDays, or certificates with no expiry date
+ *     CertificateExpiringWithinDays:
+ *       in: query
+ *       name: expiringWithinDays
+ *       schema:
+ *         type: integer
+ *         default: 30
+ *       description: Window used by expiry=expiring
+ *     CertificateIssuingAuthority:
+ *       in: query
+ *       name: issuingAuthority
+ *       schema:
+ *         type: string
+ *       description: Issuing authority contains this text (case-insensitive)
+ *     CertificateSearch:
+ *       in: query
+ *       name: search
+ *       schema:
+ *         type: string
+ *       description: Title, description or document number contains this text (case-insensitive)
+ *     CertificateSortBy:
+ *       in: query
+ *       name: sortBy
+ *       schema:
+ *         type: string
+ *         enum: [title, expiryDate, issuedDate, issuingAuthority, createdAt, updatedAt]
+ *         default: expiryDate
+ *       description: Field to sort by; certificates without a value come last
+ *     CertificateSortOrder:
+ *       in: query
+ *       name: sortOrder
+ *       schema:
+ *         type: string
+ *         enum: [asc, desc]
+ *         default: asc
+ *       description: Sort direction
+ *
  *   tags:
  *     name: Certificates
  *     description: API for managing certificates
@@ -240,18 +374,37 @@ router.use(express.json());
  * /api/certificates:
  *   get:
  *     summary: Get all certificates for the authenticated user
+ *     description: >
+ *       Certificates replaced by a renewal are left out; see /api/certificates/{id}/history.
+ *       Without any paging, filter or sort parameter every certificate is returned as an array.
+ *       Sending any of them returns a page with its paging details instead.
  *     tags: [Certificates]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CertificatePage'
+ *       - $ref: '#/components/parameters/CertificateLimit'
+ *       - $ref: '#/components/parameters/CertificateLcrTypeId'
+ *       - $ref: '#/components/parameters/CertificateJurisdictionId'
+ *       - $ref: '#/components/parameters/CertificateExpiry'
+ *       - $ref: '#/components/parameters/CertificateExpiringWithinDays'
+ *       - $ref: '#/components/parameters/CertificateIssuingAuthority'
+ *       - $ref: '#/components/parameters/CertificateSearch'
+ *       - $ref: '#/components/parameters/CertificateSortBy'
+ *       - $ref: '#/components/parameters/CertificateSortOrder'
  *     responses:
  *       200:
- *         description: List of certificates
+ *         description: Every certificate, or a page of certificates when listing parameters are sent
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/CertificateResponse'
+ *               oneOf:
+ *                 - type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CertificateResponse'
+ *                 - $ref: '#/components/schemas/CertificateListResponse'
+ *       400:
+ *         description: Bad request - invalid query parameter
  *       500:
  *         description: Server error
  */
@@ -259,43 +412,12 @@ router.get('/',
   authGuard, 
   async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const certificates = await Certificate.findAll({
-      where: {
-        isDeleted: false,
-        userId: userId
-      },
-      include: [
-        {
-          model: Jurisdiction,
-          as: 'jurisdiction',
-          attributes: ['id', 'name'],
-          include: [
-            {
-              model: Country,
-              as: 'country',
-              attributes: ['countryCode', 'countryName']
-            },
-            {
-              model: State,
-              as: 'state',
-              attributes: ['id', 'name']
-            }
-          ]
-        },
-        {
-          model: File,
-          as: 'files',
-          attributes: ['id', 'title', 'guid', 'mimeType'],
-          through: {
-            attributes: [],
-            where: { isDeleted: false }
-          }
-        }
-      ]
-    });
-    res.json(certificates);
+    const result = await certificateService.listCertificates(req.user.userId, req.query);
+    res.json(result);
   } catch (err) {
+    if (err.message.startsWith('Invalid ')) {
+      return res.status(400).json({ message: err.message });
+    }
     console.error(err);
     res.status(500).json({ message: 'Database error', error: err.message });
   }
@@ -306,18 +428,36 @@ router.get('/',
  * /api/certificates/active:
  *   get:
  *     summary: Get active (non-expired) certificates for the authenticated user
+ *     description: >
+ *       Takes the same paging, filter and sort parameters as /api/certificates. Without any of
+ *       them every active certificate is returned as an array.
  *     tags: [Certificates]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CertificatePage'
+ *       - $ref: '#/components/parameters/CertificateLimit'
+ *       - $ref: '#/components/parameters/CertificateLcrTypeId'
+ *       - $ref: '#/components/parameters/CertificateJurisdictionId'
+ *       - $ref: '#/components/parameters/CertificateExpiry'
+ *       - $ref: '#/components/parameters/CertificateExpiringWithinDays'
+ *       - $ref: '#/components/parameters/CertificateIssuingAuthority'
+ *       - $ref: '#/components/parameters/CertificateSearch'
+ *       - $ref: '#/components/parameters/CertificateSortBy'
+ *       - $ref: '#/components/parameters/CertificateSortOrder'
  *     responses:
  *       200:
- *         description: List of active certificates
+ *         description: Every active certificate, or a page of them when listing parameters are sent
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/CertificateResponse'
+ *               oneOf:
+ *                 - type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CertificateResponse'
+ *                 - $ref: '#/components/schemas/CertificateListResponse'
+ *       400:
+ *         description: Bad request - invalid query parameter
  *       500:
  *         description: Server error
  */
@@ -325,50 +465,12 @@ router.get('/active',
   authGuard,
   async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const today = new Date().toISOString().split('T')[0];
-
-    const certificates = await Certificate.findAll({
-      where: {
-        isDeleted: false,
-        userId: userId,
-        [Op.or]: [
-          { expiryDate: null },
-          { expiryDate: { [Op.gte]: today } }
-        ]
-      },
-      include: [
-        {
-          model: Jurisdiction,
-          as: 'jurisdiction',
-          attributes: ['id', 'name'],
-          include: [
-            {
-              model: Country,
-              as: 'country',
-              attributes: ['countryCode', 'countryName']
-            },
-            {
-              model: State,
-              as: 'state',
-              attributes: ['id', 'name']
-            }
-          ]
-        },
-        {
-          model: File,
-          as: 'files',
-          attributes: ['id', 'title', 'guid', 'mimeType'],
-          through: {
-            attributes: [],
-            where: { isDeleted: false }
-          }
-        }
-      ]
-    });
-
-    res.json(certificates);
+    const result = await certificateService.listCertificates(req.user.userId, req.query, { activeOnly: true });
+    res.json(result);
   } catch (err) {
+    if (err.message.startsWith('Invalid ')) {
+      return res.status(400).json({ message: err.message });
+    }
     console.error(err);
     res.status(500).json({ message: 'Database error', error: err.message });
   }
@@ -536,6 +638,13 @@ router.post('/',
       userId: req.user.userId
     });
 
+    await auditService.record(req, {
+      action: 'CERTIFICATE_CREATED',
+      targetType: 'Certificate',
+      targetId: newCertificate.id,
+      after: newCertificate
+    });
+
     // Fetch the created certificate with jurisdiction details
     const certificateWithJurisdiction = await Certificate.findByPk(newCertificate.id, {
       include: [
@@ -612,10 +721,16 @@ router.post('/',
  *         description: Forbidden - Not authorized to update this certificate
  *       404:
  *         description: Certificate not found
+ *       409:
+ *         description: The certificate has been renewed and can no longer be changed
  *       500:
  *         description: Server error
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id',
+  authGuard,
+  ownerGuard(req => certificateService.getOwnerIds(req.params.id),
+    { feature: FEATURES.CERTIFICATES, action: ACTIONS.UPDATE }),
+  async (req, res) => {
   const id = req.params.id;
   const { 
     title, 
@@ -643,6 +758,11 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Certificate not found' });
     }
 
+    // Changing a replaced certificate would rewrite its renewal history
+    if (certificate.supersededOn) {
+      return res.status(409).json({ message: 'Certificate has been renewed and can no longer be changed' });
+    }
+
     // Check if jurisdiction exists if jurisdictionId is provided
     if (jurisdictionId) {
       const jurisdiction = await Jurisdiction.findByPk(jurisdictionId);
@@ -659,6 +779,8 @@ router.put('/:id', async (req, res) => {
       }
     }
 
+    const before = certificate.get({ plain: true });
+
     // Update certificate
     await certificate.update({
       title: title || certificate.title,
@@ -674,6 +796,14 @@ router.put('/:id', async (req, res) => {
       lcrTypeId: lcrTypeId !== undefined ? lcrTypeId : certificate.lcrTypeId
     });
 
+    await auditService.record(req, {
+      action: 'CERTIFICATE_UPDATED',
+      targetType: 'Certificate',
+      targetId: certificate.id,
+      before,
+      after: certificate
+    });
+
     // Fetch the updated certificate with jurisdiction details
     const updatedCertificate = await Certificate.findByPk(id, {
       include: [
@@ -721,6 +851,8 @@ router.put('/:id', async (req, res) => {
  *   delete:
  *     summary: Soft delete a certificate
  *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -738,12 +870,20 @@ router.put('/:id', async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
+ *       403:
+ *         description: Forbidden - Not authorized to delete this certificate
  *       404:
  *         description: Certificate not found
+ *       409:
+ *         description: The certificate has been renewed and can no longer be deleted
  *       500:
  *         description: Server error
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id',
+  authGuard,
+  ownerGuard(req => certificateService.getOwnerIds(req.params.id),
+    { feature: FEATURES.CERTIFICATES, action: ACTIONS.DELETE }),
+  async (req, res) => {
   const id = req.params.id;
   
   try {
@@ -758,13 +898,311 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Certificate not found' });
     }
 
+    // Changing a replaced certificate would rewrite its renewal history
+    if (certificate.supersededOn) {
+      return res.status(409).json({ message: 'Certificate has been renewed and can no longer be changed' });
+    }
+
     // Soft delete the certificate
     await certificate.update({ isDeleted: true });
 
+    await auditService.record(req, {
+      action: 'CERTIFICATE_DELETED',
+      targetType: 'Certificate',
+      targetId: certificate.id,
+      before: { isDeleted: false },
+      after: { isDeleted: true }
+    });
+
     res.json({ message: 'Certificate deleted successfully' });
   } catch (err) {
     res.status(500).json({ message: 'Database error', error: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/certificates/{id}/files:
+ *   get:
+ *     summary: Get the files attached to a certificate
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Certificate ID
+ *     responses:
+ *       200:
+ *         description: Attached files in display order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CertificateFileResponse'
+ *       404:
+ *         description: Certificate not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/files',
+  authGuard,
+  async (req, res) => {
+  try {
+    const files = await certificateFileService.getCertificateFiles(req.params.id, req.user.userId);
+    res.json(files);
+  } catch (err) {
+    if (err.message === 'Certificate not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificates/{id}/files:
+ *   put:
+ *     summary: Reorder and label the files attached to a certificate
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Certificate ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - files
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 description: Every attached file, in the new order. Omit label to keep the current one.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - fileId
+ *                   properties:
+ *                     fileId:
+ *                       type: integer
+ *                     label:
+ *                       type: string
+ *                       enum: [front, back, supporting]
+ *                       nullable: true
+ *     responses:
+ *       200:
+ *         description: Attached files in their new order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CertificateFileResponse'
+ *       400:
+ *         description: Bad request - files do not match the attached files, or invalid label
+ *       404:
+ *         description: Certificate not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/files',
+  authGuard,
+  async (req, res) => {
+  try {
+    const files = await certificateFileService.arrangeFiles(req.params.id, req.user.userId, req.body.files);
+
+    await auditService.record(req, {
+      action: 'CERTIFICATE_FILES_ARRANGED',
+      targetType: 'Certificate',
+      targetId: req.params.id,
+      details: { files: req.body.files }
+    });
+
+    res.json(files);
+  } catch (err) {
+    if (err.message === 'Certificate not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message.startsWith('files must') || err.message.startsWith('Label must be one of')) {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificates/{id}/files/{fileId}:
+ *   delete:
+ *     summary: Detach a file from a certificate
+ *     description: Removes the link between the file and the certificate. The file itself is kept.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Certificate ID
+ *       - in: path
+ *         name: fileId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: File ID
+ *     responses:
+ *       200:
+ *         description: File detached successfully
+ *       404:
+ *         description: Certificate not found, or the file is not attached to it
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/files/:fileId',
+  authGuard,
+  async (req, res) => {
+  try {
+    await certificateFileService.detachFile(req.params.id, req.user.userId, req.params.fileId);
+
+    await auditService.record(req, {
+      action: 'CERTIFICATE_FILE_DETACHED',
+      targetType: 'Certificate',
+      targetId: req.params.id,
+      details: { fileId: req.params.fileId }
+    });
+
+    res.json({ message: 'File detached successfully' });
+  } catch (err) {
+    if (err.message === 'Certificate not found' || err.message === 'File is not attached to this certificate') {
+      return res.status(404).json({ message: err.message });
+    }
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificates/{id}/renew:
+ *   post:
+ *     summary: Renew a certificate
+ *     description: |
+ *       Creates a new certificate linked to the one being renewed. The previous certificate and its
+ *       files are kept and marked as superseded. Fields not given are copied from the previous certificate.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID of the certificate being renewed
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CertificateBase'
+ *     responses:
+ *       201:
+ *         description: The renewed certificate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CertificateResponse'
+ *       400:
+ *         description: Bad request - the renewal does not expire after the previous certificate
+ *       404:
+ *         description: Certificate, LCR type or jurisdiction not found
+ *       409:
+ *         description: Certificate has already been renewed
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/renew',
+  authGuard,
+  async (req, res) => {
+  try {
+    const renewal = await certificateService.renewCertificate(req.params.id, req.user.userId, req.body || {});
+
+    await auditService.record(req, {
+      action: 'CERTIFICATE_RENEWED',
+      targetType: 'Certificate',
+      targetId: renewal.id,
+      after: renewal,
+      details: { previousCertificateId: renewal.previousCertificateId }
+    });
+
+    res.status(201).json(renewal);
+  } catch (err) {
+    if (err.message === 'Certificate not found' || err.message === 'LCR Type not found' || err.message === 'Jurisdiction not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message === 'Title is required' || err.message === 'Renewal must expire after the certificate it renews') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.message === 'Certificate has already been renewed') {
+      return res.status(409).json({ message: err.message });
+    }
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificates/{id}/history:
+ *   get:
+ *     summary: Get the renewal history of a certificate
+ *     description: Returns every certificate in the renewal chain, from the original to the current one
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID of any certificate in the chain
+ *     responses:
+ *       200:
+ *         description: The renewal chain
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CertificateHistoryResponse'
+ *       404:
+ *         description: Certificate not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/history',
+  authGuard,
+  async (req, res) => {
+  try {
+    const history = await certificateService.getHistory(req.params.id, req.user.userId);
+    res.json(history);
+  } catch (err) {
+    if (err.message === 'Certificate not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+});
+
 module.exports = router;
@@ -2,8 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { Connection, User, Role } = require('../models');
 const { Op } = require('sequelize');
-const { authGuard, ownerGuard, requirePermissions } = require('../middleware/auth');
+const { authGuard, ownerGuard, requirePermissions, requireVerifiedEmail } = require('../middleware/auth');
 const connectionsService = require('../services/ConnectionsService');
+const certificateSharingService = require('../services/CertificateSharingService');
+const auditService = require('../services/AuditService');
+const { FEATURES, ACTIONS } = require('../config/permissions');
 
 // Middleware to parse JSON bodies
 router.use(express.json());
@@ -40,7 +43,7 @@ router.use(express.json());
  *           description: Status of the connection (0=pending, 1=accepted, 2=rejected, 3=revoked)
  *         isLcrAvailable:
  *           type: boolean
- *           description: Whether LCR is available for this connection
+ *           description: Whether the recipient shares their certificates with the sender
  *         autoSubmitAccuracyPercent:
  *           type: number
  *           format: float
@@ -67,6 +70,21 @@ router.use(express.json());
  *               $ref: '#/components/schemas/UserResponse'
  *             invite:
  *               $ref: '#/components/schemas/InviteResponse'
+ *             organisationId:
+ *               type: integer
+ *               nullable: true
+ *               description: ID of the organisation on the sender's side; the recipient is the worker. Null between two users.
+ *             organisation:
+ *               type: object
+ *               nullable: true
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 guid:
+ *                   type: string
+ *                   format: uuid
+ *                 name:
+ *                   type: string
  *
  *     InviteResponse:
  *       type: object
@@ -102,10 +120,6 @@ router.use(express.json());
  *           type: integer
  *           default: 0
  *           description: Status of the connection (default 0=pending)
- *         isLcrAvailable:
- *           type: boolean
- *           default: false
- *           description: Whether LCR is available (default false)
  *         autoSubmitAccuracyPercent:
  *           type: number
  *           format: float
@@ -126,7 +140,7 @@ router.use(express.json());
  *           description: New status of the connection
  *         isLcrAvailable:
  *           type: boolean
- *           description: Whether LCR is available
+ *           description: Whether the recipient shares their certificates; only the recipient can change it
  *         autoSubmitAccuracyPercent:
  *           type: number
  *           format: float
@@ -221,6 +235,7 @@ router.get('/:id', authGuard, async (req, res) => {
  * /api/connections/user/{userId}:
  *   get:
  *     summary: Get connections for a specific user (as sender or recipient)
+ *     description: Users may list their own connections; other users' need the READ permission on CONNECTIONS.
  *     tags: [Connections]
  *     parameters:
  *       - in: path
@@ -238,6 +253,8 @@ router.get('/:id', authGuard, async (req, res) => {
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/ConnectionResponse'
+ *       403:
+ *         description: Forbidden - Not authorized to list this user's connections
  *       500:
  *         description: Server error
  */
@@ -251,6 +268,168 @@ router.get('/user/:userId', authGuard, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/connections/{id}/certificates:
+ *   get:
+ *     summary: Get the certificates the recipient shares through this connection
+ *     description: Available to the sender, or the members of the sending organisation, only while the connection is accepted and the recipient has set isLcrAvailable.
+ *     tags: [Connections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID of the connection
+ *     responses:
+ *       200:
+ *         description: List of shared certificates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CertificateResponse'
+ *       403:
+ *         description: Certificates are not shared on this connection
+ *       404:
+ *         description: Connection not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/certificates', authGuard, async (req, res) => {
+  try {
+    const certificates = await certificateSharingService.getSharedCertificates(req.params.id, req.user.userId);
+    res.json(certificates);
+  } catch (err) {
+    if (err.message === 'Connection not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message === 'Certificates are not shared on this connection') {
+      return res.status(403).json({ message: err.message });
+    }
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/connections/{id}/certificates/{certificateId}:
+ *   get:
+ *     summary: Get a single certificate shared through this connection
+ *     description: File content for the certificate is available from /api/files/{id}?connectionId={id}.
+ *     tags: [Connections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID of the connection
+ *       - in: path
+ *         name: certificateId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID of the certificate
+ *     responses:
+ *       200:
+ *         description: Certificate details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CertificateResponse'
+ *       403:
+ *         description: Certificates are not shared on this connection
+ *       404:
+ *         description: Connection or certificate not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/certificates/:certificateId', authGuard, async (req, res) => {
+  try {
+    const certificate = await certificateSharingService.getSharedCertificate(
+      req.params.id,
+      req.user.userId,
+      req.params.certificateId
+    );
+
+    if (!certificate) {
+      return res.status(404).json({ message: 'Certificate not found' });
+    }
+
+    res.json(certificate);
+  } catch (err) {
+    if (err.message === 'Connection not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message === 'Certificates are not shared on this connection') {
+      return res.status(403).json({ message: err.message });
+    }
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/connections/{id}/certificates/{certificateId}/history:
+ *   get:
+ *     summary: Get the renewal history of a certificate shared through this connection
+ *     tags: [Connections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID of the connection
+ *       - in: path
+ *         name: certificateId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID of any certificate in the chain
+ *     responses:
+ *       200:
+ *         description: The renewal chain, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CertificateHistoryResponse'
+ *       403:
+ *         description: Certificates are not shared on this connection
+ *       404:
+ *         description: Connection or certificate not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/certificates/:certificateId/history', authGuard, async (req, res) => {
+  try {
+    const history = await certificateSharingService.getSharedCertificateHistory(
+      req.params.id,
+      req.user.userId,
+      req.params.certificateId
+    );
+
+    res.json(history);
+  } catch (err) {
+    if (err.message === 'Connection not found' || err.message === 'Certificate not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message === 'Certificates are not shared on this connection') {
+      return res.status(403).json({ message: err.message });
+    }
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /api/connections:
@@ -280,16 +459,17 @@ router.get('/user/:userId', authGuard, async (req, res) => {
  *                   $ref: '#/components/schemas/ConnectionResponse'
  *       400:
  *         description: Bad request - Missing required fields
+ *       403:
+ *         description: Forbidden - The sender has not verified their email address
  *       404:
  *         description: Sender or recipient not found
  *       500:
  *         description: Server error
  */
-router.post('/', authGuard, async (req, res) => {
+router.post('/', authGuard, requireVerifiedEmail, async (req, res) => {
   const { 
     recipientId, 
     status, 
-    isLcrAvailable, 
     autoSubmitAccuracyPercent, 
     note 
   } = req.body;
@@ -304,11 +484,17 @@ router.post('/', authGuard, async (req, res) => {
       recipientId,
       senderId: userId,
       status,
-      isLcrAvailable,
       autoSubmitAccuracyPercent,
       note
     });
 
+    await auditService.record(req, {
+      action: 'CONNECTION_CREATED',
+      targetType: 'Connection',
+      targetId: connection.id,
+      after: connection
+    });
+
     res.status(201).json({
       message: 'Connection created successfully',
       connection
@@ -355,17 +541,33 @@ router.post('/', authGuard, async (req, res) => {
  *                   example: Connection updated successfully
  *                 connection:
  *                   $ref: '#/components/schemas/ConnectionResponse'
+ *       403:
+ *         description: Forbidden - Not a party to this connection, or only the recipient can change isLcrAvailable
  *       404:
  *         description: Connection not found
  *       500:
  *         description: Server error
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id',
+  authGuard,
+  ownerGuard(req => connectionsService.getOwnerIds(req.params.id),
+    { feature: FEATURES.CONNECTIONS, action: ACTIONS.UPDATE }),
+  async (req, res) => {
   const id = req.params.id;
   const updateData = req.body;
 
   try {
-    const updatedConnection = await connectionsService.updateConnection(id, updateData);
+    const before = await Connection.findByPk(id);
+    const updatedConnection = await connectionsService.updateConnection(id, updateData, req.user.userId);
+
+    // Records who changed isLcrAvailable, i.e. whether certificates are shared on the connection
+    await auditService.record(req, {
+      action: 'CONNECTION_UPDATED',
+      targetType: 'Connection',
+      targetId: updatedConnection.id,
+      before,
+      after: updatedConnection
+    });
     
     res.json({
       message: 'Connection updated successfully',
@@ -375,6 +577,9 @@ router.put('/:id', async (req, res) => {
     if (err.message === 'Connection not found') {
       return res.status(404).json({ message: err.message });
     }
+    if (err.message === 'Only the recipient can change certificate sharing') {
+      return res.status(403).json({ message: err.message });
+    }
     res.status(500).json({ message: 'Database error', error: err.message });
   }
 });
@@ -385,6 +590,8 @@ router.put('/:id', async (req, res) => {
  *   delete:
  *     summary: Delete a connection
  *     tags: [Connections]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -403,16 +610,30 @@ router.put('/:id', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Connection deleted successfully
+ *       403:
+ *         description: Forbidden - Not a party to this connection
  *       404:
  *         description: Connection not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id',
+  authGuard,
+  ownerGuard(req => connectionsService.getOwnerIds(req.params.id),
+    { feature: FEATURES.CONNECTIONS, action: ACTIONS.DELETE }),
+  async (req, res) => {
   const id = req.params.id;
   
   try {
+    const before = await Connection.findByPk(id);
     await connectionsService.deleteConnection(id);
+
+    await auditService.record(req, {
+      action: 'CONNECTION_DELETED',
+      targetType: 'Connection',
+      targetId: before.id,
+      before
+    });
     
     res.json({ message: 'Connection deleted successfully' });
   } catch (err) {
@@ -2,6 +2,13 @@ const express = require('express');
 const router = express.Router();
 const { File, Certificate, CertificateFile } = require('../models');
 const { authGuard } = require('../middleware/auth');
+const certificateSharingService = require('../services/CertificateSharingService');
+const certificateFileService = require('../services/CertificateFileService');
+const scanService = require('../services/ScanService');
+const auditService = require('../services/AuditService');
+const { sequelize } = require('../config/database');
+const { getStorage, fileKey, readContent } = require('../services/storage');
+const { sendContent } = require('../services/storage/download');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const sharp = require('sharp');
@@ -77,7 +84,11 @@ const sendPlaceholder = (res) => {
  *         certificateId:
  *           type: integer
  *           example: 1
- *           description: Optional certificate ID to associate this file with
+ *           description: Optional certificate ID to attach this file to, after the files already attached
+ *         label:
+ *           type: string
+ *           enum: [front, back, supporting]
+ *           description: How the file relates to the certificate (used with certificateId)
  *
  *     FileResponse:
  *       allOf:
@@ -144,6 +155,19 @@ const sendPlaceholder = (res) => {
  *           type: integer
  *         required: true
  *         description: File ID
+ *       - in: query
+ *         name: connectionId
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: Read a file the other party shares through this connection instead of one of your own
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *           example: "bytes=0-1023"
+ *         required: false
+ *         description: Download only part of the file
  *     responses:
  *       200:
  *         description: File binary content
@@ -161,6 +185,13 @@ const sendPlaceholder = (res) => {
  *             schema:
  *               type: string
  *             description: Attachment header with filename
+ *       206:
+ *         description: The requested byte range of the file
+ *         headers:
+ *           Content-Range:
+ *             schema:
+ *               type: string
+ *             description: The range sent and the total size, e.g. bytes 0-1023/52345
  *       400:
  *         description: Bad request - Invalid file ID
  *         content:
@@ -179,6 +210,8 @@ const sendPlaceholder = (res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       416:
+ *         description: The requested range is outside the file
  *       500:
  *         description: Server error
  *         content:
@@ -191,39 +224,39 @@ router.get('/:id',
   async (req, res) => {
     const fileId = req.params.id;
     const userId = req.user.userId;
+    const { connectionId } = req.query;
     
     try {
-      // Find the file and verify ownership
-      const file = await File.findOne({
-        where: {
-          id: fileId,
-          ownerId: userId
-        }
-      });
+      const attributes = ['id', 'title', 'mimeType', 'storageKey', 'content'];
+
+      // Find the file and verify ownership, or that it is shared through the connection
+      const file = connectionId
+        ? await certificateSharingService.getSharedFile(connectionId, userId, fileId, attributes)
+        : await File.findOne({
+          where: {
+            id: fileId,
+            ownerId: userId
+          },
+          attributes
+        });
       
       if (!file) {
         return res.status(404).json({ message: 'File not found' });
       }
       
-      // Check if file has content
-      if (!file.content) {
-        return res.status(404).json({ message: 'File content not available' });
-      }
-      
-      // Set appropriate headers
-      const mimeType = file.mimeType || 'application/octet-stream';
-      const filename = file.title || `file_${file.id}`;
-      
-      res.set({
-        'Content-Type': mimeType,
-        'Content-Disposition': `attachment; filename="${filename}"`,
-        'Content-Length': file.content.length
+      // Stream the content, honouring Range requests
+      await sendContent(req, res, file, {
+        mimeType: file.mimeType,
+        filename: file.title || `file_${file.id}`
       });
       
-      // Send the binary content
-      res.send(file.content);
-      
     } catch (err) {
+      if (err.message === 'Connection not found') {
+        return res.status(404).json({ message: err.message });
+      }
+      if (err.message === 'Certificates are not shared on this connection') {
+        return res.status(403).json({ message: err.message });
+      }
       console.error('Error retrieving file:', err);
       res.status(500).json({ message: 'Database error', error: err.message });
     }
@@ -284,24 +317,9 @@ router.post('/',
       }
 
       const userId = req.user.userId;
-      const { title, type, certificateId } = req.body;
-
-      // Remove all previous files for the user
-      await deleteAllFiles(userId);
-
-      // Create file record
-      const newFile = await File.create({
-        guid: uuidv4(),
-        title: title || req.file.originalname,
-        type: type ? parseInt(type) : null,
-        ownerId: userId,
-        uploadedOn: new Date(),
-        content: req.file.buffer,
-        mimeType: req.file.mimetype,
-        accuracy: null
-      });
+      const { title, type, certificateId, label } = req.body;
 
-      // If certificateId is provided, link the file to the certificate
+      // If certificateId is provided, check the certificate before storing anything
       if (certificateId) {
         const certificate = await Certificate.findOne({
           where: {
@@ -314,15 +332,48 @@ router.post('/',
         if (!certificate) {
           return res.status(404).json({ message: 'Certificate not found or you do not have permission to access it.' });
         }
-
-        let certificateFile = await CertificateFile.create({
-          certificateId: certificate.id,
-          fileId: newFile.id,
-          isDeleted: false
-        });
       }
-      else {
-        return res.status(404).json({ message: 'CertificatId not provided.' });
+
+      // Store the content first; the record only points at it
+      const guid = uuidv4();
+      const storageKey = fileKey(guid);
+      await getStorage().put(storageKey, req.file.buffer, { contentType: req.file.mimetype });
+
+      const transaction = await sequelize.transaction();
+      let newFile;
+
+      try {
+        // Create file record
+        newFile = await File.create({
+          guid,
+          title: title || req.file.originalname,
+          type: type ? parseInt(type) : null,
+          ownerId: userId,
+          uploadedOn: new Date(),
+          content: null,
+          storageKey,
+          mimeType: req.file.mimetype,
+          accuracy: null
+        }, { transaction });
+
+        // Link the file to the certificate alongside its existing files
+        if (certificateId) {
+          await certificateFileService.attachFile(certificateId, newFile.id, { label, transaction });
+        }
+
+        await auditService.record(req, {
+          action: 'FILE_UPLOADED',
+          targetType: 'File',
+          targetId: newFile.id,
+          after: newFile,
+          details: certificateId ? { certificateId, label: label || null } : null
+        }, { transaction });
+
+        await transaction.commit();
+      } catch (err) {
+        await transaction.rollback();
+        await getStorage().delete(storageKey).catch(() => {});
+        throw err;
       }
 
       // Return file info (without binary content)
@@ -343,6 +394,9 @@ router.post('/',
       });
 
     } catch (err) {
+      if (err.message.startsWith('Label must be one of')) {
+        return res.status(400).json({ message: err.message });
+      }
       console.error('Error uploading file:', err);
       res.status(500).json({ message: 'Database error', error: err.message });
     }
@@ -364,6 +418,12 @@ router.post('/',
  *           type: integer
  *         required: true
  *         description: File ID
+ *       - in: query
+ *         name: connectionId
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: Read a file the other party shares through this connection instead of one of your own
  *     responses:
  *       200:
  *         description: Thumbnail image or placeholder
@@ -410,25 +470,30 @@ router.get('/thumbnail/:id',
   async (req, res) => {
     const fileId = req.params.id;
     const userId = req.user.userId;
+    const { connectionId } = req.query;
 
     try {
-      const file = await File.findOne({
-        where: {
-          id: fileId,
-          ownerId: userId
-        },
-        attributes: ['content', 'mimeType'] // Only fetch necessary fields
-      });
+      const attributes = ['storageKey', 'content', 'mimeType']; // Only fetch necessary fields
+      const file = connectionId
+        ? await certificateSharingService.getSharedFile(connectionId, userId, fileId, attributes)
+        : await File.findOne({
+          where: {
+            id: fileId,
+            ownerId: userId
+          },
+          attributes
+        });
 
-      if (!file || !file.content) {
+      if (!file || !file.mimeType || !file.mimeType.startsWith('image/')) {
         return sendPlaceholder(res);
       }
 
-      if (!file.mimeType || !file.mimeType.startsWith('image/')) {
+      const content = await readContent(file);
+      if (!content) {
         return sendPlaceholder(res);
       }
 
-      sharp(file.content)
+      sharp(content)
         .resize({ width: 200 })
         .jpeg({ quality: 80 })
         .toBuffer((err, buffer, info) => {
@@ -441,6 +506,12 @@ router.get('/thumbnail/:id',
         });
 
     } catch (err) {
+      if (err.message === 'Connection not found') {
+        return res.status(404).json({ message: err.message });
+      }
+      if (err.message === 'Certificates are not shared on this connection') {
+        return res.status(403).json({ message: err.message });
+      }
       console.error('Error retrieving thumbnail:', err);
       sendPlaceholder(res); // Graceful degradation on any error
     }
@@ -491,6 +562,12 @@ router.get('/thumbnail/:id',
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: File is attached to a certificate or belongs to a draft scan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Server error
  *         content:
@@ -510,22 +587,44 @@ router.delete('/:id',
         where: {
           id: fileId,
           ownerId: userId
-        }
+        },
+        attributes: ['id', 'title', 'mimeType', 'storageKey']
       });
 
       if (!file) {
         return res.status(404).json({ message: 'File not found' });
       }
 
-      // Delete associated CertificateFile records first
+      // Files on a certificate are removed through the certificate, which keeps the link
+      const attached = await certificateFileService.getAttachedFileIds([file.id]);
+      if (attached.has(file.id)) {
+        return res.status(409).json({ message: 'File is attached to a certificate; detach it from the certificate first' });
+      }
+
+      const drafts = await scanService.getDraftFileIds([file.id]);
+      if (drafts.has(file.id)) {
+        return res.status(409).json({ message: 'File belongs to a draft scan; confirm or discard the scan first' });
+      }
+
+      // Delete the links left behind by earlier detachments
       await CertificateFile.destroy({
         where: {
           fileId: fileId
         }
       });
 
-      // Now, delete the file
+      // Now, delete the file and its stored content
       await file.destroy();
+      if (file.storageKey) {
+        await getStorage().delete(file.storageKey);
+      }
+
+      await auditService.record(req, {
+        action: 'FILE_DELETED',
+        targetType: 'File',
+        targetId: file.id,
+        before: file
+      });
 
       res.json({ message: 'File deleted successfully' });
 
@@ -541,6 +640,9 @@ router.delete('/:id',
  * /api/files:
  *   delete:
  *     summary: Delete all files for the authenticated user
+ *     description: >
+ *       Files still attached to a certificate or belonging to a draft scan are kept; detach them from
+ *       the certificate, or confirm or discard the scan, first.
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
@@ -558,6 +660,10 @@ router.delete('/:id',
  *                 count:
  *                   type: integer
  *                   example: 5
+ *                 skipped:
+ *                   type: integer
+ *                   example: 2
+ *                   description: Files kept because they are attached to a certificate or belong to a draft scan
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       500:
@@ -567,16 +673,6 @@ router.delete('/:id',
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-// Current implementation in router.delete:
-router.delete('/',
-  authGuard,
-  async (req, res) => {
-    const userId = req.user.userId;
-    await deleteAllFiles(userId);
-  }
-);
-
-// Should be changed to:
 router.delete('/',
   authGuard,
   async (req, res) => {
@@ -584,16 +680,27 @@ router.delete('/',
     try {
       const result = await deleteAllFiles(userId);
       
+      if (result.count > 0) {
+        await auditService.record(req, {
+          action: 'FILES_DELETED',
+          targetType: 'User',
+          targetId: userId,
+          details: { count: result.count, fileIds: result.fileIds }
+        });
+      }
+
       if (result.count === 0) {
         return res.status(200).json({ 
           message: 'No files found to delete',
-          count: 0
+          count: 0,
+          skipped: result.skipped
         });
       }
       
       res.json({ 
-        message: 'All files deleted successfully',
-        count: result.count
+        message: result.skipped > 0 ? 'Files not in use deleted successfully' : 'All files deleted successfully',
+        count: result.count,
+        skipped: result.skipped
       });
     } catch (err) {
       console.error('Error deleting files:', err);
@@ -605,37 +712,53 @@ router.delete('/',
   }
 );
 
-// Should be changed to:
 async function deleteAllFiles(userId) {
   // First, find all files for the user
-  const files = await File.findAll({
+  const userFiles = await File.findAll({
     where: {
       ownerId: userId
-    }
+    },
+    attributes: ['id', 'storageKey']
   });
 
-  if (!files || files.length === 0) {
-    return { count: 0 };
+  // Keep the files still attached to a certificate or belonging to a draft scan
+  const userFileIds = userFiles.map(file => file.id);
+  const kept = new Set([
+    ...await certificateFileService.getAttachedFileIds(userFileIds),
+    ...await scanService.getDraftFileIds(userFileIds)
+  ]);
+  const files = userFiles.filter(file => !kept.has(file.id));
+
+  if (files.length === 0) {
+    return { count: 0, skipped: kept.size };
   }
 
   // Get all file IDs for batch deletion of CertificateFile records
   const fileIds = files.map(file => file.id);
 
-  // Delete all associated CertificateFile records in a single operation
+  // Delete the links left behind by earlier detachments in a single operation
   await CertificateFile.destroy({
     where: {
       fileId: fileIds
     }
   });
 
-  // Delete all user's files in a single operation
+  // Delete the unattached files in a single operation
   const deletedCount = await File.destroy({
     where: {
+      id: fileIds,
       ownerId: userId
     }
   });
 
-  return { count: deletedCount };
+  // Remove the stored content once the records are gone
+  for (const file of files) {
+    if (file.storageKey) {
+      await getStorage().delete(file.storageKey);
+    }
+  }
+
+  return { count: deletedCount, skipped: kept.size, fileIds };
 }
 
 module.exports = router;
@@ -3,13 +3,15 @@ const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 const { Invite, User, Connection } = require('../models');
-const { authGuard, ownerGuard, requirePermissions } = require('../middleware/auth');
+const { authGuard, ownerGuard, requirePermissions, requireVerifiedEmail } = require('../middleware/auth');
 const bcrypt = require('bcrypt');
 const { sequelize } = require('../config/database');
 const { sendInvitationEmail } = require('../services/emailService');
 const manageUsers = require('../services/UserService');
 const invitesService = require('../services/InvitesService');
 const notificationsService = require('../services/NotificationsService');
+const throttleService = require('../services/ThrottleService');
+const auditService = require('../services/AuditService');
 const { Op } = require('sequelize');
 
 /**
@@ -109,12 +111,15 @@ const { Op } = require('sequelize');
  *                   $ref: '#/components/schemas/Invite'
  *       400:
  *         description: Validation error or user already invited
+ *       403:
+ *         description: Forbidden - The sender has not verified their email address
  *       500:
  *         description: Server error
  */
 router.post(
   '/',
   authGuard,
+  requireVerifiedEmail,
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -187,6 +192,14 @@ router.post(
         }
       }
 
+      // The invite GUID works as a password for the invitee, so it is not logged
+      await auditService.record(req, {
+        action: 'INVITE_SENT',
+        targetType: 'Connection',
+        targetId: connection.id,
+        details: { email, existingUser: !!user }
+      });
+
       try {
         await notificationsService.createNotification({
           recipientId: senderId,
@@ -351,7 +364,9 @@ router.get('/:guid', async (req, res) => {
  *                     userId:
  *                       type: integer
  *       400:
- *         description: Validation error or invite not found
+ *         description: Validation error, password breaks the password policy (see GET /api/auth/password-policy) or invite not found
+ *       429:
+ *         description: Too many failed attempts from this IP address; see the Retry-After header
  *       500:
  *         description: Server error
  */
@@ -362,7 +377,8 @@ router.post(
     check('email', 'Please include a valid email').isEmail(),
     check('firstName', 'First name is required').notEmpty(),
     check('lastName', 'Last name is required').notEmpty(),
-    check('password', 'Please enter a password with 8 or more characters').isLength({ min: 8 }),
+    // The password policy itself is enforced when the user is registered
+    check('password', 'Password is required').notEmpty(),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -382,6 +398,15 @@ router.post(
     } = req.body;
 
     try {
+      const retryAfter = await throttleService.beforeInviteAccept(req.ip);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many failed attempts. Try again later.',
+        });
+      }
+
       const result = await invitesService.acceptInvite({
         guid,
         email,
@@ -393,6 +418,14 @@ router.post(
         address
       });
 
+      await auditService.record(req, {
+        action: 'INVITE_ACCEPTED',
+        actorUserId: result.userId,
+        targetType: 'User',
+        targetId: result.userId,
+        details: { email }
+      });
+
       res.status(201).json({
         success: true,
         message: 'User created successfully',
@@ -403,6 +436,18 @@ router.post(
     } catch (err) {
       console.error('Error accepting invite:', err);
       
+      if (err.message === 'Invalid or expired invite') {
+        await throttleService.recordInviteFailure(req.ip);
+      }
+
+      if (err.violations) {
+        return res.status(400).json({
+          success: false,
+          message: err.message,
+          violations: err.violations,
+        });
+      }
+
       if (err.message === 'Invalid or expired invite' || err.message === 'User with this email already exists') {
         return res.status(400).json({
           success: false,
@@ -0,0 +1,254 @@
+const express = require('express');
+const router = express.Router();
+const { JobRole } = require('../models');
+
+// Middleware to parse JSON bodies
+router.use(express.json());
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     JobRole:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated id of the job role
+ *         name:
+ *           type: string
+ *           description: The name of the job role
+ *       example:
+ *         id: 1
+ *         name: "Electrician"
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: JobRoles
+ *   description: API for managing job roles
+ */
+
+/**
+ * @swagger
+ * /api/jobroles:
+ *   get:
+ *     summary: Get all job roles
+ *     tags: [JobRoles]
+ *     responses:
+ *       200:
+ *         description: List of job roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/JobRole'
+ *       500:
+ *         description: Server error
+ */
+router.get('/', async (req, res) => {
+  try {
+    const jobRoles = await JobRole.findAll({ order: [['name', 'ASC']] });
+    res.json(jobRoles);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobroles/{id}:
+ *   get:
+ *     summary: Get job role by ID
+ *     tags: [JobRoles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID of the job role to retrieve
+ *     responses:
+ *       200:
+ *         description: Job role details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobRole'
+ *       404:
+ *         description: Job role not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', async (req, res) => {
+  const id = req.params.id;
+  try {
+    const jobRole = await JobRole.findByPk(id);
+    if (!jobRole) {
+      return res.status(404).json({ message: 'Job role not found' });
+    }
+    res.json(jobRole);
+  } catch (err) {
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobroles:
+ *   post:
+ *     summary: Create a new job role
+ *     tags: [JobRoles]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: The name of the job role
+ *     responses:
+ *       201:
+ *         description: Job role created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Job role created successfully
+ *                 jobRole:
+ *                   $ref: '#/components/schemas/JobRole'
+ *       400:
+ *         description: Bad request - Missing required fields
+ *       500:
+ *         description: Server error
+ */
+router.post('/', async (req, res) => {
+  const { name } = req.body;
+  if (!name) {
+    return res.status(400).json({ message: 'Name is required' });
+  }
+  try {
+    const newJobRole = await JobRole.create({ name });
+    res.status(201).json({ message: 'Job role created successfully', jobRole: newJobRole });
+  } catch (err) {
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobroles/{id}:
+ *   put:
+ *     summary: Update a job role
+ *     tags: [JobRoles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID of the job role to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: The name of the job role
+ *     responses:
+ *       200:
+ *         description: Job role updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Job role updated successfully
+ *                 jobRole:
+ *                   $ref: '#/components/schemas/JobRole'
+ *       400:
+ *         description: Bad request - Missing required fields
+ *       404:
+ *         description: Job role not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', async (req, res) => {
+  const id = req.params.id;
+  const { name } = req.body;
+  if (!name) {
+    return res.status(400).json({ message: 'Name is required' });
+  }
+  try {
+    const jobRole = await JobRole.findByPk(id);
+    if (!jobRole) {
+      return res.status(404).json({ message: 'Job role not found' });
+    }
+    await jobRole.update({ name });
+    res.json({ message: 'Job role updated successfully', jobRole });
+  } catch (err) {
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobroles/{id}:
+ *   delete:
+ *     summary: Delete a job role
+ *     tags: [JobRoles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID of the job role to delete
+ *     responses:
+ *       200:
+ *         description: Job role deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Job role deleted successfully
+ *       404:
+ *         description: Job role not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', async (req, res) => {
+  const id = req.params.id;
+  try {
+    const jobRole = await JobRole.findByPk(id);
+    if (!jobRole) {
+      return res.status(404).json({ message: 'Job role not found' });
+    }
+    await jobRole.destroy();
+    res.json({ message: 'Job role deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+});
+
+module.exports = router;
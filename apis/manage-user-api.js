@@ -8,28 +8,53 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
-const manageUsers = require('../services/UserService');
-const { User, Role } = require('../models');
-const { Op } = require('sequelize');
+const { check, validationResult } = require('express-validator');
+const { authGuard, hasPermission } = require('../middleware/auth');
+const { FEATURES, ACTIONS } = require('../config/permissions');
+const adminUserService = require('../services/AdminUserService');
+const auditService = require('../services/AuditService');
+
+// Middleware to parse JSON bodies
+router.use(express.json());
+
+// DO NOT SET THESE TO 401. 401 ERROR INVALIDATES TOKEN AUTOMATICALLY
+const ADMIN_USER_ERROR_STATUS = {
+  'User not found': 404,
+  'Role not found': 400,
+  'User has no password to expire': 400,
+  'You cannot deactivate your own account': 403,
+  'You cannot change your own role': 403,
+  'You cannot delete your own account': 403,
+  'Email address is already in use': 409,
+  'Login name already in use': 409
+};
+
+/**
+ * Send the response for an error thrown by AdminUserService
+ * @param {Object} res - The response
+ * @param {Error} err - The error
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, err, message) => {
+  if (ADMIN_USER_ERROR_STATUS[err.message]) {
+    return res.status(ADMIN_USER_ERROR_STATUS[err.message]).json({ message: err.message });
+  }
+  if (err.violations) {
+    return res.status(400).json({ message: err.message, violations: err.violations });
+  }
+  if (err.message.startsWith('Invalid ')) {
+    return res.status(400).json({ message: err.message });
+  }
+
+  console.error(`${message}:`, err);
+  res.status(500).json({ message, error: err.message });
+};
 
 /**
  * @swagger
  * components:
  *   schemas:
- *     # Base schemas
- *     Role:
- *       type: object
- *       properties:
- *         id:
- *           type: integer
- *           description: The role ID
- *         name:
- *           type: string
- *           enum: [Admin, User, Manager, Auditor]
- *           description: The name of the role
- *
- *     UserBase:
+ *     AdminUser:
  *       type: object
  *       properties:
  *         id:
@@ -39,6 +64,9 @@ const { Op } = require('sequelize');
  *           type: string
  *           format: email
  *           description: User's email address
+ *         emailVerified:
+ *           type: boolean
+ *           description: Whether the user has confirmed their email address
  *         firstName:
  *           type: string
  *           description: User's first name
@@ -58,16 +86,12 @@ const { Op } = require('sequelize');
  *           format: date
  *           nullable: true
  *           description: User's date of birth
- *         passwordHash:
- *           type: string
- *           nullable: true
- *           description: User's password hash
+ *         roleId:
+ *           type: integer
+ *           description: The ID of the user's role
  *         isActive:
  *           type: boolean
- *           description: Whether the user is active
- *         isDeleted:
- *           type: boolean
- *           description: Whether the user is deleted
+ *           description: Whether the user can sign in
  *         isAvailableForWork:
  *           type: boolean
  *           description: Whether the user is available for work
@@ -79,21 +103,60 @@ const { Op } = require('sequelize');
  *           type: string
  *           format: date-time
  *           description: Timestamp when the user was last updated
+ *         role:
+ *           $ref: '#/components/schemas/Role'
+ *         credentials:
+ *           type: array
+ *           description: Sign-in methods; only returned for a single user
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               authType:
+ *                 type: string
+ *                 example: password
+ *               loginName:
+ *                 type: string
+ *                 nullable: true
+ *               openIdProvider:
+ *                 type: string
+ *                 nullable: true
+ *               lastPasswordChange:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               passwordExpired:
+ *                 type: boolean
+ *               lockedUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
  *
- *     UserResponse:
- *       allOf:
- *         - $ref: '#/components/schemas/UserBase'
- *         - type: object
- *           properties:
- *             role:
- *               $ref: '#/components/schemas/Role'
+ *     AdminUserListResponse:
+ *       type: object
+ *       properties:
+ *         users:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AdminUser'
+ *         totalPages:
+ *           type: integer
+ *           example: 3
+ *         currentPage:
+ *           type: integer
+ *           example: 1
+ *         totalItems:
+ *           type: integer
+ *           example: 45
  */
 
 /**
  * @swagger
- * /api/manage/users:
+ * /api/admin/users:
  *   get:
- *     summary: Get all users
+ *     summary: Search users
+ *     description: Deleted users are not listed. Requires the LIST permission on USERS.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -109,76 +172,53 @@ const { Op } = require('sequelize');
  *         schema:
  *           type: integer
  *           default: 20
+ *           maximum: 100
  *         description: Number of items per page
  *       - in: query
  *         name: search
  *         schema:
  *           type: string
  *         description: Search term for email, firstName, or lastName
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive, all]
+ *           default: all
+ *         description: Only list active or inactive users
+ *       - in: query
+ *         name: roleId
+ *         schema:
+ *           type: integer
+ *         description: Only list users with this role
  *     responses:
  *       200:
- *         description: List of users
+ *         description: A page of users, newest first
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/UserResponse'
+ *               $ref: '#/components/schemas/AdminUserListResponse'
+ *       400:
+ *         description: Invalid query parameter
+ *       403:
+ *         description: Forbidden - Insufficient permissions
  *       500:
  *         description: Server error
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authGuard, async (req, res) => {
   try {
-    const { page = 1, limit = 20, search = '' } = req.query;
-    const offset = (page - 1) * limit;
-
-    const whereClause = {
-      isDeleted: false,
-      isActive: true,
-    };
-
-    if (search) {
-      whereClause[Op.or] = [
-        { email: { [Op.iLike]: `%${search}%` } },
-        { firstName: { [Op.iLike]: `%${search}%` } },
-        { lastName: { [Op.iLike]: `%${search}%` } }
-      ];
-    }
-
-    const { count, rows: users } = await User.findAndCountAll({
-      where: whereClause,
-      include: [
-        {
-          model: Role,
-          as: 'role',
-          attributes: ['id', 'name']
-        }
-      ],
-      offset,
-      limit,
-      order: [['createdAt', 'DESC']]
-    });
-
-    res.json({
-      users,
-      totalPages: Math.ceil(count / limit),
-      currentPage: page,
-      totalItems: count
-    });
-  } catch (error) {
-    console.error('Error fetching users:', error);
-    res.status(500).json({ error: 'Failed to fetch users' });
+    res.json(await adminUserService.searchUsers(req.query));
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch users');
   }
 });
 
-
-
-// Get user by ID
 /**
  * @swagger
- * /api/manage/users/{id}:
+ * /api/admin/users/{id}:
  *   get:
  *     summary: Get user by ID
+ *     description: Requires the READ permission on USERS.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -191,45 +231,35 @@ router.get('/', authenticate, async (req, res) => {
  *         description: User ID
  *     responses:
  *       200:
- *         description: User details
+ *         description: User details with their sign-in methods
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/UserResponse'
+ *               $ref: '#/components/schemas/AdminUser'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
  *       404:
  *         description: User not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authGuard, async (req, res) => {
   try {
-    const user = await User.findByPk(req.params.id, {
-      include: [
-        {
-          model: Role,
-          as: 'role',
-          attributes: ['id', 'name']
-        }
-      ]
-    });
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    res.json(user);
-  } catch (error) {
-    console.error('Error fetching user:', error);
-    res.status(500).json({ error: 'Failed to fetch user' });
+    res.json(await adminUserService.getUser(req.params.id));
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch user');
   }
 });
 
-// Create new user
 /**
  * @swagger
- * /api/manage/users:
+ * /api/admin/users:
  *   post:
  *     summary: Create a new user
+ *     description: >
+ *       The user signs in with their email address and the given password, and is sent a link to
+ *       verify the address. Requires the CREATE permission on USERS. The user gets the default role
+ *       unless roleId is given, which also requires the ASSIGN permission on ROLES.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -239,6 +269,7 @@ router.get('/:id', authenticate, async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [email, password, firstName, lastName]
  *             properties:
  *               email:
  *                 type: string
@@ -257,42 +288,64 @@ router.get('/:id', authenticate, async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/UserResponse'
+ *               $ref: '#/components/schemas/AdminUser'
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, unknown role or a password that breaks the password policy
+ *       403:
+ *         description: Forbidden - Insufficient permissions, including a roleId without ASSIGN on ROLES
+ *       409:
+ *         description: Email address is already in use
  *       500:
  *         description: Server error
  */
-router.post('/', authenticate, async (req, res) => {
-  try {
+router.post(
+  '/',
+  authGuard,
+  [
+    check('email', 'Please include a valid email').isEmail(),
+    check('password', 'Password is required').notEmpty(),
+    check('firstName', 'First name is required').notEmpty(),
+    check('lastName', 'Last name is required').notEmpty(),
+    check('roleId', 'Role ID must be a positive integer').optional().isInt({ min: 1 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { email, password, firstName, lastName, roleId } = req.body;
 
-    if (!email || !password || !firstName || !lastName || !roleId) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    // Picking the role is the same as changing it afterwards with PUT /:id/role
+    if (roleId !== undefined && !hasPermission(req.userRecord, FEATURES.ROLES, ACTIONS.ASSIGN)) {
+      return res.status(403).json({ message: 'Choosing a role requires the ASSIGN permission on ROLES' });
     }
 
-    const result = await manageUsers.registerUser({
-      email,
-      password,
-      firstName,
-      lastName,
-      loginName: email,
-      roleId
-    });
+    try {
+      const user = await adminUserService.createUser({ email, password, firstName, lastName, roleId });
+
+      await auditService.record(req, {
+        action: 'USER_CREATED',
+        targetType: 'User',
+        targetId: user.id,
+        after: user
+      });
 
-    res.status(201).json(result);
-  } catch (error) {
-    console.error('Error creating user:', error);
-    res.status(500).json({ error: 'Failed to create user' });
+      res.status(201).json(user);
+    } catch (err) {
+      sendError(res, err, 'Failed to create user');
+    }
   }
-});
+);
 
-// Update user
 /**
  * @swagger
- * /api/manage/users/{id}:
+ * /api/admin/users/{id}:
  *   put:
  *     summary: Update user
+ *     description: >
+ *       Changes name and contact details; unset fields are kept. The email address can only be
+ *       changed by the user through /api/auth/email/change. Requires the UPDATE permission on USERS.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -310,9 +363,6 @@ router.post('/', authenticate, async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               email:
- *                 type: string
- *                 format: email
  *               firstName:
  *                 type: string
  *               lastName:
@@ -330,43 +380,46 @@ router.post('/', authenticate, async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/UserResponse'
+ *               $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: The request tries to change the email address
+ *       403:
+ *         description: Forbidden - Insufficient permissions
  *       404:
  *         description: User not found
  *       500:
  *         description: Server error
  */
-router.put('/:id', authenticate, async (req, res) => {
-  try {
-    const { email, firstName, lastName, phoneNumber, address, dateOfBirth } = req.body;
-    const user = await User.findByPk(req.params.id);
+router.put('/:id', authGuard, async (req, res) => {
+  if (req.body.email !== undefined) {
+    return res.status(400).json({ message: 'Users change their email address through /api/auth/email/change' });
+  }
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+  try {
+    const { firstName, lastName, phoneNumber, address, dateOfBirth } = req.body;
+    const before = await adminUserService.getUser(req.params.id);
+    const user = await adminUserService.updateUser(req.params.id, { firstName, lastName, phoneNumber, address, dateOfBirth });
 
-    await user.update({
-      email,
-      firstName,
-      lastName,
-      phoneNumber,
-      address,
-      dateOfBirth
+    await auditService.record(req, {
+      action: 'USER_UPDATED',
+      targetType: 'User',
+      targetId: user.id,
+      before,
+      after: user
     });
 
-    res.json({ message: 'User updated successfully' });
-  } catch (error) {
-    console.error('Error updating user:', error);
-    res.status(500).json({ error: 'Failed to update user' });
+    res.json(user);
+  } catch (err) {
+    sendError(res, err, 'Failed to update user');
   }
 });
 
-// Delete user (soft delete)
 /**
  * @swagger
- * /api/manage/users/{id}:
- *   delete:
- *     summary: Delete user
+ * /api/admin/users/{id}/activate:
+ *   post:
+ *     summary: Let a deactivated user sign in again
+ *     description: Requires the UPDATE permission on USERS.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -379,29 +432,218 @@ router.put('/:id', authenticate, async (req, res) => {
  *         description: User ID
  *     responses:
  *       200:
- *         description: User deleted successfully
+ *         description: User activated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUser'
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/activate', authGuard, async (req, res) => {
+  try {
+    const user = await adminUserService.setActive(req.params.id, true, req.user.userId);
+    await auditService.record(req, { action: 'USER_ACTIVATED', targetType: 'User', targetId: user.id });
+    res.json(user);
+  } catch (err) {
+    sendError(res, err, 'Failed to activate user');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/deactivate:
+ *   post:
+ *     summary: Stop a user from signing in
+ *     description: The user is signed out of every device. Requires the UPDATE permission on USERS.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUser'
+ *       403:
+ *         description: Forbidden - Insufficient permissions, or the user is the caller
  *       404:
  *         description: User not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authenticate, async (req, res) => {
+router.post('/:id/deactivate', authGuard, async (req, res) => {
   try {
-    const user = await User.findByPk(req.params.id);
+    const user = await adminUserService.setActive(req.params.id, false, req.user.userId);
+    await auditService.record(req, { action: 'USER_DEACTIVATED', targetType: 'User', targetId: user.id });
+    res.json(user);
+  } catch (err) {
+    sendError(res, err, 'Failed to deactivate user');
+  }
+});
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   put:
+ *     summary: Assign a role to a user
+ *     description: Requires the ASSIGN permission on ROLES.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [roleId]
+ *             properties:
+ *               roleId:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Role assigned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Unknown role
+ *       403:
+ *         description: Forbidden - Insufficient permissions, or the user is the caller
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/:id/role',
+  authGuard,
+  [check('roleId', 'Role ID must be a positive integer').isInt({ min: 1 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    await user.update({
-      isDeleted: true,
-      isActive: false
-    });
+    try {
+      const before = await adminUserService.getUser(req.params.id);
+      const user = await adminUserService.assignRole(req.params.id, req.body.roleId, req.user.userId);
+
+      await auditService.record(req, {
+        action: 'USER_ROLE_ASSIGNED',
+        targetType: 'User',
+        targetId: user.id,
+        before: { roleId: before.roleId },
+        after: { roleId: user.roleId }
+      });
 
+      res.json(user);
+    } catch (err) {
+      sendError(res, err, 'Failed to assign role');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/expire-password:
+ *   post:
+ *     summary: Make a user choose a new password
+ *     description: >
+ *       Marks the user's password as expired and signs them out of every device, so their next
+ *       sign-in asks them to reset it. Requires the MANAGE permission on USERS.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Password expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: The user signs in without a password
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/expire-password', authGuard, async (req, res) => {
+  try {
+    const user = await adminUserService.expirePassword(req.params.id);
+    await auditService.record(req, { action: 'PASSWORD_EXPIRED', targetType: 'User', targetId: user.id });
+    res.json(user);
+  } catch (err) {
+    sendError(res, err, 'Failed to expire password');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   delete:
+ *     summary: Delete user
+ *     description: >
+ *       Soft deletes the user and signs them out of every device. Requires the DELETE
+ *       permission on USERS.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User deleted successfully
+ *       403:
+ *         description: Forbidden - Insufficient permissions, or the user is the caller
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authGuard, async (req, res) => {
+  try {
+    await adminUserService.deleteUser(req.params.id, req.user.userId);
+    await auditService.record(req, { action: 'USER_DELETED', targetType: 'User', targetId: req.params.id });
     res.json({ message: 'User deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting user:', error);
-    res.status(500).json({ error: 'Failed to delete user' });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete user');
   }
 });
 
@@ -4,6 +4,7 @@ const { Notification, User, Role, NotificationType } = require('../models');
 const { Op } = require('sequelize');
 const { authGuard, ownerGuard, requirePermissions } = require('../middleware/auth');
 const notificationsService = require('../services/NotificationsService');
+const { FEATURES, ACTIONS } = require('../config/permissions');
 
 // Middleware to parse JSON bodies
 router.use(express.json());
@@ -368,12 +369,18 @@ router.post('/', async (req, res) => {
  *               $ref: '#/components/schemas/NotificationResponse'
  *       400:
  *         description: Bad request - Invalid input
+ *       403:
+ *         description: Forbidden - Not the recipient of this notification
  *       404:
  *         description: Notification not found
  *       500:
  *         description: Server error
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id',
+  authGuard,
+  ownerGuard(req => notificationsService.getOwnerIds(req.params.id),
+    { feature: FEATURES.NOTIFICATIONS, action: ACTIONS.UPDATE }),
+  async (req, res) => {
   const id = req.params.id;
   const updateData = req.body;
 
@@ -398,6 +405,8 @@ router.put('/:id', async (req, res) => {
  *   patch:
  *     summary: Mark a notification as read
  *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -412,12 +421,18 @@ router.put('/:id', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/NotificationResponse'
+ *       403:
+ *         description: Forbidden - Not the recipient of this notification
  *       404:
  *         description: Notification not found
  *       500:
  *         description: Server error
  */
-router.patch('/:id/read', async (req, res) => {
+router.patch('/:id/read',
+  authGuard,
+  ownerGuard(req => notificationsService.getOwnerIds(req.params.id),
+    { feature: FEATURES.NOTIFICATIONS, action: ACTIONS.UPDATE }),
+  async (req, res) => {
   const id = req.params.id;
   
   try {
@@ -481,6 +496,8 @@ router.patch('/:id/all-read', async (req, res) => {
  *   delete:
  *     summary: Delete a notification
  *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -498,12 +515,18 @@ router.patch('/:id/all-read', async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
+ *       403:
+ *         description: Forbidden - Not the recipient of this notification
  *       404:
  *         description: Notification not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id',
+  authGuard,
+  ownerGuard(req => notificationsService.getOwnerIds(req.params.id),
+    { feature: FEATURES.NOTIFICATIONS, action: ACTIONS.DELETE }),
+  async (req, res) => {
   const id = req.params.id;
   
   try {
@@ -0,0 +1,639 @@
+const express = require('express');
+const router = express.Router();
+const { authGuard, requireVerifiedEmail } = require('../middleware/auth');
+const organisationService = require('../services/OrganisationService');
+const auditService = require('../services/AuditService');
+
+// Middleware to parse JSON bodies
+router.use(express.json());
+
+// HTTP status for each error OrganisationService throws on purpose
+const ORGANISATION_ERROR_STATUS = {
+  'Organisation not found': 404,
+  'Member not found': 404,
+  'User not found': 404,
+  'Recipient not found': 404,
+  'User is already a member of this organisation': 409,
+  'Only organisation owners and admins can manage members': 403,
+  'Only organisation owners can add or remove owners': 403,
+  'An organisation must keep at least one owner': 403,
+  'Only organisation owners and admins can change the organisation': 403,
+  'Only organisation owners can delete the organisation': 403,
+  'Only organisation owners and admins can add connections': 403
+};
+
+/**
+ * Send the response for an error thrown by OrganisationService
+ * @param {Object} res - The response
+ * @param {Error} err - The error
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, err, message) => {
+  if (ORGANISATION_ERROR_STATUS[err.message]) {
+    return res.status(ORGANISATION_ERROR_STATUS[err.message]).json({ message: err.message });
+  }
+  if (err.message.startsWith('Invalid ')) {
+    return res.status(400).json({ message: err.message });
+  }
+
+  console.error(`${message}:`, err);
+  res.status(500).json({ message, error: err.message });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Organisations
+ *   description: Employer accounts whose members share connections with workers
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Organisation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         guid:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         createdByUserId:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *         role:
+ *           type: string
+ *           enum: [owner, admin, member]
+ *           description: The signed-in user's role in the organisation
+ *     OrganisationMember:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         organisationId:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *         role:
+ *           type: string
+ *           enum: [owner, admin, member]
+ *           description: owner manages everything including owners; admin manages members and connections; member sees shared certificates
+ *         user:
+ *           $ref: '#/components/schemas/UserResponse'
+ */
+
+/**
+ * @swagger
+ * /api/organisations:
+ *   get:
+ *     summary: Get the organisations the signed-in user belongs to
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The organisations with the user's role in each
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Organisation'
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authGuard, async (req, res) => {
+  try {
+    const organisations = await organisationService.getOrganisationsForUser(req.user.userId);
+    res.json(organisations);
+  } catch (err) {
+    sendError(res, err, 'Failed to get organisations');
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations:
+ *   post:
+ *     summary: Create an organisation; the signed-in user becomes its owner
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Organisation created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Organisation'
+ *       400:
+ *         description: Name missing
+ *       403:
+ *         description: The user has not verified their email address
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authGuard, requireVerifiedEmail, async (req, res) => {
+  try {
+    const organisation = await organisationService.createOrganisation(req.body, req.user.userId);
+
+    await auditService.record(req, {
+      action: 'ORGANISATION_CREATED',
+      targetType: 'Organisation',
+      targetId: organisation.id,
+      after: organisation
+    });
+
+    res.status(201).json(organisation);
+  } catch (err) {
+    sendError(res, err, 'Failed to create organisation');
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations/{id}:
+ *   get:
+ *     summary: Get an organisation the signed-in user belongs to
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The organisation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Organisation'
+ *       404:
+ *         description: Organisation not found or the user is not a member
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authGuard, async (req, res) => {
+  try {
+    const organisation = await organisationService.getOrganisation(req.params.id, req.user.userId);
+    res.json(organisation);
+  } catch (err) {
+    sendError(res, err, 'Failed to get organisation');
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations/{id}:
+ *   put:
+ *     summary: Update an organisation's name and description
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated organisation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Organisation'
+ *       400:
+ *         description: Name empty
+ *       403:
+ *         description: Only owners and admins can change the organisation
+ *       404:
+ *         description: Organisation not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', authGuard, async (req, res) => {
+  try {
+    const before = await organisationService.getOrganisation(req.params.id, req.user.userId);
+    const organisation = await organisationService.updateOrganisation(req.params.id, req.body, req.user.userId);
+
+    await auditService.record(req, {
+      action: 'ORGANISATION_UPDATED',
+      targetType: 'Organisation',
+      targetId: organisation.id,
+      before,
+      after: organisation
+    });
+
+    res.json(organisation);
+  } catch (err) {
+    sendError(res, err, 'Failed to update organisation');
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations/{id}:
+ *   delete:
+ *     summary: Delete an organisation and its connections
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Organisation deleted successfully
+ *       403:
+ *         description: Only owners can delete the organisation
+ *       404:
+ *         description: Organisation not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authGuard, async (req, res) => {
+  try {
+    const organisation = await organisationService.deleteOrganisation(req.params.id, req.user.userId);
+
+    await auditService.record(req, {
+      action: 'ORGANISATION_DELETED',
+      targetType: 'Organisation',
+      targetId: organisation.id,
+      details: { name: organisation.name }
+    });
+
+    res.json({ message: 'Organisation deleted successfully' });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete organisation');
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations/{id}/members:
+ *   get:
+ *     summary: Get the members of an organisation
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/OrganisationMember'
+ *       404:
+ *         description: Organisation not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/members', authGuard, async (req, res) => {
+  try {
+    const members = await organisationService.getMembers(req.params.id, req.user.userId);
+    res.json(members);
+  } catch (err) {
+    sendError(res, err, 'Failed to get members');
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations/{id}/members:
+ *   post:
+ *     summary: Add a user to an organisation by user ID or email address
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, member]
+ *                 default: member
+ *     responses:
+ *       201:
+ *         description: Member added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrganisationMember'
+ *       400:
+ *         description: Invalid role
+ *       403:
+ *         description: Only owners and admins can add members, and only owners can add owners
+ *       404:
+ *         description: Organisation or user not found
+ *       409:
+ *         description: The user is already a member
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/members', authGuard, async (req, res) => {
+  try {
+    const member = await organisationService.addMember(req.params.id, req.body, req.user.userId);
+
+    await auditService.record(req, {
+      action: 'ORGANISATION_MEMBER_ADDED',
+      targetType: 'Organisation',
+      targetId: member.organisationId,
+      details: { userId: member.userId, role: member.role }
+    });
+
+    res.status(201).json(member);
+  } catch (err) {
+    sendError(res, err, 'Failed to add member');
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations/{id}/members/{userId}:
+ *   put:
+ *     summary: Change a member's role
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, member]
+ *     responses:
+ *       200:
+ *         description: The updated member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrganisationMember'
+ *       400:
+ *         description: Invalid role
+ *       403:
+ *         description: Not allowed to make the change, or it would leave the organisation without an owner
+ *       404:
+ *         description: Organisation or member not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/members/:userId', authGuard, async (req, res) => {
+  try {
+    const { before, after } = await organisationService.changeMemberRole(
+      req.params.id,
+      req.params.userId,
+      req.body.role,
+      req.user.userId
+    );
+
+    await auditService.record(req, {
+      action: 'ORGANISATION_MEMBER_ROLE_CHANGED',
+      targetType: 'Organisation',
+      targetId: after.organisationId,
+      before,
+      after,
+      details: { userId: after.userId }
+    });
+
+    res.json(after);
+  } catch (err) {
+    sendError(res, err, 'Failed to change member role');
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from an organisation; members may remove themselves to leave
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       403:
+ *         description: Not allowed to remove the member, or it would leave the organisation without an owner
+ *       404:
+ *         description: Organisation or member not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/members/:userId', authGuard, async (req, res) => {
+  try {
+    const member = await organisationService.removeMember(req.params.id, req.params.userId, req.user.userId);
+
+    await auditService.record(req, {
+      action: 'ORGANISATION_MEMBER_REMOVED',
+      targetType: 'Organisation',
+      targetId: member.organisationId,
+      details: { userId: member.userId, role: member.role }
+    });
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (err) {
+    sendError(res, err, 'Failed to remove member');
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations/{id}/connections:
+ *   get:
+ *     summary: Get the connections between an organisation and its workers
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The connections
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ConnectionResponse'
+ *       404:
+ *         description: Organisation not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/connections', authGuard, async (req, res) => {
+  try {
+    const connections = await organisationService.getConnections(req.params.id, req.user.userId);
+    res.json(connections);
+  } catch (err) {
+    sendError(res, err, 'Failed to get connections');
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations/{id}/connections:
+ *   post:
+ *     summary: Ask a worker to connect with an organisation
+ *     description: Once the worker accepts and sets isLcrAvailable, every member of the organisation can read the worker's certificates through /api/connections/{id}/certificates.
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - recipientId
+ *             properties:
+ *               recipientId:
+ *                 type: integer
+ *                 description: ID of the worker
+ *               autoSubmitAccuracyPercent:
+ *                 type: number
+ *                 format: float
+ *                 nullable: true
+ *               note:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Connection created successfully
+ *       400:
+ *         description: Recipient ID missing
+ *       403:
+ *         description: Only owners and admins can add connections, or the user has not verified their email address
+ *       404:
+ *         description: Organisation or worker not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/connections', authGuard, requireVerifiedEmail, async (req, res) => {
+  if (!req.body.recipientId) {
+    return res.status(400).json({ message: 'Recipient ID is required' });
+  }
+
+  try {
+    const connection = await organisationService.createConnection(req.params.id, req.body, req.user.userId);
+
+    await auditService.record(req, {
+      action: 'CONNECTION_CREATED',
+      targetType: 'Connection',
+      targetId: connection.id,
+      after: connection
+    });
+
+    res.status(201).json({
+      message: 'Connection created successfully',
+      connection
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to create connection');
+  }
+});
+
+module.exports = router;
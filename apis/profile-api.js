@@ -7,7 +7,10 @@ const UserAvatar = require('../models/UserAvatar');
 const Jurisdiction = require('../models/Jurisdiction');
 const UserJurisdiction = require('../models/UserJurisdiction');
 const UserName = require('../models/UserName');
-const { authGuard, ownerGuard, requirePermissions } = require('../middleware/auth');
+const JobRole = require('../models/JobRole');
+const { authGuard, ownerGuard } = require('../middleware/auth');
+const { FEATURES, ACTIONS } = require('../config/permissions');
+const complianceService = require('../services/ComplianceService');
 
 // Middleware to parse JSON bodies
 router.use(express.json());
@@ -66,6 +69,9 @@ router.use(express.json());
  *             isActive:
  *               type: boolean
  *               description: Whether the user account is active
+ *             emailVerified:
+ *               type: boolean
+ *               description: Whether the user has confirmed their email address (only returned for /me)
  *             roleId:
  *               type: integer
  *               description: The role ID
@@ -75,6 +81,10 @@ router.use(express.json());
  *             roleName:
  *               type: string
  *               description: The name of the role
+ *             jobRoleId:
+ *               type: integer
+ *               nullable: true
+ *               description: The ID of the job the user does, which decides the licences they need
  *             createdAt:
  *               type: string
  *               format: date-time
@@ -153,17 +163,61 @@ router.use(express.json());
  *           description: Whether the user is available for work
  *         roleId:
  *           type: integer
- *           description: The role ID for the user
+ *           description: The current role ID; roles are assigned through /api/admin/users/{id}/role
  *         alternativeNames:
  *           type: array
  *           items:
  *             type: string
  *         abn:
  *           type: string
+ *         jobRoleId:
+ *           type: integer
+ *           nullable: true
+ *           description: The ID of the job the user does; null to clear it
  *         jurisdictions:
  *           type: array
  *           items:
  *             type: integer
+ *
+ *     ComplianceItem:
+ *       type: object
+ *       properties:
+ *         requirementId:
+ *           type: integer
+ *         jurisdiction:
+ *           $ref: '#/components/schemas/Jurisdiction'
+ *         jobRole:
+ *           $ref: '#/components/schemas/JobRole'
+ *         lcrType:
+ *           $ref: '#/components/schemas/LcrType'
+ *         note:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [met, expiring, missing]
+ *         certificate:
+ *           type: object
+ *           nullable: true
+ *           description: The certificate that best covers the requirement; an expired one when the requirement is missing because of it
+ *           properties:
+ *             id:
+ *               type: integer
+ *             title:
+ *               type: string
+ *             documentNumber:
+ *               type: string
+ *             jurisdictionId:
+ *               type: integer
+ *               nullable: true
+ *             expiryDate:
+ *               type: string
+ *               format: date
+ *               nullable: true
+ *         daysUntilExpiry:
+ *           type: integer
+ *           nullable: true
+ *           description: Negative once expired; null when the certificate does not expire
  */
 
 /**
@@ -197,7 +251,6 @@ router.use(express.json());
  */
 router.get('/', 
   authGuard, 
-  requirePermissions('LIST_PROFILES'), 
   async (req, res) => {
   try {
     // For the GET / endpoint
@@ -307,6 +360,12 @@ router.get('/me', authGuard, async (req, res) => {
           attributes: ['id'],
           required: false
         },
+        {
+          model: JobRole,
+          as: 'jobRole',
+          attributes: ['id', 'name'],
+          required: false
+        },
         {
           model: UserJurisdiction,
           as: 'userJurisdictions',
@@ -336,6 +395,7 @@ router.get('/me', authGuard, async (req, res) => {
     const response = {
       id: plainUser.id,
       email: plainUser.email,
+      emailVerified: plainUser.emailVerified,
       firstName: plainUser.firstName,
       lastName: plainUser.lastName,
       phoneNumber: plainUser.phoneNumber,
@@ -346,6 +406,8 @@ router.get('/me', authGuard, async (req, res) => {
       roleId: plainUser.roleId,
       roleName: plainUser.role ? plainUser.role.name : null,
       avatarId: plainUser.avatar ? plainUser.avatar.id : null,
+      jobRoleId: plainUser.jobRoleId,
+      jobRoleName: plainUser.jobRole ? plainUser.jobRole.name : null,
       createdAt: plainUser.createdAt,
       updatedAt: plainUser.updatedAt,
       jurisdictions: plainUser.userJurisdictions.map(uj => ({
@@ -363,6 +425,80 @@ router.get('/me', authGuard, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/profiles/me/compliance:
+ *   get:
+ *     summary: Check the current user's certificates against the requirements of their jurisdictions and job role
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: expiringWithinDays
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Days ahead in which a certificate counts as expiring
+ *     responses:
+ *       200:
+ *         description: Requirements met, expiring and missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobRole:
+ *                   $ref: '#/components/schemas/JobRole'
+ *                 expiringWithinDays:
+ *                   type: integer
+ *                 compliant:
+ *                   type: boolean
+ *                   description: Whether no requirement is missing
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     met:
+ *                       type: integer
+ *                     expiring:
+ *                       type: integer
+ *                     missing:
+ *                       type: integer
+ *                 met:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ComplianceItem'
+ *                 expiring:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ComplianceItem'
+ *                 missing:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ComplianceItem'
+ *       400:
+ *         description: Invalid expiringWithinDays
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/compliance', authGuard, async (req, res) => {
+  try {
+    const compliance = await complianceService.getComplianceForUser(req.user.userId, req.query);
+    res.json(compliance);
+  } catch (err) {
+    if (err.message === 'User not found') {
+      return res.status(404).json({ message: err.message });
+    }
+    if (err.message.startsWith('Invalid ')) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.log(err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /api/profiles/{email}:
@@ -405,8 +541,8 @@ router.get('/:email',
         isDeleted: false
       }
     });
-    return user ? user.id : null;
-  }),
+    return user ? [user.id] : null;
+  }, { feature: FEATURES.PROFILES, action: ACTIONS.READ }),
   async (req, res) => {
     const email = decodeURIComponent(req.params.email.toLowerCase());
     try {
@@ -497,7 +633,6 @@ router.get('/:email',
  */
 router.post('/', 
   authGuard, 
-  requirePermissions('CREATE_PROFILE'), 
   async (req, res) => {
   const { email, password, fullName, dateOfBirth, firstName, lastName, phoneNumber, address } = req.body;
 
@@ -601,7 +736,7 @@ router.post('/',
  *             schema:
  *               $ref: '#/components/schemas/UserResponse'
  *       400:
- *         description: Bad request - Invalid input
+ *         description: Bad request - Invalid input, a different email address, which has to be changed through /api/auth/email/change, a different role, or an unknown job role
  *       401:
  *         description: Unauthorized - Not authenticated
  *       403:
@@ -622,8 +757,8 @@ router.put('/:email',
         isDeleted: false
       }
     });
-    return user ? user.id : null;
-  }),
+    return user ? [user.id] : null;
+  }, { feature: FEATURES.PROFILES, action: ACTIONS.UPDATE }),
   async (req, res) => {
     const email = decodeURIComponent(req.params.email.toLowerCase());
     const { 
@@ -636,9 +771,15 @@ router.put('/:email',
       isActive,
       isAvailableForWork,
       alternativeNames,
-      abn
+      abn,
+      jobRoleId
     } = req.body;
     
+    // The address only changes once the new one is confirmed through /api/auth/email/change
+    if (req.body.email && req.body.email.toLowerCase() !== email) {
+      return res.status(400).json({ message: 'Use /api/auth/email/change to change the email address' });
+    }
+    
     try {
       // Check if user exists and is not deleted
       const user = await User.findOne({
@@ -668,23 +809,25 @@ router.put('/:email',
       if (!user) {
         return res.status(404).json({ message: 'Profile not found' });
       }
-      
-      // Check if the authenticated user is updating their own profile or has admin rights
-      // This is redundant with ownerGuard but kept for extra security
-      if (req.userRecord.id !== user.id && req.userRecord.roleId !== 1) {
-        return res.status(403).json({ message: 'You can only update your own profile unless you are an admin' });
+
+      if (roleId !== undefined && roleId !== null && Number(roleId) !== user.roleId) {
+        return res.status(400).json({ message: 'Use /api/admin/users/{id}/role to change the role' });
       }
 
+      if (jobRoleId !== undefined && jobRoleId !== null && !await JobRole.findByPk(jobRoleId)) {
+        return res.status(400).json({ message: 'Job role not found' });
+      }
+      
       // Update user
       await user.update({
         firstName: firstName || user.firstName,
         lastName: lastName || user.lastName,
         phoneNumber: phoneNumber || user.phoneNumber,
         address: address || user.address,
-        roleId: roleId || user.roleId,
         dateOfBirth: dateOfBirth || user.dateOfBirth,
         isAvailableForWork: isAvailableForWork,
         abn: abn || user.abn,
+        jobRoleId: jobRoleId !== undefined ? jobRoleId : user.jobRoleId,
         //isActive: isActive || user.isActive
       });
 
@@ -740,7 +883,8 @@ router.put('/:email',
           roleId: user.roleId,
           isAvailableForWork: user.isAvailableForWork,
           roleName: roleName,
-          abn: user.abn
+          abn: user.abn,
+          jobRoleId: user.jobRoleId
         }
       });
     } catch (err) {
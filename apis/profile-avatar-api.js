@@ -4,6 +4,8 @@ const { User, UserAvatar } = require('../models');
 const { authGuard, ownerGuard } = require('../middleware/auth');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
+const { getStorage, avatarKey } = require('../services/storage');
+const { sendContent } = require('../services/storage/download');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -58,6 +60,8 @@ const upload = multer({
  *             schema:
  *               type: string
  *               format: binary
+ *       206:
+ *         description: The requested byte range of the avatar (when a Range header is sent)
  *       404:
  *         description: No avatar found for user
  *       500:
@@ -71,15 +75,14 @@ router.get('/me/avatar', authGuard, async (req, res) => {
     
     const avatar = await UserAvatar.findOne({
       where: { userId: req.user.userId },
-      attributes: ['content', 'mimeType']
+      attributes: ['storageKey', 'content', 'mimeType']
     });
 
     if (!avatar) {
       return res.status(404).json({ message: 'Avatar not found' });
     }
 
-    res.set('Content-Type', avatar.mimeType);
-    res.send(avatar.content);
+    await sendContent(req, res, avatar, { mimeType: avatar.mimeType });
   } catch (error) {
     console.error('Error fetching avatar:', error);
     res.status(500).json({ message: 'Error fetching avatar', error: error.message });
@@ -129,6 +132,15 @@ router.post('/me/avatar',
         return res.status(400).json({ message: 'No user found' });
       }
 
+      const guid = uuidv4();
+      const storageKey = avatarKey(guid);
+      await getStorage().put(storageKey, req.file.buffer, { contentType: req.file.mimetype });
+
+      const previousAvatars = await UserAvatar.findAll({
+        where: { userId: req.user.userId },
+        attributes: ['id', 'storageKey']
+      });
+
       // Remove all previous avatars
       await UserAvatar.destroy({
         where: { userId: req.user.userId }
@@ -136,8 +148,10 @@ router.post('/me/avatar',
 
       const [avatar] = await UserAvatar.upsert(
         {
+          guid,
           userId: req.user.userId,
-          content: req.file.buffer,
+          content: null,
+          storageKey,
           mimeType: req.file.mimetype
         },
         {
@@ -146,6 +160,8 @@ router.post('/me/avatar',
         }
       );
 
+      await deleteStoredAvatars(previousAvatars);
+
       res.json({
         id: avatar.id,
         guid: avatar.guid,
@@ -177,10 +193,17 @@ router.post('/me/avatar',
  */
 router.delete('/me/avatar', authGuard, async (req, res) => {
   try {
+    const avatars = await UserAvatar.findAll({
+      where: { userId: req.user.userId },
+      attributes: ['id', 'storageKey']
+    });
+
     const result = await UserAvatar.destroy({
       where: { userId: req.user.userId }
     });
 
+    await deleteStoredAvatars(avatars);
+
     if (result === 0) {
       return res.status(404).json({ message: 'No avatar found' });
     }
@@ -192,4 +215,13 @@ router.delete('/me/avatar', authGuard, async (req, res) => {
   }
 });
 
+// Remove the stored content of avatars whose records were deleted
+async function deleteStoredAvatars(avatars) {
+  for (const avatar of avatars) {
+    if (avatar.storageKey) {
+      await getStorage().delete(avatar.storageKey);
+    }
+  }
+}
+
 module.exports = router;
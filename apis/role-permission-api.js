@@ -2,12 +2,39 @@ const express = require('express');
 const router = express.Router();
 const { Role, Permission, RolePermission, User } = require('../models');
 const { Op } = require('sequelize');
-const { authGuard, requirePermissions } = require('../middleware/auth');
+const { authGuard } = require('../middleware/auth');
 const sequelize = require('../models/index').sequelize;
+const rolePermissionService = require('../services/RolePermissionService');
+const auditService = require('../services/AuditService');
 
 // Middleware to parse JSON bodies
 router.use(express.json());
 
+// HTTP status for each error RolePermissionService throws on purpose
+const ROLE_PERMISSION_ERROR_STATUS = {
+  'Role not found': 404,
+  'Permission not found': 404,
+  'You cannot remove role management from your own role': 403
+};
+
+/**
+ * Send the response for an error thrown by RolePermissionService
+ * @param {Object} res - The response
+ * @param {Error} err - The error
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, err, message) => {
+  if (ROLE_PERMISSION_ERROR_STATUS[err.message]) {
+    return res.status(ROLE_PERMISSION_ERROR_STATUS[err.message]).json({ message: err.message });
+  }
+  if (err.message.startsWith('Invalid ') || err.message.startsWith('Unknown permission IDs')) {
+    return res.status(400).json({ message: err.message });
+  }
+
+  console.error(`${message}:`, err);
+  res.status(500).json({ message, error: err.message });
+};
+
 /**
  * @swagger
  * tags:
@@ -160,14 +187,10 @@ router.post('/:id/permissions', authGuard, async (req, res) => {
     }
 
     // Get existing permissions for this role
-    const existingRolePermissions = await RolePermission.findAll({
-      where: { roleId },
-      include: [Permission],
-      transaction
-    });
+    const existingPermissions = await role.getPermissions({ joinTableAttributes: [], transaction });
 
     const existingPermissionMap = new Map(
-      existingRolePermissions.map(rp => [rp.Permission.code, rp.Permission])
+      existingPermissions.map(permission => [permission.code, permission])
     );
 
     const results = {
@@ -210,6 +233,13 @@ router.post('/:id/permissions', authGuard, async (req, res) => {
       results.createdPermissions.push(permission);
     }
 
+    await auditService.record(req, {
+      action: 'ROLE_PERMISSIONS_GRANTED',
+      targetType: 'Role',
+      targetId: role.id,
+      details: { grant: results.createdPermissions.map(p => p.code) }
+    }, { transaction });
+
     await transaction.commit();
     
     res.json({
@@ -227,6 +257,163 @@ router.post('/:id/permissions', authGuard, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PermissionSetChange:
+ *       type: object
+ *       properties:
+ *         grant:
+ *           type: array
+ *           description: Permissions the role gains
+ *           items:
+ *             $ref: '#/components/schemas/Permission'
+ *         revoke:
+ *           type: array
+ *           description: Permissions the role loses
+ *           items:
+ *             $ref: '#/components/schemas/Permission'
+ *         unchanged:
+ *           type: array
+ *           description: Permissions the role keeps
+ *           items:
+ *             $ref: '#/components/schemas/Permission'
+ */
+
+/**
+ * @swagger
+ * /api/roles/{id}/permissions:
+ *   put:
+ *     summary: Replace all permissions of a role
+ *     description: Grants and revokes permissions so the role has exactly the given set. Either every change is made or none is.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID of the role
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissionIds
+ *             properties:
+ *               permissionIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: IDs of all permissions the role should have; an empty array removes them all
+ *     responses:
+ *       200:
+ *         description: Permissions replaced successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PermissionSetChange'
+ *                 - type: object
+ *                   properties:
+ *                     message:
+ *                       type: string
+ *                       example: Permissions replaced successfully
+ *       400:
+ *         description: Invalid or unknown permission IDs
+ *       403:
+ *         description: The change would stop your own role from managing roles
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/permissions', authGuard, async (req, res) => {
+  try {
+    const change = await rolePermissionService.replacePermissionSet(
+      req.params.id,
+      req.body.permissionIds,
+      req.userRecord
+    );
+
+    await auditService.record(req, {
+      action: 'ROLE_PERMISSIONS_REPLACED',
+      targetType: 'Role',
+      targetId: req.params.id,
+      details: {
+        grant: change.grant.map(p => p.code),
+        revoke: change.revoke.map(p => p.code)
+      }
+    });
+
+    res.json({
+      message: 'Permissions replaced successfully',
+      ...change
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to replace permissions');
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}/permissions/preview:
+ *   post:
+ *     summary: Preview replacing all permissions of a role
+ *     description: Shows what PUT /api/roles/{id}/permissions would grant and revoke, without changing anything
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID of the role
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissionIds
+ *             properties:
+ *               permissionIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: IDs of all permissions the role should have
+ *     responses:
+ *       200:
+ *         description: The changes the replacement would make
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PermissionSetChange'
+ *       400:
+ *         description: Invalid or unknown permission IDs
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/permissions/preview', authGuard, async (req, res) => {
+  try {
+    const change = await rolePermissionService.previewPermissionSet(req.params.id, req.body.permissionIds);
+
+    res.json(change);
+  } catch (err) {
+    sendError(res, err, 'Failed to preview permissions');
+  }
+});
+
 /**
  * @swagger
  * /api/roles/{id}/permissions/{permissionId}:
@@ -259,47 +446,37 @@ router.post('/:id/permissions', authGuard, async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Permission removed successfully
+ *       403:
+ *         description: The permission is the last one letting your own role manage roles
  *       404:
  *         description: Role or permission not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id/permissions/:permissionId', authGuard, requirePermissions('MANAGE_ROLES'), async (req, res) => {
+router.delete('/:id/permissions/:permissionId', authGuard, async (req, res) => {
   const { id, permissionId } = req.params;
   
   try {
-    const role = await Role.findByPk(id);
-    
-    if (!role) {
-      return res.status(404).json({ message: 'Role not found' });
-    }
-    
-    // Check if permission exists
-    const permission = await Permission.findByPk(permissionId);
-    
-    if (!permission) {
-      return res.status(404).json({ message: 'Permission not found' });
-    }
-    
-    // Remove permission from role
-    await RolePermission.destroy({
-      where: {
-        roleId: id,
-        permissionId
-      }
+    const permission = await rolePermissionService.removePermission(id, permissionId, req.userRecord);
+
+    await auditService.record(req, {
+      action: 'ROLE_PERMISSIONS_REVOKED',
+      targetType: 'Role',
+      targetId: id,
+      details: { revoke: [permission.code] }
     });
     
     res.json({
       message: 'Permission removed successfully'
     });
   } catch (err) {
-    res.status(500).json({ message: 'Database error', error: err.message });
+    sendError(res, err, 'Failed to remove permission');
   }
 });
 
 /**
  * @swagger
- * /api/roles/permissions:
+ * /api/roles/permissions/all:
  *   get:
  *     summary: Get all available permissions
  *     tags: [Roles]
@@ -329,4 +506,64 @@ router.get('/permissions/all', authGuard, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/roles/permissions/catalogue:
+ *   get:
+ *     summary: Get all permissions grouped by feature and action
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Features ordered by code, each with the actions it has permissions for
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   code:
+ *                     type: string
+ *                     example: USERS
+ *                   description:
+ *                     type: string
+ *                   actions:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                         code:
+ *                           type: string
+ *                           example: LIST
+ *                         description:
+ *                           type: string
+ *                         permissions:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: integer
+ *                               code:
+ *                                 type: string
+ *                                 example: LIST_USERS
+ *       500:
+ *         description: Server error
+ */
+router.get('/permissions/catalogue', authGuard, async (req, res) => {
+  try {
+    const catalogue = await rolePermissionService.getCatalogue();
+
+    res.json(catalogue);
+  } catch (err) {
+    sendError(res, err, 'Failed to load permissions');
+  }
+});
+
 module.exports = router;
@@ -1,13 +1,11 @@
 const fs = require('fs');
-const path = require('path');
-const vision = require('@google-cloud/vision');
-const { OpenAI } = require('openai');
 const express = require('express');
 const multer = require('multer');
 const router = express.Router();
-const { Certificate } = require('../models');
-const crypto = require('crypto');
 const { authGuard } = require('../middleware/auth');
+const scanService = require('../services/ScanService');
+const auditService = require('../services/AuditService');
+const { getExtractionProvider, extractDocumentText } = require('../services/extraction');
 
 const upload = multer({ dest: 'uploads/' });
 
@@ -63,6 +61,38 @@ const upload = multer({ dest: 'uploads/' });
  *           type: string
  *           format: binary
  *           description: The document file to scan (PDF or image)
+ *         lcrTypeId:
+ *           type: integer
+ *           description: LCR type for the certificate. Required for the scan to be submitted automatically.
+ *         jurisdictionId:
+ *           type: integer
+ *           description: Jurisdiction for the certificate
+ *
+ *     ScanConfidence:
+ *       type: object
+ *       description: Confidence score (0-100) per extracted field
+ *       additionalProperties:
+ *         type: integer
+ *       example:
+ *         title: 100
+ *         document_id: 100
+ *         issuing_authority: 90
+ *         expiry_date: 70
+ *
+ *     ScanPage:
+ *       type: object
+ *       properties:
+ *         page:
+ *           type: integer
+ *           description: Page number, starting at 1
+ *           example: 1
+ *         text:
+ *           type: string
+ *           description: Text read from the page
+ *         source:
+ *           type: string
+ *           enum: [text-layer, ocr]
+ *           description: Whether the text came from the PDF's embedded text or from text recognition
  *
  *     ScanResponse:
  *       allOf:
@@ -72,8 +102,97 @@ const upload = multer({ dest: 'uploads/' });
  *             guid:
  *               type: string
  *               format: uuid
- *               description: Unique identifier for the scanned document
+ *               description: Identifier of the scan draft, used to review, confirm or discard it
  *               example: "123e4567-e89b-12d3-a456-426614174000"
+ *             status:
+ *               type: string
+ *               enum: [needs_review, submitted]
+ *               description: Whether the certificate was created automatically or is waiting for review
+ *             accuracy:
+ *               type: integer
+ *               description: Overall confidence score (0-100)
+ *               example: 87
+ *             fieldConfidence:
+ *               $ref: '#/components/schemas/ScanConfidence'
+ *             autoSubmitThreshold:
+ *               type: number
+ *               nullable: true
+ *               description: Strictest autoSubmitAccuracyPercent across the user's accepted connections
+ *               example: 80
+ *             fileId:
+ *               type: integer
+ *               description: ID of the stored scanned file
+ *             certificateId:
+ *               type: integer
+ *               nullable: true
+ *               description: ID of the certificate created automatically, if any
+ *             expiresAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: When the draft is removed if it is not confirmed; null once submitted
+ *             pages:
+ *               type: array
+ *               description: Text read from each page, in page order. Images are a single page.
+ *               items:
+ *                 $ref: '#/components/schemas/ScanPage'
+ *
+ *     ScanDraft:
+ *       type: object
+ *       properties:
+ *         guid:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [needs_review, submitted]
+ *         accuracy:
+ *           type: integer
+ *         extractedData:
+ *           $ref: '#/components/schemas/DocumentInfo'
+ *         fieldConfidence:
+ *           $ref: '#/components/schemas/ScanConfidence'
+ *         certificateId:
+ *           type: integer
+ *           nullable: true
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         file:
+ *           $ref: '#/components/schemas/File'
+ *
+ *     ScanConfirmRequest:
+ *       type: object
+ *       description: Certificate values that replace the ones extracted from the scan
+ *       required:
+ *         - lcrTypeId
+ *       properties:
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         lcrId:
+ *           type: integer
+ *         documentNumber:
+ *           type: string
+ *         issuedDate:
+ *           type: string
+ *           format: date
+ *         expiryDate:
+ *           type: string
+ *           format: date
+ *         issuedBy:
+ *           type: string
+ *         issuingAuthority:
+ *           type: string
+ *         renewalFrequency:
+ *           type: integer
+ *           description: Renewal frequency in months
+ *         lcrTypeId:
+ *           type: integer
+ *         jurisdictionId:
+ *           type: integer
  *
  *     ErrorResponse:
  *       type: object
@@ -106,7 +225,14 @@ const upload = multer({ dest: 'uploads/' });
  * /api/scan:
  *   post:
  *     summary: Scan and extract information from a document
- *     description: Upload a document (PDF or image) to extract certificate information using OCR and AI processing
+ *     description: |
+ *       Upload a document (PDF or image) to extract certificate information using OCR and AI processing.
+ *       Every page of a PDF is read, using its embedded text where available and OCR for scanned pages,
+ *       and the text is merged in page order before the fields are extracted.
+ *       The scanned file is stored with its confidence score. When the score meets the auto-submit
+ *       threshold set on the user's accepted connections and an lcrTypeId is given, the certificate is
+ *       created immediately; otherwise the scan is kept as a draft for review until it is confirmed,
+ *       discarded or expires.
  *     tags: [Scan]
  *     security:
  *       - bearerAuth: []
@@ -124,13 +250,15 @@ const upload = multer({ dest: 'uploads/' });
  *             schema:
  *               $ref: '#/components/schemas/ScanResponse'
  *       400:
- *         description: Bad request - invalid or missing file
+ *         description: Bad request - invalid or missing file, unreadable PDF, too many pages, or scanned PDF pages the scan provider cannot read
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
  *         description: Unauthorized - authentication required
+ *       404:
+ *         description: LCR type or jurisdiction not found
  *       413:
  *         description: Request entity too large - file size exceeds limit
  *       500:
@@ -154,7 +282,7 @@ router.post('/scan',
 
     // Process the uploaded file using analyzeDocument
     const filePath = req.file.path;
-    const extractedText = await analyzeDocument(filePath);
+    const { text: extractedText, pages } = await analyzeDocument(filePath, req.file.mimetype);
     
     if (!extractedText) {
       return res.status(400).json({ 
@@ -166,30 +294,42 @@ router.post('/scan',
     // Extract structured information from the text
     const documentInfo = await extractDocumentInfo(extractedText);
 
-    // Generate a UUID for the certificate
-    const guid = crypto.randomUUID();
-
-    // Convert the extracted info into a Certificate model format
-    const certificate = {
-      guid: guid,
-      title: documentInfo.title || 'Untitled Certificate',
-      description: documentInfo.description || '',
-      lcrId: documentInfo.document_id || '',
-      expiryDate: documentInfo.expiry_date ? new Date(documentInfo.expiry_date) : null,
-      issuedDate: documentInfo.issued_date ? new Date(documentInfo.issued_date) : new Date(),
-      issuedBy: documentInfo.issued_to || '',
-      issuingAuthority: documentInfo.issuing_authority || '',
-      renewalFrequency: documentInfo.renewal_frequency || '',
-      // Note: This is just a preview, not saved to database yet
-      // The actual saving would require userId and jurisdictionId
-    };
+    // Store the scan, creating the certificate when the confidence is high enough
+    const result = await scanService.processScan({
+      userId: req.user.userId,
+      content: fs.readFileSync(filePath),
+      mimeType: req.file.mimetype,
+      fileName: req.file.originalname,
+      text: extractedText,
+      documentInfo,
+      lcrTypeId: req.body.lcrTypeId ? parseInt(req.body.lcrTypeId) : null,
+      jurisdictionId: req.body.jurisdictionId ? parseInt(req.body.jurisdictionId) : null
+    });
 
     // Clean up the temporary file
     fs.unlinkSync(filePath);
 
+    if (result.certificate) {
+      await auditService.record(req, {
+        action: 'CERTIFICATE_CREATED',
+        targetType: 'Certificate',
+        targetId: result.certificate.id,
+        after: result.certificate,
+        details: { scan: result.scannedDocument.guid, automatic: true }
+      });
+    }
+
     res.json({
       ...documentInfo,
-      guid: guid
+      guid: result.scannedDocument.guid,
+      status: result.scannedDocument.status,
+      accuracy: result.confidence.overall,
+      fieldConfidence: result.confidence.fields,
+      autoSubmitThreshold: result.threshold,
+      fileId: result.file.id,
+      certificateId: result.certificate ? result.certificate.id : null,
+      expiresAt: result.scannedDocument.expiresAt,
+      pages
     });
   } catch (error) {
     console.error('Error processing document:', error);
@@ -198,6 +338,18 @@ router.post('/scan',
     if (req.file?.path && fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
     }
+
+    if (error.message === 'LCR Type not found' || error.message === 'Jurisdiction not found') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (
+      error.message.startsWith('Invalid PDF document')
+      || error.message.startsWith('PDF has too many pages')
+      || error.message.startsWith('Scanned PDF pages cannot be read')
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
     
     res.status(500).json({ 
       message: 'Error processing document', 
@@ -206,75 +358,223 @@ router.post('/scan',
   }
 });
 
-// Load OpenAI API key
-function getOpenAIApiKey() {
-  let apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    // Try to load from sk-svcacct.txt in the current directory
-    const keyPath = path.join(__dirname, 'sk-svcacct.txt');
-    if (fs.existsSync(keyPath)) {
-      apiKey = fs.readFileSync(keyPath, 'utf8').trim();
-    } else {
-      throw new Error('OpenAI API key not found');
-    }
+/**
+ * @swagger
+ * /api/scan/review:
+ *   get:
+ *     summary: Get scanned documents waiting for review
+ *     description: Scans whose confidence did not meet the auto-submit threshold
+ *     tags: [Scan]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of scanned documents that need review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   guid:
+ *                     type: string
+ *                     format: uuid
+ *                   status:
+ *                     type: string
+ *                     example: needs_review
+ *                   accuracy:
+ *                     type: integer
+ *                   extractedData:
+ *                     $ref: '#/components/schemas/DocumentInfo'
+ *                   fieldConfidence:
+ *                     $ref: '#/components/schemas/ScanConfidence'
+ *                   file:
+ *                     $ref: '#/components/schemas/File'
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.get('/scan/review', authGuard, async (req, res) => {
+  try {
+    const scannedDocuments = await scanService.getReviewQueue(req.user.userId);
+    res.json(scannedDocuments);
+  } catch (error) {
+    res.status(500).json({ message: 'Database error', error: error.message });
   }
+});
 
-  console.log('Using OpenAI API key:', apiKey);
+/**
+ * @swagger
+ * /api/scan/{guid}:
+ *   get:
+ *     summary: Get a scan draft
+ *     tags: [Scan]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: guid
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: Scan GUID returned by POST /api/scan
+ *     responses:
+ *       200:
+ *         description: Scan draft with its extracted fields and confidence
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScanDraft'
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       404:
+ *         description: Scan not found or expired
+ *       500:
+ *         description: Server error
+ */
+router.get('/scan/:guid', authGuard, async (req, res) => {
+  try {
+    const scannedDocument = await scanService.getScan(req.params.guid, req.user.userId);
 
-  return apiKey;
-}
+    if (!scannedDocument) {
+      return res.status(404).json({ message: 'Scan not found' });
+    }
 
-// Initialize clients
-const visionClient = new vision.ImageAnnotatorClient({
-  key: process.env.GOOGLE_VISION_API_KEY
+    res.json(scannedDocument);
+  } catch (error) {
+    res.status(500).json({ message: 'Database error', error: error.message });
+  }
 });
-const openai = new OpenAI({ apiKey: getOpenAIApiKey() });
 
-// Extract text from document using Google Vision API
-async function analyzeDocument(imagePath) {
-  const imageBuffer = fs.readFileSync(imagePath);
-  const [result] = await visionClient.textDetection({ image: { content: imageBuffer } });
+/**
+ * @swagger
+ * /api/scan/{guid}/confirm:
+ *   post:
+ *     summary: Create the certificate for a scan draft
+ *     description: |
+ *       Creates the certificate from the extracted fields with the given values applied, and attaches
+ *       the scanned file to it. Fields left out of the request keep their extracted values.
+ *     tags: [Scan]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: guid
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: Scan GUID returned by POST /api/scan
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScanConfirmRequest'
+ *     responses:
+ *       201:
+ *         description: Certificate created from the scan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CertificateResponse'
+ *       400:
+ *         description: Bad request - missing title or lcrTypeId
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       404:
+ *         description: Scan, LCR type or jurisdiction not found
+ *       409:
+ *         description: Scan has already been confirmed
+ *       500:
+ *         description: Server error
+ */
+router.post('/scan/:guid/confirm', authGuard, async (req, res) => {
+  try {
+    const certificate = await scanService.confirmScan(req.params.guid, req.user.userId, req.body || {});
+
+    await auditService.record(req, {
+      action: 'CERTIFICATE_CREATED',
+      targetType: 'Certificate',
+      targetId: certificate.id,
+      after: certificate,
+      details: { scan: req.params.guid }
+    });
 
-  if (result.error && result.error.message) {
-    throw new Error(`${result.error.message}\nSee: https://cloud.google.com/apis/design/errors`);
+    res.status(201).json(certificate);
+  } catch (error) {
+    if (error.message === 'Scan not found' || error.message === 'LCR Type not found' || error.message === 'Jurisdiction not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === 'Title is required' || error.message === 'lcrTypeId is required') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.message === 'Scan has already been confirmed') {
+      return res.status(409).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Database error', error: error.message });
   }
+});
 
-  const annotations = result.textAnnotations;
-  if (!annotations || annotations.length === 0) return '';
+/**
+ * @swagger
+ * /api/scan/{guid}:
+ *   delete:
+ *     summary: Discard a scan draft
+ *     description: Deletes the draft and its stored file
+ *     tags: [Scan]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: guid
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: Scan GUID returned by POST /api/scan
+ *     responses:
+ *       200:
+ *         description: Scan draft discarded
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       404:
+ *         description: Scan not found or expired
+ *       409:
+ *         description: Scan has already been confirmed
+ *       500:
+ *         description: Server error
+ */
+router.delete('/scan/:guid', authGuard, async (req, res) => {
+  try {
+    await scanService.deleteScan(req.params.guid, req.user.userId);
+    res.json({ message: 'Scan discarded successfully' });
+  } catch (error) {
+    if (error.message === 'Scan not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === 'Scan has already been confirmed') {
+      return res.status(409).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Database error', error: error.message });
+  }
+});
 
-  return annotations[0].description || '';
+// Extract text from each page of the document, merged in page order
+async function analyzeDocument(filePath, mimeType) {
+  const content = fs.readFileSync(filePath);
+  return extractDocumentText(content, mimeType);
 }
 
-// Use OpenAI to extract structured info from the text
+// Use the configured extraction provider to extract structured info from the text
 async function extractDocumentInfo(text) {
-  const systemPrompt =
-    `You are a helpful assistant that extracts specific fields from certificate text. ` +
-    `Please extract the following fields if they exist:\n` +
-    `1) Document ID\n2) Title\n3) Description\n4) To whom it's issued (Issued To)\n` +
-    `5) Issuing Authority\n6) Issued Date\n7) Expiry Date\n8) Renewal Frequency\n\n` +
-    `Return your answer as valid JSON with these keys:\n` +
-    `document_id, title, description, issued_to, issuing_authority, ` +
-    `issued_date, expiry_date, renewal_frequency.\n` +
-    `If a field is not found, return its value as null.`;
-
-  const userPrompt = `Here is the certificate text:\n\n${text}\n\n`;
-
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      temperature: 0,
-    });
-
-    let content = response.choices[0].message.content || '';
-    content = content.replace('```json', '').replace('```', '').trim();
-
-    return JSON.parse(content);
+    return await getExtractionProvider().extractFields(text);
   } catch (e) {
-    console.error(`Error calling OpenAI API: ${e}`);
+    console.error(`Error extracting document info: ${e}`);
     return {
       document_id: 'Error processing',
       title: 'Error processing',
@@ -14,18 +14,148 @@ console.log(`Loading configuration for environment: .env.${env}`);
 console.log(`Loading configuration for environment: ${env}`);
 console.log(file.parsed.DB_HOST);
 
+/**
+ * Read the OpenID Connect providers listed in OIDC_PROVIDERS. Each provider ID is
+ * configured with OIDC_<ID>_ISSUER, _CLIENT_ID, _CLIENT_SECRET, _REDIRECT_URI, _NAME and _SCOPES.
+ * The ID is stored on the user's credential, so it must not change once people sign in with it.
+ * @returns {Object} - Provider settings by ID
+ */
+const readOidcProviders = () => (process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean)
+  .reduce((providers, id) => {
+    const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    providers[id] = {
+      id,
+      name: process.env[`${prefix}NAME`] || id,
+      issuer: process.env[`${prefix}ISSUER`],
+      clientId: process.env[`${prefix}CLIENT_ID`],
+      // Leave empty for public clients, which rely on PKCE alone
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+      redirectUri: process.env[`${prefix}REDIRECT_URI`],
+      scopes: process.env[`${prefix}SCOPES`] || 'openid email profile'
+    };
+    return providers;
+  }, {});
+
 // Default configuration for all environments
 const defaultConfig = {
   server: {
     port: process.env.PORT || 3000,
-    host: process.env.HOST || 'localhost'
+    host: process.env.HOST || 'localhost',
+    // Proxy hops trusted to report the client IP address in X-Forwarded-For.
+    // Set to 1 behind IIS with iisnode enableXFF, so login throttling sees real client addresses.
+    trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '')
+      ? parseInt(process.env.TRUST_PROXY, 10)
+      : process.env.TRUST_PROXY || false
   },
   cors: {
     origin: process.env.CORS_ORIGIN || '*'
   },
   jwt: {
     secret: process.env.JWT_SECRET || 'default-dev-secret',
-    expiresIn: process.env.JWT_EXPIRES_IN || '1h'
+    expiresIn: process.env.JWT_EXPIRES_IN || '1h',
+    // How long a session can go without refreshing before the user has to sign in again
+    refreshExpiresInDays: parseInt(process.env.JWT_REFRESH_EXPIRES_IN_DAYS || '30', 10)
+  },
+  oidc: {
+    providers: readOidcProviders(),
+    // How long the user has to finish signing in at the provider
+    loginTimeoutMinutes: parseInt(process.env.OIDC_LOGIN_TIMEOUT_MINUTES || '10', 10)
+  },
+  mfa: {
+    // Account issuer shown in authenticator apps
+    issuer: process.env.MFA_ISSUER || 'Compliance MAIT',
+    // Key for encrypting TOTP secrets at rest; derived from JWT_SECRET when not set
+    encryptionKey: process.env.MFA_ENCRYPTION_KEY,
+    recoveryCodeCount: parseInt(process.env.MFA_RECOVERY_CODE_COUNT || '10', 10),
+    // How long the user has to enter a code after their password
+    challengeExpiresIn: process.env.MFA_CHALLENGE_EXPIRES_IN || '5m'
+  },
+  throttle: {
+    // Where attempt counters are kept: memory (single instance) or database (shared between instances)
+    store: process.env.THROTTLE_STORE || 'memory',
+    // Attempts are counted over windows of this length
+    windowMinutes: parseInt(process.env.THROTTLE_WINDOW_MINUTES || '15', 10),
+    // Failed logins from one IP address before it has to wait for the window to end
+    maxLoginFailuresPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP || '50', 10),
+    // Failed logins for one login name before its credential is locked
+    lockoutThreshold: parseInt(process.env.LOCKOUT_THRESHOLD || '5', 10),
+    lockoutMinutes: parseInt(process.env.LOCKOUT_MINUTES || '30', 10),
+    // Password reset requests per IP address and per email address in a window
+    maxResetRequests: parseInt(process.env.RESET_MAX_REQUESTS || '5', 10),
+    // Failed invite acceptances from one IP address in a window
+    maxInviteFailures: parseInt(process.env.INVITE_MAX_FAILURES || '10', 10),
+    // Verification and email change emails per user in a window
+    maxVerificationEmails: parseInt(process.env.EMAIL_VERIFICATION_MAX_EMAILS || '5', 10)
+  },
+  credentials: {
+    // How long a re-authentication allows adding, renaming or removing sign-in methods
+    reauthExpiresIn: process.env.REAUTH_EXPIRES_IN || '5m',
+    // Notification type of the alerts sent when a sign-in method is added or removed
+    notificationTypeId: parseInt(process.env.CREDENTIAL_NOTIFICATION_TYPE_ID) || 1
+  },
+  emailVerification: {
+    // How long a link confirming an email address works
+    tokenExpiresInHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_IN_HOURS || '24', 10)
+  },
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10),
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE === 'true',
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE === 'true',
+    requireDigit: process.env.PASSWORD_REQUIRE_DIGIT === 'true',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    // Reject passwords found in a list of common and breached passwords, one per line
+    rejectCommon: process.env.PASSWORD_REJECT_COMMON !== 'false',
+    commonPasswordsFile: process.env.PASSWORD_COMMON_LIST || path.resolve(__dirname, 'common-passwords.txt'),
+    // Previous passwords of a credential that cannot be used again (0 allows reuse)
+    historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT || '5', 10),
+    // Days after which a password expires and has to be reset (0 = never)
+    maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS || '0', 10)
+  },
+  reminders: {
+    enabled: process.env.REMINDERS_ENABLED !== 'false',
+    // Days before expiry at which a reminder is sent (0 = on the expiry day)
+    offsets: (process.env.REMINDER_OFFSETS || '90,30,7,0')
+      .split(',')
+      .map(offset => parseInt(offset, 10))
+      .filter(offset => !isNaN(offset) && offset >= 0),
+    runHour: parseInt(process.env.REMINDER_RUN_HOUR || '6', 10),
+    notificationTypeId: parseInt(process.env.REMINDER_NOTIFICATION_TYPE_ID) || 1
+  },
+  scan: {
+    // Text recognition: google-vision, openai, tesseract or fake
+    ocrProvider: process.env.SCAN_OCR_PROVIDER || (env === 'test' ? 'fake' : 'google-vision'),
+    // Field extraction from the recognised text: openai or fake
+    extractionProvider: process.env.SCAN_EXTRACTION_PROVIDER || (env === 'test' ? 'fake' : 'openai'),
+    googleVisionApiKey: process.env.GOOGLE_VISION_API_KEY,
+    openaiApiKey: process.env.OPENAI_API_KEY,
+    openaiModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    tesseractPath: process.env.TESSERACT_PATH || 'tesseract',
+    tesseractLanguage: process.env.TESSERACT_LANG || 'eng',
+    // Longest PDF accepted for scanning, since pages without a text layer are sent for OCR one by one
+    maxPdfPages: parseInt(process.env.SCAN_MAX_PDF_PAGES || '20', 10),
+    // Days an unconfirmed scan draft is kept before it and its file are removed (0 keeps drafts forever)
+    draftExpiryDays: parseInt(process.env.SCAN_DRAFT_EXPIRY_DAYS || '30', 10)
+  },
+  storage: {
+    // Where file and avatar content is kept: local or s3
+    driver: process.env.STORAGE_DRIVER || 'local',
+    localPath: process.env.STORAGE_LOCAL_PATH || path.resolve(__dirname, '..', 'storage'),
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      // Set for S3-compatible services such as MinIO, e.g. http://localhost:9000
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    }
+  },
+  audit: {
+    // Most audit events a single CSV export returns; narrow the filters for more
+    exportMaxRows: parseInt(process.env.AUDIT_EXPORT_MAX_ROWS || '10000', 10)
   }
 };
 
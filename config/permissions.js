@@ -0,0 +1,266 @@
+/**
+ * Who may call each route. Every route of a mounted router needs an entry here, keyed by
+ * the path the router is mounted at and then by "METHOD /route-path" exactly as the router
+ * declares it; the server refuses to start otherwise.
+ *
+ * A policy is one of:
+ * - PUBLIC: no access token needed (routes that authenticate the caller themselves are public too)
+ * - AUTHENTICATED: any signed-in user; the route decides which records they may see, e.g. with ownerGuard
+ * - permission(feature, action): the user's role must hold the permission linking that
+ *   Feature to that PermissionAction
+ */
+
+// Codes of the rows in the Features table
+const FEATURES = {
+  PROFILES: 'PROFILES',
+  USERS: 'USERS',
+  ROLES: 'ROLES',
+  CERTIFICATES: 'CERTIFICATES',
+  CONNECTIONS: 'CONNECTIONS',
+  NOTIFICATIONS: 'NOTIFICATIONS',
+  COUNTRIES: 'COUNTRIES',
+  STATES: 'STATES',
+  JURISDICTIONS: 'JURISDICTIONS',
+  LCR_TYPES: 'LCR_TYPES',
+  AUDIT: 'AUDIT',
+  REQUIREMENTS: 'REQUIREMENTS',
+  JOB_ROLES: 'JOB_ROLES'
+};
+
+// Codes of the rows in the PermissionActions table
+const ACTIONS = {
+  LIST: 'LIST',
+  READ: 'READ',
+  CREATE: 'CREATE',
+  UPDATE: 'UPDATE',
+  DELETE: 'DELETE',
+  ASSIGN: 'ASSIGN',
+  MANAGE: 'MANAGE'
+};
+
+const PUBLIC = Object.freeze({ type: 'public' });
+const AUTHENTICATED = Object.freeze({ type: 'authenticated' });
+
+/**
+ * Policy requiring a permission
+ * @param {string} feature - Feature code
+ * @param {string} action - PermissionAction code
+ * @param {Object} [options] - Options
+ * @param {string} [options.self] - Route parameter holding a user ID; users may call the
+ *   route for their own ID without the permission
+ * @returns {Object} - The policy
+ */
+const permission = (feature, action, { self } = {}) => Object.freeze({
+  type: 'permission',
+  feature,
+  action,
+  self
+});
+
+const ROUTE_POLICIES = {
+  '/api/auth': {
+    'POST /login': PUBLIC,
+    'POST /register': PUBLIC,
+    'GET /oidc/providers': PUBLIC,
+    'GET /oidc/:provider/authorize': PUBLIC,
+    'POST /oidc/:provider/callback': PUBLIC,
+    'POST /refresh': PUBLIC,
+    'POST /logout': AUTHENTICATED,
+    'GET /sessions': AUTHENTICATED,
+    'DELETE /sessions': AUTHENTICATED,
+    'DELETE /sessions/:id': AUTHENTICATED,
+    'POST /mfa/verify': PUBLIC,
+    'GET /mfa': AUTHENTICATED,
+    // Also reachable with the mfaToken of a user who has to enrol before signing in
+    'POST /mfa/totp/setup': PUBLIC,
+    'POST /mfa/totp/activate': PUBLIC,
+    'DELETE /mfa/totp': AUTHENTICATED,
+    'POST /mfa/recovery-codes': AUTHENTICATED,
+    'GET /password-policy': PUBLIC,
+    'POST /change-password': AUTHENTICATED,
+    'POST /reset-password-request': PUBLIC,
+    'POST /reset-password-confirm': PUBLIC,
+    'POST /unlock': PUBLIC,
+    'POST /email/verification': AUTHENTICATED,
+    'POST /email/verification/confirm': PUBLIC,
+    'POST /email/change': AUTHENTICATED,
+    'GET /lockouts': permission(FEATURES.USERS, ACTIONS.MANAGE),
+    'DELETE /lockouts/:credentialId': permission(FEATURES.USERS, ACTIONS.MANAGE),
+    'GET /me': AUTHENTICATED,
+    'POST /reauthenticate': AUTHENTICATED,
+    'POST /reauthenticate/oidc/:provider/authorize': AUTHENTICATED,
+    'POST /reauthenticate/oidc/:provider/callback': AUTHENTICATED,
+    'GET /credentials': AUTHENTICATED,
+    'POST /credentials/password': AUTHENTICATED,
+    'POST /credentials/openid/:provider/authorize': AUTHENTICATED,
+    'POST /credentials/openid/:provider/callback': AUTHENTICATED,
+    'PUT /credentials/:id/login-name': AUTHENTICATED,
+    'DELETE /credentials/:id': AUTHENTICATED
+  },
+  '/api/profiles': {
+    'GET /': permission(FEATURES.PROFILES, ACTIONS.LIST),
+    'GET /me': AUTHENTICATED,
+    'GET /me/compliance': AUTHENTICATED,
+    'GET /:email': AUTHENTICATED,
+    'POST /': permission(FEATURES.PROFILES, ACTIONS.CREATE),
+    'PUT /:email': AUTHENTICATED,
+    'GET /me/avatar': AUTHENTICATED,
+    'POST /me/avatar': AUTHENTICATED,
+    'DELETE /me/avatar': AUTHENTICATED
+  },
+  '/api/certificates': {
+    'GET /': AUTHENTICATED,
+    'GET /active': AUTHENTICATED,
+    'GET /:id': AUTHENTICATED,
+    'POST /': AUTHENTICATED,
+    'PUT /:id': AUTHENTICATED,
+    'DELETE /:id': AUTHENTICATED,
+    'GET /:id/files': AUTHENTICATED,
+    'PUT /:id/files': AUTHENTICATED,
+    'DELETE /:id/files/:fileId': AUTHENTICATED,
+    'POST /:id/renew': AUTHENTICATED,
+    'GET /:id/history': AUTHENTICATED
+  },
+  '/api/connections': {
+    'GET /': AUTHENTICATED,
+    'GET /:id': AUTHENTICATED,
+    'GET /user/:userId': permission(FEATURES.CONNECTIONS, ACTIONS.READ, { self: 'userId' }),
+    'GET /:id/certificates': AUTHENTICATED,
+    'GET /:id/certificates/:certificateId': AUTHENTICATED,
+    'GET /:id/certificates/:certificateId/history': AUTHENTICATED,
+    'POST /': AUTHENTICATED,
+    'PUT /:id': AUTHENTICATED,
+    'DELETE /:id': AUTHENTICATED
+  },
+  '/api/jurisdictions': {
+    'GET /': AUTHENTICATED,
+    'GET /:id': AUTHENTICATED,
+    'GET /country/:countryId': AUTHENTICATED,
+    'GET /state/:stateId': AUTHENTICATED,
+    'POST /': permission(FEATURES.JURISDICTIONS, ACTIONS.CREATE),
+    'PUT /:id': permission(FEATURES.JURISDICTIONS, ACTIONS.UPDATE),
+    'DELETE /:id': permission(FEATURES.JURISDICTIONS, ACTIONS.DELETE)
+  },
+  // Countries and states fill in address forms before the user has an account
+  '/api/countries': {
+    'GET /': PUBLIC,
+    'GET /:countryCode': PUBLIC,
+    'GET /search/:term': PUBLIC,
+    'POST /': permission(FEATURES.COUNTRIES, ACTIONS.CREATE),
+    'PUT /:countryCode': permission(FEATURES.COUNTRIES, ACTIONS.UPDATE),
+    'DELETE /:countryCode': permission(FEATURES.COUNTRIES, ACTIONS.DELETE)
+  },
+  '/api/states': {
+    'GET /': PUBLIC,
+    'GET /:id': PUBLIC,
+    'GET /country/:countryCode': PUBLIC,
+    'GET /search/:term': PUBLIC,
+    'POST /': permission(FEATURES.STATES, ACTIONS.CREATE),
+    'PUT /:id': permission(FEATURES.STATES, ACTIONS.UPDATE),
+    'DELETE /:id': permission(FEATURES.STATES, ACTIONS.DELETE)
+  },
+  '/api/notifications': {
+    'GET /': AUTHENTICATED,
+    'GET /:id': AUTHENTICATED,
+    'GET /user/:userId': permission(FEATURES.NOTIFICATIONS, ACTIONS.READ, { self: 'userId' }),
+    'GET /unread/:userId': permission(FEATURES.NOTIFICATIONS, ACTIONS.READ, { self: 'userId' }),
+    'POST /': permission(FEATURES.NOTIFICATIONS, ACTIONS.CREATE),
+    'PUT /:id': AUTHENTICATED,
+    'PATCH /:id/read': AUTHENTICATED,
+    // The id of this route is a user ID
+    'PATCH /:id/all-read': permission(FEATURES.NOTIFICATIONS, ACTIONS.UPDATE, { self: 'id' }),
+    'DELETE /:id': AUTHENTICATED
+  },
+  '/api/admin/users': {
+    'GET /': permission(FEATURES.USERS, ACTIONS.LIST),
+    'GET /:id': permission(FEATURES.USERS, ACTIONS.READ),
+    'POST /': permission(FEATURES.USERS, ACTIONS.CREATE),
+    'PUT /:id': permission(FEATURES.USERS, ACTIONS.UPDATE),
+    'POST /:id/activate': permission(FEATURES.USERS, ACTIONS.UPDATE),
+    'POST /:id/deactivate': permission(FEATURES.USERS, ACTIONS.UPDATE),
+    'PUT /:id/role': permission(FEATURES.ROLES, ACTIONS.ASSIGN),
+    'POST /:id/expire-password': permission(FEATURES.USERS, ACTIONS.MANAGE),
+    'DELETE /:id': permission(FEATURES.USERS, ACTIONS.DELETE)
+  },
+  '/api/roles': {
+    'GET /': AUTHENTICATED,
+    'GET /:id': AUTHENTICATED,
+    'POST /': permission(FEATURES.ROLES, ACTIONS.MANAGE),
+    'PUT /:id': permission(FEATURES.ROLES, ACTIONS.MANAGE),
+    'DELETE /:id': permission(FEATURES.ROLES, ACTIONS.MANAGE),
+    'GET /:id/permissions': AUTHENTICATED,
+    'POST /:id/permissions': permission(FEATURES.ROLES, ACTIONS.MANAGE),
+    'PUT /:id/permissions': permission(FEATURES.ROLES, ACTIONS.MANAGE),
+    'POST /:id/permissions/preview': permission(FEATURES.ROLES, ACTIONS.MANAGE),
+    'DELETE /:id/permissions/:permissionId': permission(FEATURES.ROLES, ACTIONS.MANAGE),
+    'GET /permissions/all': AUTHENTICATED,
+    'GET /permissions/catalogue': AUTHENTICATED
+  },
+  '/api/invites': {
+    'POST /': AUTHENTICATED,
+    'GET /:guid': PUBLIC,
+    'POST /accept': PUBLIC
+  },
+  '/api/lcrtypes': {
+    'GET /': AUTHENTICATED,
+    'GET /:id': AUTHENTICATED,
+    'POST /': permission(FEATURES.LCR_TYPES, ACTIONS.CREATE),
+    'PUT /:id': permission(FEATURES.LCR_TYPES, ACTIONS.UPDATE),
+    'DELETE /:id': permission(FEATURES.LCR_TYPES, ACTIONS.DELETE)
+  },
+  '/api/jobroles': {
+    'GET /': AUTHENTICATED,
+    'GET /:id': AUTHENTICATED,
+    'POST /': permission(FEATURES.JOB_ROLES, ACTIONS.CREATE),
+    'PUT /:id': permission(FEATURES.JOB_ROLES, ACTIONS.UPDATE),
+    'DELETE /:id': permission(FEATURES.JOB_ROLES, ACTIONS.DELETE)
+  },
+  '/api/requirements': {
+    'GET /': AUTHENTICATED,
+    'GET /:id': AUTHENTICATED,
+    'POST /': permission(FEATURES.REQUIREMENTS, ACTIONS.CREATE),
+    'PUT /:id': permission(FEATURES.REQUIREMENTS, ACTIONS.UPDATE),
+    'DELETE /:id': permission(FEATURES.REQUIREMENTS, ACTIONS.DELETE)
+  },
+  '/api': {
+    'POST /scan': AUTHENTICATED,
+    'GET /scan/review': AUTHENTICATED,
+    'GET /scan/:guid': AUTHENTICATED,
+    'POST /scan/:guid/confirm': AUTHENTICATED,
+    'DELETE /scan/:guid': AUTHENTICATED
+  },
+  '/api/files': {
+    'GET /:id': AUTHENTICATED,
+    'POST /': AUTHENTICATED,
+    'GET /thumbnail/:id': AUTHENTICATED,
+    'DELETE /:id': AUTHENTICATED,
+    'DELETE /': AUTHENTICATED
+  },
+  '/api/audit': {
+    'GET /': permission(FEATURES.AUDIT, ACTIONS.LIST),
+    'GET /export': permission(FEATURES.AUDIT, ACTIONS.LIST)
+  },
+  // Organisation roles (owner, admin, member) are checked by OrganisationService
+  '/api/organisations': {
+    'GET /': AUTHENTICATED,
+    'POST /': AUTHENTICATED,
+    'GET /:id': AUTHENTICATED,
+    'PUT /:id': AUTHENTICATED,
+    'DELETE /:id': AUTHENTICATED,
+    'GET /:id/members': AUTHENTICATED,
+    'POST /:id/members': AUTHENTICATED,
+    'PUT /:id/members/:userId': AUTHENTICATED,
+    'DELETE /:id/members/:userId': AUTHENTICATED,
+    'GET /:id/connections': AUTHENTICATED,
+    'POST /:id/connections': AUTHENTICATED
+  }
+};
+
+module.exports = {
+  FEATURES,
+  ACTIONS,
+  PUBLIC,
+  AUTHENTICATED,
+  permission,
+  ROUTE_POLICIES
+};
@@ -0,0 +1,27 @@
+-- Permissions of the admin user management API at /api/admin/users
+INSERT INTO "PermissionActions" ("Code", "Description") VALUES
+    ('ASSIGN', 'Assign records to users')
+ON CONFLICT ("Code") DO NOTHING;
+
+INSERT INTO "Permissions" ("ObjectGUID", "Code", "FeatureID", "PermissionActionID")
+SELECT gen_random_uuid(), p."Code", f."ID", a."ID"
+FROM (VALUES
+    ('LIST_USERS', 'USERS', 'LIST'),
+    ('READ_USERS', 'USERS', 'READ'),
+    ('CREATE_USERS', 'USERS', 'CREATE'),
+    ('UPDATE_USERS', 'USERS', 'UPDATE'),
+    ('DELETE_USERS', 'USERS', 'DELETE'),
+    ('ASSIGN_ROLES', 'ROLES', 'ASSIGN')
+) AS p ("Code", "Feature", "Action")
+JOIN "Features" f ON f."Code" = p."Feature"
+JOIN "PermissionActions" a ON a."Code" = p."Action"
+ON CONFLICT ("Code") DO NOTHING;
+
+-- Roles that already manage users get the whole API
+INSERT INTO "RolePermissions" ("RoleID", "PermissionID")
+SELECT rp."RoleID", p."ID"
+FROM "RolePermissions" rp
+JOIN "Permissions" manage ON manage."ID" = rp."PermissionID" AND manage."Code" = 'MANAGE_USERS'
+CROSS JOIN "Permissions" p
+WHERE p."Code" IN ('LIST_USERS', 'READ_USERS', 'CREATE_USERS', 'UPDATE_USERS', 'DELETE_USERS', 'ASSIGN_ROLES')
+ON CONFLICT DO NOTHING;
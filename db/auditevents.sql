@@ -0,0 +1,70 @@
+-- Create AuditEvents table
+CREATE TABLE "AuditEvents" (
+    "ID" BIGSERIAL PRIMARY KEY,
+    "ActorUserID" INTEGER REFERENCES "Users" ("ID"),
+    "Action" VARCHAR(100) NOT NULL,
+    "TargetType" VARCHAR(50),
+    "TargetID" VARCHAR(100),
+    "Changes" JSONB,
+    "Details" JSONB,
+    "IPAddress" VARCHAR(45),
+    "UserAgent" VARCHAR(500),
+    "CreatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX "AuditEvents_createdAt_idx" ON "AuditEvents" ("CreatedAt");
+CREATE INDEX "AuditEvents_actorUserId_idx" ON "AuditEvents" ("ActorUserID", "CreatedAt");
+CREATE INDEX "AuditEvents_target_idx" ON "AuditEvents" ("TargetType", "TargetID", "CreatedAt");
+CREATE INDEX "AuditEvents_action_idx" ON "AuditEvents" ("Action", "CreatedAt");
+
+-- Events are only ever added; refuse changes so the log can be relied on in compliance reviews
+CREATE OR REPLACE FUNCTION "AuditEvents_append_only"() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'AuditEvents is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "AuditEvents_no_update_or_delete"
+    BEFORE UPDATE OR DELETE ON "AuditEvents"
+    FOR EACH ROW EXECUTE FUNCTION "AuditEvents_append_only"();
+
+CREATE TRIGGER "AuditEvents_no_truncate"
+    BEFORE TRUNCATE ON "AuditEvents"
+    FOR EACH STATEMENT EXECUTE FUNCTION "AuditEvents_append_only"();
+
+-- Add comment for the table
+COMMENT ON TABLE "AuditEvents" IS 'Append-only record of security and compliance events';
+
+-- Add comments for columns
+COMMENT ON COLUMN "AuditEvents"."ID" IS 'Primary key';
+COMMENT ON COLUMN "AuditEvents"."ActorUserID" IS 'User who did it; empty for anonymous requests such as failed sign-ins';
+COMMENT ON COLUMN "AuditEvents"."Action" IS 'What happened, e.g. CERTIFICATE_UPDATED';
+COMMENT ON COLUMN "AuditEvents"."TargetType" IS 'Kind of record acted on, e.g. Certificate';
+COMMENT ON COLUMN "AuditEvents"."TargetID" IS 'ID of the record acted on';
+COMMENT ON COLUMN "AuditEvents"."Changes" IS 'Changed fields as {"field": {"before": ..., "after": ...}}';
+COMMENT ON COLUMN "AuditEvents"."Details" IS 'Other facts about the event, e.g. the login name of a failed sign-in';
+COMMENT ON COLUMN "AuditEvents"."IPAddress" IS 'IP address the request came from';
+COMMENT ON COLUMN "AuditEvents"."UserAgent" IS 'User agent the request came from';
+COMMENT ON COLUMN "AuditEvents"."CreatedAt" IS 'When it happened';
+
+-- Feature and permission for reading the audit log
+INSERT INTO "Features" ("Code", "Description") VALUES
+    ('AUDIT', 'Audit log of security and compliance events')
+ON CONFLICT ("Code") DO NOTHING;
+
+INSERT INTO "Permissions" ("ObjectGUID", "Code", "FeatureID", "PermissionActionID")
+SELECT gen_random_uuid(), 'LIST_AUDIT', f."ID", a."ID"
+FROM "Features" f
+JOIN "PermissionActions" a ON a."Code" = 'LIST'
+WHERE f."Code" = 'AUDIT'
+ON CONFLICT ("Code") DO NOTHING;
+
+-- Roles that manage roles can review what was done with them
+INSERT INTO "RolePermissions" ("RoleID", "PermissionID")
+SELECT rp."RoleID", p."ID"
+FROM "RolePermissions" rp
+JOIN "Permissions" manage ON manage."ID" = rp."PermissionID" AND manage."Code" = 'MANAGE_ROLES'
+CROSS JOIN "Permissions" p
+WHERE p."Code" = 'LIST_AUDIT'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,21 @@
+-- Order and label the files attached to a certificate
+ALTER TABLE "CertificateFiles" ADD COLUMN IF NOT EXISTS "Label" VARCHAR(20);
+ALTER TABLE "CertificateFiles" ADD COLUMN IF NOT EXISTS "SortOrder" INTEGER NOT NULL DEFAULT 0;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'CertificateFiles_Label_check'
+    ) THEN
+        ALTER TABLE "CertificateFiles" ADD CONSTRAINT "CertificateFiles_Label_check"
+            CHECK ("Label" IN ('front', 'back', 'supporting'));
+    END IF;
+END $$;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS "CertificateFiles_certificateId_sortOrder_idx" ON "CertificateFiles" ("CertificateID", "SortOrder");
+
+-- Add comments for columns
+COMMENT ON COLUMN "CertificateFiles"."Label" IS 'front, back or supporting';
+COMMENT ON COLUMN "CertificateFiles"."SortOrder" IS 'Position of the file within the certificate, lowest first';
+COMMENT ON COLUMN "CertificateFiles"."IsDeleted" IS 'Set when the file is detached from the certificate';
@@ -0,0 +1,22 @@
+-- Create CertificateReminders table
+CREATE TABLE "CertificateReminders" (
+    "ID" SERIAL PRIMARY KEY,
+    "CertificateID" INTEGER NOT NULL REFERENCES "Certificates" ("ID"),
+    "OffsetDays" INTEGER NOT NULL,
+    "ExpiryDate" DATE NOT NULL,
+    "SentOn" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    CONSTRAINT "CertificateReminders_unique" UNIQUE ("CertificateID", "OffsetDays", "ExpiryDate")
+);
+
+-- Create indexes
+CREATE INDEX "CertificateReminders_certificateId_idx" ON "CertificateReminders" ("CertificateID");
+
+-- Add comment for the table
+COMMENT ON TABLE "CertificateReminders" IS 'Expiry reminders already sent for a certificate';
+
+-- Add comments for columns
+COMMENT ON COLUMN "CertificateReminders"."ID" IS 'Primary key';
+COMMENT ON COLUMN "CertificateReminders"."CertificateID" IS 'Certificate the reminder was sent for';
+COMMENT ON COLUMN "CertificateReminders"."OffsetDays" IS 'Reminder offset in days before expiry (0 = on the expiry day)';
+COMMENT ON COLUMN "CertificateReminders"."ExpiryDate" IS 'Expiry date the reminder refers to, so a renewed date gets fresh reminders';
+COMMENT ON COLUMN "CertificateReminders"."SentOn" IS 'When the reminder was sent';
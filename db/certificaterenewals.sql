@@ -0,0 +1,10 @@
+-- Link renewed certificates to the certificate they replace
+ALTER TABLE "Certificates" ADD COLUMN IF NOT EXISTS "PreviousCertificateID" INTEGER REFERENCES "Certificates" ("ID");
+ALTER TABLE "Certificates" ADD COLUMN IF NOT EXISTS "SupersededOn" TIMESTAMP WITH TIME ZONE;
+
+-- A certificate can only be renewed once
+CREATE UNIQUE INDEX IF NOT EXISTS "Certificates_previousCertificateId_key" ON "Certificates" ("PreviousCertificateID");
+
+-- Add comments for columns
+COMMENT ON COLUMN "Certificates"."PreviousCertificateID" IS 'Certificate this one renewed';
+COMMENT ON COLUMN "Certificates"."SupersededOn" IS 'When the certificate was replaced by its renewal; null for the current certificate';
@@ -0,0 +1,74 @@
+-- Create JobRoles table
+CREATE TABLE "JobRoles" (
+    "ID" SERIAL PRIMARY KEY,
+    "Name" VARCHAR(255) NOT NULL UNIQUE
+);
+
+-- The job a worker does, which decides the licences they need
+ALTER TABLE "Users" ADD COLUMN IF NOT EXISTS "JobRoleID" INTEGER REFERENCES "JobRoles" ("ID") ON DELETE SET NULL;
+
+-- Create ComplianceRequirements table
+CREATE TABLE "ComplianceRequirements" (
+    "ID" SERIAL PRIMARY KEY,
+    "JurisdictionID" INTEGER NOT NULL REFERENCES "Jurisdictions" ("ID") ON DELETE CASCADE,
+    "JobRoleID" INTEGER REFERENCES "JobRoles" ("ID") ON DELETE CASCADE,
+    "LcrTypeID" INTEGER NOT NULL REFERENCES "LcrTypes" ("ID") ON DELETE CASCADE,
+    "Note" TEXT,
+    "CreatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    "UpdatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE UNIQUE INDEX "ComplianceRequirements_unique_idx"
+    ON "ComplianceRequirements" ("JurisdictionID", COALESCE("JobRoleID", 0), "LcrTypeID");
+CREATE INDEX "ComplianceRequirements_jobRoleId_idx" ON "ComplianceRequirements" ("JobRoleID");
+
+-- Add comments for the tables
+COMMENT ON TABLE "JobRoles" IS 'Jobs workers do, e.g. Electrician';
+COMMENT ON TABLE "ComplianceRequirements" IS 'LCR types a worker needs to hold to work in a jurisdiction in a job role';
+
+-- Add comments for columns
+COMMENT ON COLUMN "JobRoles"."ID" IS 'Primary key';
+COMMENT ON COLUMN "JobRoles"."Name" IS 'Name of the job role';
+
+COMMENT ON COLUMN "Users"."JobRoleID" IS 'The job the user does; null when not set';
+
+COMMENT ON COLUMN "ComplianceRequirements"."ID" IS 'Primary key';
+COMMENT ON COLUMN "ComplianceRequirements"."JurisdictionID" IS 'Jurisdiction the requirement applies in';
+COMMENT ON COLUMN "ComplianceRequirements"."JobRoleID" IS 'Job role the requirement applies to; null for everyone working in the jurisdiction';
+COMMENT ON COLUMN "ComplianceRequirements"."LcrTypeID" IS 'LCR type the worker needs to hold';
+COMMENT ON COLUMN "ComplianceRequirements"."Note" IS 'Optional note, e.g. the regulation behind the requirement';
+COMMENT ON COLUMN "ComplianceRequirements"."CreatedAt" IS 'When the requirement was created';
+COMMENT ON COLUMN "ComplianceRequirements"."UpdatedAt" IS 'When the requirement was last updated';
+
+-- Permissions of the requirement and job role APIs
+INSERT INTO "Features" ("Code", "Description") VALUES
+    ('REQUIREMENTS', 'Compliance requirements per jurisdiction and job role'),
+    ('JOB_ROLES', 'Job roles reference data')
+ON CONFLICT ("Code") DO NOTHING;
+
+INSERT INTO "Permissions" ("ObjectGUID", "Code", "FeatureID", "PermissionActionID")
+SELECT gen_random_uuid(), p."Code", f."ID", a."ID"
+FROM (VALUES
+    ('CREATE_REQUIREMENTS', 'REQUIREMENTS', 'CREATE'),
+    ('UPDATE_REQUIREMENTS', 'REQUIREMENTS', 'UPDATE'),
+    ('DELETE_REQUIREMENTS', 'REQUIREMENTS', 'DELETE'),
+    ('CREATE_JOB_ROLES', 'JOB_ROLES', 'CREATE'),
+    ('UPDATE_JOB_ROLES', 'JOB_ROLES', 'UPDATE'),
+    ('DELETE_JOB_ROLES', 'JOB_ROLES', 'DELETE')
+) AS p ("Code", "Feature", "Action")
+JOIN "Features" f ON f."Code" = p."Feature"
+JOIN "PermissionActions" a ON a."Code" = p."Action"
+ON CONFLICT ("Code") DO NOTHING;
+
+-- Roles that maintain the other reference data maintain requirements too
+INSERT INTO "RolePermissions" ("RoleID", "PermissionID")
+SELECT rp."RoleID", p."ID"
+FROM "RolePermissions" rp
+JOIN "Permissions" manage ON manage."ID" = rp."PermissionID" AND manage."Code" = 'MANAGE_ROLES'
+CROSS JOIN "Permissions" p
+WHERE p."Code" IN (
+    'CREATE_REQUIREMENTS', 'UPDATE_REQUIREMENTS', 'DELETE_REQUIREMENTS',
+    'CREATE_JOB_ROLES', 'UPDATE_JOB_ROLES', 'DELETE_JOB_ROLES'
+)
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,9 @@
+-- OpenID Connect round trips started by a signed-in user to link a provider or re-authenticate
+ALTER TABLE "OidcLoginRequests" ADD COLUMN IF NOT EXISTS "Intent" VARCHAR(20) NOT NULL DEFAULT 'login';
+ALTER TABLE "OidcLoginRequests" ADD COLUMN IF NOT EXISTS "UserID" INTEGER REFERENCES "Users" ("ID");
+
+ALTER TABLE "OidcLoginRequests" DROP CONSTRAINT IF EXISTS "OidcLoginRequests_Intent_check";
+ALTER TABLE "OidcLoginRequests" ADD CONSTRAINT "OidcLoginRequests_Intent_check" CHECK ("Intent" IN ('login', 'link', 'reauth'));
+
+COMMENT ON COLUMN "OidcLoginRequests"."Intent" IS 'login signs in; link adds the identity to the signed-in user; reauth confirms the signed-in user';
+COMMENT ON COLUMN "OidcLoginRequests"."UserID" IS 'Signed-in user who started a link or reauth; NULL for sign-ins';
@@ -0,0 +1,46 @@
+-- Email verification state of each user
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns WHERE table_name = 'Users' AND column_name = 'EmailVerified'
+    ) THEN
+        ALTER TABLE "Users" ADD COLUMN "EmailVerified" BOOLEAN NOT NULL DEFAULT FALSE;
+        ALTER TABLE "Users" ADD COLUMN IF NOT EXISTS "EmailVerifiedAt" TIMESTAMP WITH TIME ZONE;
+
+        -- Accounts created before verification existed keep working as before; only done when the column is added
+        UPDATE "Users" SET "EmailVerified" = TRUE, "EmailVerifiedAt" = NOW();
+    END IF;
+END $$;
+
+COMMENT ON COLUMN "Users"."EmailVerified" IS 'Whether the user has confirmed they receive email at their address';
+COMMENT ON COLUMN "Users"."EmailVerifiedAt" IS 'When the current email address was confirmed';
+
+-- Create EmailVerificationTokens table
+CREATE TABLE IF NOT EXISTS "EmailVerificationTokens" (
+    "ID" SERIAL PRIMARY KEY,
+    "UserID" INTEGER NOT NULL REFERENCES "Users" ("ID"),
+    "Email" VARCHAR(255) NOT NULL,
+    "Purpose" VARCHAR(20) NOT NULL CHECK ("Purpose" IN ('verify', 'change')),
+    "TokenHash" VARCHAR(64) NOT NULL UNIQUE,
+    "ExpiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "UsedAt" TIMESTAMP WITH TIME ZONE,
+    "RevokedAt" TIMESTAMP WITH TIME ZONE,
+    "CreatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS "EmailVerificationTokens_userId_idx" ON "EmailVerificationTokens" ("UserID");
+
+-- Add comment for the table
+COMMENT ON TABLE "EmailVerificationTokens" IS 'Links that confirm an email address; each works once, until it expires or is replaced';
+
+-- Add comments for columns
+COMMENT ON COLUMN "EmailVerificationTokens"."ID" IS 'Primary key';
+COMMENT ON COLUMN "EmailVerificationTokens"."UserID" IS 'User the address belongs to';
+COMMENT ON COLUMN "EmailVerificationTokens"."Email" IS 'Address the link was sent to';
+COMMENT ON COLUMN "EmailVerificationTokens"."Purpose" IS 'verify confirms the current address; change confirms a new address, which replaces the current one when confirmed';
+COMMENT ON COLUMN "EmailVerificationTokens"."TokenHash" IS 'SHA-256 of the token in the emailed link';
+COMMENT ON COLUMN "EmailVerificationTokens"."ExpiresAt" IS 'When the link stops working';
+COMMENT ON COLUMN "EmailVerificationTokens"."UsedAt" IS 'When the link was used';
+COMMENT ON COLUMN "EmailVerificationTokens"."RevokedAt" IS 'When the link was replaced by a newer one';
+COMMENT ON COLUMN "EmailVerificationTokens"."CreatedAt" IS 'When the link was sent';
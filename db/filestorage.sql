@@ -0,0 +1,12 @@
+-- Keep file and avatar content in the storage backend instead of the database
+ALTER TABLE "Files" ADD COLUMN IF NOT EXISTS "StorageKey" VARCHAR(500);
+ALTER TABLE "UserAvatars" ADD COLUMN IF NOT EXISTS "StorageKey" VARCHAR(500);
+
+-- Add comments for columns
+COMMENT ON COLUMN "Files"."StorageKey" IS 'Key of the content in the storage backend; Content is only used for rows not yet migrated';
+COMMENT ON COLUMN "UserAvatars"."StorageKey" IS 'Key of the content in the storage backend; Content is only used for rows not yet migrated';
+
+-- Once scripts/migrate-blobs-to-storage.js has run, the Content columns are empty
+-- and can be dropped:
+-- ALTER TABLE "Files" DROP COLUMN "Content";
+-- ALTER TABLE "UserAvatars" DROP COLUMN "Content";
@@ -0,0 +1,46 @@
+-- Allow TOTP credentials alongside password and OpenID ones
+ALTER TABLE "UserCredentials" DROP CONSTRAINT IF EXISTS "UserCredentials_AuthType_check";
+ALTER TABLE "UserCredentials" ADD CONSTRAINT "UserCredentials_AuthType_check"
+    CHECK ("AuthType" IN ('password', 'openid', 'totp'));
+
+ALTER TABLE "UserCredentials" DROP CONSTRAINT IF EXISTS "UserCredentials_check";
+ALTER TABLE "UserCredentials" ADD CONSTRAINT "UserCredentials_check" CHECK (
+    ("AuthType" = 'password' AND "PasswordHash" IS NOT NULL AND "OpenIDProvider" IS NULL)
+    OR ("AuthType" = 'openid' AND "OpenIDProvider" IS NOT NULL AND "PasswordHash" IS NULL)
+    OR ("AuthType" = 'totp' AND "PasswordHash" IS NULL AND "OpenIDProvider" IS NULL)
+);
+
+ALTER TABLE "UserCredentials" ADD COLUMN IF NOT EXISTS "TotpSecret" VARCHAR(255);
+ALTER TABLE "UserCredentials" ADD COLUMN IF NOT EXISTS "TotpVerifiedAt" TIMESTAMP WITH TIME ZONE;
+ALTER TABLE "UserCredentials" ADD COLUMN IF NOT EXISTS "TotpLastCounter" BIGINT;
+
+COMMENT ON COLUMN "UserCredentials"."TotpSecret" IS 'Encrypted TOTP shared secret';
+COMMENT ON COLUMN "UserCredentials"."TotpVerifiedAt" IS 'When the authenticator was confirmed with a first code; NULL while enrolment is pending';
+COMMENT ON COLUMN "UserCredentials"."TotpLastCounter" IS 'Time step of the last accepted code, so a code cannot be used twice';
+
+-- Let roles require MFA for their members
+ALTER TABLE "Roles" ADD COLUMN IF NOT EXISTS "RequireMFA" BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN "Roles"."RequireMFA" IS 'Whether members must use multi-factor authentication to sign in with a password';
+
+-- Create MfaRecoveryCodes table
+CREATE TABLE "MfaRecoveryCodes" (
+    "ID" SERIAL PRIMARY KEY,
+    "UserID" INTEGER NOT NULL REFERENCES "Users" ("ID"),
+    "CodeHash" VARCHAR(64) NOT NULL,
+    "UsedAt" TIMESTAMP WITH TIME ZONE,
+    "CreatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX "MfaRecoveryCodes_userId_idx" ON "MfaRecoveryCodes" ("UserID");
+
+-- Add comment for the table
+COMMENT ON TABLE "MfaRecoveryCodes" IS 'One-time codes for signing in without the authenticator';
+
+-- Add comments for columns
+COMMENT ON COLUMN "MfaRecoveryCodes"."ID" IS 'Primary key';
+COMMENT ON COLUMN "MfaRecoveryCodes"."UserID" IS 'User the code belongs to';
+COMMENT ON COLUMN "MfaRecoveryCodes"."CodeHash" IS 'SHA-256 of the normalised code';
+COMMENT ON COLUMN "MfaRecoveryCodes"."UsedAt" IS 'When the code was used; NULL while unused';
+COMMENT ON COLUMN "MfaRecoveryCodes"."CreatedAt" IS 'When the code was generated';
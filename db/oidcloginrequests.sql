@@ -0,0 +1,25 @@
+-- Create OidcLoginRequests table
+CREATE TABLE "OidcLoginRequests" (
+    "ID" SERIAL PRIMARY KEY,
+    "State" VARCHAR(64) NOT NULL UNIQUE,
+    "Provider" VARCHAR(100) NOT NULL,
+    "Nonce" VARCHAR(64) NOT NULL,
+    "CodeVerifier" VARCHAR(128) NOT NULL,
+    "ExpiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "CreatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX "OidcLoginRequests_expiresAt_idx" ON "OidcLoginRequests" ("ExpiresAt");
+
+-- Add comment for the table
+COMMENT ON TABLE "OidcLoginRequests" IS 'OpenID Connect sign-ins started but not yet completed';
+
+-- Add comments for columns
+COMMENT ON COLUMN "OidcLoginRequests"."ID" IS 'Primary key';
+COMMENT ON COLUMN "OidcLoginRequests"."State" IS 'State parameter sent to the provider and returned with the authorization code';
+COMMENT ON COLUMN "OidcLoginRequests"."Provider" IS 'ID of the configured identity provider';
+COMMENT ON COLUMN "OidcLoginRequests"."Nonce" IS 'Nonce the ID token must carry';
+COMMENT ON COLUMN "OidcLoginRequests"."CodeVerifier" IS 'PKCE code verifier sent when exchanging the authorization code';
+COMMENT ON COLUMN "OidcLoginRequests"."ExpiresAt" IS 'When the sign-in can no longer be completed';
+COMMENT ON COLUMN "OidcLoginRequests"."CreatedAt" IS 'When the sign-in was started';
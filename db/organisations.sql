@@ -0,0 +1,52 @@
+-- Create Organisations table
+CREATE TABLE "Organisations" (
+    "ID" SERIAL PRIMARY KEY,
+    "GUID" UUID NOT NULL UNIQUE DEFAULT gen_random_uuid(),
+    "Name" VARCHAR(200) NOT NULL,
+    "Description" TEXT,
+    "CreatedByUserID" INTEGER REFERENCES "Users" ("ID"),
+    "IsDeleted" BOOLEAN NOT NULL DEFAULT FALSE,
+    "CreatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    "UpdatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Create OrganisationMembers table
+CREATE TABLE "OrganisationMembers" (
+    "ID" SERIAL PRIMARY KEY,
+    "OrganisationID" INTEGER NOT NULL REFERENCES "Organisations" ("ID"),
+    "UserID" INTEGER NOT NULL REFERENCES "Users" ("ID"),
+    "Role" VARCHAR(20) NOT NULL CHECK ("Role" IN ('owner', 'admin', 'member')),
+    "CreatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    "UpdatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    UNIQUE ("OrganisationID", "UserID")
+);
+
+-- Connections between a worker and an organisation
+ALTER TABLE "Connections" ADD COLUMN IF NOT EXISTS "OrganisationID" INTEGER REFERENCES "Organisations" ("ID");
+
+-- Create indexes
+CREATE INDEX "OrganisationMembers_userId_idx" ON "OrganisationMembers" ("UserID");
+CREATE INDEX IF NOT EXISTS "Connections_organisationId_idx" ON "Connections" ("OrganisationID");
+
+-- Add comments for the tables
+COMMENT ON TABLE "Organisations" IS 'Employers and other groups whose members share connections with workers';
+COMMENT ON TABLE "OrganisationMembers" IS 'Users belonging to an organisation and their role in it';
+
+-- Add comments for columns
+COMMENT ON COLUMN "Organisations"."ID" IS 'Primary key';
+COMMENT ON COLUMN "Organisations"."GUID" IS 'Public identifier';
+COMMENT ON COLUMN "Organisations"."Name" IS 'Name shown to members and workers';
+COMMENT ON COLUMN "Organisations"."Description" IS 'Optional description';
+COMMENT ON COLUMN "Organisations"."CreatedByUserID" IS 'User who created the organisation';
+COMMENT ON COLUMN "Organisations"."IsDeleted" IS 'Soft delete flag';
+COMMENT ON COLUMN "Organisations"."CreatedAt" IS 'When the organisation was created';
+COMMENT ON COLUMN "Organisations"."UpdatedAt" IS 'When the record was last updated';
+
+COMMENT ON COLUMN "OrganisationMembers"."ID" IS 'Primary key';
+COMMENT ON COLUMN "OrganisationMembers"."OrganisationID" IS 'Organisation the user belongs to';
+COMMENT ON COLUMN "OrganisationMembers"."UserID" IS 'Member';
+COMMENT ON COLUMN "OrganisationMembers"."Role" IS 'owner: everything, including owners and deleting the organisation; admin: members and connections; member: sees shared certificates';
+COMMENT ON COLUMN "OrganisationMembers"."CreatedAt" IS 'When the user joined';
+COMMENT ON COLUMN "OrganisationMembers"."UpdatedAt" IS 'When the record was last updated';
+
+COMMENT ON COLUMN "Connections"."OrganisationID" IS 'Organisation on the other side of the connection; the worker is the recipient and the sender is the member who sent the request. Null for connections between two users.';
@@ -0,0 +1,32 @@
+-- Permissions that let a role act on other users' certificates, connections, notifications and profiles
+INSERT INTO "Features" ("Code", "Description") VALUES
+    ('CERTIFICATES', 'Certificates of any user'),
+    ('CONNECTIONS', 'Connections between any users')
+ON CONFLICT ("Code") DO NOTHING;
+
+INSERT INTO "Permissions" ("ObjectGUID", "Code", "FeatureID", "PermissionActionID")
+SELECT gen_random_uuid(), p."Code", f."ID", a."ID"
+FROM (VALUES
+    ('READ_PROFILES', 'PROFILES', 'READ'),
+    ('UPDATE_PROFILES', 'PROFILES', 'UPDATE'),
+    ('UPDATE_CERTIFICATES', 'CERTIFICATES', 'UPDATE'),
+    ('DELETE_CERTIFICATES', 'CERTIFICATES', 'DELETE'),
+    ('READ_CONNECTIONS', 'CONNECTIONS', 'READ'),
+    ('UPDATE_CONNECTIONS', 'CONNECTIONS', 'UPDATE'),
+    ('DELETE_CONNECTIONS', 'CONNECTIONS', 'DELETE'),
+    ('UPDATE_NOTIFICATIONS', 'NOTIFICATIONS', 'UPDATE'),
+    ('DELETE_NOTIFICATIONS', 'NOTIFICATIONS', 'DELETE')
+) AS p ("Code", "Feature", "Action")
+JOIN "Features" f ON f."Code" = p."Feature"
+JOIN "PermissionActions" a ON a."Code" = p."Action"
+ON CONFLICT ("Code") DO NOTHING;
+
+-- Role 1 is the default role of every new account, so it gets none of these. Roles that already
+-- manage users may reach other users' profiles; grant the rest through /api/roles/{id}/permissions.
+INSERT INTO "RolePermissions" ("RoleID", "PermissionID")
+SELECT rp."RoleID", p."ID"
+FROM "RolePermissions" rp
+JOIN "Permissions" manage ON manage."ID" = rp."PermissionID" AND manage."Code" = 'MANAGE_USERS'
+CROSS JOIN "Permissions" p
+WHERE p."Code" IN ('READ_PROFILES', 'UPDATE_PROFILES')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,19 @@
+-- Create PasswordHistory table
+CREATE TABLE "PasswordHistory" (
+    "ID" SERIAL PRIMARY KEY,
+    "CredentialID" INTEGER NOT NULL REFERENCES "UserCredentials" ("ID"),
+    "PasswordHash" VARCHAR(512) NOT NULL,
+    "CreatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX "PasswordHistory_credentialId_idx" ON "PasswordHistory" ("CredentialID", "CreatedAt");
+
+-- Add comment for the table
+COMMENT ON TABLE "PasswordHistory" IS 'Previous password hashes of each credential, so recent passwords are not reused';
+
+-- Add comments for columns
+COMMENT ON COLUMN "PasswordHistory"."ID" IS 'Primary key';
+COMMENT ON COLUMN "PasswordHistory"."CredentialID" IS 'Password credential the hash belonged to';
+COMMENT ON COLUMN "PasswordHistory"."PasswordHash" IS 'bcrypt hash of the replaced password';
+COMMENT ON COLUMN "PasswordHistory"."CreatedAt" IS 'When the password was replaced';
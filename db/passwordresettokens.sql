@@ -0,0 +1,25 @@
+-- Create PasswordResetTokens table
+CREATE TABLE "PasswordResetTokens" (
+    "ID" SERIAL PRIMARY KEY,
+    "UserID" INTEGER NOT NULL REFERENCES "Users" ("ID"),
+    "TokenHash" VARCHAR(64) NOT NULL UNIQUE,
+    "ExpiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "UsedAt" TIMESTAMP WITH TIME ZONE,
+    "RevokedAt" TIMESTAMP WITH TIME ZONE,
+    "CreatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX "PasswordResetTokens_userId_idx" ON "PasswordResetTokens" ("UserID");
+
+-- Add comment for the table
+COMMENT ON TABLE "PasswordResetTokens" IS 'Password reset links; each works once, until it expires or is replaced';
+
+-- Add comments for columns
+COMMENT ON COLUMN "PasswordResetTokens"."ID" IS 'Primary key';
+COMMENT ON COLUMN "PasswordResetTokens"."UserID" IS 'User whose password the link resets';
+COMMENT ON COLUMN "PasswordResetTokens"."TokenHash" IS 'SHA-256 of the token in the emailed link';
+COMMENT ON COLUMN "PasswordResetTokens"."ExpiresAt" IS 'When the link stops working';
+COMMENT ON COLUMN "PasswordResetTokens"."UsedAt" IS 'When the link was used to reset the password';
+COMMENT ON COLUMN "PasswordResetTokens"."RevokedAt" IS 'When the link was replaced by a newer one or invalidated by a password change';
+COMMENT ON COLUMN "PasswordResetTokens"."CreatedAt" IS 'When the reset was requested';
@@ -0,0 +1,67 @@
+-- Features and actions referenced by the route policies in config/permissions.js
+INSERT INTO "Features" ("Code", "Description") VALUES
+    ('PROFILES', 'User profiles'),
+    ('USERS', 'User accounts and sign-in lockouts'),
+    ('ROLES', 'Roles and the permissions they grant'),
+    ('NOTIFICATIONS', 'Notifications of any user'),
+    ('COUNTRIES', 'Countries reference data'),
+    ('STATES', 'States reference data'),
+    ('JURISDICTIONS', 'Jurisdictions reference data'),
+    ('LCR_TYPES', 'Licence, certificate and registration types')
+ON CONFLICT ("Code") DO NOTHING;
+
+INSERT INTO "PermissionActions" ("Code", "Description") VALUES
+    ('LIST', 'List records'),
+    ('READ', 'Read a record'),
+    ('CREATE', 'Create records'),
+    ('UPDATE', 'Change records'),
+    ('DELETE', 'Delete records'),
+    ('MANAGE', 'Full control')
+ON CONFLICT ("Code") DO NOTHING;
+
+CREATE UNIQUE INDEX IF NOT EXISTS "Permissions_code_key" ON "Permissions" ("Code");
+
+-- Permissions checked by code before the route policies keep their codes and get their feature and action
+INSERT INTO "Permissions" ("ObjectGUID", "Code", "FeatureID", "PermissionActionID")
+SELECT gen_random_uuid(), p."Code", f."ID", a."ID"
+FROM (VALUES
+    ('LIST_PROFILES', 'PROFILES', 'LIST'),
+    ('CREATE_PROFILE', 'PROFILES', 'CREATE'),
+    ('MANAGE_USERS', 'USERS', 'MANAGE'),
+    ('MANAGE_ROLES', 'ROLES', 'MANAGE'),
+    ('READ_NOTIFICATIONS', 'NOTIFICATIONS', 'READ'),
+    ('CREATE_NOTIFICATIONS', 'NOTIFICATIONS', 'CREATE'),
+    ('UPDATE_NOTIFICATIONS', 'NOTIFICATIONS', 'UPDATE'),
+    ('CREATE_COUNTRIES', 'COUNTRIES', 'CREATE'),
+    ('UPDATE_COUNTRIES', 'COUNTRIES', 'UPDATE'),
+    ('DELETE_COUNTRIES', 'COUNTRIES', 'DELETE'),
+    ('CREATE_STATES', 'STATES', 'CREATE'),
+    ('UPDATE_STATES', 'STATES', 'UPDATE'),
+    ('DELETE_STATES', 'STATES', 'DELETE'),
+    ('CREATE_JURISDICTIONS', 'JURISDICTIONS', 'CREATE'),
+    ('UPDATE_JURISDICTIONS', 'JURISDICTIONS', 'UPDATE'),
+    ('DELETE_JURISDICTIONS', 'JURISDICTIONS', 'DELETE'),
+    ('CREATE_LCR_TYPES', 'LCR_TYPES', 'CREATE'),
+    ('UPDATE_LCR_TYPES', 'LCR_TYPES', 'UPDATE'),
+    ('DELETE_LCR_TYPES', 'LCR_TYPES', 'DELETE')
+) AS p ("Code", "Feature", "Action")
+JOIN "Features" f ON f."Code" = p."Feature"
+JOIN "PermissionActions" a ON a."Code" = p."Action"
+ON CONFLICT ("Code") DO UPDATE SET
+    "FeatureID" = EXCLUDED."FeatureID",
+    "PermissionActionID" = EXCLUDED."PermissionActionID";
+
+-- Routes that had no guard were open to everyone; give their new permissions to the roles that manage roles
+INSERT INTO "RolePermissions" ("RoleID", "PermissionID")
+SELECT rp."RoleID", p."ID"
+FROM "RolePermissions" rp
+JOIN "Permissions" manage ON manage."ID" = rp."PermissionID" AND manage."Code" = 'MANAGE_ROLES'
+CROSS JOIN "Permissions" p
+WHERE p."Code" IN (
+    'READ_NOTIFICATIONS', 'CREATE_NOTIFICATIONS', 'UPDATE_NOTIFICATIONS',
+    'CREATE_COUNTRIES', 'UPDATE_COUNTRIES', 'DELETE_COUNTRIES',
+    'CREATE_STATES', 'UPDATE_STATES', 'DELETE_STATES',
+    'CREATE_JURISDICTIONS', 'UPDATE_JURISDICTIONS', 'DELETE_JURISDICTIONS',
+    'CREATE_LCR_TYPES', 'UPDATE_LCR_TYPES', 'DELETE_LCR_TYPES'
+)
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,45 @@
+-- Create ScannedDocuments table
+CREATE TABLE "ScannedDocuments" (
+    "ID" SERIAL PRIMARY KEY,
+    "GUID" UUID NOT NULL DEFAULT gen_random_uuid() UNIQUE,
+    "UserID" INTEGER NOT NULL REFERENCES "Users" ("ID"),
+    "FileID" INTEGER REFERENCES "Files" ("ID") ON DELETE SET NULL,
+    "CertificateID" INTEGER REFERENCES "Certificates" ("ID"),
+    "Status" VARCHAR(20) NOT NULL DEFAULT 'needs_review',
+    "Accuracy" INTEGER,
+    "ExtractedData" JSONB,
+    "FieldConfidence" JSONB,
+    "CreatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    "UpdatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX "ScannedDocuments_userId_status_idx" ON "ScannedDocuments" ("UserID", "Status");
+
+-- Add comment for the table
+COMMENT ON TABLE "ScannedDocuments" IS 'Scanned certificate documents, either auto-submitted or waiting for review';
+
+-- Add comments for columns
+COMMENT ON COLUMN "ScannedDocuments"."ID" IS 'Primary key';
+COMMENT ON COLUMN "ScannedDocuments"."GUID" IS 'Identifier returned by POST /api/scan';
+COMMENT ON COLUMN "ScannedDocuments"."UserID" IS 'User who scanned the document';
+COMMENT ON COLUMN "ScannedDocuments"."FileID" IS 'Stored scanned file';
+COMMENT ON COLUMN "ScannedDocuments"."CertificateID" IS 'Certificate created from the scan, once submitted';
+COMMENT ON COLUMN "ScannedDocuments"."Status" IS 'needs_review or submitted';
+COMMENT ON COLUMN "ScannedDocuments"."Accuracy" IS 'Overall confidence score (0-100)';
+COMMENT ON COLUMN "ScannedDocuments"."ExtractedData" IS 'Fields extracted from the document';
+COMMENT ON COLUMN "ScannedDocuments"."FieldConfidence" IS 'Confidence score (0-100) per extracted field';
+COMMENT ON COLUMN "ScannedDocuments"."CreatedAt" IS 'When the record was created';
+COMMENT ON COLUMN "ScannedDocuments"."UpdatedAt" IS 'When the record was last updated';
+
+-- Expire unconfirmed drafts
+ALTER TABLE "ScannedDocuments" ADD COLUMN IF NOT EXISTS "ExpiresAt" TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS "ScannedDocuments_status_expiresAt_idx" ON "ScannedDocuments" ("Status", "ExpiresAt");
+
+COMMENT ON COLUMN "ScannedDocuments"."ExpiresAt" IS 'When an unconfirmed draft and its file are removed; null once submitted';
+
+-- Keep the scan record when its file is deleted
+ALTER TABLE "ScannedDocuments" DROP CONSTRAINT IF EXISTS "ScannedDocuments_FileID_fkey";
+ALTER TABLE "ScannedDocuments" ADD CONSTRAINT "ScannedDocuments_FileID_fkey"
+    FOREIGN KEY ("FileID") REFERENCES "Files" ("ID") ON DELETE SET NULL;
@@ -0,0 +1,36 @@
+-- Create Sessions table
+CREATE TABLE "Sessions" (
+    "ID" SERIAL PRIMARY KEY,
+    "UserID" INTEGER NOT NULL REFERENCES "Users" ("ID"),
+    "CredentialID" INTEGER REFERENCES "UserCredentials" ("ID"),
+    "RefreshTokenHash" VARCHAR(64) NOT NULL UNIQUE,
+    "PreviousRefreshTokenHash" VARCHAR(64),
+    "UserAgent" VARCHAR(500),
+    "IPAddress" VARCHAR(45),
+    "LastUsedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    "ExpiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "RevokedAt" TIMESTAMP WITH TIME ZONE,
+    "CreatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    "UpdatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX "Sessions_userId_idx" ON "Sessions" ("UserID");
+CREATE INDEX "Sessions_previousRefreshTokenHash_idx" ON "Sessions" ("PreviousRefreshTokenHash");
+
+-- Add comment for the table
+COMMENT ON TABLE "Sessions" IS 'Signed-in devices, each holding one refresh token';
+
+-- Add comments for columns
+COMMENT ON COLUMN "Sessions"."ID" IS 'Primary key, carried in access tokens as the sid claim';
+COMMENT ON COLUMN "Sessions"."UserID" IS 'User the session belongs to';
+COMMENT ON COLUMN "Sessions"."CredentialID" IS 'Credential used to sign in';
+COMMENT ON COLUMN "Sessions"."RefreshTokenHash" IS 'SHA-256 of the current refresh token';
+COMMENT ON COLUMN "Sessions"."PreviousRefreshTokenHash" IS 'SHA-256 of the refresh token replaced by the last refresh, to detect reuse';
+COMMENT ON COLUMN "Sessions"."UserAgent" IS 'User agent of the device that last used the session';
+COMMENT ON COLUMN "Sessions"."IPAddress" IS 'IP address that last used the session';
+COMMENT ON COLUMN "Sessions"."LastUsedAt" IS 'When the session was last used';
+COMMENT ON COLUMN "Sessions"."ExpiresAt" IS 'When the refresh token stops working';
+COMMENT ON COLUMN "Sessions"."RevokedAt" IS 'When the session was signed out or revoked';
+COMMENT ON COLUMN "Sessions"."CreatedAt" IS 'When the user signed in';
+COMMENT ON COLUMN "Sessions"."UpdatedAt" IS 'When the record was last updated';
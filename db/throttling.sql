@@ -0,0 +1,22 @@
+-- Create ThrottleCounters table, used when THROTTLE_STORE=database
+CREATE TABLE "ThrottleCounters" (
+    "Key" VARCHAR(255) PRIMARY KEY,
+    "Count" INTEGER NOT NULL DEFAULT 0,
+    "ResetAt" TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Create indexes
+CREATE INDEX "ThrottleCounters_resetAt_idx" ON "ThrottleCounters" ("ResetAt");
+
+-- Add comment for the table
+COMMENT ON TABLE "ThrottleCounters" IS 'Attempt counters for login throttling and rate limits, shared between API instances';
+
+-- Add comments for columns
+COMMENT ON COLUMN "ThrottleCounters"."Key" IS 'What is counted, e.g. login:name:<login name> or login:ip:<address>';
+COMMENT ON COLUMN "ThrottleCounters"."Count" IS 'Attempts in the current window';
+COMMENT ON COLUMN "ThrottleCounters"."ResetAt" IS 'When the current window ends and counting starts again';
+
+-- Temporary account lockout after repeated failed logins
+ALTER TABLE "UserCredentials" ADD COLUMN IF NOT EXISTS "LockedUntil" TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN "UserCredentials"."LockedUntil" IS 'Password logins are refused until this time after too many failures; NULL when not locked';
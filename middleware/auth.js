@@ -1,6 +1,16 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
-const { User, Role } = require('../models');
+const { User, Role, Permission } = require('../models');
+const Feature = require('../models/Feature');
+const PermissionAction = require('../models/PermissionAction');
+const sessionService = require('../services/SessionService');
+
+// Reasons SessionService gives for refusing a token that is otherwise valid
+const REJECTED_TOKEN_MESSAGES = [
+  'Invalid access token',
+  'Session has been revoked',
+  'Password changed since the token was issued'
+];
 
 /**
  * Authentication middleware to validate JWT tokens
@@ -49,6 +59,11 @@ const authorizeRoles = (...roles) => {
  * This extends the basic authenticateToken by also loading the full user record
  */
 const authGuard = async (req, res, next) => {
+    // Already done for this request by the route policies
+    if (req.userRecord) {
+      return next();
+    }
+
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
   
@@ -59,6 +74,16 @@ const authGuard = async (req, res, next) => {
     try {
       // Verify the token
       const decoded = jwt.verify(token, config.jwt.secret);
+
+      // Reject tokens from revoked sessions or issued before a password change
+      try {
+        await sessionService.validateAccessToken(decoded);
+      } catch (sessionError) {
+        if (REJECTED_TOKEN_MESSAGES.includes(sessionError.message)) {
+          return res.status(401).json({ message: sessionError.message });
+        }
+        throw sessionError;
+      }
   
       // Load the user, their role, and the permissions linked to that role
       const user = await User.findOne({
@@ -74,10 +99,14 @@ const authGuard = async (req, res, next) => {
             attributes: ['id', 'name'],
             include: [
               {
-                model: require('../models/Permission'),
+                model: Permission,
                 as: 'permissions',
                 through: { attributes: [] }, // Exclude RolePermission join table from result
-                attributes: ['code']
+                attributes: ['code'],
+                include: [
+                  { model: Feature, as: 'feature', attributes: ['code'] },
+                  { model: PermissionAction, as: 'permissionAction', attributes: ['code'] }
+                ]
               }
             ]
           }
@@ -121,19 +150,18 @@ const authGuard = async (req, res, next) => {
 
 /**
  * Permission-based authorization guard
- * Checks if the user has specific permissions based on their role
- * @param {...string} permissions - Required permissions to access the route
+ * Checks if the user has specific permissions based on their role. Use after authGuard.
+ * Routes of mounted routers get their permissions from config/permissions.js instead.
+ * @param {...string} permissions - Codes of the required permissions
  */
 const requirePermissions = (...permissions) => {
   return (req, res, next) => {
-    console.log('requirePermissions');
-
     if (!req.userRecord || !req.userRecord.role) {
       return res.status(401).json({ message: 'Authentication required with full user record' });
     }
 
-    // Get user permissions from their role
-    const userPermissions = req.userRecord.role.permissions || [];
+    // Codes of the permissions linked to the user's role
+    const userPermissions = req.permissions || [];
     
     // Check if user has all required permissions
     const hasAllPermissions = permissions.every(permission => 
@@ -151,21 +179,51 @@ const requirePermissions = (...permissions) => {
 };
 
 /**
- * Owner guard - ensures users can only access their own resources
- * @param {Function} getResourceOwnerId - Function that extracts the owner ID from the request
+ * Check whether a user's role holds the permission for an action on a feature
+ * @param {Object} user - The user record loaded by authGuard
+ * @param {string} feature - Feature code
+ * @param {string} action - PermissionAction code
+ * @returns {boolean}
  */
-const ownerGuard = (getResourceOwnerId) => {
+const hasPermission = (user, feature, action) => {
+  const permissions = (user && user.role && user.role.permissions) || [];
+
+  return permissions.some(p =>
+    p.feature && p.feature.code === feature &&
+    p.permissionAction && p.permissionAction.code === action
+  );
+};
+
+/**
+ * Owner guard - ensures users can only access resources they own or are a party to,
+ * unless their role holds the override permission. Use after authGuard.
+ * @param {Function} getResourceOwnerIds - Function that resolves the IDs of the users the resource
+ *   belongs to, e.g. owner and counter-party, from the request; null if the resource does not exist
+ * @param {Object} [override] - { feature, action } of the permission that gives access to anyone's resource
+ */
+const ownerGuard = (getResourceOwnerIds, override) => {
   return async (req, res, next) => {
-    if (!req.user) {
+    if (!req.user || !req.userRecord) {
       return res.status(401).json({ message: 'Authentication required' });
     }
     
     try {
-      // Get the owner ID of the requested resource
-      const ownerId = await getResourceOwnerId(req);
-      
-      // Allow access if the user is the owner or has admin role (assuming roleId 1 is admin)
-      if (req.user.userId === ownerId || req.user.roleId === 1) {
+      if (override && hasPermission(req.userRecord, override.feature, override.action)) {
+        return next();
+      }
+
+      const ownerIds = await getResourceOwnerIds(req);
+
+      // Let the route answer 404 for a resource that does not exist
+      if (ownerIds === null || ownerIds === undefined) {
+        return next();
+      }
+
+      const isOwner = ownerIds.some(ownerId =>
+        ownerId !== null && String(ownerId) === String(req.user.userId)
+      );
+
+      if (isOwner) {
         next();
       } else {
         res.status(403).json({ message: 'You do not have permission to access this resource' });
@@ -177,10 +235,31 @@ const ownerGuard = (getResourceOwnerId) => {
   };
 };
 
+/**
+ * Verified email guard - keeps users who have not confirmed their email address from
+ * reaching other people, e.g. sending invites or connection requests. Use after authGuard.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.userRecord) {
+    return res.status(401).json({ message: 'Authentication required with full user record' });
+  }
+
+  if (!req.userRecord.emailVerified) {
+    return res.status(403).json({
+      message: 'Verify your email address to continue',
+      emailVerificationRequired: true
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
   authorizeRoles,
   authGuard,
   requirePermissions,
-  ownerGuard
+  hasPermission,
+  ownerGuard,
+  requireVerifiedEmail
 };
\ No newline at end of file
@@ -0,0 +1,190 @@
+const { ROUTE_POLICIES } = require('../config/permissions');
+const { authGuard, hasPermission } = require('./auth');
+
+/**
+ * Split a path into its non-empty segments
+ * @param {string} path - The path
+ * @returns {Array<string>} - The segments
+ */
+const splitPath = (path) => String(path).split('/').filter(Boolean);
+
+/**
+ * Flatten the policy map into routes that request paths can be matched against
+ * @param {Object} routePolicies - Policies by mount path and "METHOD /route-path"
+ * @returns {Array<Object>} - Routes with method, path segments and policy
+ */
+const compilePolicies = (routePolicies) => {
+  const routes = [];
+
+  for (const [mountPath, policies] of Object.entries(routePolicies)) {
+    for (const [route, policy] of Object.entries(policies)) {
+      const [method, path] = route.split(' ');
+
+      routes.push({
+        method,
+        segments: [...splitPath(mountPath), ...splitPath(path)],
+        policy
+      });
+    }
+  }
+
+  return routes;
+};
+
+/**
+ * Match path segments against a route the way Express does: literal segments ignore case
+ * and parameters take any single segment
+ * @param {Array<string>} segments - The route's segments
+ * @param {Array<string>} parts - The request path's segments
+ * @returns {Object|null} - The route parameters, or null if the path does not match
+ */
+const matchSegments = (segments, parts) => {
+  if (segments.length !== parts.length) {
+    return null;
+  }
+
+  const params = {};
+
+  for (let i = 0; i < segments.length; i++) {
+    if (segments[i].startsWith(':')) {
+      try {
+        params[segments[i].slice(1)] = decodeURIComponent(parts[i]);
+      } catch (err) {
+        return null;
+      }
+    } else if (segments[i].toLowerCase() !== parts[i].toLowerCase()) {
+      return null;
+    }
+  }
+
+  return params;
+};
+
+/**
+ * Whether a route is more specific than another matching the same path, i.e. has a
+ * literal segment where the other has a parameter first. /profiles/me beats /profiles/:email.
+ * @param {Object} route - A matching route
+ * @param {Object} other - Another matching route
+ * @returns {boolean}
+ */
+const isMoreSpecific = (route, other) => {
+  for (let i = 0; i < route.segments.length; i++) {
+    const isParam = route.segments[i].startsWith(':');
+    const otherIsParam = other.segments[i].startsWith(':');
+
+    if (isParam !== otherIsParam) {
+      return otherIsParam;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Find the policy of the route a request goes to
+ * @param {Array<Object>} routes - Routes from compilePolicies
+ * @param {string} method - The HTTP method
+ * @param {string} path - The request path, without the query string
+ * @returns {Object|null} - { policy, params }, or null if no route matches
+ */
+const findPolicy = (routes, method, path) => {
+  // Express answers HEAD requests with the GET route
+  const requestMethod = method === 'HEAD' ? 'GET' : method;
+  const parts = splitPath(path);
+  let match = null;
+
+  for (const route of routes) {
+    if (route.method !== requestMethod) {
+      continue;
+    }
+
+    const params = matchSegments(route.segments, parts);
+
+    if (params && (!match || isMoreSpecific(route, match.route))) {
+      match = { route, params };
+    }
+  }
+
+  return match && { policy: match.route.policy, params: match.params };
+};
+
+/**
+ * Check whether the signed-in user meets a permission policy
+ * @param {Object} req - The request, after authGuard
+ * @param {Object} policy - The permission policy
+ * @param {Object} params - The route parameters
+ * @returns {boolean}
+ */
+const isAllowed = (req, policy, params) => {
+  if (policy.self && String(params[policy.self]) === String(req.user.userId)) {
+    return true;
+  }
+
+  return hasPermission(req.userRecord, policy.feature, policy.action);
+};
+
+/**
+ * Middleware enforcing the route policies; mount it before the routers
+ * @param {Object} [routePolicies] - Policies by mount path and "METHOD /route-path"
+ */
+const enforceRoutePolicies = (routePolicies = ROUTE_POLICIES) => {
+  const routes = compilePolicies(routePolicies);
+
+  return (req, res, next) => {
+    const match = findPolicy(routes, req.method, req.path);
+
+    // Requests no route answers fall through to a 404
+    if (!match || match.policy.type === 'public') {
+      return next();
+    }
+
+    authGuard(req, res, () => {
+      if (match.policy.type === 'permission' && !isAllowed(req, match.policy, match.params)) {
+        return res.status(403).json({
+          message: 'You do not have the required permissions to access this resource'
+        });
+      }
+
+      next();
+    });
+  };
+};
+
+/**
+ * Make sure every route of the mounted routers has a policy
+ * @param {Array<Array>} mounts - [mountPath, router] pairs, as passed to app.use
+ * @param {Object} [routePolicies] - Policies by mount path and "METHOD /route-path"
+ * @throws {Error} - Listing the routes without a policy
+ */
+const assertRoutePolicies = (mounts, routePolicies = ROUTE_POLICIES) => {
+  const missing = [];
+
+  for (const [mountPath, router] of mounts) {
+    const policies = routePolicies[mountPath] || {};
+
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        continue;
+      }
+
+      for (const method of Object.keys(layer.route.methods)) {
+        const route = `${method.toUpperCase()} ${layer.route.path}`;
+
+        if (!policies[route]) {
+          missing.push(`${method.toUpperCase()} ${mountPath}${layer.route.path === '/' ? '' : layer.route.path}`);
+        }
+      }
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`Routes without a permission policy: ${missing.join(', ')}`);
+  }
+};
+
+module.exports = {
+  compilePolicies,
+  findPolicy,
+  enforceRoutePolicies,
+  assertRoutePolicies
+};
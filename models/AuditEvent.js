@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const AuditEvent = sequelize.define('AuditEvent', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true,
+    field: 'ID'
+  },
+  actorUserId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'ActorUserID',
+    references: {
+      model: User,
+      key: 'ID'
+    }
+  },
+  action: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'Action'
+  },
+  targetType: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'TargetType'
+  },
+  targetId: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'TargetID'
+  },
+  changes: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'Changes'
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'Details'
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    field: 'IPAddress'
+  },
+  userAgent: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    field: 'UserAgent'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'CreatedAt'
+  }
+}, {
+  tableName: 'AuditEvents',
+  timestamps: true,
+  updatedAt: false
+});
+
+module.exports = AuditEvent;
@@ -86,6 +86,20 @@ const Certificate = sequelize.define('Certificate', {
       key: 'ID'
     }
   },
+  previousCertificateId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'PreviousCertificateID',
+    references: {
+      model: 'Certificates',
+      key: 'ID'
+    }
+  },
+  supersededOn: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'SupersededOn'
+  },
   isDeleted: {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
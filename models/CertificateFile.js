@@ -28,6 +28,20 @@ const CertificateFile = sequelize.define('CertificateFile', {
       key: 'ID'
     }
   },
+  label: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'Label',
+    validate: {
+      isIn: [['front', 'back', 'supporting']]
+    }
+  },
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false,
+    field: 'SortOrder'
+  },
   isDeleted: {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
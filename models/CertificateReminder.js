@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Certificate = require('./Certificate');
+
+const CertificateReminder = sequelize.define('CertificateReminder', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    field: 'ID'
+  },
+  certificateId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'CertificateID',
+    references: {
+      model: Certificate,
+      key: 'ID'
+    }
+  },
+  offsetDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'OffsetDays'
+  },
+  expiryDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'ExpiryDate'
+  },
+  sentOn: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'SentOn'
+  }
+}, {
+  tableName: 'CertificateReminders',
+  timestamps: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['CertificateID', 'OffsetDays', 'ExpiryDate']
+    }
+  ]
+});
+
+module.exports = CertificateReminder;
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Jurisdiction = require('./Jurisdiction');
+const JobRole = require('./JobRole');
+const LcrType = require('./LcrType');
+
+const ComplianceRequirement = sequelize.define('ComplianceRequirement', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    field: 'ID'
+  },
+  jurisdictionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'JurisdictionID',
+    references: {
+      model: Jurisdiction,
+      key: 'ID'
+    }
+  },
+  jobRoleId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'JobRoleID',
+    references: {
+      model: JobRole,
+      key: 'ID'
+    }
+  },
+  lcrTypeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'LcrTypeID',
+    references: {
+      model: LcrType,
+      key: 'ID'
+    }
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'Note'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'CreatedAt'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'UpdatedAt'
+  }
+}, {
+  tableName: 'ComplianceRequirements',
+  timestamps: true
+});
+
+module.exports = ComplianceRequirement;
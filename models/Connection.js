@@ -38,6 +38,11 @@ const Connection = sequelize.define('Connection', {
     defaultValue: 0,
     field: 'Status'
   },
+  organisationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'OrganisationID'
+  },
   isLcrAvailable: {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const EmailVerificationToken = sequelize.define('EmailVerificationToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    field: 'ID'
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'UserID',
+    references: {
+      model: User,
+      key: 'ID'
+    }
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    field: 'Email'
+  },
+  purpose: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'Purpose',
+    validate: {
+      isIn: [['verify', 'change']]
+    }
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'TokenHash'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'ExpiresAt'
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'UsedAt'
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'RevokedAt'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'CreatedAt'
+  }
+}, {
+  tableName: 'EmailVerificationTokens',
+  timestamps: true,
+  updatedAt: false
+});
+
+module.exports = EmailVerificationToken;
@@ -43,6 +43,11 @@ const File = sequelize.define('File', {
     allowNull: true,
     field: 'Content'
   },
+  storageKey: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    field: 'StorageKey'
+  },
   mimeType: {
     type: DataTypes.STRING(255),
     allowNull: true,
@@ -0,0 +1,22 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const JobRole = sequelize.define('JobRole', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    field: 'ID'
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true,
+    field: 'Name'
+  }
+}, {
+  tableName: 'JobRoles',
+  timestamps: false
+});
+
+module.exports = JobRole;
@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const MfaRecoveryCode = sequelize.define('MfaRecoveryCode', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    field: 'ID'
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'UserID',
+    references: {
+      model: User,
+      key: 'ID'
+    }
+  },
+  codeHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    field: 'CodeHash'
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'UsedAt'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'CreatedAt'
+  }
+}, {
+  tableName: 'MfaRecoveryCodes',
+  timestamps: true,
+  updatedAt: false
+});
+
+module.exports = MfaRecoveryCode;
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const OidcLoginRequest = sequelize.define('OidcLoginRequest', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    field: 'ID'
+  },
+  state: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'State'
+  },
+  provider: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'Provider'
+  },
+  intent: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'login',
+    field: 'Intent',
+    validate: {
+      isIn: [['login', 'link', 'reauth']]
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'UserID',
+    references: {
+      model: User,
+      key: 'ID'
+    }
+  },
+  nonce: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    field: 'Nonce'
+  },
+  codeVerifier: {
+    type: DataTypes.STRING(128),
+    allowNull: false,
+    field: 'CodeVerifier'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'ExpiresAt'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'CreatedAt'
+  }
+}, {
+  tableName: 'OidcLoginRequests',
+  timestamps: true,
+  updatedAt: false
+});
+
+module.exports = OidcLoginRequest;
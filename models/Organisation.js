@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const Organisation = sequelize.define('Organisation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    field: 'ID'
+  },
+  guid: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    defaultValue: DataTypes.UUIDV4,
+    field: 'GUID'
+  },
+  name: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    field: 'Name'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'Description'
+  },
+  createdByUserId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'CreatedByUserID',
+    references: {
+      model: User,
+      key: 'ID'
+    }
+  },
+  isDeleted: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'IsDeleted'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'CreatedAt'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'UpdatedAt'
+  }
+}, {
+  tableName: 'Organisations',
+  timestamps: true
+});
+
+module.exports = Organisation;
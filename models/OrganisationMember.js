@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Organisation = require('./Organisation');
+
+const OrganisationMember = sequelize.define('OrganisationMember', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    field: 'ID'
+  },
+  organisationId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'OrganisationID',
+    references: {
+      model: Organisation,
+      key: 'ID'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'UserID',
+    references: {
+      model: User,
+      key: 'ID'
+    }
+  },
+  role: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'Role',
+    validate: {
+      isIn: [['owner', 'admin', 'member']]
+    }
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'CreatedAt'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'UpdatedAt'
+  }
+}, {
+  tableName: 'OrganisationMembers',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['OrganisationID', 'UserID']
+    }
+  ]
+});
+
+module.exports = OrganisationMember;
@@ -0,0 +1,36 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const UserCredential = require('./UserCredential');
+
+const PasswordHistory = sequelize.define('PasswordHistory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    field: 'ID'
+  },
+  credentialId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'CredentialID',
+    references: {
+      model: UserCredential,
+      key: 'ID'
+    }
+  },
+  passwordHash: {
+    type: DataTypes.STRING(512),
+    allowNull: false,
+    field: 'PasswordHash'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'CreatedAt'
+  }
+}, {
+  tableName: 'PasswordHistory',
+  timestamps: true,
+  updatedAt: false
+});
+
+module.exports = PasswordHistory;
@@ -25,6 +25,12 @@ const Role = sequelize.define('Role', {
     type: DataTypes.TEXT,
     allowNull: true,
     field: 'Description'
+  },
+  requireMfa: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'RequireMFA'
   }
 }, {
   tableName: 'Roles',
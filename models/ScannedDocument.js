@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const File = require('./File');
+const Certificate = require('./Certificate');
+
+const ScannedDocument = sequelize.define('ScannedDocument', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    field: 'ID'
+  },
+  guid: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    defaultValue: DataTypes.UUIDV4,
+    field: 'GUID'
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'UserID',
+    references: {
+      model: User,
+      key: 'ID'
+    }
+  },
+  fileId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'FileID',
+    references: {
+      model: File,
+      key: 'ID'
+    }
+  },
+  certificateId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'CertificateID',
+    references: {
+      model: Certificate,
+      key: 'ID'
+    }
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'needs_review',
+    field: 'Status',
+    validate: {
+      isIn: [['needs_review', 'submitted']]
+    }
+  },
+  accuracy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'Accuracy'
+  },
+  extractedData: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'ExtractedData'
+  },
+  fieldConfidence: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'FieldConfidence'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'ExpiresAt'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'CreatedAt'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'UpdatedAt'
+  }
+}, {
+  tableName: 'ScannedDocuments',
+  timestamps: true
+});
+
+module.exports = ScannedDocument;
@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const UserCredential = require('./UserCredential');
+
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    field: 'ID'
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'UserID',
+    references: {
+      model: User,
+      key: 'ID'
+    }
+  },
+  credentialId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'CredentialID',
+    references: {
+      model: UserCredential,
+      key: 'ID'
+    }
+  },
+  refreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'RefreshTokenHash'
+  },
+  previousRefreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'PreviousRefreshTokenHash'
+  },
+  userAgent: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    field: 'UserAgent'
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    field: 'IPAddress'
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'LastUsedAt'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'ExpiresAt'
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'RevokedAt'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    field: 'CreatedAt'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    field: 'UpdatedAt'
+  }
+}, {
+  tableName: 'Sessions',
+  timestamps: true
+});
+
+module.exports = Session;
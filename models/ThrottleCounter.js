@@ -0,0 +1,26 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ThrottleCounter = sequelize.define('ThrottleCounter', {
+  key: {
+    type: DataTypes.STRING(255),
+    primaryKey: true,
+    field: 'Key'
+  },
+  count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'Count'
+  },
+  resetAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'ResetAt'
+  }
+}, {
+  tableName: 'ThrottleCounters',
+  timestamps: false
+});
+
+module.exports = ThrottleCounter;
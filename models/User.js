@@ -50,6 +50,16 @@ const User = sequelize.define('User', {
     allowNull: true,
     field: 'PasswordHash'
   },
+  emailVerified: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    field: 'EmailVerified'
+  },
+  emailVerifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'EmailVerifiedAt'
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
@@ -85,6 +95,15 @@ const User = sequelize.define('User', {
     type: DataTypes.STRING,
     allowNull: true,
     field: 'ABN'
+  },
+  jobRoleId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'JobRoleID',
+    references: {
+      model: 'JobRoles',
+      key: 'ID'
+    }
   }
 }, {
   tableName: 'Users',
@@ -29,6 +29,11 @@ const UserAvatar = sequelize.define('UserAvatar', {
     allowNull: true,
     field: 'Content'
   },
+  storageKey: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    field: 'StorageKey'
+  },
   mimeType: {
     type: DataTypes.STRING(100),
     allowNull: true,
@@ -23,7 +23,7 @@ const UserCredential = sequelize.define('UserCredential', {
     allowNull: false,
     field: 'AuthType',
     validate: {
-      isIn: [['password', 'openid']]
+      isIn: [['password', 'openid', 'totp']]
     }
   },
   loginName: {
@@ -61,6 +61,26 @@ const UserCredential = sequelize.define('UserCredential', {
     allowNull: true,
     field: 'OpenIDSubject'
   },
+  totpSecret: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'TotpSecret'
+  },
+  totpVerifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'TotpVerifiedAt'
+  },
+  totpLastCounter: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'TotpLastCounter'
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'LockedUntil'
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
@@ -97,6 +117,10 @@ const UserCredential = sequelize.define('UserCredential', {
         if (!credential.openIdProvider || credential.passwordHash) {
           throw new Error('OpenID auth type requires provider and no password hash');
         }
+      } else if (credential.authType === 'totp') {
+        if (credential.passwordHash || credential.openIdProvider) {
+          throw new Error('TOTP auth type requires no password hash and no OpenID provider');
+        }
       }
     }
   },
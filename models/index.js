@@ -18,6 +18,20 @@ const UserAvatar = require('./UserAvatar');
 const UserJurisdiction = require('./UserJurisdiction');
 const UserName = require('./UserName');
 const LcrType = require('./LcrType');
+const CertificateReminder = require('./CertificateReminder');
+const ScannedDocument = require('./ScannedDocument');
+const Session = require('./Session');
+const OidcLoginRequest = require('./OidcLoginRequest');
+const MfaRecoveryCode = require('./MfaRecoveryCode');
+const ThrottleCounter = require('./ThrottleCounter');
+const PasswordResetToken = require('./PasswordResetToken');
+const PasswordHistory = require('./PasswordHistory');
+const EmailVerificationToken = require('./EmailVerificationToken');
+const AuditEvent = require('./AuditEvent');
+const Organisation = require('./Organisation');
+const OrganisationMember = require('./OrganisationMember');
+const JobRole = require('./JobRole');
+const ComplianceRequirement = require('./ComplianceRequirement');
 
 // Add model associations
 Country.hasMany(State, {
@@ -88,6 +102,33 @@ Jurisdiction.hasMany(Certificate, {
   as: 'certificates'
 });
 
+Certificate.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Certificate renewal chain
+Certificate.belongsTo(Certificate, {
+  foreignKey: 'previousCertificateId',
+  as: 'previousCertificate'
+});
+
+Certificate.hasOne(Certificate, {
+  foreignKey: 'previousCertificateId',
+  as: 'renewal'
+});
+
+// Certificate reminder associations
+Certificate.hasMany(CertificateReminder, {
+  foreignKey: 'certificateId',
+  as: 'reminders'
+});
+
+CertificateReminder.belongsTo(Certificate, {
+  foreignKey: 'certificateId',
+  as: 'certificate'
+});
+
 // Certificate-File associations through CertificateFile junction table
 Certificate.belongsToMany(File, {
   through: CertificateFile,
@@ -135,6 +176,94 @@ User.hasMany(File, {
   as: 'files'
 });
 
+// Scanned document associations
+ScannedDocument.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+ScannedDocument.belongsTo(File, {
+  foreignKey: 'fileId',
+  as: 'file'
+});
+
+ScannedDocument.belongsTo(Certificate, {
+  foreignKey: 'certificateId',
+  as: 'certificate'
+});
+
+// Session associations
+Session.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+Session.belongsTo(UserCredential, {
+  foreignKey: 'credentialId',
+  as: 'credential'
+});
+
+User.hasMany(Session, {
+  foreignKey: 'userId',
+  as: 'sessions'
+});
+
+// Password reset token associations
+PasswordResetToken.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Email verification token associations
+EmailVerificationToken.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Password history associations
+PasswordHistory.belongsTo(UserCredential, {
+  foreignKey: 'credentialId',
+  as: 'credential'
+});
+
+// Organisation associations
+Organisation.hasMany(OrganisationMember, {
+  foreignKey: 'organisationId',
+  as: 'members'
+});
+
+OrganisationMember.belongsTo(Organisation, {
+  foreignKey: 'organisationId',
+  as: 'organisation'
+});
+
+OrganisationMember.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+Organisation.hasMany(Connection, {
+  foreignKey: 'organisationId',
+  as: 'connections'
+});
+
+Connection.belongsTo(Organisation, {
+  foreignKey: 'organisationId',
+  as: 'organisation'
+});
+
+// Audit event associations
+AuditEvent.belongsTo(User, {
+  foreignKey: 'actorUserId',
+  as: 'actor'
+});
+
+// MFA recovery code associations
+MfaRecoveryCode.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
 // Notification associations
 Notification.belongsTo(User, {
   foreignKey: 'senderId',
@@ -235,6 +364,32 @@ UserJurisdiction.belongsTo(Jurisdiction, {
   as: 'jurisdiction'
 });
 
+// Compliance requirement associations
+User.belongsTo(JobRole, {
+  foreignKey: 'jobRoleId',
+  as: 'jobRole'
+});
+
+ComplianceRequirement.belongsTo(Jurisdiction, {
+  foreignKey: 'jurisdictionId',
+  as: 'jurisdiction'
+});
+
+ComplianceRequirement.belongsTo(JobRole, {
+  foreignKey: 'jobRoleId',
+  as: 'jobRole'
+});
+
+ComplianceRequirement.belongsTo(LcrType, {
+  foreignKey: 'lcrTypeId',
+  as: 'lcrType'
+});
+
+JobRole.hasMany(ComplianceRequirement, {
+  foreignKey: 'jobRoleId',
+  as: 'requirements'
+});
+
 // Export all models and the sequelize instance
 module.exports = {
   sequelize,
@@ -256,5 +411,19 @@ module.exports = {
   UserAvatar,
   UserJurisdiction,
   UserName,
-  LcrType
+  LcrType,
+  CertificateReminder,
+  ScannedDocument,
+  Session,
+  OidcLoginRequest,
+  MfaRecoveryCode,
+  ThrottleCounter,
+  PasswordResetToken,
+  PasswordHistory,
+  EmailVerificationToken,
+  AuditEvent,
+  Organisation,
+  OrganisationMember,
+  JobRole,
+  ComplianceRequirement
 };
@@ -0,0 +1,77 @@
+/**
+ * One-shot migration that moves File and UserAvatar content out of the database
+ * into the configured storage backend.
+ *
+ * Usage: npm run migrate:storage [-- --dry-run]
+ *
+ * Rows are migrated one at a time so large files are never all held in memory.
+ * The storage key is derived from the row's GUID, so an interrupted run can be
+ * started again and picks up where it stopped.
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { File, UserAvatar } = require('../models');
+const { getStorage, fileKey, avatarKey } = require('../services/storage');
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Move the content of every unmigrated row of a model into storage
+ * @param {Object} model - File or UserAvatar
+ * @param {Function} buildKey - Builds the storage key from the row GUID
+ * @returns {Promise<number>} - Number of rows migrated
+ */
+const migrate = async (model, buildKey) => {
+  const pending = await model.findAll({
+    where: {
+      storageKey: null,
+      content: { [Op.ne]: null }
+    },
+    attributes: ['id'],
+    order: [['id', 'ASC']]
+  });
+
+  console.log(`${model.name}: ${pending.length} row${pending.length === 1 ? '' : 's'} to migrate`);
+
+  if (dryRun) {
+    return 0;
+  }
+
+  const storage = getStorage();
+  let migrated = 0;
+
+  for (const { id } of pending) {
+    const record = await model.findByPk(id, { attributes: ['id', 'guid', 'content', 'mimeType', 'storageKey'] });
+
+    if (!record || record.storageKey || !record.content) {
+      continue;
+    }
+
+    const storageKey = buildKey(record.guid);
+    await storage.put(storageKey, record.content, { contentType: record.mimeType });
+    await record.update({ storageKey, content: null });
+
+    migrated++;
+    if (migrated % 100 === 0) {
+      console.log(`${model.name}: migrated ${migrated} of ${pending.length}`);
+    }
+  }
+
+  console.log(`${model.name}: migrated ${migrated}`);
+  return migrated;
+};
+
+const run = async () => {
+  console.log(`Migrating content to ${getStorage().name} storage${dryRun ? ' (dry run)' : ''}`);
+
+  await migrate(File, fileKey);
+  await migrate(UserAvatar, avatarKey);
+};
+
+run()
+  .then(() => sequelize.close())
+  .catch(async (error) => {
+    console.error('Storage migration failed:', error);
+    await sequelize.close();
+    process.exitCode = 1;
+  });
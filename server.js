@@ -79,10 +79,15 @@ const config = require('./config/config');
 const { testConnection } = require('./config/database');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
+const { enforceRoutePolicies, assertRoutePolicies } = require('./middleware/permissions');
 
 const app = express();
 const port = config.server.port;
 
+if (config.server.trustProxy) {
+  app.set('trust proxy', config.server.trustProxy);
+}
+
 
 
 // Apply CORS settings from config
@@ -113,29 +118,61 @@ const stateApi = require('./apis/state-api');
 const notificationApi = require('./apis/notification-api');
 const authApi = require('./apis/auth-api');
 const roleApi = require('./apis/role-api');
+const rolePermissionApi = require('./apis/role-permission-api');
 const scanApi = require('./apis/scan-api').router;
 const fileApi = require('./apis/file-api');
 const inviteApi = require('./apis/invites-api');
 const lcrTypeApi = require('./apis/lcrtype-api');
+const jobRoleApi = require('./apis/jobrole-api');
+const requirementApi = require('./apis/requirement-api');
+const manageUserApi = require('./apis/manage-user-api');
+const auditApi = require('./apis/audit-api');
+const organisationApi = require('./apis/organisation-api');
+
+const routers = [
+  ['/api/profiles', profileApi],
+  ['/api/profiles', profileAvatarApi],
+  ['/api/certificates', certificateApi],
+  ['/api/connections', connectionApi],
+  ['/api/jurisdictions', jurisdictionApi],
+  ['/api/countries', countryApi],
+  ['/api/states', stateApi],
+  ['/api/notifications', notificationApi],
+  ['/api/auth', authApi],
+  ['/api/roles', roleApi],
+  ['/api/roles', rolePermissionApi],
+  ['/api/invites', inviteApi],
+  ['/api/lcrtypes', lcrTypeApi],
+  ['/api/jobroles', jobRoleApi],
+  ['/api/requirements', requirementApi],
+  ['/api', scanApi],
+  ['/api/files', fileApi],
+  ['/api/admin/users', manageUserApi],
+  ['/api/audit', auditApi],
+  ['/api/organisations', organisationApi]
+];
+
+// Every route needs an entry in config/permissions.js; refuse to start without one
+assertRoutePolicies(routers);
+
+app.use(enforceRoutePolicies());
+
+for (const [path, router] of routers) {
+  app.use(path, router);
+}
 
-app.use('/api/profiles', profileApi);
-app.use('/api/profiles', profileAvatarApi); 
-app.use('/api/certificates', certificateApi);
-app.use('/api/connections', connectionApi);
-app.use('/api/jurisdictions', jurisdictionApi);
-app.use('/api/countries', countryApi);
-app.use('/api/states', stateApi);
-app.use('/api/notifications', notificationApi);
-app.use('/api/auth', authApi);
-app.use('/api/roles', roleApi);
-app.use('/api/invites', inviteApi);
-app.use('/api/lcrtypes', lcrTypeApi);
-app.use('/api', scanApi);
-app.use('/api/files', fileApi);
+// Background jobs
+const certificateRemindersService = require('./services/CertificateRemindersService');
+const scanService = require('./services/ScanService');
+const throttleService = require('./services/ThrottleService');
 
 // Start server
 app.listen(port, () => {
   console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode`);
   console.log(`Server listening on http://${config.server.host}:${port}`);
   console.log(`Swagger documentation available at http://${config.server.host}:${port}/api-docs`);
+
+  certificateRemindersService.start();
+  scanService.start();
+  throttleService.start();
 });
@@ -0,0 +1,375 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { User, Role, UserCredential } = require('../models');
+const sessionService = require('./SessionService');
+const userService = require('./UserService');
+const emailVerificationService = require('./EmailVerificationService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const STATUS_FILTERS = ['active', 'inactive', 'all'];
+
+// Password hashes stay out of admin responses
+const USER_ATTRIBUTES = { exclude: ['passwordHash'] };
+
+const CREDENTIAL_ATTRIBUTES = ['id', 'authType', 'loginName', 'openIdProvider', 'lastPasswordChange', 'passwordExpired', 'lockedUntil'];
+
+/**
+ * Escape LIKE wildcards so user input is matched literally
+ * @param {string} value - The search text
+ * @returns {string} - The escaped text
+ */
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+/**
+ * Whether a route parameter can be a user ID, so malformed IDs read as unknown users
+ * @param {*} id - The ID
+ * @returns {boolean}
+ */
+const isUserId = (id) => Number.isInteger(Number(id)) && Number(id) > 0;
+
+class AdminUserService {
+  /**
+   * Validate and normalise user search query parameters
+   * @param {Object} query - The request query string values
+   * @returns {Object} - { page, limit, search, status, roleId }
+   * @throws {Error} - If a parameter is invalid
+   */
+  parseSearchQuery(query = {}) {
+    const positiveInteger = (name, value, defaultValue) => {
+      if (value === undefined || value === '') {
+        return defaultValue;
+      }
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`Invalid ${name}: must be a positive integer`);
+      }
+      return number;
+    };
+
+    const options = {
+      page: positiveInteger('page', query.page, 1),
+      limit: Math.min(positiveInteger('limit', query.limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE),
+      search: query.search ? String(query.search).trim() : null,
+      status: (query.status || 'all').toLowerCase(),
+      roleId: positiveInteger('roleId', query.roleId, null)
+    };
+
+    if (!STATUS_FILTERS.includes(options.status)) {
+      throw new Error(`Invalid status: must be one of ${STATUS_FILTERS.join(', ')}`);
+    }
+
+    return options;
+  }
+
+  /**
+   * Build the where clause for a user search. Deleted users are never listed.
+   * @param {Object} options - Parsed search options, see parseSearchQuery
+   * @returns {Object} - Sequelize where clause
+   */
+  buildSearchWhere(options) {
+    const where = { isDeleted: false };
+
+    if (options.status !== 'all') {
+      where.isActive = options.status === 'active';
+    }
+
+    if (options.roleId) {
+      where.roleId = options.roleId;
+    }
+
+    if (options.search) {
+      const pattern = `%${escapeLike(options.search)}%`;
+      where[Op.or] = [
+        { email: { [Op.iLike]: pattern } },
+        { firstName: { [Op.iLike]: pattern } },
+        { lastName: { [Op.iLike]: pattern } }
+      ];
+    }
+
+    return where;
+  }
+
+  /**
+   * Search users a page at a time, newest first
+   * @param {Object} query - The request query string values, see parseSearchQuery
+   * @returns {Promise<Object>} - { users, totalPages, currentPage, totalItems }
+   * @throws {Error} - If a query parameter is invalid
+   */
+  async searchUsers(query) {
+    const options = this.parseSearchQuery(query);
+
+    const { count, rows: users } = await User.findAndCountAll({
+      where: this.buildSearchWhere(options),
+      attributes: USER_ATTRIBUTES,
+      include: [{ model: Role, as: 'role', attributes: ['id', 'name'] }],
+      offset: (options.page - 1) * options.limit,
+      limit: options.limit,
+      order: [['createdAt', 'DESC'], ['id', 'DESC']]
+    });
+
+    return {
+      users,
+      totalPages: Math.ceil(count / options.limit),
+      currentPage: options.page,
+      totalItems: count
+    };
+  }
+
+  /**
+   * Get a user with their role and sign-in credentials
+   * @param {number} id - The ID of the user
+   * @returns {Promise<Object>} - The user
+   * @throws {Error} - If there is no such user
+   */
+  async getUser(id) {
+    const user = isUserId(id) && await User.findOne({
+      where: { id, isDeleted: false },
+      attributes: USER_ATTRIBUTES,
+      include: [
+        { model: Role, as: 'role', attributes: ['id', 'name'] },
+        {
+          model: UserCredential,
+          as: 'credentials',
+          attributes: CREDENTIAL_ATTRIBUTES,
+          where: { isDeleted: false },
+          required: false
+        }
+      ]
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return user;
+  }
+
+  /**
+   * Create a user with a password, signing in with their email address. They are asked
+   * to verify the address by email.
+   * @param {Object} data - Email, password, first and last name, and optional role ID; without one
+   *   the user gets the default role
+   * @returns {Promise<Object>} - The created user
+   * @throws {Error} - If the email address is taken, the role does not exist or the password breaks the password policy
+   */
+  async createUser({ email, password, firstName, lastName, roleId }) {
+    const normalizedEmail = String(email).trim().toLowerCase();
+
+    if (roleId !== undefined && roleId !== null) {
+      await this.assertRoleExists(roleId);
+    }
+
+    const taken = await User.count({ where: { email: { [Op.iLike]: escapeLike(normalizedEmail) } } });
+    if (taken > 0) {
+      throw new Error('Email address is already in use');
+    }
+
+    const { user } = await userService.createUser({
+      email: normalizedEmail,
+      password,
+      firstName,
+      lastName,
+      loginName: normalizedEmail,
+      roleId
+    });
+
+    try {
+      await emailVerificationService.sendVerification(user);
+    } catch (err) {
+      // The user can ask for another link once they sign in
+      console.error('Failed to send verification email to new user:', err);
+    }
+
+    return this.getUser(user.id);
+  }
+
+  /**
+   * Update a user's name and contact details
+   * @param {number} id - The ID of the user
+   * @param {Object} data - firstName, lastName, phoneNumber, address and dateOfBirth; unset fields are kept
+   * @returns {Promise<Object>} - The updated user
+   * @throws {Error} - If there is no such user
+   */
+  async updateUser(id, { firstName, lastName, phoneNumber, address, dateOfBirth }) {
+    const user = await this.findUser(id);
+
+    await user.update({
+      firstName: firstName !== undefined ? firstName : user.firstName,
+      lastName: lastName !== undefined ? lastName : user.lastName,
+      phoneNumber: phoneNumber !== undefined ? phoneNumber : user.phoneNumber,
+      address: address !== undefined ? address : user.address,
+      dateOfBirth: dateOfBirth !== undefined ? dateOfBirth : user.dateOfBirth
+    });
+
+    return this.getUser(id);
+  }
+
+  /**
+   * Activate or deactivate a user. Deactivated users are signed out everywhere and cannot sign in.
+   * @param {number} id - The ID of the user
+   * @param {boolean} isActive - Whether the user may sign in
+   * @param {number} actingUserId - The ID of the admin making the change
+   * @returns {Promise<Object>} - The updated user
+   * @throws {Error} - If there is no such user or admins deactivate themselves
+   */
+  async setActive(id, isActive, actingUserId) {
+    if (!isActive) {
+      this.assertNotSelf(id, actingUserId, 'You cannot deactivate your own account');
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const user = await this.findUser(id, transaction);
+
+      await user.update({ isActive }, { transaction });
+
+      if (!isActive) {
+        await sessionService.revokeAllSessions(user.id, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+
+    return this.getUser(id);
+  }
+
+  /**
+   * Give a user another role
+   * @param {number} id - The ID of the user
+   * @param {number} roleId - The ID of the role
+   * @param {number} actingUserId - The ID of the admin making the change
+   * @returns {Promise<Object>} - The updated user
+   * @throws {Error} - If there is no such user or role, or admins change their own role
+   */
+  async assignRole(id, roleId, actingUserId) {
+    this.assertNotSelf(id, actingUserId, 'You cannot change your own role');
+    await this.assertRoleExists(roleId);
+
+    const user = await this.findUser(id);
+    await user.update({ roleId });
+
+    return this.getUser(id);
+  }
+
+  /**
+   * Make a user choose a new password. Their password is marked as expired and they are
+   * signed out everywhere, so the next sign-in sends them through a password reset.
+   * @param {number} id - The ID of the user
+   * @returns {Promise<Object>} - The updated user
+   * @throws {Error} - If there is no such user or they have no password
+   */
+  async expirePassword(id) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const user = await this.findUser(id, transaction);
+
+      const [expired] = await UserCredential.update({ passwordExpired: true }, {
+        where: {
+          userId: user.id,
+          authType: 'password',
+          isActive: true,
+          isDeleted: false
+        },
+        transaction
+      });
+
+      if (expired === 0) {
+        throw new Error('User has no password to expire');
+      }
+
+      await sessionService.revokeAllSessions(user.id, { transaction });
+
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+
+    return this.getUser(id);
+  }
+
+  /**
+   * Soft delete a user and sign them out everywhere
+   * @param {number} id - The ID of the user
+   * @param {number} actingUserId - The ID of the admin making the change
+   * @returns {Promise<void>}
+   * @throws {Error} - If there is no such user or admins delete themselves
+   */
+  async deleteUser(id, actingUserId) {
+    this.assertNotSelf(id, actingUserId, 'You cannot delete your own account');
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const user = await this.findUser(id, transaction);
+
+      await user.update({ isDeleted: true, isActive: false }, { transaction });
+      await sessionService.revokeAllSessions(user.id, { transaction });
+
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Load a user that has not been deleted, for changing
+   * @param {number} id - The ID of the user
+   * @param {Object} [transaction] - Optional transaction; the row is locked within it
+   * @returns {Promise<Object>} - The user
+   * @throws {Error} - If there is no such user
+   * @private
+   */
+  async findUser(id, transaction) {
+    const user = isUserId(id) && await User.findOne({
+      where: { id, isDeleted: false },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return user;
+  }
+
+  /**
+   * Check that a role exists
+   * @param {number} roleId - The ID of the role
+   * @returns {Promise<void>}
+   * @throws {Error} - If there is no such role
+   * @private
+   */
+  async assertRoleExists(roleId) {
+    const role = roleId ? await Role.findByPk(roleId) : null;
+
+    if (!role) {
+      throw new Error('Role not found');
+    }
+  }
+
+  /**
+   * Keep admins from locking themselves out
+   * @param {number} id - The ID of the user being changed
+   * @param {number} actingUserId - The ID of the admin making the change
+   * @param {string} message - The error message
+   * @throws {Error} - If the two are the same user
+   * @private
+   */
+  assertNotSelf(id, actingUserId, message) {
+    if (String(id) === String(actingUserId)) {
+      throw new Error(message);
+    }
+  }
+}
+
+module.exports = new AdminUserService();
@@ -0,0 +1,296 @@
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const { AuditEvent, User } = require('../models');
+const sessionService = require('./SessionService');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Secrets never written to the log, even as hashes
+const REDACTED_FIELDS = ['passwordHash', 'totpSecret', 'tokenHash', 'codeHash', 'refreshTokenHash', 'previousRefreshTokenHash'];
+
+// Bookkeeping that changes on every update and says nothing about what was done
+const IGNORED_FIELDS = ['updatedAt'];
+
+const CSV_COLUMNS = ['id', 'createdAt', 'actorUserId', 'actorEmail', 'action', 'targetType', 'targetId', 'changes', 'details', 'ipAddress', 'userAgent'];
+
+/**
+ * Get the plain values of a model instance or object
+ * @param {Object|null} record - Sequelize instance or plain object
+ * @returns {Object} - The values, or an empty object
+ */
+const toPlain = (record) => {
+  if (!record) {
+    return {};
+  }
+  return typeof record.get === 'function' ? record.get({ plain: true }) : record;
+};
+
+/**
+ * Whether a value is an included association rather than a field; associations are audited as their own events
+ * @param {*} value - The value
+ * @returns {boolean}
+ */
+const isIncludedRecord = (value) => value !== null && typeof value === 'object' &&
+  !(value instanceof Date) && !Array.isArray(value);
+
+/**
+ * Compare values the way they are stored in JSON, so equal dates and numbers match
+ * @param {*} value - The value
+ * @returns {string}
+ */
+const comparable = (value) => JSON.stringify(value === undefined ? null : value);
+
+/**
+ * Format a value as a CSV field. Text starting with a formula character is prefixed with a
+ * quote so spreadsheets show it rather than run it.
+ * @param {*} value - The value
+ * @returns {string} - The field
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+    : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class AuditService {
+  /**
+   * Work out which fields a change touched. When both sides are given only the fields they
+   * share are compared, so a record can be compared with the shape a service returns for it.
+   * @param {Object|null} before - The record before the change; null when it was created
+   * @param {Object|null} after - The record after the change; null when it was removed
+   * @returns {Object|null} - { field: { before, after } } for each changed field, or null if nothing changed
+   */
+  diff(before, after) {
+    const beforeValues = toPlain(before);
+    const afterValues = toPlain(after);
+    const changes = {};
+
+    const fields = !before ? Object.keys(afterValues)
+      : !after ? Object.keys(beforeValues)
+      : Object.keys(afterValues).filter(field => field in beforeValues);
+
+    for (const field of fields) {
+      const beforeValue = beforeValues[field];
+      const afterValue = afterValues[field];
+
+      if (IGNORED_FIELDS.includes(field) || isIncludedRecord(beforeValue) || isIncludedRecord(afterValue) ||
+          comparable(beforeValue) === comparable(afterValue)) {
+        continue;
+      }
+
+      changes[field] = REDACTED_FIELDS.includes(field)
+        ? { before: '[redacted]', after: '[redacted]' }
+        : { before: beforeValue === undefined ? null : beforeValue, after: afterValue === undefined ? null : afterValue };
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  /**
+   * Get who made a request and from where
+   * @param {Object} [req] - Express request; omitted for background jobs
+   * @returns {Object} - { actorUserId, ipAddress, userAgent }
+   */
+  getRequestContext(req) {
+    if (!req) {
+      return { actorUserId: null, ipAddress: null, userAgent: null };
+    }
+
+    return {
+      actorUserId: req.user ? req.user.userId : null,
+      ...sessionService.getClientContext(req)
+    };
+  }
+
+  /**
+   * Add an event to the audit log. Within a transaction a failure rolls the change back with it;
+   * otherwise it is logged, so the audited action still succeeds.
+   * @param {Object} [req] - The request the event happened in, for the actor, IP address and user agent
+   * @param {Object} event - The event
+   * @param {string} event.action - What happened, e.g. CERTIFICATE_UPDATED
+   * @param {string} [event.targetType] - Kind of record acted on, e.g. Certificate
+   * @param {number|string} [event.targetId] - ID of the record acted on
+   * @param {Object} [event.before] - The record before the change
+   * @param {Object} [event.after] - The record after the change
+   * @param {Object} [event.details] - Other facts about the event
+   * @param {number} [event.actorUserId] - Who did it, when the request is not signed in, e.g. a sign-in
+   * @param {Object} [options] - Options
+   * @param {Object} [options.transaction] - Transaction the change is made in
+   * @returns {Promise<Object|null>} - The event, or null if it could not be written outside a transaction
+   */
+  async record(req, { action, targetType, targetId, before, after, details, actorUserId }, { transaction } = {}) {
+    const context = this.getRequestContext(req);
+
+    try {
+      return await AuditEvent.create({
+        actorUserId: actorUserId !== undefined ? actorUserId : context.actorUserId,
+        action,
+        targetType: targetType || null,
+        targetId: targetId !== undefined && targetId !== null ? String(targetId) : null,
+        changes: before || after ? this.diff(before, after) : null,
+        details: details || null,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      }, { transaction });
+    } catch (err) {
+      if (transaction) {
+        throw err;
+      }
+      console.error(`Failed to write audit event ${action}:`, err);
+      return null;
+    }
+  }
+
+  /**
+   * Validate and normalise audit search query parameters
+   * @param {Object} query - The request query string values
+   * @returns {Object} - { page, limit, actorUserId, action, targetType, targetId, from, to }
+   * @throws {Error} - If a parameter is invalid
+   */
+  parseSearchQuery(query = {}) {
+    const positiveInteger = (name, value, defaultValue) => {
+      if (value === undefined || value === '') {
+        return defaultValue;
+      }
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`Invalid ${name}: must be a positive integer`);
+      }
+      return number;
+    };
+
+    const date = (name, value) => {
+      if (value === undefined || value === '') {
+        return null;
+      }
+      const parsed = new Date(value);
+      if (isNaN(parsed.getTime())) {
+        throw new Error(`Invalid ${name}: must be a date`);
+      }
+      return parsed;
+    };
+
+    const text = (value) => (value === undefined || value === '' ? null : String(value).trim());
+
+    const options = {
+      page: positiveInteger('page', query.page, 1),
+      limit: Math.min(positiveInteger('limit', query.limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE),
+      actorUserId: positiveInteger('actorUserId', query.actorUserId, null),
+      action: text(query.action) && text(query.action).toUpperCase(),
+      targetType: text(query.targetType),
+      targetId: text(query.targetId),
+      from: date('from', query.from),
+      to: date('to', query.to)
+    };
+
+    if (options.from && options.to && options.from > options.to) {
+      throw new Error('Invalid date range: from must be before to');
+    }
+
+    return options;
+  }
+
+  /**
+   * Build the where clause for an audit search
+   * @param {Object} options - Parsed search options, see parseSearchQuery
+   * @returns {Object} - Sequelize where clause
+   */
+  buildSearchWhere(options) {
+    const where = {};
+
+    for (const field of ['actorUserId', 'action', 'targetType', 'targetId']) {
+      if (options[field]) {
+        where[field] = options[field];
+      }
+    }
+
+    if (options.from || options.to) {
+      where.createdAt = {};
+      if (options.from) {
+        where.createdAt[Op.gte] = options.from;
+      }
+      if (options.to) {
+        where.createdAt[Op.lte] = options.to;
+      }
+    }
+
+    return where;
+  }
+
+  /**
+   * Search the audit log a page at a time, newest first
+   * @param {Object} query - The request query string values, see parseSearchQuery
+   * @returns {Promise<Object>} - { events, totalPages, currentPage, totalItems }
+   * @throws {Error} - If a query parameter is invalid
+   */
+  async searchEvents(query) {
+    const options = this.parseSearchQuery(query);
+
+    const { count, rows: events } = await AuditEvent.findAndCountAll({
+      where: this.buildSearchWhere(options),
+      include: [{ model: User, as: 'actor', attributes: ['id', 'email', 'firstName', 'lastName'] }],
+      offset: (options.page - 1) * options.limit,
+      limit: options.limit,
+      order: [['createdAt', 'DESC'], ['id', 'DESC']]
+    });
+
+    return {
+      events,
+      totalPages: Math.ceil(count / options.limit),
+      currentPage: options.page,
+      totalItems: count
+    };
+  }
+
+  /**
+   * Export the events matching a search as CSV, oldest first
+   * @param {Object} query - The request query string values, see parseSearchQuery; paging is ignored
+   * @returns {Promise<string>} - The CSV text
+   * @throws {Error} - If a query parameter is invalid or more events match than can be exported
+   */
+  async exportCsv(query) {
+    const options = this.parseSearchQuery(query);
+    const where = this.buildSearchWhere(options);
+    const maxRows = config.audit.exportMaxRows;
+
+    const count = await AuditEvent.count({ where });
+    if (count > maxRows) {
+      throw new Error(`Invalid filters: ${count} events match and at most ${maxRows} can be exported at once`);
+    }
+
+    const events = await AuditEvent.findAll({
+      where,
+      include: [{ model: User, as: 'actor', attributes: ['id', 'email'] }],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    return this.toCsv(events);
+  }
+
+  /**
+   * Format audit events as CSV with a header row
+   * @param {Array<Object>} events - The events, with their actor
+   * @returns {string} - The CSV text
+   */
+  toCsv(events) {
+    const rows = events.map(event => {
+      const values = { ...toPlain(event), actorEmail: event.actor ? event.actor.email : null };
+      return CSV_COLUMNS.map(column => csvField(values[column])).join(',');
+    });
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,227 @@
+const { sequelize } = require('../config/database');
+const { Certificate, CertificateFile, File } = require('../models');
+
+const FILE_LABELS = ['front', 'back', 'supporting'];
+
+class CertificateFileService {
+  /**
+   * Get a certificate owned by the user
+   * @param {number} certificateId - The ID of the certificate
+   * @param {number} userId - The ID of the user
+   * @param {Object} [transaction] - Optional transaction
+   * @returns {Promise<Object>} - The certificate
+   * @throws {Error} - If the certificate does not exist or belongs to someone else
+   */
+  async getOwnedCertificate(certificateId, userId, transaction) {
+    const certificate = await Certificate.findOne({
+      where: {
+        id: certificateId,
+        userId,
+        isDeleted: false
+      },
+      transaction
+    });
+
+    if (!certificate) {
+      throw new Error('Certificate not found');
+    }
+
+    return certificate;
+  }
+
+  /**
+   * Check that a file label is one of front, back or supporting
+   * @param {string} [label] - The label
+   * @returns {string|null} - The label, or null if none was given
+   * @throws {Error} - If the label is not allowed
+   */
+  validateLabel(label) {
+    if (label === undefined || label === null || label === '') {
+      return null;
+    }
+    if (!FILE_LABELS.includes(label)) {
+      throw new Error(`Label must be one of: ${FILE_LABELS.join(', ')}`);
+    }
+    return label;
+  }
+
+  /**
+   * Attach a file to a certificate after the files already attached to it
+   * @param {number} certificateId - The ID of the certificate
+   * @param {number} fileId - The ID of the file
+   * @param {Object} [options] - Options
+   * @param {string} [options.label] - front, back or supporting
+   * @param {Object} [options.transaction] - Optional transaction
+   * @returns {Promise<Object>} - The created CertificateFile
+   */
+  async attachFile(certificateId, fileId, { label, transaction } = {}) {
+    const lastPosition = await CertificateFile.max('sortOrder', {
+      where: {
+        certificateId,
+        isDeleted: false
+      },
+      transaction
+    });
+
+    return CertificateFile.create({
+      certificateId,
+      fileId,
+      label: this.validateLabel(label),
+      sortOrder: Number.isInteger(lastPosition) ? lastPosition + 1 : 0,
+      isDeleted: false
+    }, { transaction });
+  }
+
+  /**
+   * List the files attached to one of the user's certificates, in display order
+   * @param {number} certificateId - The ID of the certificate
+   * @param {number} userId - The ID of the user
+   * @returns {Promise<Array>} - Attached files with their label and position
+   */
+  async getCertificateFiles(certificateId, userId) {
+    await this.getOwnedCertificate(certificateId, userId);
+
+    const certificateFiles = await CertificateFile.findAll({
+      where: {
+        certificateId,
+        isDeleted: false
+      },
+      include: [
+        {
+          model: File,
+          as: 'file',
+          attributes: ['id', 'guid', 'title', 'type', 'mimeType', 'uploadedOn', 'accuracy']
+        }
+      ],
+      order: [['sortOrder', 'ASC'], ['id', 'ASC']]
+    });
+
+    return certificateFiles.map(certificateFile => this.toResponse(certificateFile));
+  }
+
+  /**
+   * Reorder and relabel the files attached to a certificate
+   * @param {number} certificateId - The ID of the certificate
+   * @param {number} userId - The ID of the user
+   * @param {Array<Object>} files - Every attached file in the new order, as { fileId, label }
+   * @returns {Promise<Array>} - The attached files in their new order
+   * @throws {Error} - If an entry is malformed or the list does not name each attached file exactly once
+   */
+  async arrangeFiles(certificateId, userId, files) {
+    if (!Array.isArray(files)) {
+      throw new Error('files must be an array');
+    }
+    if (!files.every(file => file && typeof file === 'object' && Number.isInteger(Number(file.fileId)))) {
+      throw new Error('files must be objects with an integer fileId');
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      await this.getOwnedCertificate(certificateId, userId, transaction);
+
+      const certificateFiles = await CertificateFile.findAll({
+        where: {
+          certificateId,
+          isDeleted: false
+        },
+        transaction
+      });
+
+      const requestedIds = files.map(file => Number(file.fileId));
+      const attachedIds = certificateFiles.map(certificateFile => certificateFile.fileId);
+
+      if (
+        new Set(requestedIds).size !== requestedIds.length
+        || requestedIds.length !== attachedIds.length
+        || !requestedIds.every(fileId => attachedIds.includes(fileId))
+      ) {
+        throw new Error('files must list each attached file exactly once');
+      }
+
+      for (const [index, file] of files.entries()) {
+        const certificateFile = certificateFiles.find(cf => cf.fileId === requestedIds[index]);
+        await certificateFile.update({
+          sortOrder: index,
+          label: file.label === undefined ? certificateFile.label : this.validateLabel(file.label)
+        }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getCertificateFiles(certificateId, userId);
+  }
+
+  /**
+   * Detach a file from a certificate. The link is kept as deleted, the file itself is untouched.
+   * @param {number} certificateId - The ID of the certificate
+   * @param {number} userId - The ID of the user
+   * @param {number} fileId - The ID of the file
+   * @returns {Promise<void>}
+   * @throws {Error} - If the certificate is not found or the file is not attached to it
+   */
+  async detachFile(certificateId, userId, fileId) {
+    await this.getOwnedCertificate(certificateId, userId);
+
+    const [updated] = await CertificateFile.update({ isDeleted: true }, {
+      where: {
+        certificateId,
+        fileId,
+        isDeleted: false
+      }
+    });
+
+    if (updated === 0) {
+      throw new Error('File is not attached to this certificate');
+    }
+  }
+
+  /**
+   * Find which of some files are still attached to a certificate. Those files may only be
+   * removed from their certificate with detachFile, so they are never deleted outright.
+   * @param {Array<number>} fileIds - The IDs of the files
+   * @param {Object} [transaction] - Optional transaction
+   * @returns {Promise<Set<number>>} - The IDs of the attached files
+   */
+  async getAttachedFileIds(fileIds, transaction) {
+    if (fileIds.length === 0) {
+      return new Set();
+    }
+
+    const links = await CertificateFile.findAll({
+      where: { fileId: fileIds, isDeleted: false },
+      attributes: ['fileId'],
+      transaction
+    });
+
+    return new Set(links.map(link => link.fileId));
+  }
+
+  /**
+   * Shape a CertificateFile with its file for API responses
+   * @param {Object} certificateFile - The CertificateFile including its file
+   * @returns {Object} - File details with label and position
+   * @private
+   */
+  toResponse(certificateFile) {
+    const file = certificateFile.file;
+
+    return {
+      id: file.id,
+      guid: file.guid,
+      title: file.title,
+      type: file.type,
+      mimeType: file.mimeType,
+      uploadedOn: file.uploadedOn,
+      accuracy: file.accuracy,
+      label: certificateFile.label,
+      sortOrder: certificateFile.sortOrder
+    };
+  }
+}
+
+module.exports = new CertificateFileService();
@@ -0,0 +1,217 @@
+const { Certificate, CertificateReminder, User } = require('../models');
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const notificationsService = require('./NotificationsService');
+const { sendCertificateExpiryReminderEmail } = require('./EmailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a date as YYYY-MM-DD, matching the DATEONLY columns
+ * @param {Date} date - The date to format
+ * @returns {string} - The formatted date
+ */
+const toDateOnly = (date) => date.toISOString().split('T')[0];
+
+class CertificateRemindersService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Number of whole days between two YYYY-MM-DD dates
+   * @param {string} expiryDate - The certificate expiry date
+   * @param {string} today - The reference date
+   * @returns {number} - Days remaining (negative once expired)
+   */
+  daysUntil(expiryDate, today) {
+    return Math.round((Date.parse(expiryDate) - Date.parse(today)) / DAY_MS);
+  }
+
+  /**
+   * Pick the reminder offset that applies to a certificate today.
+   * Only the closest offset is returned, so a certificate created 10 days
+   * before expiry gets the 30-day reminder once rather than 90 and 30 together.
+   * @param {number} daysRemaining - Days left until expiry
+   * @param {Array<number>} offsets - Configured reminder offsets
+   * @returns {number|null} - The due offset, or null if none applies
+   */
+  getDueOffset(daysRemaining, offsets = config.reminders.offsets) {
+    if (daysRemaining < 0) {
+      return null;
+    }
+
+    const applicable = offsets.filter(offset => offset >= daysRemaining);
+    return applicable.length > 0 ? Math.min(...applicable) : null;
+  }
+
+  /**
+   * Scan certificates and send any reminders that are due and not yet sent
+   * @param {Date} now - The reference time (defaults to now)
+   * @returns {Promise<Object>} - Number of certificates checked and reminders sent
+   */
+  async sendDueReminders(now = new Date()) {
+    const offsets = config.reminders.offsets;
+    if (offsets.length === 0) {
+      return { checked: 0, sent: 0 };
+    }
+
+    const today = toDateOnly(now);
+    const windowEnd = toDateOnly(new Date(now.getTime() + Math.max(...offsets) * DAY_MS));
+
+    const certificates = await Certificate.findAll({
+      where: {
+        isDeleted: false,
+        // Renewed certificates are covered by their renewal
+        supersededOn: null,
+        expiryDate: {
+          [Op.between]: [today, windowEnd]
+        }
+      },
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'email', 'firstName', 'lastName'],
+          where: {
+            isActive: true,
+            isDeleted: false
+          }
+        }
+      ]
+    });
+
+    let sent = 0;
+
+    for (const certificate of certificates) {
+      const daysRemaining = this.daysUntil(certificate.expiryDate, today);
+      const offsetDays = this.getDueOffset(daysRemaining, offsets);
+
+      if (offsetDays === null) {
+        continue;
+      }
+
+      try {
+        // The unique (certificate, offset, expiry date) row is the record that the
+        // reminder went out, so a restart or a second instance will not resend it
+        const [reminder, created] = await CertificateReminder.findOrCreate({
+          where: {
+            certificateId: certificate.id,
+            offsetDays,
+            expiryDate: certificate.expiryDate
+          },
+          defaults: {
+            sentOn: new Date()
+          }
+        });
+
+        if (!created) {
+          continue;
+        }
+
+        try {
+          await this.notify(certificate, daysRemaining);
+        } catch (error) {
+          // Allow the next run to retry
+          await reminder.destroy();
+          throw error;
+        }
+
+        sent++;
+      } catch (error) {
+        console.error(`Error sending expiry reminder for certificate ${certificate.id}:`, error);
+      }
+    }
+
+    return { checked: certificates.length, sent };
+  }
+
+  /**
+   * Send the in-app notification and email for a single certificate
+   * @param {Object} certificate - The certificate, including its user
+   * @param {number} daysRemaining - Days left until expiry
+   * @returns {Promise<void>}
+   * @private
+   */
+  async notify(certificate, daysRemaining) {
+    const message = daysRemaining > 0
+      ? `Your certificate "${certificate.title}" expires in ${daysRemaining} day${daysRemaining === 1 ? '' : 's'} (${certificate.expiryDate})`
+      : `Your certificate "${certificate.title}" expires today (${certificate.expiryDate})`;
+
+    await notificationsService.createNotification({
+      typeId: config.reminders.notificationTypeId,
+      recipientId: certificate.userId,
+      senderId: null,
+      message,
+      title: 'Certificate Expiry Reminder'
+    });
+
+    try {
+      await sendCertificateExpiryReminderEmail(certificate.user.email, certificate, daysRemaining);
+    } catch (emailError) {
+      console.error('Failed to send certificate expiry reminder email:', emailError);
+      // Continue even if email fails, the in-app notification was created
+    }
+  }
+
+  /**
+   * Start the daily reminder scan. Runs once immediately to catch up on
+   * anything missed while the service was down, then daily at the configured hour.
+   */
+  start() {
+    if (!config.reminders.enabled || this.timer) {
+      return;
+    }
+
+    this.run();
+    this.scheduleNext();
+  }
+
+  /**
+   * Stop the daily reminder scan
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run a scan, logging the outcome instead of throwing
+   * @returns {Promise<void>}
+   * @private
+   */
+  async run() {
+    try {
+      const result = await this.sendDueReminders();
+      console.log(`Certificate expiry reminders: checked ${result.checked}, sent ${result.sent}`);
+    } catch (error) {
+      console.error('Certificate expiry reminder scan failed:', error);
+    }
+  }
+
+  /**
+   * Schedule the next scan at the configured hour
+   * @private
+   */
+  scheduleNext() {
+    const now = new Date();
+    const next = new Date(now);
+    next.setHours(config.reminders.runHour, 0, 0, 0);
+
+    if (next <= now) {
+      next.setDate(next.getDate() + 1);
+    }
+
+    this.timer = setTimeout(async () => {
+      await this.run();
+      this.scheduleNext();
+    }, next - now);
+
+    // Do not keep the process alive just for the scheduler
+    this.timer.unref();
+  }
+}
+
+module.exports = new CertificateRemindersService();
@@ -0,0 +1,455 @@
+const { sequelize } = require('../config/database');
+const { Certificate, Country, File, Jurisdiction, LcrType, State } = require('../models');
+const { Op } = require('sequelize');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_EXPIRING_WITHIN_DAYS = 30;
+
+const SORT_FIELDS = ['title', 'expiryDate', 'issuedDate', 'issuingAuthority', 'createdAt', 'updatedAt'];
+const EXPIRY_FILTERS = ['expired', 'expiring', 'none'];
+
+// Query parameters that ask for a paged listing; without any of them every certificate is listed
+const LIST_PARAMS = [
+  'page',
+  'limit',
+  'lcrTypeId',
+  'jurisdictionId',
+  'expiry',
+  'expiringWithinDays',
+  'issuingAuthority',
+  'search',
+  'sortBy',
+  'sortOrder'
+];
+
+// Attributes a renewal inherits from the certificate it replaces unless given
+const INHERITED_FIELDS = [
+  'title',
+  'description',
+  'lcrId',
+  'issuedBy',
+  'issuingAuthority',
+  'jurisdictionId',
+  'renewalFrequency',
+  'lcrTypeId'
+];
+
+// Attributes that can be set on a renewal
+const RENEWAL_FIELDS = [
+  ...INHERITED_FIELDS,
+  'documentNumber',
+  'issuedDate',
+  'expiryDate'
+];
+
+/**
+ * Format a date as YYYY-MM-DD, matching the DATEONLY columns
+ * @param {Date} date - The date to format
+ * @returns {string} - The formatted date
+ */
+const toDateOnly = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Escape LIKE wildcards so user input is matched literally
+ * @param {string} value - The search text
+ * @returns {string} - The escaped text
+ */
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+class CertificateService {
+  /**
+   * Validate and normalise certificate listing query parameters
+   * @param {Object} query - The request query string values
+   * @returns {Object} - { page, limit, lcrTypeId, jurisdictionId, expiry, expiringWithinDays, issuingAuthority, search, sortBy, sortOrder }
+   * @throws {Error} - If a parameter is invalid
+   */
+  parseListQuery(query = {}) {
+    const positiveInteger = (name, value, defaultValue) => {
+      if (value === undefined || value === '') {
+        return defaultValue;
+      }
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`Invalid ${name}: must be a positive integer`);
+      }
+      return number;
+    };
+
+    const options = {
+      page: positiveInteger('page', query.page, 1),
+      limit: Math.min(positiveInteger('limit', query.limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE),
+      lcrTypeId: positiveInteger('lcrTypeId', query.lcrTypeId, null),
+      jurisdictionId: positiveInteger('jurisdictionId', query.jurisdictionId, null),
+      expiry: query.expiry || null,
+      expiringWithinDays: positiveInteger('expiringWithinDays', query.expiringWithinDays, DEFAULT_EXPIRING_WITHIN_DAYS),
+      issuingAuthority: query.issuingAuthority ? String(query.issuingAuthority).trim() : null,
+      search: query.search ? String(query.search).trim() : null,
+      sortBy: query.sortBy || 'expiryDate',
+      sortOrder: (query.sortOrder || 'asc').toLowerCase()
+    };
+
+    if (options.expiry && !EXPIRY_FILTERS.includes(options.expiry)) {
+      throw new Error(`Invalid expiry: must be one of ${EXPIRY_FILTERS.join(', ')}`);
+    }
+
+    if (!SORT_FIELDS.includes(options.sortBy)) {
+      throw new Error(`Invalid sortBy: must be one of ${SORT_FIELDS.join(', ')}`);
+    }
+
+    if (!['asc', 'desc'].includes(options.sortOrder)) {
+      throw new Error('Invalid sortOrder: must be asc or desc');
+    }
+
+    return options;
+  }
+
+  /**
+   * Build the where clause for a certificate listing
+   * @param {number} userId - The ID of the user
+   * @param {Object} options - Parsed list options, see parseListQuery
+   * @param {Object} [scope] - Listing scope
+   * @param {boolean} [scope.activeOnly] - Leave out expired certificates
+   * @param {Date} [now] - The reference time (defaults to now)
+   * @returns {Object} - Sequelize where clause
+   */
+  buildListWhere(userId, options, { activeOnly = false } = {}, now = new Date()) {
+    const today = toDateOnly(now);
+    const conditions = [];
+
+    if (activeOnly) {
+      conditions.push({
+        [Op.or]: [
+          { expiryDate: null },
+          { expiryDate: { [Op.gte]: today } }
+        ]
+      });
+    }
+
+    if (options.expiry === 'expired') {
+      conditions.push({ expiryDate: { [Op.lt]: today } });
+    } else if (options.expiry === 'expiring') {
+      const windowEnd = toDateOnly(new Date(now.getTime() + options.expiringWithinDays * DAY_MS));
+      conditions.push({ expiryDate: { [Op.between]: [today, windowEnd] } });
+    } else if (options.expiry === 'none') {
+      conditions.push({ expiryDate: null });
+    }
+
+    if (options.issuingAuthority) {
+      conditions.push({ issuingAuthority: { [Op.iLike]: `%${escapeLike(options.issuingAuthority)}%` } });
+    }
+
+    if (options.search) {
+      const pattern = `%${escapeLike(options.search)}%`;
+      conditions.push({
+        [Op.or]: [
+          { title: { [Op.iLike]: pattern } },
+          { description: { [Op.iLike]: pattern } },
+          { documentNumber: { [Op.iLike]: pattern } }
+        ]
+      });
+    }
+
+    const where = {
+      isDeleted: false,
+      supersededOn: null,
+      userId
+    };
+
+    if (options.lcrTypeId) {
+      where.lcrTypeId = options.lcrTypeId;
+    }
+
+    if (options.jurisdictionId) {
+      where.jurisdictionId = options.jurisdictionId;
+    }
+
+    if (conditions.length > 0) {
+      where[Op.and] = conditions;
+    }
+
+    return where;
+  }
+
+  /**
+   * Check whether a listing query asks for paging, filtering or sorting
+   * @param {Object} query - The request query string values
+   * @returns {boolean} - True when any listing parameter is given
+   */
+  isPagedQuery(query = {}) {
+    return LIST_PARAMS.some(name => query[name] !== undefined);
+  }
+
+  /**
+   * List the user's current certificates. Without listing parameters every certificate is
+   * returned as an array, as before paging existed; with any of them a page is returned.
+   * @param {number} userId - The ID of the user
+   * @param {Object} query - The request query string values, see parseListQuery
+   * @param {Object} [scope] - Listing scope
+   * @param {boolean} [scope.activeOnly] - Leave out expired certificates
+   * @returns {Promise<Array|Object>} - The certificates, or { certificates, totalPages, currentPage, totalItems }
+   * @throws {Error} - If a query parameter is invalid
+   */
+  async listCertificates(userId, query, scope = {}) {
+    const options = this.parseListQuery(query);
+    const direction = options.sortOrder.toUpperCase();
+    const order = [
+      [options.sortBy, direction === 'ASC' ? 'ASC NULLS LAST' : 'DESC NULLS LAST'],
+      ['id', direction]
+    ];
+
+    if (!this.isPagedQuery(query)) {
+      return Certificate.findAll({
+        where: this.buildListWhere(userId, options, scope),
+        include: this.certificateIncludes(),
+        order
+      });
+    }
+
+    const { count, rows: certificates } = await Certificate.findAndCountAll({
+      where: this.buildListWhere(userId, options, scope),
+      include: this.certificateIncludes(),
+      distinct: true,
+      offset: (options.page - 1) * options.limit,
+      limit: options.limit,
+      order
+    });
+
+    return {
+      certificates,
+      totalPages: Math.ceil(count / options.limit),
+      currentPage: options.page,
+      totalItems: count
+    };
+  }
+
+  /**
+   * Find who a certificate belongs to, for ownerGuard
+   * @param {number} certificateId - The ID of the certificate
+   * @returns {Promise<Array<number>|null>} - [userId] of the owner, or null if there is no such certificate
+   */
+  async getOwnerIds(certificateId) {
+    const certificate = await Certificate.findOne({
+      where: {
+        id: certificateId,
+        isDeleted: false
+      },
+      attributes: ['userId']
+    });
+
+    return certificate ? [certificate.userId] : null;
+  }
+
+  /**
+   * Renew a certificate. The renewal is created as a new certificate linked to its
+   * predecessor, which is kept unchanged with its files and marked as superseded.
+   * @param {number} certificateId - The ID of the certificate being renewed
+   * @param {number} userId - The ID of the user
+   * @param {Object} data - Values for the renewal; unset fields are inherited
+   * @returns {Promise<Object>} - The new certificate
+   * @throws {Error} - If the certificate is missing or already renewed, or the renewal is invalid
+   */
+  async renewCertificate(certificateId, userId, data = {}) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const previous = await Certificate.findOne({
+        where: {
+          id: certificateId,
+          userId,
+          isDeleted: false
+        },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!previous) {
+        throw new Error('Certificate not found');
+      }
+
+      if (previous.supersededOn) {
+        throw new Error('Certificate has already been renewed');
+      }
+
+      const fields = {};
+      for (const field of INHERITED_FIELDS) {
+        fields[field] = previous[field];
+      }
+      for (const field of RENEWAL_FIELDS) {
+        if (data[field] !== undefined) {
+          fields[field] = data[field];
+        }
+      }
+
+      if (!fields.title) {
+        throw new Error('Title is required');
+      }
+
+      if (fields.expiryDate && previous.expiryDate && fields.expiryDate <= previous.expiryDate) {
+        throw new Error('Renewal must expire after the certificate it renews');
+      }
+
+      if (fields.lcrTypeId !== previous.lcrTypeId) {
+        const lcrType = await LcrType.findByPk(fields.lcrTypeId, { transaction });
+        if (!lcrType) {
+          throw new Error('LCR Type not found');
+        }
+      }
+
+      if (fields.jurisdictionId && fields.jurisdictionId !== previous.jurisdictionId) {
+        const jurisdiction = await Jurisdiction.findByPk(fields.jurisdictionId, { transaction });
+        if (!jurisdiction) {
+          throw new Error('Jurisdiction not found');
+        }
+      }
+
+      const renewal = await Certificate.create({
+        ...fields,
+        previousCertificateId: previous.id,
+        userId,
+        isDeleted: false
+      }, { transaction });
+
+      await previous.update({ supersededOn: new Date() }, { transaction });
+
+      await transaction.commit();
+
+      return renewal;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Get the full renewal chain a certificate belongs to, oldest first, with the
+   * gap in coverage between each certificate and the one before it
+   * @param {number} certificateId - The ID of any certificate in the chain
+   * @param {number} userId - The ID of the user
+   * @returns {Promise<Object>} - { continuous, certificates: [...] }
+   * @throws {Error} - If the certificate does not exist
+   */
+  async getHistory(certificateId, userId) {
+    const certificate = await Certificate.findOne({
+      where: {
+        id: certificateId,
+        userId,
+        isDeleted: false
+      },
+      attributes: ['id', 'previousCertificateId']
+    });
+
+    if (!certificate) {
+      throw new Error('Certificate not found');
+    }
+
+    // Walk back to the original certificate and forward to the current one.
+    // Deleted links are followed so the chain is not broken, but left out of the result.
+    const chainIds = [certificate.id];
+    const seen = new Set(chainIds);
+
+    let previousId = certificate.previousCertificateId;
+    while (previousId && !seen.has(previousId)) {
+      const previous = await Certificate.findOne({
+        where: { id: previousId, userId },
+        attributes: ['id', 'previousCertificateId']
+      });
+      if (!previous) {
+        break;
+      }
+      chainIds.unshift(previous.id);
+      seen.add(previous.id);
+      previousId = previous.previousCertificateId;
+    }
+
+    let currentId = certificate.id;
+    for (;;) {
+      const renewal = await Certificate.findOne({
+        where: { previousCertificateId: currentId, userId },
+        attributes: ['id']
+      });
+      if (!renewal || seen.has(renewal.id)) {
+        break;
+      }
+      chainIds.push(renewal.id);
+      seen.add(renewal.id);
+      currentId = renewal.id;
+    }
+
+    const certificates = await Certificate.findAll({
+      where: {
+        id: chainIds,
+        isDeleted: false
+      },
+      include: this.certificateIncludes()
+    });
+
+    certificates.sort((a, b) => chainIds.indexOf(a.id) - chainIds.indexOf(b.id));
+
+    const history = certificates.map((item, index) => ({
+      ...item.toJSON(),
+      coverageGapDays: index === 0 ? 0 : this.getCoverageGap(certificates[index - 1], item)
+    }));
+
+    return {
+      continuous: history.every(item => item.coverageGapDays === 0),
+      certificates: history
+    };
+  }
+
+  /**
+   * Days without coverage between a certificate expiring and its renewal being issued
+   * @param {Object} previous - The earlier certificate
+   * @param {Object} next - The renewal
+   * @returns {number|null} - Uncovered days (0 when continuous), or null if either date is unknown
+   */
+  getCoverageGap(previous, next) {
+    if (!previous.expiryDate || !next.issuedDate) {
+      return null;
+    }
+
+    // A renewal issued the day after expiry still gives continuous coverage
+    const days = Math.round((Date.parse(next.issuedDate) - Date.parse(previous.expiryDate)) / DAY_MS) - 1;
+    return Math.max(days, 0);
+  }
+
+  /**
+   * Includes used when returning certificates
+   * @returns {Array} - Sequelize include definitions
+   * @private
+   */
+  certificateIncludes() {
+    return [
+      {
+        model: Jurisdiction,
+        as: 'jurisdiction',
+        attributes: ['id', 'name'],
+        include: [
+          {
+            model: Country,
+            as: 'country',
+            attributes: ['countryCode', 'countryName']
+          },
+          {
+            model: State,
+            as: 'state',
+            attributes: ['id', 'name']
+          }
+        ]
+      },
+      {
+        model: File,
+        as: 'files',
+        attributes: ['id', 'title', 'guid', 'mimeType'],
+        through: {
+          attributes: [],
+          where: { isDeleted: false }
+        }
+      }
+    ];
+  }
+}
+
+module.exports = new CertificateService();
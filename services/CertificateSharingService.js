@@ -0,0 +1,183 @@
+const { Connection, Certificate, CertificateFile, File, Jurisdiction, Country, State } = require('../models');
+const certificateService = require('./CertificateService');
+const connectionsService = require('./ConnectionsService');
+
+// Connection.status value for an accepted connection
+const CONNECTION_STATUS_ACCEPTED = 1;
+
+class CertificateSharingService {
+  /**
+   * Resolve a connection through which the viewer may read the recipient's certificates.
+   * Checked on every request, so turning off isLcrAvailable or leaving an organisation revokes
+   * access immediately. On an organisation connection every member sees the worker's certificates.
+   * @param {number} connectionId - The ID of the connection
+   * @param {number} viewerId - The ID of the user requesting access
+   * @returns {Promise<Object>} - The connection and the ID of the user whose certificates are shared
+   * @throws {Error} - If the connection does not exist for the viewer or is not sharing certificates
+   */
+  async getSharingConnection(connectionId, viewerId) {
+    const connection = await Connection.findOne({
+      where: {
+        id: connectionId,
+        isDeleted: false,
+        ...connectionsService.buildPartyWhere(viewerId, await connectionsService.getOrganisationIds(viewerId))
+      }
+    });
+
+    if (!connection) {
+      throw new Error('Connection not found');
+    }
+
+    const ownerId = this.getSharedOwnerId(connection, viewerId);
+
+    if (connection.status !== CONNECTION_STATUS_ACCEPTED || !connection.isLcrAvailable || !ownerId) {
+      throw new Error('Certificates are not shared on this connection');
+    }
+
+    return { connection, ownerId };
+  }
+
+  /**
+   * Work out whose certificates a party to a connection sees. Only the recipient shares, since
+   * only they control isLcrAvailable: the sender, or the members of the sending organisation,
+   * see the recipient's certificates and the recipient sees nothing in return.
+   * @param {Object} connection - The connection
+   * @param {number} viewerId - The ID of the user requesting access
+   * @returns {number|null} - The ID of the user whose certificates are shared, or null for none
+   */
+  getSharedOwnerId(connection, viewerId) {
+    return connection.recipientId === viewerId ? null : connection.recipientId;
+  }
+
+  /**
+   * Get the certificates shared with the viewer through a connection
+   * @param {number} connectionId - The ID of the connection
+   * @param {number} viewerId - The ID of the user requesting access
+   * @returns {Promise<Array>} - List of certificates with jurisdiction and file details
+   */
+  async getSharedCertificates(connectionId, viewerId) {
+    const { ownerId } = await this.getSharingConnection(connectionId, viewerId);
+
+    return Certificate.findAll({
+      where: {
+        userId: ownerId,
+        isDeleted: false,
+        supersededOn: null
+      },
+      include: this.certificateIncludes(),
+      order: [['expiryDate', 'ASC']]
+    });
+  }
+
+  /**
+   * Get a single certificate shared with the viewer through a connection
+   * @param {number} connectionId - The ID of the connection
+   * @param {number} viewerId - The ID of the user requesting access
+   * @param {number} certificateId - The ID of the certificate
+   * @returns {Promise<Object|null>} - The certificate or null if the other party does not own it
+   */
+  async getSharedCertificate(connectionId, viewerId, certificateId) {
+    const { ownerId } = await this.getSharingConnection(connectionId, viewerId);
+
+    return Certificate.findOne({
+      where: {
+        id: certificateId,
+        userId: ownerId,
+        isDeleted: false
+      },
+      include: this.certificateIncludes()
+    });
+  }
+
+  /**
+   * Get the renewal history of a certificate shared with the viewer through a connection
+   * @param {number} connectionId - The ID of the connection
+   * @param {number} viewerId - The ID of the user requesting access
+   * @param {number} certificateId - The ID of any certificate in the chain
+   * @returns {Promise<Object>} - { continuous, certificates: [...] }
+   */
+  async getSharedCertificateHistory(connectionId, viewerId, certificateId) {
+    const { ownerId } = await this.getSharingConnection(connectionId, viewerId);
+    return certificateService.getHistory(certificateId, ownerId);
+  }
+
+  /**
+   * Get a file shared with the viewer through a connection. Only files attached
+   * to one of the other party's current certificates are reachable.
+   * @param {number} connectionId - The ID of the connection
+   * @param {number} viewerId - The ID of the user requesting access
+   * @param {number} fileId - The ID of the file
+   * @param {Array<string>} [attributes] - File attributes to load
+   * @returns {Promise<Object|null>} - The file or null if it is not shared
+   */
+  async getSharedFile(connectionId, viewerId, fileId, attributes) {
+    const { ownerId } = await this.getSharingConnection(connectionId, viewerId);
+
+    return File.findOne({
+      where: {
+        id: fileId,
+        ownerId
+      },
+      attributes,
+      include: [
+        {
+          model: CertificateFile,
+          as: 'certificateFiles',
+          attributes: [],
+          required: true,
+          where: { isDeleted: false },
+          include: [
+            {
+              model: Certificate,
+              as: 'certificate',
+              attributes: [],
+              required: true,
+              where: {
+                userId: ownerId,
+                isDeleted: false
+              }
+            }
+          ]
+        }
+      ]
+    });
+  }
+
+  /**
+   * Includes used when returning shared certificates
+   * @returns {Array} - Sequelize include definitions
+   * @private
+   */
+  certificateIncludes() {
+    return [
+      {
+        model: Jurisdiction,
+        as: 'jurisdiction',
+        attributes: ['id', 'name'],
+        include: [
+          {
+            model: Country,
+            as: 'country',
+            attributes: ['countryCode', 'countryName']
+          },
+          {
+            model: State,
+            as: 'state',
+            attributes: ['id', 'name']
+          }
+        ]
+      },
+      {
+        model: File,
+        as: 'files',
+        attributes: ['id', 'title', 'guid', 'mimeType'],
+        through: {
+          attributes: [],
+          where: { isDeleted: false }
+        }
+      }
+    ];
+  }
+}
+
+module.exports = new CertificateSharingService();
@@ -0,0 +1,322 @@
+const { Op } = require('sequelize');
+const { ComplianceRequirement, Certificate, Jurisdiction, JobRole, LcrType, User, UserJurisdiction } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_EXPIRING_WITHIN_DAYS = 30;
+
+const REQUIREMENT_INCLUDE = [
+  { model: Jurisdiction, as: 'jurisdiction', attributes: ['id', 'name'] },
+  { model: JobRole, as: 'jobRole', attributes: ['id', 'name'] },
+  { model: LcrType, as: 'lcrType', attributes: ['id', 'name'] }
+];
+
+/**
+ * Format a date as YYYY-MM-DD, matching the DATEONLY columns
+ * @param {Date} date - The date to format
+ * @returns {string} - The formatted date
+ */
+const toDateOnly = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Read an optional positive integer from a request
+ * @param {string} name - Name of the value, for the error message
+ * @param {*} value - The value
+ * @param {*} defaultValue - Returned when the value is not given
+ * @returns {number|*} - The number, or the default
+ * @throws {Error} - If the value is given and is not a positive integer
+ */
+const positiveInteger = (name, value, defaultValue) => {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid ${name}: must be a positive integer`);
+  }
+  return number;
+};
+
+/**
+ * Pick the certificate that best covers a requirement: one that never expires, or else the one
+ * expiring last
+ * @param {Array<Object>} certificates - Candidate certificates
+ * @returns {Object|null} - The certificate, or null if there are none
+ */
+const latestExpiring = (certificates) => certificates.reduce((best, certificate) => {
+  if (!best || best.expiryDate === null) {
+    return best || certificate;
+  }
+  return certificate.expiryDate === null || certificate.expiryDate > best.expiryDate ? certificate : best;
+}, null);
+
+class ComplianceService {
+  /**
+   * Validate the fields of a requirement from a request
+   * @param {Object} data - jurisdictionId, jobRoleId (null for every job role), lcrTypeId and note
+   * @param {Object} [current] - The requirement being changed; its values are kept for unset fields
+   * @returns {Object} - { jurisdictionId, jobRoleId, lcrTypeId, note }
+   * @throws {Error} - If a field is missing or invalid
+   */
+  parseRequirement({ jurisdictionId, jobRoleId, lcrTypeId, note } = {}, current = {}) {
+    const fields = {
+      jurisdictionId: positiveInteger('jurisdictionId', jurisdictionId, current.jurisdictionId),
+      jobRoleId: jobRoleId === null ? null : positiveInteger('jobRoleId', jobRoleId, current.jobRoleId || null),
+      lcrTypeId: positiveInteger('lcrTypeId', lcrTypeId, current.lcrTypeId),
+      note: note !== undefined ? note || null : current.note || null
+    };
+
+    if (!fields.jurisdictionId) {
+      throw new Error('Invalid jurisdictionId: is required');
+    }
+    if (!fields.lcrTypeId) {
+      throw new Error('Invalid lcrTypeId: is required');
+    }
+
+    return fields;
+  }
+
+  /**
+   * Work out which requirements a worker's certificates meet. A certificate counts for a
+   * requirement when it has the required LCR type and was issued in the requirement's
+   * jurisdiction or names none. Expired certificates leave the requirement missing.
+   * @param {Array<Object>} requirements - Requirements with jurisdiction, jobRole and lcrType
+   * @param {Array<Object>} certificates - The worker's current certificates
+   * @param {Object} [options] - Options
+   * @param {number} [options.expiringWithinDays] - Days ahead in which a certificate counts as expiring
+   * @param {Date} [options.now] - The reference time (defaults to now)
+   * @returns {Object} - { compliant, summary, met, expiring, missing }
+   */
+  evaluate(requirements, certificates, { expiringWithinDays = DEFAULT_EXPIRING_WITHIN_DAYS, now = new Date() } = {}) {
+    const today = toDateOnly(now);
+    const windowEnd = toDateOnly(new Date(now.getTime() + expiringWithinDays * DAY_MS));
+    const result = { met: [], expiring: [], missing: [] };
+
+    for (const requirement of requirements) {
+      const certificate = latestExpiring(certificates.filter(c =>
+        c.lcrTypeId === requirement.lcrTypeId &&
+        (c.jurisdictionId === null || c.jurisdictionId === undefined || c.jurisdictionId === requirement.jurisdictionId)
+      ));
+
+      const daysUntilExpiry = certificate && certificate.expiryDate
+        ? Math.round((Date.parse(certificate.expiryDate) - Date.parse(today)) / DAY_MS)
+        : null;
+
+      const status = !certificate || (certificate.expiryDate && certificate.expiryDate < today) ? 'missing'
+        : certificate.expiryDate && certificate.expiryDate <= windowEnd ? 'expiring'
+        : 'met';
+
+      result[status].push({
+        requirementId: requirement.id,
+        jurisdiction: requirement.jurisdiction || null,
+        jobRole: requirement.jobRole || null,
+        lcrType: requirement.lcrType || null,
+        note: requirement.note || null,
+        status,
+        certificate: certificate ? {
+          id: certificate.id,
+          title: certificate.title,
+          documentNumber: certificate.documentNumber,
+          jurisdictionId: certificate.jurisdictionId,
+          expiryDate: certificate.expiryDate
+        } : null,
+        daysUntilExpiry
+      });
+    }
+
+    return {
+      compliant: result.missing.length === 0,
+      summary: {
+        met: result.met.length,
+        expiring: result.expiring.length,
+        missing: result.missing.length
+      },
+      ...result
+    };
+  }
+
+  /**
+   * Get requirements, optionally for one jurisdiction or job role
+   * @param {Object} query - The request query string values: jurisdictionId and jobRoleId
+   * @returns {Promise<Array<Object>>} - The requirements with jurisdiction, job role and LCR type
+   * @throws {Error} - If a query parameter is invalid
+   */
+  async getRequirements(query = {}) {
+    const where = {};
+    const jurisdictionId = positiveInteger('jurisdictionId', query.jurisdictionId, null);
+    const jobRoleId = positiveInteger('jobRoleId', query.jobRoleId, null);
+
+    if (jurisdictionId) {
+      where.jurisdictionId = jurisdictionId;
+    }
+    if (jobRoleId) {
+      where.jobRoleId = jobRoleId;
+    }
+
+    return ComplianceRequirement.findAll({
+      where,
+      include: REQUIREMENT_INCLUDE,
+      order: [['jurisdictionId', 'ASC'], ['jobRoleId', 'ASC'], ['lcrTypeId', 'ASC']]
+    });
+  }
+
+  /**
+   * Get a requirement
+   * @param {number} id - The ID of the requirement
+   * @returns {Promise<Object>} - The requirement with jurisdiction, job role and LCR type
+   * @throws {Error} - If there is no such requirement
+   */
+  async getRequirement(id) {
+    const requirement = Number.isInteger(Number(id)) && await ComplianceRequirement.findByPk(id, {
+      include: REQUIREMENT_INCLUDE
+    });
+
+    if (!requirement) {
+      throw new Error('Requirement not found');
+    }
+
+    return requirement;
+  }
+
+  /**
+   * Create a requirement
+   * @param {Object} data - See parseRequirement
+   * @returns {Promise<Object>} - The requirement with jurisdiction, job role and LCR type
+   * @throws {Error} - If a field is invalid, a referenced record does not exist or the requirement exists
+   */
+  async createRequirement(data) {
+    const fields = this.parseRequirement(data);
+
+    await this.assertReferencesExist(fields);
+    await this.assertUnique(fields);
+
+    const requirement = await ComplianceRequirement.create(fields);
+
+    return this.getRequirement(requirement.id);
+  }
+
+  /**
+   * Update a requirement
+   * @param {number} id - The ID of the requirement
+   * @param {Object} data - See parseRequirement; unset fields are kept
+   * @returns {Promise<Object>} - The updated requirement
+   * @throws {Error} - If the requirement is not found, a field is invalid, a referenced record does not exist or the result duplicates another requirement
+   */
+  async updateRequirement(id, data) {
+    const requirement = await this.getRequirement(id);
+    const fields = this.parseRequirement(data, requirement);
+
+    await this.assertReferencesExist(fields);
+    await this.assertUnique(fields, requirement.id);
+
+    await requirement.update(fields);
+
+    return this.getRequirement(requirement.id);
+  }
+
+  /**
+   * Delete a requirement
+   * @param {number} id - The ID of the requirement
+   * @returns {Promise<Object>} - The deleted requirement
+   * @throws {Error} - If there is no such requirement
+   */
+  async deleteRequirement(id) {
+    const requirement = await this.getRequirement(id);
+
+    await requirement.destroy();
+
+    return requirement;
+  }
+
+  /**
+   * Check a user's current certificates against the requirements of the jurisdictions they
+   * work in and their job role
+   * @param {number} userId - The ID of the user
+   * @param {Object} [query] - The request query string values: expiringWithinDays
+   * @returns {Promise<Object>} - { jobRole, expiringWithinDays, compliant, summary, met, expiring, missing }
+   * @throws {Error} - If the user does not exist or a query parameter is invalid
+   */
+  async getComplianceForUser(userId, query = {}) {
+    const expiringWithinDays = positiveInteger('expiringWithinDays', query.expiringWithinDays, DEFAULT_EXPIRING_WITHIN_DAYS);
+
+    const user = await User.findOne({
+      where: { id: userId, isDeleted: false },
+      include: [{ model: JobRole, as: 'jobRole', attributes: ['id', 'name'] }]
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const userJurisdictions = await UserJurisdiction.findAll({ where: { UserID: userId } });
+    const jurisdictionIds = userJurisdictions.map(uj => uj.JurisdictionID);
+
+    const requirements = jurisdictionIds.length === 0 ? [] : await ComplianceRequirement.findAll({
+      where: {
+        jurisdictionId: { [Op.in]: jurisdictionIds },
+        jobRoleId: user.jobRoleId ? { [Op.or]: [null, user.jobRoleId] } : null
+      },
+      include: REQUIREMENT_INCLUDE,
+      order: [['jurisdictionId', 'ASC'], ['lcrTypeId', 'ASC']]
+    });
+
+    const certificates = requirements.length === 0 ? [] : await Certificate.findAll({
+      where: {
+        userId,
+        isDeleted: false,
+        supersededOn: null,
+        lcrTypeId: { [Op.in]: [...new Set(requirements.map(r => r.lcrTypeId))] }
+      }
+    });
+
+    return {
+      jobRole: user.jobRole || null,
+      expiringWithinDays,
+      ...this.evaluate(
+        requirements.map(r => r.get({ plain: true })),
+        certificates.map(c => c.get({ plain: true })),
+        { expiringWithinDays }
+      )
+    };
+  }
+
+  /**
+   * Check that the jurisdiction, job role and LCR type of a requirement exist
+   * @param {Object} fields - Parsed requirement fields
+   * @returns {Promise<void>}
+   * @throws {Error} - If one does not exist
+   * @private
+   */
+  async assertReferencesExist({ jurisdictionId, jobRoleId, lcrTypeId }) {
+    if (!await Jurisdiction.findByPk(jurisdictionId)) {
+      throw new Error('Jurisdiction not found');
+    }
+    if (jobRoleId && !await JobRole.findByPk(jobRoleId)) {
+      throw new Error('Job role not found');
+    }
+    if (!await LcrType.findByPk(lcrTypeId)) {
+      throw new Error('LCR Type not found');
+    }
+  }
+
+  /**
+   * Check that no other requirement asks for the same LCR type in the same jurisdiction and job role
+   * @param {Object} fields - Parsed requirement fields
+   * @param {number} [exceptId] - The ID of the requirement being changed
+   * @returns {Promise<void>}
+   * @throws {Error} - If there is such a requirement
+   * @private
+   */
+  async assertUnique({ jurisdictionId, jobRoleId, lcrTypeId }, exceptId) {
+    const where = { jurisdictionId, jobRoleId, lcrTypeId };
+    if (exceptId) {
+      where.id = { [Op.ne]: exceptId };
+    }
+
+    if (await ComplianceRequirement.count({ where }) > 0) {
+      throw new Error('Requirement already exists');
+    }
+  }
+}
+
+module.exports = new ComplianceService();
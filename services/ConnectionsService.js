@@ -1,21 +1,57 @@
-const { Connection, User, Role, Invite } = require('../models');
+const { Connection, User, Role, Invite, Organisation, OrganisationMember } = require('../models');
 const { Op } = require('sequelize');
 
+// Organisation roles that may change the organisation's connections
+const CONNECTION_MANAGER_ROLES = ['owner', 'admin'];
+
 class ConnectionsService {
   /**
-   * Get all connections for a user (as recipient or sender)
+   * Build the where clause for the connections a user is a party to: user-to-user connections
+   * they sent or received, and organisation connections where they are the worker or a member
+   * of the organisation. The member who sent an organisation connection is not a party to it.
+   * @param {number} userId - The ID of the user
+   * @param {Array<number>} organisationIds - The IDs of the organisations the user belongs to
+   * @returns {Object} - Sequelize where clause
+   */
+  buildPartyWhere(userId, organisationIds) {
+    const parties = [
+      { organisationId: null, [Op.or]: [{ recipientId: userId }, { senderId: userId }] },
+      { organisationId: { [Op.ne]: null }, recipientId: userId }
+    ];
+
+    if (organisationIds.length > 0) {
+      parties.push({ organisationId: { [Op.in]: organisationIds } });
+    }
+
+    return { [Op.or]: parties };
+  }
+
+  /**
+   * Get the IDs of the organisations a user belongs to
+   * @param {number} userId - The ID of the user
+   * @returns {Promise<Array<number>>} - The organisation IDs
+   */
+  async getOrganisationIds(userId) {
+    const memberships = await OrganisationMember.findAll({
+      where: { userId },
+      include: [{ model: Organisation, as: 'organisation', where: { isDeleted: false }, attributes: [] }],
+      attributes: ['organisationId']
+    });
+
+    return memberships.map(membership => membership.organisationId);
+  }
+
+  /**
+   * Get all connections for a user (as recipient or sender, or through an organisation)
    * @param {number} userId - The ID of the user
    * @returns {Promise<Array>} - List of connections with related data
    */
   async getConnectionsForUser(userId) {
     try {
+      const organisationIds = await this.getOrganisationIds(userId);
+
       const connections = await Connection.findAll({
-        where: {
-          [Op.or]: [
-            { recipientId: userId },
-            { senderId: userId }
-          ]
-        },
+        where: this.buildPartyWhere(userId, organisationIds),
         include: [
           {
             model: User,
@@ -39,6 +75,12 @@ class ConnectionsService {
             required: false,
             as: 'invite',
             attributes: ['id', 'guid', 'email', 'senderId' ]
+          },
+          {
+            model: Organisation,
+            required: false,
+            as: 'organisation',
+            attributes: ['id', 'guid', 'name']
           }
         ]
       });
@@ -58,17 +100,12 @@ class ConnectionsService {
    */
   async getConnectionById(id, userId = null) {
     try {
-        const whereClause = {
-          [Op.and]: [
-            { id },
-            {
-              [Op.or]: [
-                { recipientId: userId },
-                { senderId: userId }
-              ]
-            }
-          ]
-        };
+      const whereClause = { id };
+
+      // If userId is provided, ensure the user is a party to the connection
+      if (userId !== null) {
+        Object.assign(whereClause, this.buildPartyWhere(userId, await this.getOrganisationIds(userId)));
+      }
       
       const connection = await Connection.findOne({
         where: whereClause,
@@ -95,6 +132,12 @@ class ConnectionsService {
             required: false,
             as: 'invite',
             attributes: ['id', 'guid', 'email', 'senderId', 'sendOn' ]
+          },
+          {
+            model: Organisation,
+            required: false,
+            as: 'organisation',
+            attributes: ['id', 'guid', 'name']
           }
         ]
       });
@@ -110,19 +153,43 @@ class ConnectionsService {
   }
 
   /**
-   * Get all connections for a user (as sender or recipient)
+   * Find who may change a connection, for ownerGuard: the two parties of a user-to-user
+   * connection, or the worker and the owners and admins of the organisation
+   * @param {number} id - The ID of the connection
+   * @returns {Promise<Array<number>|null>} - The user IDs, or null if there is no such connection
+   */
+  async getOwnerIds(id) {
+    const connection = await Connection.findByPk(id, {
+      attributes: ['senderId', 'recipientId', 'organisationId']
+    });
+
+    if (!connection) {
+      return null;
+    }
+
+    if (!connection.organisationId) {
+      return [connection.senderId, connection.recipientId];
+    }
+
+    const managers = await OrganisationMember.findAll({
+      where: { organisationId: connection.organisationId, role: { [Op.in]: CONNECTION_MANAGER_ROLES } },
+      attributes: ['userId']
+    });
+
+    return [connection.recipientId, ...managers.map(member => member.userId)];
+  }
+
+  /**
+   * Get all connections for a user (as sender or recipient, or through an organisation)
    * @param {number} userId - The ID of the user
    * @returns {Promise<Array>} - List of connections with related data
    */
   async getAllConnectionsForUser(userId) {
     try {
+      const organisationIds = await this.getOrganisationIds(userId);
+
       const connections = await Connection.findAll({
-        where: {
-          [Op.or]: [
-            { senderId: userId },
-            { recipientId: userId }
-          ]
-        },
+        where: this.buildPartyWhere(userId, organisationIds),
         include: [
           {
             model: User,
@@ -146,6 +213,12 @@ class ConnectionsService {
             as: 'invite',
             required: false,
             attributes: ['id', 'guid', 'email', 'senderId', 'sendOn' ]
+          },
+          {
+            model: Organisation,
+            required: false,
+            as: 'organisation',
+            attributes: ['id', 'guid', 'name']
           }
         ]
       });
@@ -162,12 +235,12 @@ class ConnectionsService {
    * @param {number} connectionData.recipientId - The recipient user ID
    * @param {number} connectionData.senderId - The sender user ID
    * @param {number} connectionData.status - Status of the connection (default 0=pending)
-   * @param {boolean} connectionData.isLcrAvailable - Whether LCR is available
    * @param {number} connectionData.autoSubmitAccuracyPercent - Accuracy percentage for auto-submission
    * @param {string} connectionData.note - Optional note about the connection
+   * @param {number} [connectionData.organisationId] - The organisation the sender connects on behalf of
    * @returns {Promise<Object>} - The created connection with related data
    */
-  async createConnection({ recipientId, senderId, status, isLcrAvailable, autoSubmitAccuracyPercent, note }) {
+  async createConnection({ recipientId, senderId, status, autoSubmitAccuracyPercent, note, organisationId }) {
     try {
       // Check if sender exists
       const sender = await User.findByPk(senderId, {
@@ -194,8 +267,10 @@ class ConnectionsService {
       const newConnection = await Connection.create({
         recipientId,
         senderId,
+        organisationId: organisationId || null,
         status: status || 0,
-        isLcrAvailable: isLcrAvailable || false,
+        // Only the recipient shares their certificates, so the sender cannot turn sharing on
+        isLcrAvailable: false,
         autoSubmitAccuracyPercent,
         note,
         createdAt: new Date(),
@@ -209,6 +284,7 @@ class ConnectionsService {
         guid: newConnection.guid,
         recipientId: newConnection.recipientId,
         senderId: newConnection.senderId,
+        organisationId: newConnection.organisationId,
         status: newConnection.status,
         isLcrAvailable: newConnection.isLcrAvailable,
         autoSubmitAccuracyPercent: newConnection.autoSubmitAccuracyPercent,
@@ -233,19 +309,38 @@ class ConnectionsService {
     }
   }
 
+  /**
+   * Check that a user may make a change to a connection. Certificates are shared by the
+   * recipient, so only the recipient may turn sharing on or off.
+   * @param {Object} connection - The connection
+   * @param {Object} updateData - The data to update
+   * @param {number} actingUserId - The ID of the user making the change
+   * @throws {Error} - If the change is not allowed
+   */
+  assertCanUpdate(connection, { isLcrAvailable }, actingUserId) {
+    if (isLcrAvailable !== undefined && Boolean(isLcrAvailable) !== Boolean(connection.isLcrAvailable) &&
+        connection.recipientId !== actingUserId) {
+      throw new Error('Only the recipient can change certificate sharing');
+    }
+  }
+
   /**
    * Update a connection
    * @param {number} id - The ID of the connection to update
    * @param {Object} updateData - The data to update
+   * @param {number} actingUserId - The ID of the user making the change
    * @returns {Promise<Object>} - The updated connection with related data
+   * @throws {Error} - If the connection is not found or the user may not make the change
    */
-  async updateConnection(id, updateData) {
+  async updateConnection(id, updateData, actingUserId) {
     try {
       const connection = await Connection.findByPk(id);
       
       if (!connection) {
         throw new Error('Connection not found');
       }
+
+      this.assertCanUpdate(connection, updateData, actingUserId);
       
       // Update connection with provided fields
       const { status, isLcrAvailable, autoSubmitAccuracyPercent, note } = updateData;
@@ -314,7 +409,9 @@ class ConnectionsService {
         role: plainConnection.sender.role
       },
       recipient: plainConnection.recipient,
-      invite: plainConnection.invite
+      invite: plainConnection.invite,
+      organisationId: plainConnection.organisationId,
+      organisation: plainConnection.organisation || null
     };
 
     return result;
@@ -0,0 +1,463 @@
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const config = require('../config/config');
+const { UserCredential } = require('../models');
+const userService = require('./UserService');
+const passwordPolicyService = require('./PasswordPolicyService');
+const sessionService = require('./SessionService');
+const oidcService = require('./OidcService');
+const mfaService = require('./MfaService');
+const throttleService = require('./ThrottleService');
+const notificationsService = require('./NotificationsService');
+const { sendCredentialChangedEmail } = require('./EmailService');
+
+// Credentials a user can sign in with; a TOTP credential is only a second factor
+const SIGN_IN_AUTH_TYPES = ['password', 'openid'];
+
+// Credential details that are safe to show the user
+const CREDENTIAL_ATTRIBUTES = ['id', 'authType', 'loginName', 'openIdProvider', 'lastPasswordChange', 'passwordExpired', 'createdAt'];
+
+class CredentialService {
+  /**
+   * List the credentials a user can sign in with
+   * @param {number} userId - The ID of the user
+   * @returns {Promise<Array>} - The credentials, without secrets
+   */
+  async listCredentials(userId) {
+    return UserCredential.findAll({
+      where: {
+        userId,
+        authType: { [Op.in]: SIGN_IN_AUTH_TYPES },
+        isActive: true,
+        isDeleted: false
+      },
+      attributes: CREDENTIAL_ATTRIBUTES
+    });
+  }
+
+  /**
+   * Get one of the user's sign-in credentials
+   * @param {number} userId - The ID of the user
+   * @param {number} credentialId - The ID of the credential
+   * @returns {Promise<Object|null>} - The credential, without secrets
+   */
+  async findCredential(userId, credentialId) {
+    return UserCredential.findOne({
+      where: {
+        id: credentialId,
+        userId,
+        authType: { [Op.in]: SIGN_IN_AUTH_TYPES },
+        isActive: true,
+        isDeleted: false
+      },
+      attributes: CREDENTIAL_ATTRIBUTES
+    });
+  }
+
+  /**
+   * Find the user's active password credential
+   * @param {number} userId - The ID of the user
+   * @param {Object} [transaction] - Optional transaction
+   * @returns {Promise<Object|null>} - The credential, if the user has a password
+   * @private
+   */
+  async getPasswordCredential(userId, transaction) {
+    return UserCredential.findOne({
+      where: {
+        userId,
+        authType: 'password',
+        isActive: true,
+        isDeleted: false
+      },
+      transaction
+    });
+  }
+
+  /**
+   * Sign the token that proves the user re-authenticated in this session
+   * @param {number} userId - The ID of the user
+   * @param {number} sessionId - The session that re-authenticated
+   * @returns {Object} - { reauthToken, expiresIn }
+   */
+  createReauthToken(userId, sessionId) {
+    const reauthToken = jwt.sign(
+      {
+        userId,
+        sid: sessionId,
+        purpose: 'reauth'
+      },
+      config.jwt.secret,
+      { expiresIn: config.credentials.reauthExpiresIn }
+    );
+
+    const { exp, iat } = jwt.decode(reauthToken);
+    return { reauthToken, expiresIn: exp - iat };
+  }
+
+  /**
+   * Check a re-authentication token against the session using it
+   * @param {string} token - The re-authentication token
+   * @param {number} userId - The ID of the signed-in user
+   * @param {number} sessionId - The current session
+   * @throws {Error} - If the token is missing, expired or from another user or session
+   */
+  verifyReauthToken(token, userId, sessionId) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token || '', config.jwt.secret);
+    } catch (err) {
+      throw new Error('Re-authentication required');
+    }
+
+    if (decoded.purpose !== 'reauth' || decoded.userId !== userId || decoded.sid !== sessionId) {
+      throw new Error('Re-authentication required');
+    }
+  }
+
+  /**
+   * Confirm who the signed-in user is with their password and, if MFA is on, a second factor
+   * @param {Object} user - The signed-in user
+   * @param {Object} params - Parameters
+   * @param {number} params.sessionId - The current session
+   * @param {string} params.ip - The client IP address, for failed attempt counting
+   * @param {string} [params.password] - The user's password
+   * @param {string} [params.code] - Code from the authenticator app
+   * @param {string} [params.recoveryCode] - Unused recovery code
+   * @returns {Promise<Object>} - { reauthToken, expiresIn }
+   * @throws {Error} - If a factor is wrong, the credential is locked, or the user has to use their identity provider
+   */
+  async reauthenticate(user, { sessionId, ip, password, code, recoveryCode }) {
+    const credential = await this.getPasswordCredential(user.id);
+    const mfaEnabled = mfaService.isEnabled(await mfaService.getTotpCredential(user.id));
+
+    if (!credential && !mfaEnabled) {
+      throw new Error('Re-authenticate with your identity provider');
+    }
+
+    if (credential) {
+      if (throttleService.isLocked(credential)) {
+        throw new Error('Account is temporarily locked');
+      }
+
+      if (!password || !(await bcrypt.compare(password, credential.passwordHash))) {
+        await throttleService.recordLoginFailure(credential.loginName, ip, credential);
+        throw new Error('Current password is incorrect');
+      }
+    }
+
+    if (mfaEnabled) {
+      await mfaService.verifySecondFactor(user.id, { code, recoveryCode });
+    }
+
+    return this.createReauthToken(user.id, sessionId);
+  }
+
+  /**
+   * Start an OpenID Connect round trip for the signed-in user
+   * @param {Object} user - The signed-in user
+   * @param {string} providerId - The provider ID
+   * @param {string} intent - link or reauth
+   * @returns {Promise<Object>} - { authorizationUrl, state }
+   */
+  async startProviderFlow(user, providerId, intent) {
+    return oidcService.startLogin(providerId, { intent, userId: user.id });
+  }
+
+  /**
+   * Confirm who the signed-in user is by signing in again with a provider linked to their account
+   * @param {Object} user - The signed-in user
+   * @param {number} sessionId - The current session
+   * @param {string} providerId - The provider ID
+   * @param {Object} params - { code, state } from the provider redirect
+   * @returns {Promise<Object>} - { reauthToken, expiresIn }
+   * @throws {Error} - If the sign-in is not valid or the identity is not linked to the user
+   */
+  async reauthenticateWithProvider(user, sessionId, providerId, { code, state }) {
+    const { provider, claims } = await oidcService.verifyCallback(providerId, { code, state }, {
+      intent: 'reauth',
+      userId: user.id
+    });
+
+    const linked = await UserCredential.count({
+      where: {
+        userId: user.id,
+        authType: 'openid',
+        openIdProvider: provider.id,
+        openIdSubject: claims.sub,
+        isActive: true,
+        isDeleted: false
+      }
+    });
+
+    if (!linked) {
+      throw new Error('This identity is not linked to your account');
+    }
+
+    return this.createReauthToken(user.id, sessionId);
+  }
+
+  /**
+   * Add a password to an account that signs in with identity providers only
+   * @param {Object} user - The signed-in user
+   * @param {Object} params - { loginName, password }
+   * @returns {Promise<Object>} - The new credential
+   * @throws {Error} - If the user already has a password, the login name is taken or the password breaks the policy
+   */
+  async addPassword(user, { loginName, password }) {
+    passwordPolicyService.assertNoViolations(passwordPolicyService.validate(password));
+
+    const { hash, salt } = await userService.hashPassword(password);
+    const transaction = await sequelize.transaction();
+
+    try {
+      if (await this.getPasswordCredential(user.id, transaction)) {
+        throw new Error('A password is already set for this account');
+      }
+
+      await this.assertLoginNameAvailable(loginName, transaction);
+
+      const credential = await UserCredential.create({
+        userId: user.id,
+        authType: 'password',
+        loginName,
+        passwordHash: hash,
+        passwordSalt: salt,
+        lastPasswordChange: new Date(),
+        passwordExpired: false,
+        isActive: true,
+        isDeleted: false
+      }, { transaction });
+
+      await transaction.commit();
+
+      await this.notifyChange(user, `A password was added to your account, with the login name ${loginName}.`);
+      return credential;
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Link another identity provider account to the signed-in user
+   * @param {Object} user - The signed-in user
+   * @param {string} providerId - The provider ID
+   * @param {Object} params - { code, state } from the provider redirect
+   * @returns {Promise<Object>} - The new credential
+   * @throws {Error} - If the sign-in is not valid or the identity is already linked
+   */
+  async linkProvider(user, providerId, { code, state }) {
+    const { provider, claims } = await oidcService.verifyCallback(providerId, { code, state }, {
+      intent: 'link',
+      userId: user.id
+    });
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const existing = await UserCredential.findOne({
+        where: {
+          authType: 'openid',
+          openIdProvider: provider.id,
+          openIdSubject: claims.sub,
+          isDeleted: false
+        },
+        transaction
+      });
+
+      if (existing) {
+        throw new Error(existing.userId === user.id
+          ? 'This identity is already linked to your account'
+          : 'This identity is already linked to another account');
+      }
+
+      const credential = await UserCredential.create({
+        userId: user.id,
+        authType: 'openid',
+        loginName: await oidcService.getLoginName(provider, claims, transaction),
+        openIdProvider: provider.id,
+        openIdSubject: claims.sub,
+        isActive: true,
+        isDeleted: false
+      }, { transaction });
+
+      await transaction.commit();
+
+      await this.notifyChange(user, `Your ${provider.name} account was linked to your account, so you can sign in with it.`);
+      return credential;
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Change the login name of the user's password credential
+   * @param {Object} user - The signed-in user
+   * @param {number} credentialId - The ID of the credential
+   * @param {string} loginName - The new login name
+   * @returns {Promise<Object>} - The updated credential
+   * @throws {Error} - If the credential is not the user's password credential or the name is taken
+   */
+  async renameLoginName(user, credentialId, loginName) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const credential = await UserCredential.findOne({
+        where: {
+          id: credentialId,
+          userId: user.id,
+          authType: { [Op.in]: SIGN_IN_AUTH_TYPES },
+          isActive: true,
+          isDeleted: false
+        },
+        transaction
+      });
+
+      if (!credential) {
+        throw new Error('Credential not found');
+      }
+
+      // OpenID login names only label the credential; the provider identifies the user
+      if (credential.authType !== 'password') {
+        throw new Error('Only password login names can be changed');
+      }
+
+      if (credential.loginName === loginName) {
+        await transaction.commit();
+        return credential;
+      }
+
+      await this.assertLoginNameAvailable(loginName, transaction);
+
+      const previous = credential.loginName;
+      await credential.update({ loginName }, { transaction });
+
+      await transaction.commit();
+
+      await this.notifyChange(user, `The login name of your account was changed from ${previous} to ${loginName}.`);
+      return credential;
+    } catch (err) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Check that no password credential uses a login name
+   * @param {string} loginName - The login name
+   * @param {Object} [transaction] - Optional transaction
+   * @throws {Error} - If the login name is taken
+   * @private
+   */
+  async assertLoginNameAvailable(loginName, transaction) {
+    const taken = await UserCredential.count({
+      where: {
+        loginName,
+        authType: 'password'
+      },
+      transaction
+    });
+
+    if (taken > 0) {
+      throw new Error('Login name already in use');
+    }
+  }
+
+  /**
+   * Remove a sign-in method, signing out the other sessions that used it. The last one cannot be removed.
+   * @param {Object} user - The signed-in user
+   * @param {number} credentialId - The ID of the credential
+   * @param {Object} [options] - Options
+   * @param {number} [options.exceptSessionId] - Keep this session signed in
+   * @returns {Promise<void>}
+   * @throws {Error} - If the credential is not found or is the user's only one
+   */
+  async removeCredential(user, credentialId, { exceptSessionId } = {}) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      // Locking all of them keeps two removals at once from leaving the user with none
+      const credentials = await UserCredential.findAll({
+        where: {
+          userId: user.id,
+          authType: { [Op.in]: SIGN_IN_AUTH_TYPES },
+          isActive: true,
+          isDeleted: false
+        },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      const credential = credentials.find(candidate => candidate.id === Number(credentialId));
+
+      if (!credential) {
+        throw new Error('Credential not found');
+      }
+
+      if (credentials.length <= 1) {
+        throw new Error('Cannot delete the only credential for this user');
+      }
+
+      await credential.update({
+        isActive: false,
+        isDeleted: true
+      }, { transaction });
+
+      await sessionService.revokeCredentialSessions(credential.id, { exceptSessionId, transaction });
+
+      await transaction.commit();
+
+      await this.notifyChange(user, credential.authType === 'password'
+        ? 'The password was removed from your account. You can no longer sign in with it.'
+        : `Your ${this.getProviderName(credential.openIdProvider)} account was unlinked from your account. You can no longer sign in with it.`);
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Display name of a provider, which may no longer be configured
+   * @param {string} providerId - The provider ID
+   * @returns {string} - The provider name
+   * @private
+   */
+  getProviderName(providerId) {
+    const provider = config.oidc.providers[providerId];
+    return provider ? provider.name : providerId;
+  }
+
+  /**
+   * Tell the user in the app and by email that their sign-in methods changed.
+   * Failures are logged; the change itself has already been made.
+   * @param {Object} user - The user
+   * @param {string} change - What changed
+   * @returns {Promise<void>}
+   */
+  async notifyChange(user, change) {
+    try {
+      await notificationsService.createNotification({
+        typeId: config.credentials.notificationTypeId,
+        recipientId: user.id,
+        senderId: null,
+        message: change,
+        title: 'Sign-in methods changed'
+      });
+    } catch (error) {
+      console.error('Failed to create credential change notification:', error);
+    }
+
+    try {
+      await sendCredentialChangedEmail(user.email, change);
+    } catch (error) {
+      console.error('Failed to send credential changed email:', error);
+    }
+  }
+}
+
+module.exports = new CredentialService();
@@ -143,7 +143,261 @@ The Compliance Mait Team`,
   }
 };
 
+/**
+ * Send a certificate expiry reminder email
+ * @param {string} to - Recipient email address
+ * @param {Object} certificate - The certificate that is about to expire
+ * @param {string} certificate.title - Certificate title
+ * @param {string} [certificate.documentNumber] - Certificate document number
+ * @param {string} certificate.expiryDate - Expiry date (YYYY-MM-DD)
+ * @param {number} daysRemaining - Days left until the certificate expires
+ * @returns {Promise} Promise that resolves when the email is sent
+ */
+const sendCertificateExpiryReminderEmail = async (to, certificate, daysRemaining) => {
+  try {
+    console.log('Sending certificate expiry reminder email to:', to);
+    const bcc = process.env.SMTP_BCC;
+    const certificatesUrl = `${process.env.CLIENT_URL}/certificates`;
+    const documentLabel = certificate.documentNumber
+      ? `${certificate.title} (${certificate.documentNumber})`
+      : certificate.title;
+    const expiryText = daysRemaining > 0
+      ? `will expire in ${daysRemaining} day${daysRemaining === 1 ? '' : 's'}, on ${certificate.expiryDate}`
+      : `expires today (${certificate.expiryDate})`;
+
+    const mailOptions = {
+      from: `"Compliance Mait" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+      to,
+      bcc,
+      subject: `Certificate expiry reminder: ${certificate.title}`,
+      text: `Hi,
+
+Your certificate ${documentLabel} ${expiryText}.
+
+Please renew it and upload the new document to keep your compliance records up to date: ${certificatesUrl}
+
+Best regards,
+The Compliance Mait Team`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <p>Hi,</p>
+          <p>Your certificate <strong>${documentLabel}</strong> ${expiryText}.</p>
+          <p>Please renew it and upload the new document to keep your compliance records up to date.</p>
+          <p style="margin: 25px 0;">
+            <a href="${certificatesUrl}" 
+               style="background-color: #4CAF50; color: white; padding: 10px 20px; 
+                      text-decoration: none; border-radius: 4px; display: inline-block;">
+              View Certificates
+            </a>
+          </p>
+          <p>Best regards,<br>The Compliance Mait Team</p>
+        </div>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Certificate expiry reminder email sent: %s %s', info.messageId, to);
+
+    return true;
+  } catch (error) {
+    console.error('Error sending certificate expiry reminder email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send an email telling the user their account was locked after failed logins, with an unlock link
+ * @param {string} to - Recipient email address
+ * @param {string} unlockToken - The token that unlocks the account
+ * @param {Date} lockedUntil - When the lock ends by itself
+ * @returns {Promise} Promise that resolves when the email is sent
+ */
+const sendAccountLockedEmail = async (to, unlockToken, lockedUntil) => {
+  try {
+    console.log('Sending account locked email to:', to);
+    const bcc = process.env.SMTP_BCC;
+    const unlockUrl = `${process.env.CLIENT_URL}/unlock-account?token=${encodeURIComponent(unlockToken)}`;
+    const lockedUntilText = lockedUntil.toUTCString();
+
+    const mailOptions = {
+      from: `"Compliance Mait" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+      to,
+      bcc,
+      subject: 'Your account has been locked',
+      text: `Hi,
+
+Your Compliance Mait account was locked after several failed login attempts. It will unlock by itself at ${lockedUntilText}.
+
+If this was you, click the link below to unlock your account now:
+
+${unlockUrl}
+
+If it wasn't you, someone may be trying to guess your password. We recommend resetting it.
+
+Best regards,
+The Compliance Mait Team`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <p>Hi,</p>
+          <p>Your Compliance Mait account was locked after several failed login attempts. It will unlock by itself at ${lockedUntilText}.</p>
+          <p>If this was you, you can unlock your account now:</p>
+          <p style="margin: 25px 0;">
+            <a href="${unlockUrl}" 
+               style="background-color: #4CAF50; color: white; padding: 10px 20px; 
+                      text-decoration: none; border-radius: 4px; display: inline-block;">
+              Unlock Account
+            </a>
+          </p>
+          <p>Or copy and paste this link into your browser:<br>
+            <a href="${unlockUrl}" style="color: #4CAF50; word-break: break-all;">${unlockUrl}</a>
+          </p>
+          <p>If it wasn't you, someone may be trying to guess your password. We recommend resetting it.</p>
+          <p>Best regards,<br>The Compliance Mait Team</p>
+        </div>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Account locked email sent: %s %s', info.messageId, to);
+
+    return true;
+  } catch (error) {
+    console.error('Error sending account locked email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send a link that confirms the recipient receives email at the address, either to verify
+ * the address of a new account or to confirm a new address before it replaces the current one
+ * @param {string} to - Recipient email address
+ * @param {string} verificationToken - The token that confirms the address
+ * @param {string} purpose - verify or change
+ * @param {number} expiresInHours - How long the link works
+ * @returns {Promise} Promise that resolves when the email is sent
+ */
+const sendEmailVerificationEmail = async (to, verificationToken, purpose, expiresInHours) => {
+  try {
+    console.log('Sending email verification email to:', to);
+    const bcc = process.env.SMTP_BCC;
+    const verifyUrl = `${process.env.CLIENT_URL}/verify-email?token=${encodeURIComponent(verificationToken)}`;
+    const intro = purpose === 'change'
+      ? 'We received a request to change the email address of your Compliance Mait account to this address.'
+      : 'Thanks for signing up to Compliance Mait. Please confirm your email address to finish setting up your account.';
+    const ignore = purpose === 'change'
+      ? "If you didn't request this, you can safely ignore this email and the address will not be changed."
+      : "If you didn't create an account, you can safely ignore this email.";
+
+    const mailOptions = {
+      from: `"Compliance Mait" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+      to,
+      bcc,
+      subject: purpose === 'change' ? 'Confirm your new email address' : 'Confirm your email address',
+      text: `Hi,
+
+${intro}
+
+Please click the link below to confirm. This link will expire in ${expiresInHours} hours:
+
+${verifyUrl}
+
+${ignore}
+
+Best regards,
+The Compliance Mait Team`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <p>Hi,</p>
+          <p>${intro}</p>
+          <p style="margin: 25px 0;">
+            <a href="${verifyUrl}" 
+               style="background-color: #4CAF50; color: white; padding: 10px 20px; 
+                      text-decoration: none; border-radius: 4px; display: inline-block;">
+              Confirm Email Address
+            </a>
+          </p>
+          <p>Or copy and paste this link into your browser:<br>
+            <a href="${verifyUrl}" style="color: #4CAF50; word-break: break-all;">${verifyUrl}</a>
+          </p>
+          <p><small>This link will expire in ${expiresInHours} hours.</small></p>
+          <p>${ignore}</p>
+          <p>Best regards,<br>The Compliance Mait Team</p>
+        </div>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Email verification email sent: %s %s', info.messageId, to);
+
+    return true;
+  } catch (error) {
+    console.error('Error sending email verification email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send an alert that a sign-in method was added to or removed from the recipient's account
+ * @param {string} to - Recipient email address
+ * @param {string} change - What changed, e.g. "A password was added to your account."
+ * @returns {Promise} Promise that resolves when the email is sent
+ */
+const sendCredentialChangedEmail = async (to, change) => {
+  try {
+    console.log('Sending credential changed email to:', to);
+    const bcc = process.env.SMTP_BCC;
+    const securityUrl = `${process.env.CLIENT_URL}/account/security`;
+
+    const mailOptions = {
+      from: `"Compliance Mait" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+      to,
+      bcc,
+      subject: 'The sign-in methods of your account have changed',
+      text: `Hi,
+
+${change}
+
+If this was you, there is nothing else to do.
+
+If it wasn't you, reset your password and review the sign-in methods and sessions of your account straight away:
+
+${securityUrl}
+
+Best regards,
+The Compliance Mait Team`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <p>Hi,</p>
+          <p>${change}</p>
+          <p>If this was you, there is nothing else to do.</p>
+          <p>If it wasn't you, reset your password and review the sign-in methods and sessions of your account straight away:</p>
+          <p style="margin: 25px 0;">
+            <a href="${securityUrl}" 
+               style="background-color: #4CAF50; color: white; padding: 10px 20px; 
+                      text-decoration: none; border-radius: 4px; display: inline-block;">
+              Review Account Security
+            </a>
+          </p>
+          <p>Best regards,<br>The Compliance Mait Team</p>
+        </div>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Credential changed email sent: %s %s', info.messageId, to);
+
+    return true;
+  } catch (error) {
+    console.error('Error sending credential changed email:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   sendInvitationEmail,
   sendPasswordResetEmail,
+  sendCertificateExpiryReminderEmail,
+  sendAccountLockedEmail,
+  sendEmailVerificationEmail,
+  sendCredentialChangedEmail,
 };
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const config = require('../config/config');
+const { User, EmailVerificationToken, PasswordResetToken } = require('../models');
+const { sendEmailVerificationEmail } = require('./EmailService');
+
+/**
+ * Hash a verification token for storage; only the hash is kept in the database
+ * @param {string} token - The verification token
+ * @returns {string} - Hex SHA-256 of the token
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Normalise an email address for storage and comparison
+ * @param {string} email - The email address
+ * @returns {string} - The trimmed, lower-cased address
+ */
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Escape LIKE wildcards so user input is matched literally
+ * @param {string} value - The text
+ * @returns {string} - The escaped text
+ */
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+class EmailVerificationService {
+  /**
+   * Email a link that confirms the user's current address
+   * @param {Object} user - The user, with id, email and emailVerified
+   * @returns {Promise<void>}
+   * @throws {Error} - If the address is already verified
+   */
+  async sendVerification(user) {
+    if (user.emailVerified) {
+      throw new Error('Email address is already verified');
+    }
+
+    await this.issueToken(user.id, user.email, 'verify');
+  }
+
+  /**
+   * Start changing the user's email address. The address only changes once the link
+   * sent to the new address is used.
+   * @param {Object} user - The user
+   * @param {string} newEmail - The new email address
+   * @returns {Promise<string>} - The normalised new address
+   * @throws {Error} - If the address is unchanged or belongs to another account
+   */
+  async requestEmailChange(user, newEmail) {
+    const email = normalizeEmail(newEmail);
+
+    if (email === normalizeEmail(user.email)) {
+      throw new Error('New email address is the same as the current one');
+    }
+
+    if (await this.isEmailTaken(email, user.id)) {
+      throw new Error('Email address is already in use');
+    }
+
+    await this.issueToken(user.id, email, 'change');
+    return email;
+  }
+
+  /**
+   * Check whether another account already uses an email address
+   * @param {string} email - The normalised email address
+   * @param {number} userId - The ID of the user asking for it
+   * @param {Object} [transaction] - Optional transaction
+   * @returns {Promise<boolean>} - Whether the address is taken
+   * @private
+   */
+  async isEmailTaken(email, userId, transaction) {
+    const count = await User.count({
+      where: {
+        email: { [Op.iLike]: escapeLike(email) },
+        id: { [Op.ne]: userId }
+      },
+      transaction
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Replace the user's outstanding links of a kind with a new one and email it
+   * @param {number} userId - The ID of the user
+   * @param {string} email - The address to confirm
+   * @param {string} purpose - verify or change
+   * @param {Date} [now] - The current time
+   * @returns {Promise<void>}
+   * @private
+   */
+  async issueToken(userId, email, purpose, now = new Date()) {
+    const { tokenExpiresInHours } = config.emailVerification;
+    const token = crypto.randomBytes(32).toString('base64url');
+    const transaction = await sequelize.transaction();
+
+    try {
+      await this.revokeTokens(userId, { purpose, transaction });
+
+      await EmailVerificationToken.create({
+        userId,
+        email,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now.getTime() + tokenExpiresInHours * 60 * 60 * 1000)
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+
+    await sendEmailVerificationEmail(email, token, purpose, tokenExpiresInHours);
+  }
+
+  /**
+   * Confirm an email address with the token from the emailed link. A verify link marks
+   * the current address as verified; a change link replaces the address with the new one.
+   * @param {string} token - The verification token
+   * @returns {Promise<Object>} - { userId, email, purpose }
+   * @throws {Error} - If the link is unknown, used, replaced or expired, or the new address was taken meanwhile
+   */
+  async confirm(token) {
+    const now = new Date();
+    const transaction = await sequelize.transaction();
+
+    try {
+      const verification = await EmailVerificationToken.findOne({
+        where: { tokenHash: hashToken(token) },
+        include: [{ model: User, as: 'user' }],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      const user = verification && verification.user;
+
+      if (!verification || verification.usedAt || verification.revokedAt || verification.expiresAt <= now ||
+          !user || user.isDeleted) {
+        throw new Error('Invalid or expired verification link');
+      }
+
+      if (verification.purpose === 'verify') {
+        // The address changed after the link was sent
+        if (normalizeEmail(user.email) !== verification.email) {
+          throw new Error('Invalid or expired verification link');
+        }
+      } else if (await this.isEmailTaken(verification.email, user.id, transaction)) {
+        throw new Error('Email address is already in use');
+      }
+
+      await verification.update({ usedAt: now }, { transaction });
+
+      await user.update({
+        email: verification.email,
+        emailVerified: true,
+        emailVerifiedAt: now
+      }, { transaction });
+
+      if (verification.purpose === 'change') {
+        // Links sent to the old address must not work for the new one
+        await this.revokeTokens(user.id, { transaction });
+        await PasswordResetToken.update({ revokedAt: now }, {
+          where: {
+            userId: user.id,
+            usedAt: null,
+            revokedAt: null
+          },
+          transaction
+        });
+      }
+
+      await transaction.commit();
+
+      return {
+        userId: user.id,
+        email: verification.email,
+        purpose: verification.purpose
+      };
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Invalidate the user's outstanding verification links
+   * @param {number} userId - The ID of the user
+   * @param {Object} [options] - Options
+   * @param {string} [options.purpose] - Only invalidate links of this kind
+   * @param {Object} [options.transaction] - Optional transaction
+   * @returns {Promise<number>} - Number of links invalidated
+   */
+  async revokeTokens(userId, { purpose, transaction } = {}) {
+    const where = {
+      userId,
+      usedAt: null,
+      revokedAt: null
+    };
+
+    if (purpose) {
+      where.purpose = purpose;
+    }
+
+    const [revoked] = await EmailVerificationToken.update({ revokedAt: new Date() }, { where, transaction });
+    return revoked;
+  }
+}
+
+module.exports = new EmailVerificationService();
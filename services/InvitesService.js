@@ -125,7 +125,7 @@ class InvitesService {
         firstName,
         lastName,
         loginName: email, // Use email as loginName for invited users
-        roleId: 1 // Default role ID for invited users
+        emailVerified: true // The invite link was sent to this address
       });
 
       // Update the user with additional fields from the invite
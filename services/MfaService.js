@@ -0,0 +1,563 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { sequelize } = require('../config/database');
+const config = require('../config/config');
+const { User, UserCredential, Role, MfaRecoveryCode } = require('../models');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults, which is what authenticator apps assume when given an otpauth URI
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Accept the previous and next code as well, to allow for clock drift
+const TOTP_WINDOW = 1;
+
+/**
+ * Encode bytes as unpadded RFC 4648 base32
+ * @param {Buffer} buffer - The bytes
+ * @returns {string} - The base32 text
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode RFC 4648 base32, ignoring case, spaces and padding
+ * @param {string} text - The base32 text
+ * @returns {Buffer} - The bytes
+ */
+const base32Decode = (text) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Key used to encrypt TOTP secrets at rest
+ * @returns {Buffer} - 32-byte AES key
+ */
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(config.mfa.encryptionKey || `mfa:${config.jwt.secret}`)
+  .digest();
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - The base32 secret
+ * @returns {string} - iv.tag.ciphertext, each base64url encoded
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Value produced by encryptSecret
+ * @returns {string} - The base32 secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Hash a recovery code for storage, ignoring case and separators
+ * @param {string} code - The recovery code
+ * @returns {string} - Hex SHA-256 of the normalised code
+ */
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ''))
+  .digest('hex');
+
+class MfaService {
+  /**
+   * Get the TOTP time step for a moment in time
+   * @param {number} [time] - Milliseconds since the epoch
+   * @returns {number} - The time step
+   */
+  getCounter(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+  }
+
+  /**
+   * Generate the TOTP code for a time step (RFC 6238, HMAC-SHA1)
+   * @param {string} secret - The base32 secret
+   * @param {number} counter - The time step
+   * @returns {string} - The zero-padded code
+   */
+  generateTotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+  }
+
+  /**
+   * Check a TOTP code against the current time steps either side of now
+   * @param {string} secret - The base32 secret
+   * @param {string} code - The code entered by the user
+   * @param {Object} [options] - Options
+   * @param {number} [options.now] - Milliseconds since the epoch
+   * @param {number} [options.lastCounter] - Time step of the last accepted code, which cannot be reused
+   * @returns {number|null} - The matching time step, or null if the code is not valid
+   */
+  verifyTotp(secret, code, { now = Date.now(), lastCounter = null } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+      return null;
+    }
+
+    const current = this.getCounter(now);
+
+    for (let counter = current - TOTP_WINDOW; counter <= current + TOTP_WINDOW; counter++) {
+      if (lastCounter !== null && counter <= lastCounter) {
+        continue;
+      }
+
+      const expected = this.generateTotp(secret, counter);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return counter;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the otpauth URI authenticator apps read from a QR code
+   * @param {string} secret - The base32 secret
+   * @param {string} accountName - The account shown in the app, usually the email
+   * @returns {string} - The otpauth URI
+   */
+  buildOtpauthUri(secret, accountName) {
+    const issuer = config.mfa.issuer;
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}?${params}`;
+  }
+
+  /**
+   * Generate a set of one-time recovery codes, formatted XXXX-XXXX
+   * @param {number} [count] - Number of codes
+   * @returns {Array<string>} - The codes
+   */
+  generateRecoveryCodes(count = config.mfa.recoveryCodeCount) {
+    return Array.from({ length: count }, () => {
+      const code = base32Encode(crypto.randomBytes(5));
+      return `${code.slice(0, 4)}-${code.slice(4)}`;
+    });
+  }
+
+  /**
+   * Get the user's TOTP credential, whether active or still being set up
+   * @param {number} userId - The ID of the user
+   * @param {Object} [transaction] - Optional transaction
+   * @returns {Promise<Object|null>} - The credential
+   * @private
+   */
+  async getTotpCredential(userId, transaction) {
+    return UserCredential.findOne({
+      where: {
+        userId,
+        authType: 'totp'
+      },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+  }
+
+  /**
+   * Check whether a credential is an enrolled, confirmed authenticator
+   * @param {Object|null} credential - The TOTP credential
+   * @returns {boolean} - Whether MFA is enabled
+   * @private
+   */
+  isEnabled(credential) {
+    return Boolean(credential && credential.isActive && !credential.isDeleted && credential.totpVerifiedAt);
+  }
+
+  /**
+   * Check whether the user's role requires MFA
+   * @param {Object} user - The user
+   * @returns {Promise<boolean>} - Whether MFA is required
+   */
+  async isRequired(user) {
+    const role = await Role.findByPk(user.roleId, { attributes: ['id', 'requireMfa'] });
+    return Boolean(role && role.requireMfa);
+  }
+
+  /**
+   * Work out what a user who has entered their password must do before being signed in
+   * @param {Object} user - The user
+   * @returns {Promise<string|null>} - 'verify' to enter a code, 'enroll' to set up an
+   *   authenticator first, or null when no second step is needed
+   */
+  async getLoginRequirement(user) {
+    if (this.isEnabled(await this.getTotpCredential(user.id))) {
+      return 'verify';
+    }
+
+    return (await this.isRequired(user)) ? 'enroll' : null;
+  }
+
+  /**
+   * Get the user's MFA status
+   * @param {Object} user - The user
+   * @returns {Promise<Object>} - { enabled, required, recoveryCodesRemaining }
+   */
+  async getStatus(user) {
+    const credential = await this.getTotpCredential(user.id);
+    const enabled = this.isEnabled(credential);
+
+    return {
+      enabled,
+      required: await this.isRequired(user),
+      recoveryCodesRemaining: enabled
+        ? await MfaRecoveryCode.count({ where: { userId: user.id, usedAt: null } })
+        : 0
+    };
+  }
+
+  /**
+   * Start setting up an authenticator app. Setting up again before activating replaces the secret.
+   * @param {Object} user - The user
+   * @returns {Promise<Object>} - { secret, otpauthUri }
+   * @throws {Error} - If MFA is already enabled
+   */
+  async setupTotp(user) {
+    const secret = base32Encode(crypto.randomBytes(20));
+    const transaction = await sequelize.transaction();
+
+    try {
+      const credential = await this.getTotpCredential(user.id, transaction);
+
+      if (this.isEnabled(credential)) {
+        throw new Error('MFA is already enabled');
+      }
+
+      const values = {
+        loginName: user.email,
+        totpSecret: encryptSecret(secret),
+        totpVerifiedAt: null,
+        totpLastCounter: null,
+        isActive: false,
+        isDeleted: false
+      };
+
+      if (credential) {
+        await credential.update(values, { transaction });
+      } else {
+        await UserCredential.create({ userId: user.id, authType: 'totp', ...values }, { transaction });
+      }
+
+      await transaction.commit();
+
+      return {
+        secret,
+        otpauthUri: this.buildOtpauthUri(secret, user.email)
+      };
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Finish setting up an authenticator app with the first code it shows
+   * @param {number} userId - The ID of the user
+   * @param {string} code - The code from the app
+   * @returns {Promise<Array<string>>} - New recovery codes, shown to the user once
+   * @throws {Error} - If there is no setup in progress or the code is wrong
+   */
+  async activateTotp(userId, code) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const credential = await this.getTotpCredential(userId, transaction);
+
+      if (!credential || credential.isDeleted || !credential.totpSecret) {
+        throw new Error('No MFA setup in progress');
+      }
+
+      if (this.isEnabled(credential)) {
+        throw new Error('MFA is already enabled');
+      }
+
+      const counter = this.verifyTotp(decryptSecret(credential.totpSecret), code);
+      if (counter === null) {
+        throw new Error('Invalid code');
+      }
+
+      await credential.update({
+        isActive: true,
+        totpVerifiedAt: new Date(),
+        totpLastCounter: counter
+      }, { transaction });
+
+      const recoveryCodes = await this.replaceRecoveryCodes(userId, transaction);
+
+      await transaction.commit();
+      return recoveryCodes;
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Check a second factor: a code from the authenticator app, or an unused recovery code
+   * @param {number} userId - The ID of the user
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {Promise<void>}
+   * @throws {Error} - If MFA is not enabled or the code is not valid
+   */
+  async verifySecondFactor(userId, { code, recoveryCode }) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const credential = await this.getTotpCredential(userId, transaction);
+
+      if (!this.isEnabled(credential)) {
+        throw new Error('MFA is not enabled');
+      }
+
+      if (recoveryCode) {
+        const [used] = await MfaRecoveryCode.update({ usedAt: new Date() }, {
+          where: {
+            userId,
+            codeHash: hashRecoveryCode(recoveryCode),
+            usedAt: null
+          },
+          transaction
+        });
+
+        if (used === 0) {
+          throw new Error('Invalid code');
+        }
+      } else {
+        const counter = this.verifyTotp(decryptSecret(credential.totpSecret), code, {
+          lastCounter: credential.totpLastCounter === null ? null : Number(credential.totpLastCounter)
+        });
+
+        if (counter === null) {
+          throw new Error('Invalid code');
+        }
+
+        await credential.update({ totpLastCounter: counter }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Turn MFA off after checking a current code
+   * @param {Object} user - The user
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {Promise<void>}
+   * @throws {Error} - If the user's role requires MFA or the code is not valid
+   */
+  async disableTotp(user, factor) {
+    if (await this.isRequired(user)) {
+      throw new Error('MFA is required for your role');
+    }
+
+    await this.verifySecondFactor(user.id, factor);
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const credential = await this.getTotpCredential(user.id, transaction);
+
+      await credential.update({
+        totpSecret: null,
+        totpVerifiedAt: null,
+        totpLastCounter: null,
+        isActive: false,
+        isDeleted: true
+      }, { transaction });
+
+      await MfaRecoveryCode.destroy({ where: { userId: user.id }, transaction });
+
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Replace the user's recovery codes after checking a current code
+   * @param {number} userId - The ID of the user
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {Promise<Array<string>>} - The new recovery codes
+   * @throws {Error} - If MFA is not enabled or the code is not valid
+   */
+  async regenerateRecoveryCodes(userId, factor) {
+    await this.verifySecondFactor(userId, factor);
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const recoveryCodes = await this.replaceRecoveryCodes(userId, transaction);
+      await transaction.commit();
+      return recoveryCodes;
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Discard the user's recovery codes and store a new set
+   * @param {number} userId - The ID of the user
+   * @param {Object} transaction - Transaction
+   * @returns {Promise<Array<string>>} - The new recovery codes
+   * @private
+   */
+  async replaceRecoveryCodes(userId, transaction) {
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await MfaRecoveryCode.destroy({ where: { userId }, transaction });
+    await MfaRecoveryCode.bulkCreate(
+      recoveryCodes.map(code => ({ userId, codeHash: hashRecoveryCode(code) })),
+      { transaction }
+    );
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Sign the short-lived token that carries a password sign-in over to the MFA step.
+   * It is not an access token: authGuard rejects tokens with a purpose.
+   * @param {Object} user - The user
+   * @param {Object} credential - The password credential used
+   * @param {string} purpose - 'mfa' to enter a code, 'mfa-enroll' to set up an authenticator
+   * @returns {string} - The MFA token
+   */
+  createChallengeToken(user, credential, purpose) {
+    return jwt.sign(
+      {
+        userId: user.id,
+        credentialId: credential.id,
+        purpose
+      },
+      config.jwt.secret,
+      { expiresIn: config.mfa.challengeExpiresIn }
+    );
+  }
+
+  /**
+   * Verify an MFA token
+   * @param {string} token - The MFA token
+   * @param {string} purpose - The step it must have been issued for
+   * @returns {Object} - { userId, credentialId }
+   * @throws {Error} - If the token is invalid, expired or for another step
+   */
+  verifyChallengeToken(token, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.jwt.secret);
+    } catch (err) {
+      throw new Error('Invalid or expired MFA token');
+    }
+
+    if (decoded.purpose !== purpose) {
+      throw new Error('Invalid or expired MFA token');
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Load the user and password credential an MFA token was issued for
+   * @param {Object} decoded - The verified MFA token
+   * @param {Array} [include] - Includes for the user
+   * @returns {Promise<Object>} - The credential, with its user
+   * @throws {Error} - If the user or credential is no longer active
+   */
+  async getChallengeCredential(decoded, include = []) {
+    const credential = await UserCredential.findOne({
+      where: {
+        id: decoded.credentialId,
+        userId: decoded.userId,
+        isActive: true,
+        isDeleted: false
+      },
+      include: [{
+        model: User,
+        as: 'user',
+        where: {
+          isActive: true,
+          isDeleted: false
+        },
+        include
+      }]
+    });
+
+    if (!credential) {
+      throw new Error('Invalid or expired MFA token');
+    }
+
+    return credential;
+  }
+}
+
+module.exports = new MfaService();
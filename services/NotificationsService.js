@@ -68,8 +68,8 @@ class NotificationsService {
         whereClause.recipientId = userId;
       }
       
-      const notification = await Notification.findByPk(id, {
-        where: whereClause,
+      const notification = await Notification.findOne({
+        where: { ...whereClause, id },
         include: [
           {
             model: User,
@@ -102,6 +102,19 @@ class NotificationsService {
     }
   }
   
+  /**
+   * Find who a notification was sent to, for ownerGuard
+   * @param {number} id - The ID of the notification
+   * @returns {Promise<Array<number>|null>} - [recipientId], or null if there is no such notification
+   */
+  async getOwnerIds(id) {
+    const notification = await Notification.findByPk(id, {
+      attributes: ['recipientId']
+    });
+
+    return notification ? [notification.recipientId] : null;
+  }
+
   /**
    * Create a new notification
    * @param {Object} notificationData - The notification data
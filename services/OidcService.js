@@ -0,0 +1,459 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const config = require('../config/config');
+const { User, UserCredential, OidcLoginRequest } = require('../models');
+
+// Re-read provider metadata and signing keys this often, so key rotation is picked up
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+// ID tokens must be signed with a provider key; HMAC and "none" are never accepted
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+/**
+ * Base64url-encoded random value
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} - The encoded value
+ */
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+class OidcService {
+  constructor() {
+    this.metadataCache = new Map();
+    this.keysCache = new Map();
+  }
+
+  /**
+   * List the configured identity providers for the sign-in page
+   * @returns {Array} - [{ id, name }]
+   */
+  listProviders() {
+    return Object.values(config.oidc.providers).map(({ id, name }) => ({ id, name }));
+  }
+
+  /**
+   * Get a configured identity provider
+   * @param {string} providerId - The provider ID
+   * @returns {Object} - The provider settings
+   * @throws {Error} - If no such provider is configured
+   */
+  getProvider(providerId) {
+    const provider = Object.prototype.hasOwnProperty.call(config.oidc.providers, providerId)
+      ? config.oidc.providers[providerId]
+      : null;
+
+    if (!provider || !provider.issuer || !provider.clientId || !provider.redirectUri) {
+      throw new Error('Unknown identity provider');
+    }
+
+    return provider;
+  }
+
+  /**
+   * Fetch a JSON document from an identity provider
+   * @param {string} url - The URL
+   * @param {Object} [options] - fetch options
+   * @returns {Promise<Object>} - The parsed response
+   * @throws {Error} - If the request fails
+   * @private
+   */
+  async fetchJson(url, options) {
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch (err) {
+      throw new Error(`Identity provider request failed: ${err.message}`);
+    }
+
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok || !body) {
+      const detail = body && (body.error_description || body.error);
+      throw new Error(`Identity provider request failed: ${response.status}${detail ? ` ${detail}` : ''}`);
+    }
+
+    return body;
+  }
+
+  /**
+   * Get a provider's metadata from its discovery document
+   * @param {Object} provider - The provider settings
+   * @returns {Promise<Object>} - The provider metadata
+   * @throws {Error} - If discovery fails or the document is for another issuer
+   */
+  async discover(provider) {
+    const cached = this.metadataCache.get(provider.issuer);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.metadata;
+    }
+
+    const metadata = await this.fetchJson(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+
+    if (metadata.issuer !== provider.issuer) {
+      throw new Error('Identity provider discovery failed: issuer does not match');
+    }
+
+    if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+      throw new Error('Identity provider discovery failed: missing endpoints');
+    }
+
+    this.metadataCache.set(provider.issuer, { metadata, expiresAt: Date.now() + METADATA_TTL_MS });
+    return metadata;
+  }
+
+  /**
+   * Get the public key a provider signed a token with
+   * @param {Object} provider - The provider settings
+   * @param {string} [kid] - The key ID from the token header
+   * @returns {Promise<Object>} - The public key
+   * @throws {Error} - If the provider has no such key
+   * @private
+   */
+  async getSigningKey(provider, kid) {
+    const findKey = (keys) => keys.find(key => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+
+    const cached = this.keysCache.get(provider.issuer);
+    let key = cached && cached.expiresAt > Date.now() ? findKey(cached.keys) : null;
+
+    if (!key) {
+      // An unknown key ID usually means the provider has rotated its keys
+      const metadata = await this.discover(provider);
+      const { keys } = await this.fetchJson(metadata.jwks_uri);
+
+      this.keysCache.set(provider.issuer, { keys: keys || [], expiresAt: Date.now() + METADATA_TTL_MS });
+      key = findKey(keys || []);
+    }
+
+    if (!key) {
+      throw new Error('Invalid ID token: signing key not found');
+    }
+
+    return crypto.createPublicKey({ key, format: 'jwk' });
+  }
+
+  /**
+   * Create a PKCE code verifier and its S256 challenge
+   * @returns {Object} - { codeVerifier, codeChallenge }
+   */
+  createPkce() {
+    const codeVerifier = randomToken(32);
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    return { codeVerifier, codeChallenge };
+  }
+
+  /**
+   * Build the URL that sends the user to the provider to sign in
+   * @param {Object} provider - The provider settings
+   * @param {Object} metadata - The provider metadata
+   * @param {Object} params - { state, nonce, codeChallenge }
+   * @returns {string} - The authorization URL
+   */
+  buildAuthorizationUrl(provider, metadata, { state, nonce, codeChallenge }) {
+    const url = new URL(metadata.authorization_endpoint);
+
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', provider.redirectUri);
+    url.searchParams.set('scope', provider.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return url.toString();
+  }
+
+  /**
+   * Exchange an authorization code for the provider's tokens
+   * @param {Object} provider - The provider settings
+   * @param {string} code - The authorization code
+   * @param {string} codeVerifier - The PKCE code verifier of the sign-in
+   * @returns {Promise<Object>} - The token response, including id_token
+   * @throws {Error} - If the exchange fails
+   */
+  async exchangeCode(provider, code, codeVerifier) {
+    const metadata = await this.discover(provider);
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      code_verifier: codeVerifier
+    });
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    };
+
+    if (provider.clientSecret) {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_id', provider.clientId);
+    }
+
+    const tokens = await this.fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers,
+      body: body.toString()
+    });
+
+    if (!tokens.id_token) {
+      throw new Error('Identity provider did not return an ID token');
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Verify an ID token's signature, issuer, audience, expiry and nonce
+   * @param {Object} provider - The provider settings
+   * @param {string} idToken - The ID token
+   * @param {string} nonce - The nonce of the sign-in
+   * @returns {Promise<Object>} - The token claims
+   * @throws {Error} - If the token is not valid for this sign-in
+   */
+  async verifyIdToken(provider, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded || !SIGNING_ALGORITHMS.includes(decoded.header.alg)) {
+      throw new Error('Invalid ID token: unsupported signature');
+    }
+
+    const key = await this.getSigningKey(provider, decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: [decoded.header.alg],
+        issuer: provider.issuer,
+        audience: provider.clientId
+      });
+    } catch (err) {
+      throw new Error(`Invalid ID token: ${err.message}`);
+    }
+
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+      throw new Error('Invalid ID token: authorized party does not match');
+    }
+
+    if (!claims.nonce || claims.nonce !== nonce) {
+      throw new Error('Invalid ID token: nonce does not match');
+    }
+
+    if (!claims.sub) {
+      throw new Error('Invalid ID token: missing subject');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Start signing in with a provider
+   * @param {string} providerId - The provider ID
+   * @param {Object} [options] - Options
+   * @param {string} [options.intent] - login, or for a signed-in user link (add the identity to their
+   *   account) or reauth (confirm who they are)
+   * @param {number} [options.userId] - The signed-in user, for link and reauth
+   * @param {Date} [now] - The current time
+   * @returns {Promise<Object>} - { authorizationUrl, state }
+   * @throws {Error} - If the provider is unknown or cannot be reached
+   */
+  async startLogin(providerId, { intent = 'login', userId = null } = {}, now = new Date()) {
+    const provider = this.getProvider(providerId);
+    const metadata = await this.discover(provider);
+
+    const state = randomToken(32);
+    const nonce = randomToken(32);
+    const { codeVerifier, codeChallenge } = this.createPkce();
+
+    // Sign-ins that were never completed are of no further use
+    await OidcLoginRequest.destroy({ where: { expiresAt: { [Op.lte]: now } } });
+
+    await OidcLoginRequest.create({
+      state,
+      provider: provider.id,
+      intent,
+      userId,
+      nonce,
+      codeVerifier,
+      expiresAt: new Date(now.getTime() + config.oidc.loginTimeoutMinutes * 60 * 1000)
+    });
+
+    return {
+      authorizationUrl: this.buildAuthorizationUrl(provider, metadata, { state, nonce, codeChallenge }),
+      state
+    };
+  }
+
+  /**
+   * Finish signing in with the code the provider redirected back with
+   * @param {string} providerId - The provider ID
+   * @param {Object} params - { code, state }
+   * @returns {Promise<Object>} - { user, credential, created }
+   * @throws {Error} - If the sign-in is not valid
+   */
+  async completeLogin(providerId, { code, state }) {
+    const { provider, claims } = await this.verifyCallback(providerId, { code, state });
+    return this.linkAccount(provider, claims);
+  }
+
+  /**
+   * Check the code the provider redirected back with against the sign-in it was started for
+   * @param {string} providerId - The provider ID
+   * @param {Object} params - { code, state }
+   * @param {Object} [options] - The intent and signed-in user the sign-in was started with
+   * @returns {Promise<Object>} - { provider, claims }
+   * @throws {Error} - If the state is unknown, expired or for another intent or user, or the ID token is invalid
+   */
+  async verifyCallback(providerId, { code, state }, { intent = 'login', userId = null } = {}) {
+    const provider = this.getProvider(providerId);
+
+    const loginRequest = await OidcLoginRequest.findOne({
+      where: {
+        state,
+        provider: provider.id,
+        intent,
+        userId
+      }
+    });
+
+    // Each sign-in can be completed once; whoever deletes the request owns it
+    const consumed = loginRequest
+      ? await OidcLoginRequest.destroy({ where: { id: loginRequest.id } })
+      : 0;
+
+    if (!consumed || loginRequest.expiresAt <= new Date()) {
+      throw new Error('Invalid or expired login state');
+    }
+
+    const tokens = await this.exchangeCode(provider, code, loginRequest.codeVerifier);
+    const claims = await this.verifyIdToken(provider, tokens.id_token, loginRequest.nonce);
+
+    return { provider, claims };
+  }
+
+  /**
+   * Find the user signed in by an ID token, linking a new credential if needed.
+   * A new credential is only attached to an existing account when the provider
+   * has verified that the email address belongs to the person signing in.
+   * @param {Object} provider - The provider settings
+   * @param {Object} claims - The verified ID token claims
+   * @returns {Promise<Object>} - { user, credential, created }
+   * @throws {Error} - If the account is disabled or cannot be linked
+   */
+  async linkAccount(provider, claims) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      let credential = await UserCredential.findOne({
+        where: {
+          authType: 'openid',
+          openIdProvider: provider.id,
+          openIdSubject: claims.sub,
+          isDeleted: false
+        },
+        include: [{ model: User, as: 'user' }],
+        transaction
+      });
+
+      let created = false;
+      let user;
+
+      if (credential) {
+        user = credential.user;
+
+        if (!credential.isActive || !user || !user.isActive || user.isDeleted) {
+          throw new Error('Account is disabled');
+        }
+      } else {
+        if (!claims.email) {
+          throw new Error('Identity provider did not share an email address');
+        }
+
+        user = await User.findOne({
+          where: {
+            email: claims.email,
+            isDeleted: false
+          },
+          transaction
+        });
+
+        if (user && claims.email_verified !== true) {
+          throw new Error('An account with this email already exists');
+        }
+
+        if (user && !user.isActive) {
+          throw new Error('Account is disabled');
+        }
+
+        // The provider vouches for the address, which is as good as a verification link
+        if (user && !user.emailVerified) {
+          await user.update({ emailVerified: true, emailVerifiedAt: new Date() }, { transaction });
+        }
+
+        if (!user) {
+          user = await User.create({
+            email: claims.email,
+            firstName: claims.given_name || '',
+            lastName: claims.family_name || '',
+            roleId: 1, // Default role
+            emailVerified: claims.email_verified === true,
+            emailVerifiedAt: claims.email_verified === true ? new Date() : null,
+            isActive: true,
+            isDeleted: false
+          }, { transaction });
+          created = true;
+        }
+
+        credential = await UserCredential.create({
+          userId: user.id,
+          authType: 'openid',
+          loginName: await this.getLoginName(provider, claims, transaction),
+          openIdProvider: provider.id,
+          openIdSubject: claims.sub,
+          isActive: true,
+          isDeleted: false
+        }, { transaction });
+      }
+
+      await transaction.commit();
+
+      return { user, credential, created };
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Choose a login name for a new OpenID credential, which must be unique among OpenID credentials
+   * @param {Object} provider - The provider settings
+   * @param {Object} claims - The verified ID token claims
+   * @param {Object} [transaction] - Optional transaction
+   * @returns {Promise<string>} - The login name
+   * @private
+   */
+  async getLoginName(provider, claims, transaction) {
+    const preferred = claims.email || claims.preferred_username;
+
+    if (preferred) {
+      const taken = await UserCredential.count({
+        where: {
+          loginName: preferred,
+          authType: 'openid'
+        },
+        transaction
+      });
+
+      if (!taken) {
+        return preferred;
+      }
+    }
+
+    return `${provider.id}:${claims.sub}`;
+  }
+}
+
+module.exports = new OidcService();
@@ -0,0 +1,415 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Organisation, OrganisationMember, Connection, User } = require('../models');
+const connectionsService = require('./ConnectionsService');
+
+const ORGANISATION_ROLES = ['owner', 'admin', 'member'];
+
+// What each organisation role may do, from most to least
+const ROLE_RANK = { owner: 3, admin: 2, member: 1 };
+
+const MEMBER_USER_ATTRIBUTES = ['id', 'email', 'firstName', 'lastName'];
+
+/**
+ * Whether a route parameter can be an ID, so malformed IDs read as unknown records
+ * @param {*} id - The ID
+ * @returns {boolean}
+ */
+const isId = (id) => Number.isInteger(Number(id)) && Number(id) > 0;
+
+/**
+ * Escape LIKE wildcards so user input is matched literally
+ * @param {string} value - The text
+ * @returns {string} - The escaped text
+ */
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+class OrganisationService {
+  /**
+   * Check an organisation role from a request
+   * @param {*} role - The role
+   * @returns {string} - The role
+   * @throws {Error} - If it is not an organisation role
+   */
+  parseRole(role) {
+    if (!ORGANISATION_ROLES.includes(role)) {
+      throw new Error(`Invalid role: must be one of ${ORGANISATION_ROLES.join(', ')}`);
+    }
+
+    return role;
+  }
+
+  /**
+   * Whether a member's role allows at least the given role's rights
+   * @param {Object|null} membership - The member, or null for non-members
+   * @param {string} role - The least role needed
+   * @returns {boolean}
+   */
+  hasRole(membership, role) {
+    return Boolean(membership) && ROLE_RANK[membership.role] >= ROLE_RANK[role];
+  }
+
+  /**
+   * Check that a member may change another member's role. Admins manage members and admins;
+   * only owners make or unmake owners, and the last owner cannot step down.
+   * @param {Object} actor - The membership of the user making the change
+   * @param {Object} target - The membership being changed
+   * @param {string|null} newRole - The new role, or null when the member is removed
+   * @param {number} ownerCount - How many owners the organisation has
+   * @throws {Error} - If the change is not allowed
+   */
+  assertCanChangeMember(actor, target, newRole, ownerCount) {
+    const isSelf = actor.userId === target.userId;
+
+    // Anyone may leave, subject to the last owner rule below
+    if (!(isSelf && newRole === null) && !this.hasRole(actor, 'admin')) {
+      throw new Error('Only organisation owners and admins can manage members');
+    }
+
+    if ((target.role === 'owner' || newRole === 'owner') && !this.hasRole(actor, 'owner')) {
+      throw new Error('Only organisation owners can add or remove owners');
+    }
+
+    if (target.role === 'owner' && newRole !== 'owner' && ownerCount <= 1) {
+      throw new Error('An organisation must keep at least one owner');
+    }
+  }
+
+  /**
+   * Get the organisations a user belongs to, with their role in each
+   * @param {number} userId - The ID of the user
+   * @returns {Promise<Array<Object>>} - The organisations
+   */
+  async getOrganisationsForUser(userId) {
+    const memberships = await OrganisationMember.findAll({
+      where: { userId },
+      include: [{ model: Organisation, as: 'organisation', where: { isDeleted: false } }],
+      order: [[{ model: Organisation, as: 'organisation' }, 'name', 'ASC']]
+    });
+
+    return memberships.map(membership => ({
+      ...membership.organisation.get({ plain: true }),
+      role: membership.role
+    }));
+  }
+
+  /**
+   * Get an organisation the user belongs to
+   * @param {number} id - The ID of the organisation
+   * @param {number} userId - The ID of the requesting user
+   * @returns {Promise<Object>} - The organisation with the user's role
+   * @throws {Error} - If there is no such organisation or the user is not a member
+   */
+  async getOrganisation(id, userId) {
+    const { organisation, membership } = await this.findMembership(id, userId);
+
+    return { ...organisation.get({ plain: true }), role: membership.role };
+  }
+
+  /**
+   * Create an organisation; its creator becomes its first owner
+   * @param {Object} data - Name and description
+   * @param {number} userId - The ID of the creating user
+   * @returns {Promise<Object>} - The organisation with the user's role
+   * @throws {Error} - If the name is missing
+   */
+  async createOrganisation({ name, description }, userId) {
+    if (!name || !String(name).trim()) {
+      throw new Error('Invalid name: must not be empty');
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const organisation = await Organisation.create({
+        name: String(name).trim(),
+        description: description || null,
+        createdByUserId: userId
+      }, { transaction });
+
+      await OrganisationMember.create({
+        organisationId: organisation.id,
+        userId,
+        role: 'owner'
+      }, { transaction });
+
+      await transaction.commit();
+
+      return { ...organisation.get({ plain: true }), role: 'owner' };
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Update an organisation's name and description
+   * @param {number} id - The ID of the organisation
+   * @param {Object} data - name and description; unset fields are kept
+   * @param {number} userId - The ID of the requesting user
+   * @returns {Promise<Object>} - The updated organisation with the user's role
+   * @throws {Error} - If the organisation is not found, the user is not an owner or admin, or the name is empty
+   */
+  async updateOrganisation(id, { name, description }, userId) {
+    const { organisation, membership } = await this.findMembership(id, userId);
+
+    if (!this.hasRole(membership, 'admin')) {
+      throw new Error('Only organisation owners and admins can change the organisation');
+    }
+
+    if (name !== undefined && !String(name).trim()) {
+      throw new Error('Invalid name: must not be empty');
+    }
+
+    await organisation.update({
+      name: name !== undefined ? String(name).trim() : organisation.name,
+      description: description !== undefined ? description : organisation.description
+    });
+
+    return { ...organisation.get({ plain: true }), role: membership.role };
+  }
+
+  /**
+   * Soft delete an organisation. Its connections stop sharing certificates with its members.
+   * @param {number} id - The ID of the organisation
+   * @param {number} userId - The ID of the requesting user
+   * @returns {Promise<Object>} - The deleted organisation
+   * @throws {Error} - If the organisation is not found or the user is not an owner
+   */
+  async deleteOrganisation(id, userId) {
+    const { organisation, membership } = await this.findMembership(id, userId);
+
+    if (!this.hasRole(membership, 'owner')) {
+      throw new Error('Only organisation owners can delete the organisation');
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      await organisation.update({ isDeleted: true }, { transaction });
+      await Connection.update({ isDeleted: true }, {
+        where: { organisationId: organisation.id },
+        transaction
+      });
+
+      await transaction.commit();
+
+      return organisation;
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Get the members of an organisation
+   * @param {number} id - The ID of the organisation
+   * @param {number} userId - The ID of the requesting user
+   * @returns {Promise<Array<Object>>} - The members with their user details
+   * @throws {Error} - If the organisation is not found for the user
+   */
+  async getMembers(id, userId) {
+    const { organisation } = await this.findMembership(id, userId);
+
+    return OrganisationMember.findAll({
+      where: { organisationId: organisation.id },
+      include: [{ model: User, as: 'user', attributes: MEMBER_USER_ATTRIBUTES }],
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Add a user to an organisation
+   * @param {number} id - The ID of the organisation
+   * @param {Object} data - userId or email of the new member, and their role (default member)
+   * @param {number} userId - The ID of the requesting user
+   * @returns {Promise<Object>} - The new member
+   * @throws {Error} - If the organisation or user is not found, the role is not allowed, or the user is already a member
+   */
+  async addMember(id, { userId: memberUserId, email, role = 'member' }, userId) {
+    this.parseRole(role);
+
+    const { organisation, membership } = await this.findMembership(id, userId);
+    this.assertCanChangeMember(membership, { userId: null, role: 'member' }, role, 0);
+
+    const user = memberUserId
+      ? isId(memberUserId) && await User.findOne({ where: { id: memberUserId, isDeleted: false } })
+      : email && await User.findOne({ where: { email: { [Op.iLike]: escapeLike(String(email).trim()) }, isDeleted: false } });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const existing = await OrganisationMember.count({ where: { organisationId: organisation.id, userId: user.id } });
+    if (existing > 0) {
+      throw new Error('User is already a member of this organisation');
+    }
+
+    const member = await OrganisationMember.create({ organisationId: organisation.id, userId: user.id, role });
+
+    return this.findMember(organisation.id, member.userId);
+  }
+
+  /**
+   * Change a member's role
+   * @param {number} id - The ID of the organisation
+   * @param {number} memberUserId - The user ID of the member
+   * @param {string} role - The new role
+   * @param {number} userId - The ID of the requesting user
+   * @returns {Promise<Object>} - { before, after } copies of the member
+   * @throws {Error} - If the organisation or member is not found or the change is not allowed
+   */
+  async changeMemberRole(id, memberUserId, role, userId) {
+    this.parseRole(role);
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      // Locking the organisation makes concurrent owner changes run one after the other
+      const { organisation, membership } = await this.findMembership(id, userId, transaction);
+      const member = await this.findMember(organisation.id, memberUserId, transaction);
+      const before = member.get({ plain: true });
+
+      this.assertCanChangeMember(membership, member, role, await this.countOwners(organisation.id, transaction));
+
+      await member.update({ role }, { transaction });
+      await transaction.commit();
+
+      return { before, after: member };
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Remove a member from an organisation, or leave it
+   * @param {number} id - The ID of the organisation
+   * @param {number} memberUserId - The user ID of the member
+   * @param {number} userId - The ID of the requesting user
+   * @returns {Promise<Object>} - The removed member
+   * @throws {Error} - If the organisation or member is not found or the change is not allowed
+   */
+  async removeMember(id, memberUserId, userId) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const { organisation, membership } = await this.findMembership(id, userId, transaction);
+      const member = await this.findMember(organisation.id, memberUserId, transaction);
+
+      this.assertCanChangeMember(membership, member, null, await this.countOwners(organisation.id, transaction));
+
+      await member.destroy({ transaction });
+      await transaction.commit();
+
+      return member;
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Get the connections between an organisation and its workers
+   * @param {number} id - The ID of the organisation
+   * @param {number} userId - The ID of the requesting user
+   * @returns {Promise<Array<Object>>} - The connections
+   * @throws {Error} - If the organisation is not found for the user
+   */
+  async getConnections(id, userId) {
+    const { organisation } = await this.findMembership(id, userId);
+    const connections = await connectionsService.getConnectionsForUser(userId);
+
+    return connections.filter(connection => connection.organisationId === organisation.id);
+  }
+
+  /**
+   * Ask a worker to connect with an organisation. The requesting member is recorded as the
+   * sender; every member of the organisation sees the worker's certificates once accepted.
+   * @param {number} id - The ID of the organisation
+   * @param {Object} data - recipientId, autoSubmitAccuracyPercent and note
+   * @param {number} userId - The ID of the requesting user
+   * @returns {Promise<Object>} - The created connection
+   * @throws {Error} - If the organisation or worker is not found, or the user is not an owner or admin
+   */
+  async createConnection(id, { recipientId, autoSubmitAccuracyPercent, note }, userId) {
+    const { organisation, membership } = await this.findMembership(id, userId);
+
+    if (!this.hasRole(membership, 'admin')) {
+      throw new Error('Only organisation owners and admins can add connections');
+    }
+
+    return connectionsService.createConnection({
+      recipientId,
+      senderId: userId,
+      organisationId: organisation.id,
+      autoSubmitAccuracyPercent,
+      note
+    });
+  }
+
+  /**
+   * Load an organisation and the user's membership of it. Non-members are told it does not
+   * exist, so organisations cannot be discovered by ID.
+   * @param {number} id - The ID of the organisation
+   * @param {number} userId - The ID of the user
+   * @param {Object} [transaction] - Optional transaction; the organisation row is locked within it
+   * @returns {Promise<Object>} - { organisation, membership }
+   * @throws {Error} - If there is no such organisation or the user is not a member
+   * @private
+   */
+  async findMembership(id, userId, transaction) {
+    const organisation = isId(id) && await Organisation.findOne({
+      where: { id, isDeleted: false },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+
+    const membership = organisation && await OrganisationMember.findOne({
+      where: { organisationId: organisation.id, userId },
+      transaction
+    });
+
+    if (!membership) {
+      throw new Error('Organisation not found');
+    }
+
+    return { organisation, membership };
+  }
+
+  /**
+   * Load a member of an organisation
+   * @param {number} organisationId - The ID of the organisation
+   * @param {number} memberUserId - The user ID of the member
+   * @param {Object} [transaction] - Optional transaction
+   * @returns {Promise<Object>} - The member with their user details
+   * @throws {Error} - If the user is not a member
+   * @private
+   */
+  async findMember(organisationId, memberUserId, transaction) {
+    const member = isId(memberUserId) && await OrganisationMember.findOne({
+      where: { organisationId, userId: memberUserId },
+      include: [{ model: User, as: 'user', attributes: MEMBER_USER_ATTRIBUTES }],
+      transaction
+    });
+
+    if (!member) {
+      throw new Error('Member not found');
+    }
+
+    return member;
+  }
+
+  /**
+   * Count the owners of an organisation
+   * @param {number} organisationId - The ID of the organisation
+   * @param {Object} [transaction] - Optional transaction
+   * @returns {Promise<number>}
+   * @private
+   */
+  async countOwners(organisationId, transaction) {
+    return OrganisationMember.count({ where: { organisationId, role: 'owner' }, transaction });
+  }
+}
+
+module.exports = new OrganisationService();
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const bcrypt = require('bcryptjs');
+const config = require('../config/config');
+const { PasswordHistory } = require('../models');
+
+// bcrypt only looks at the first 72 bytes, so anything longer would be silently truncated
+const MAX_PASSWORD_BYTES = 72;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PasswordPolicyService {
+  constructor() {
+    this.commonPasswords = null;
+  }
+
+  /**
+   * The rules a new password has to meet, for clients to show before the user types one
+   * @returns {Object} - The password policy
+   */
+  getPolicy() {
+    const policy = config.passwordPolicy;
+
+    return {
+      minLength: policy.minLength,
+      maxBytes: MAX_PASSWORD_BYTES,
+      requireUppercase: policy.requireUppercase,
+      requireLowercase: policy.requireLowercase,
+      requireDigit: policy.requireDigit,
+      requireSymbol: policy.requireSymbol,
+      rejectCommon: policy.rejectCommon,
+      historyCount: policy.historyCount,
+      maxAgeDays: policy.maxAgeDays
+    };
+  }
+
+  /**
+   * Load the list of common passwords, once
+   * @returns {Set<string>} - Lower-cased common passwords
+   * @private
+   */
+  getCommonPasswords() {
+    if (!this.commonPasswords) {
+      this.commonPasswords = new Set(
+        fs.readFileSync(config.passwordPolicy.commonPasswordsFile, 'utf8')
+          .split(/\r?\n/)
+          .map(line => line.trim().toLowerCase())
+          .filter(line => line && !line.startsWith('#'))
+      );
+    }
+
+    return this.commonPasswords;
+  }
+
+  /**
+   * Check a password against the policy, apart from the password history
+   * @param {string} password - The password
+   * @returns {Array<string>} - The rules it breaks; empty if it meets the policy
+   */
+  validate(password) {
+    const policy = config.passwordPolicy;
+    const value = typeof password === 'string' ? password : '';
+    const violations = [];
+
+    if (value.length < policy.minLength) {
+      violations.push(`Password must be at least ${policy.minLength} characters long`);
+    }
+    if (Buffer.byteLength(value, 'utf8') > MAX_PASSWORD_BYTES) {
+      violations.push(`Password must be at most ${MAX_PASSWORD_BYTES} bytes long`);
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+      violations.push('Password must contain an uppercase letter');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(value)) {
+      violations.push('Password must contain a lowercase letter');
+    }
+    if (policy.requireDigit && !/[0-9]/.test(value)) {
+      violations.push('Password must contain a digit');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+      violations.push('Password must contain a symbol');
+    }
+    if (policy.rejectCommon && value && this.getCommonPasswords().has(value.toLowerCase())) {
+      violations.push('Password is too common');
+    }
+
+    return violations;
+  }
+
+  /**
+   * Throw if a password breaks the policy
+   * @param {Array<string>} violations - The rules it breaks
+   * @throws {Error} - With the broken rules in its violations property
+   */
+  assertNoViolations(violations) {
+    if (violations.length > 0) {
+      const error = new Error('Password does not meet the password policy');
+      error.violations = violations;
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a password is the credential's current password or one of its recent ones
+   * @param {string} password - The new password
+   * @param {Object} credential - The password credential
+   * @param {Object} [options] - Options
+   * @param {Object} [options.transaction] - Optional transaction
+   * @returns {Promise<boolean>} - Whether the password was used recently
+   */
+  async isReused(password, credential, { transaction } = {}) {
+    const { historyCount } = config.passwordPolicy;
+
+    if (historyCount <= 0) {
+      return false;
+    }
+
+    // The current password counts as one of the remembered ones
+    const hashes = credential.passwordHash ? [credential.passwordHash] : [];
+
+    if (historyCount > 1) {
+      const history = await PasswordHistory.findAll({
+        where: { credentialId: credential.id },
+        attributes: ['passwordHash'],
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit: historyCount - 1,
+        transaction
+      });
+      hashes.push(...history.map(entry => entry.passwordHash));
+    }
+
+    for (const hash of hashes) {
+      if (await bcrypt.compare(password, hash)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Remember the credential's current password before it is replaced, forgetting
+   * passwords that have fallen out of the history
+   * @param {Object} credential - The password credential
+   * @param {Object} [options] - Options
+   * @param {Object} [options.transaction] - Optional transaction
+   * @returns {Promise<void>}
+   */
+  async recordHistory(credential, { transaction } = {}) {
+    const { historyCount } = config.passwordPolicy;
+
+    if (credential.passwordHash && historyCount > 1) {
+      await PasswordHistory.create({
+        credentialId: credential.id,
+        passwordHash: credential.passwordHash
+      }, { transaction });
+    }
+
+    const stale = await PasswordHistory.findAll({
+      where: { credentialId: credential.id },
+      attributes: ['id'],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      offset: Math.max(historyCount - 1, 0),
+      transaction
+    });
+
+    if (stale.length > 0) {
+      await PasswordHistory.destroy({
+        where: { id: stale.map(entry => entry.id) },
+        transaction
+      });
+    }
+  }
+
+  /**
+   * Check whether a password is older than the maximum age
+   * @param {Object} credential - The password credential
+   * @param {Date} [now] - The current time
+   * @returns {boolean} - Whether the password has expired
+   */
+  isExpired(credential, now = new Date()) {
+    const { maxAgeDays } = config.passwordPolicy;
+
+    if (credential.passwordExpired) {
+      return true;
+    }
+    if (maxAgeDays <= 0 || !credential.lastPasswordChange) {
+      return false;
+    }
+
+    return now.getTime() - new Date(credential.lastPasswordChange).getTime() > maxAgeDays * DAY_MS;
+  }
+}
+
+module.exports = new PasswordPolicyService();
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { UserCredential, PasswordResetToken } = require('../models');
+const sessionService = require('./SessionService');
+const userService = require('./UserService');
+
+// Matches the lifetime stated in the password reset email
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Hash a reset token for storage; only the hash is kept in the database
+ * @param {string} token - The reset token
+ * @returns {string} - Hex SHA-256 of the token
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+class PasswordResetService {
+  /**
+   * Issue a password reset token for a user, invalidating any issued before it
+   * @param {number} userId - The ID of the user
+   * @param {Date} [now] - The current time
+   * @returns {Promise<string>} - The token to put in the reset link
+   */
+  async createResetToken(userId, now = new Date()) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const transaction = await sequelize.transaction();
+
+    try {
+      await this.revokeResetTokens(userId, { transaction });
+
+      // Links that can no longer be used are of no further interest
+      await PasswordResetToken.destroy({
+        where: {
+          userId,
+          expiresAt: { [Op.lte]: now }
+        },
+        transaction
+      });
+
+      await PasswordResetToken.create({
+        userId,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now.getTime() + RESET_TOKEN_TTL_MS)
+      }, { transaction });
+
+      await transaction.commit();
+      return token;
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Set a new password with a reset token. The token is used up, any other outstanding
+   * tokens are invalidated and every session of the user is signed out.
+   * @param {string} token - The reset token from the link
+   * @param {string} newPassword - The new password
+   * @returns {Promise<number>} - The ID of the user whose password was reset
+   * @throws {Error} - If the token is unknown, used, replaced or expired, or the password breaks the password policy
+   */
+  async resetPassword(token, newPassword) {
+    const now = new Date();
+    const transaction = await sequelize.transaction();
+
+    try {
+      const resetToken = await PasswordResetToken.findOne({
+        where: { tokenHash: hashToken(token) },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!resetToken || resetToken.usedAt || resetToken.revokedAt || resetToken.expiresAt <= now) {
+        throw new Error('Invalid or expired reset token');
+      }
+
+      const credential = await UserCredential.findOne({
+        where: {
+          userId: resetToken.userId,
+          authType: 'password',
+          isActive: true,
+          isDeleted: false
+        },
+        transaction
+      });
+
+      if (!credential) {
+        throw new Error('Invalid or expired reset token');
+      }
+
+      await resetToken.update({ usedAt: now }, { transaction });
+
+      await userService.setPassword(credential, newPassword, { transaction });
+
+      // Proving ownership of the email address also lifts a lockout
+      await credential.update({ lockedUntil: null }, { transaction });
+
+      await this.revokeResetTokens(resetToken.userId, { transaction });
+      await sessionService.revokeAllSessions(resetToken.userId, { transaction });
+
+      await transaction.commit();
+      return resetToken.userId;
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Invalidate the user's outstanding reset tokens, e.g. after their password changes
+   * @param {number} userId - The ID of the user
+   * @param {Object} [options] - Options
+   * @param {Object} [options.transaction] - Optional transaction
+   * @returns {Promise<number>} - Number of tokens invalidated
+   */
+  async revokeResetTokens(userId, { transaction } = {}) {
+    const [revoked] = await PasswordResetToken.update({ revokedAt: new Date() }, {
+      where: {
+        userId,
+        usedAt: null,
+        revokedAt: null
+      },
+      transaction
+    });
+
+    return revoked;
+  }
+}
+
+module.exports = new PasswordResetService();
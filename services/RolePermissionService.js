@@ -0,0 +1,277 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Role, Permission, RolePermission } = require('../models');
+const Feature = require('../models/Feature');
+const PermissionAction = require('../models/PermissionAction');
+const { FEATURES, ACTIONS } = require('../config/permissions');
+
+// Feature and action of each permission, so changes can be shown and checked by code
+const PERMISSION_INCLUDE = [
+  { model: Feature, as: 'feature', attributes: ['id', 'code', 'description'] },
+  { model: PermissionAction, as: 'permissionAction', attributes: ['id', 'code', 'description'] }
+];
+
+/**
+ * Whether a set of permissions lets its role manage roles
+ * @param {Array<Object>} permissions - Permissions with feature and permissionAction
+ * @returns {boolean}
+ */
+const grantsRoleManagement = (permissions) => permissions.some(p =>
+  p.feature && p.feature.code === FEATURES.ROLES &&
+  p.permissionAction && p.permissionAction.code === ACTIONS.MANAGE
+);
+
+class RolePermissionService {
+  /**
+   * Group permissions by feature and then by action, for choosing permissions by what they allow
+   * @param {Array<Object>} permissions - Permissions with feature and permissionAction
+   * @returns {Array<Object>} - Features ordered by code, each with its actions and their permissions
+   */
+  groupCatalogue(permissions) {
+    const features = new Map();
+
+    for (const permission of permissions) {
+      const feature = permission.feature || {};
+      const action = permission.permissionAction || {};
+
+      if (!features.has(permission.featureId)) {
+        features.set(permission.featureId, {
+          id: permission.featureId,
+          code: feature.code || null,
+          description: feature.description || null,
+          actions: new Map()
+        });
+      }
+
+      const actions = features.get(permission.featureId).actions;
+      const actionId = permission.permissionActionId || null;
+
+      if (!actions.has(actionId)) {
+        actions.set(actionId, {
+          id: actionId,
+          code: action.code || null,
+          description: action.description || null,
+          permissions: []
+        });
+      }
+
+      actions.get(actionId).permissions.push({ id: permission.id, code: permission.code });
+    }
+
+    const byCode = (a, b) => String(a.code).localeCompare(String(b.code));
+
+    return [...features.values()]
+      .map(feature => ({
+        ...feature,
+        actions: [...feature.actions.values()]
+          .map(action => ({ ...action, permissions: action.permissions.sort(byCode) }))
+          .sort(byCode)
+      }))
+      .sort(byCode);
+  }
+
+  /**
+   * Work out what replacing a permission set would change
+   * @param {Array<Object>} current - The permissions the role has
+   * @param {Array<Object>} requested - The permissions the role should have
+   * @returns {Object} - { grant, revoke, unchanged } lists of permissions
+   */
+  diffPermissionSets(current, requested) {
+    const currentIds = new Set(current.map(p => p.id));
+    const requestedIds = new Set(requested.map(p => p.id));
+
+    return {
+      grant: requested.filter(p => !currentIds.has(p.id)),
+      revoke: current.filter(p => !requestedIds.has(p.id)),
+      unchanged: requested.filter(p => currentIds.has(p.id))
+    };
+  }
+
+  /**
+   * Check a list of permission IDs from a request
+   * @param {*} permissionIds - The IDs
+   * @returns {Array<number>} - The distinct IDs
+   * @throws {Error} - If it is not an array of positive integers
+   */
+  parsePermissionIds(permissionIds) {
+    if (!Array.isArray(permissionIds) ||
+        !permissionIds.every(id => Number.isInteger(Number(id)) && Number(id) > 0)) {
+      throw new Error('Invalid permissionIds: must be an array of permission IDs');
+    }
+
+    return [...new Set(permissionIds.map(Number))];
+  }
+
+  /**
+   * Get every permission grouped by feature and action
+   * @returns {Promise<Array<Object>>} - See groupCatalogue
+   */
+  async getCatalogue() {
+    const permissions = await Permission.findAll({ include: PERMISSION_INCLUDE });
+
+    return this.groupCatalogue(permissions);
+  }
+
+  /**
+   * Show what replacing a role's permissions would grant and revoke, without changing anything
+   * @param {number} roleId - The ID of the role
+   * @param {Array<number>} permissionIds - The IDs of all permissions the role should have
+   * @returns {Promise<Object>} - { grant, revoke, unchanged } lists of permissions
+   * @throws {Error} - If the role or a permission does not exist
+   */
+  async previewPermissionSet(roleId, permissionIds) {
+    const role = await this.findRole(roleId);
+    const requested = await this.findPermissions(permissionIds);
+
+    return this.diffPermissionSets(await this.getRolePermissions(role), requested);
+  }
+
+  /**
+   * Replace all permissions of a role at once; either every change is made or none is
+   * @param {number} roleId - The ID of the role
+   * @param {Array<number>} permissionIds - The IDs of all permissions the role should have
+   * @param {Object} actingUser - The signed-in user making the change
+   * @returns {Promise<Object>} - The { grant, revoke, unchanged } lists of permissions applied
+   * @throws {Error} - If the role or a permission does not exist, or admins would lose role management
+   */
+  async replacePermissionSet(roleId, permissionIds, actingUser) {
+    const ids = this.parsePermissionIds(permissionIds);
+    const transaction = await sequelize.transaction();
+
+    try {
+      // Locking the role makes concurrent replacements of its set run one after the other
+      const role = await this.findRole(roleId, transaction);
+      const requested = await this.findPermissions(ids, transaction);
+
+      this.assertKeepsRoleManagement(role, requested, actingUser);
+
+      const diff = this.diffPermissionSets(await this.getRolePermissions(role, transaction), requested);
+
+      if (diff.revoke.length > 0) {
+        await RolePermission.destroy({
+          where: { roleId: role.id, permissionId: { [Op.in]: diff.revoke.map(p => p.id) } },
+          transaction
+        });
+      }
+
+      if (diff.grant.length > 0) {
+        await RolePermission.bulkCreate(
+          diff.grant.map(p => ({ roleId: role.id, permissionId: p.id })),
+          { transaction }
+        );
+      }
+
+      await transaction.commit();
+
+      return diff;
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Remove one permission from a role
+   * @param {number} roleId - The ID of the role
+   * @param {number} permissionId - The ID of the permission
+   * @param {Object} actingUser - The signed-in user making the change
+   * @returns {Promise<Object>} - The permission
+   * @throws {Error} - If the role or permission does not exist, or admins would lose role management
+   */
+  async removePermission(roleId, permissionId, actingUser) {
+    const role = await this.findRole(roleId);
+    const permission = Number.isInteger(Number(permissionId)) && await Permission.findByPk(permissionId);
+
+    if (!permission) {
+      throw new Error('Permission not found');
+    }
+
+    const remaining = (await this.getRolePermissions(role)).filter(p => p.id !== permission.id);
+    this.assertKeepsRoleManagement(role, remaining, actingUser);
+
+    await RolePermission.destroy({
+      where: { roleId: role.id, permissionId: permission.id }
+    });
+
+    return permission;
+  }
+
+  /**
+   * Get the permissions of a role with their feature and action
+   * @param {Object} role - The role
+   * @param {Object} [transaction] - Optional transaction
+   * @returns {Promise<Array<Object>>} - The permissions
+   * @private
+   */
+  async getRolePermissions(role, transaction) {
+    return role.getPermissions({
+      include: PERMISSION_INCLUDE,
+      joinTableAttributes: [],
+      order: [['code', 'ASC']],
+      transaction
+    });
+  }
+
+  /**
+   * Load a role
+   * @param {number} roleId - The ID of the role
+   * @param {Object} [transaction] - Optional transaction; the row is locked within it
+   * @returns {Promise<Object>} - The role
+   * @throws {Error} - If there is no such role
+   * @private
+   */
+  async findRole(roleId, transaction) {
+    const role = Number.isInteger(Number(roleId)) && await Role.findByPk(roleId, {
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+
+    if (!role) {
+      throw new Error('Role not found');
+    }
+
+    return role;
+  }
+
+  /**
+   * Load permissions by ID
+   * @param {Array<number>} permissionIds - The IDs
+   * @param {Object} [transaction] - Optional transaction
+   * @returns {Promise<Array<Object>>} - The permissions ordered by code
+   * @throws {Error} - If the IDs are invalid or some do not exist
+   * @private
+   */
+  async findPermissions(permissionIds, transaction) {
+    const ids = this.parsePermissionIds(permissionIds);
+
+    const permissions = ids.length === 0 ? [] : await Permission.findAll({
+      where: { id: { [Op.in]: ids } },
+      include: PERMISSION_INCLUDE,
+      order: [['code', 'ASC']],
+      transaction
+    });
+
+    if (permissions.length < ids.length) {
+      const found = new Set(permissions.map(p => p.id));
+      throw new Error(`Unknown permission IDs: ${ids.filter(id => !found.has(id)).join(', ')}`);
+    }
+
+    return permissions;
+  }
+
+  /**
+   * Keep admins from taking role management away from their own role, which would lock them out
+   * @param {Object} role - The role being changed
+   * @param {Array<Object>} permissions - The permissions the role would be left with
+   * @param {Object} actingUser - The signed-in user making the change
+   * @throws {Error} - If the change removes role management from the acting user's role
+   * @private
+   */
+  assertKeepsRoleManagement(role, permissions, actingUser) {
+    if (actingUser && actingUser.roleId === role.id && !grantsRoleManagement(permissions)) {
+      throw new Error('You cannot remove role management from your own role');
+    }
+  }
+}
+
+module.exports = new RolePermissionService();
@@ -0,0 +1,596 @@
+const { sequelize } = require('../config/database');
+const { Certificate, CertificateFile, Connection, File, Jurisdiction, LcrType, ScannedDocument } = require('../models');
+const { Op } = require('sequelize');
+const { v4: uuidv4, validate: uuidValidate } = require('uuid');
+const config = require('../config/config');
+const { getStorage, fileKey } = require('./storage');
+
+const SCAN_STATUS = {
+  NEEDS_REVIEW: 'needs_review',
+  SUBMITTED: 'submitted'
+};
+
+// How much each extracted field contributes to the overall confidence score
+const FIELD_WEIGHTS = {
+  title: 3,
+  document_id: 3,
+  issuing_authority: 2,
+  expiry_date: 2,
+  issued_date: 1,
+  issued_to: 1,
+  description: 0.5,
+  renewal_frequency: 0.5
+};
+
+const DATE_FIELDS = ['issued_date', 'expiry_date'];
+
+// Connection.status value for an accepted connection
+const CONNECTION_STATUS_ACCEPTED = 1;
+
+// Certificate attributes the user may change when confirming a scan
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'lcrId',
+  'documentNumber',
+  'issuedDate',
+  'expiryDate',
+  'issuedBy',
+  'issuingAuthority',
+  'renewalFrequency',
+  'lcrTypeId',
+  'jurisdictionId'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Lower-case a value and collapse everything but letters and digits to single spaces
+ * @param {*} value - The value to normalize
+ * @returns {string} - The normalized text
+ */
+const normalize = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+class ScanService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Score how confident we are in a single extracted field (0-100).
+   * Values found verbatim in the OCR text score highest; values the model
+   * reworded score by how many of their words appear in the text.
+   * @param {string} field - The field name
+   * @param {*} value - The extracted value
+   * @param {string} text - The OCR text the value was extracted from
+   * @returns {number} - The field confidence
+   */
+  scoreField(field, value, text) {
+    if (value === null || value === undefined || value === '' || value === 'Error processing') {
+      return 0;
+    }
+
+    const normalizedValue = normalize(value);
+    const normalizedText = ` ${normalize(text)} `;
+
+    if (!normalizedValue) {
+      return 0;
+    }
+
+    if (normalizedText.includes(` ${normalizedValue} `)) {
+      return 100;
+    }
+
+    // Dates are usually reformatted to YYYY-MM-DD, so a valid date is still fairly reliable
+    if (DATE_FIELDS.includes(field)) {
+      return this.parseDate(value) ? 70 : 10;
+    }
+
+    const words = normalizedValue.split(' ').filter(word => word.length >= 3);
+    if (words.length === 0) {
+      return 30;
+    }
+
+    const found = words.filter(word => normalizedText.includes(` ${word} `)).length;
+    return Math.round(30 + 60 * (found / words.length));
+  }
+
+  /**
+   * Score every extracted field and the document as a whole
+   * @param {Object} documentInfo - Fields extracted from the document
+   * @param {string} text - The OCR text
+   * @returns {Object} - { fields: { [field]: score }, overall: score }
+   */
+  scoreDocument(documentInfo, text) {
+    const fields = {};
+    let weightedTotal = 0;
+    let totalWeight = 0;
+
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      fields[field] = this.scoreField(field, documentInfo ? documentInfo[field] : null, text || '');
+      weightedTotal += fields[field] * weight;
+      totalWeight += weight;
+    }
+
+    return {
+      fields,
+      overall: Math.round(weightedTotal / totalWeight)
+    };
+  }
+
+  /**
+   * Accept a YYYY-MM-DD date string
+   * @param {*} value - The extracted value
+   * @returns {string|null} - The date, or null if it is not a valid date
+   */
+  parseDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+      return null;
+    }
+    return value;
+  }
+
+  /**
+   * Convert an extracted renewal frequency such as "2 years" into months
+   * @param {*} value - The extracted value
+   * @returns {number|null} - Renewal frequency in months
+   */
+  parseRenewalFrequency(value) {
+    if (typeof value === 'number') {
+      return Math.round(value);
+    }
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const match = value.match(/(\d+)\s*(year|yr|month|mo)/i);
+    if (match) {
+      const amount = parseInt(match[1], 10);
+      return /^(year|yr)/i.test(match[2]) ? amount * 12 : amount;
+    }
+    if (/annual|yearly/i.test(value)) {
+      return 12;
+    }
+    if (/monthly/i.test(value)) {
+      return 1;
+    }
+    return null;
+  }
+
+  /**
+   * Map extracted document fields onto Certificate attributes
+   * @param {Object} documentInfo - Fields extracted from the document
+   * @returns {Object} - Certificate attributes
+   */
+  toCertificateFields(documentInfo) {
+    const value = (field) => {
+      const fieldValue = documentInfo[field];
+      return fieldValue && fieldValue !== 'Error processing' ? String(fieldValue) : null;
+    };
+
+    return {
+      title: value('title') || 'Untitled Certificate',
+      description: value('description'),
+      documentNumber: value('document_id'),
+      issuedDate: this.parseDate(documentInfo.issued_date),
+      expiryDate: this.parseDate(documentInfo.expiry_date),
+      issuingAuthority: value('issuing_authority'),
+      renewalFrequency: this.parseRenewalFrequency(documentInfo.renewal_frequency)
+    };
+  }
+
+  /**
+   * Get the auto-submit threshold for a user's scans. When several accepted
+   * connections set a threshold, the strictest one applies.
+   * @param {number} userId - The ID of the user who scanned the document
+   * @returns {Promise<number|null>} - Threshold percentage, or null if none is configured
+   */
+  async getAutoSubmitThreshold(userId) {
+    const connections = await Connection.findAll({
+      where: {
+        status: CONNECTION_STATUS_ACCEPTED,
+        isDeleted: false,
+        autoSubmitAccuracyPercent: { [Op.gt]: 0 },
+        [Op.or]: [
+          { senderId: userId, organisationId: null },
+          { recipientId: userId }
+        ]
+      },
+      attributes: ['autoSubmitAccuracyPercent']
+    });
+
+    if (connections.length === 0) {
+      return null;
+    }
+
+    return Math.max(...connections.map(connection => parseFloat(connection.autoSubmitAccuracyPercent)));
+  }
+
+  /**
+   * Check that the LCR type and jurisdiction given for a certificate exist
+   * @param {number} [lcrTypeId] - The LCR type ID
+   * @param {number} [jurisdictionId] - The jurisdiction ID
+   * @returns {Promise<void>}
+   * @throws {Error} - If either does not exist
+   * @private
+   */
+  async validateReferences(lcrTypeId, jurisdictionId) {
+    if (lcrTypeId) {
+      const lcrType = await LcrType.findByPk(lcrTypeId);
+      if (!lcrType) {
+        throw new Error('LCR Type not found');
+      }
+    }
+
+    if (jurisdictionId) {
+      const jurisdiction = await Jurisdiction.findByPk(jurisdictionId);
+      if (!jurisdiction) {
+        throw new Error('Jurisdiction not found');
+      }
+    }
+  }
+
+  /**
+   * When a draft created now should expire
+   * @param {Date} now - The reference time (defaults to now)
+   * @returns {Date|null} - The expiry time, or null if drafts are kept forever
+   */
+  getDraftExpiry(now = new Date()) {
+    const days = config.scan.draftExpiryDays;
+    return days > 0 ? new Date(now.getTime() + days * DAY_MS) : null;
+  }
+
+  /**
+   * Store a scanned document and, when its confidence meets the threshold set on
+   * the user's connections, create the certificate straight away
+   * @param {Object} scanData - The scan data
+   * @param {number} scanData.userId - The ID of the user who scanned the document
+   * @param {Buffer} scanData.content - The uploaded file content
+   * @param {string} scanData.mimeType - The uploaded file MIME type
+   * @param {string} scanData.fileName - The uploaded file name
+   * @param {string} scanData.text - The OCR text
+   * @param {Object} scanData.documentInfo - Fields extracted from the text
+   * @param {number} [scanData.lcrTypeId] - LCR type for the certificate (required to auto-submit)
+   * @param {number} [scanData.jurisdictionId] - Jurisdiction for the certificate
+   * @returns {Promise<Object>} - The scanned document, file, certificate (if created), confidence and threshold
+   */
+  async processScan({ userId, content, mimeType, fileName, text, documentInfo, lcrTypeId, jurisdictionId }) {
+    await this.validateReferences(lcrTypeId, jurisdictionId);
+
+    const confidence = this.scoreDocument(documentInfo, text);
+    const threshold = await this.getAutoSubmitThreshold(userId);
+    const autoSubmit = threshold !== null
+      && confidence.overall >= threshold
+      && !!lcrTypeId
+      && confidence.fields.title > 0;
+
+    const guid = uuidv4();
+    const storageKey = fileKey(guid);
+    await getStorage().put(storageKey, content, { contentType: mimeType });
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const file = await File.create({
+        guid,
+        title: fileName,
+        type: null,
+        ownerId: userId,
+        uploadedOn: new Date(),
+        content: null,
+        storageKey,
+        mimeType,
+        accuracy: confidence.overall
+      }, { transaction });
+
+      let certificate = null;
+
+      if (autoSubmit) {
+        certificate = await Certificate.create({
+          ...this.toCertificateFields(documentInfo),
+          lcrTypeId,
+          jurisdictionId: jurisdictionId || null,
+          userId,
+          isDeleted: false
+        }, { transaction });
+
+        await CertificateFile.create({
+          certificateId: certificate.id,
+          fileId: file.id,
+          isDeleted: false
+        }, { transaction });
+      }
+
+      const scannedDocument = await ScannedDocument.create({
+        userId,
+        fileId: file.id,
+        certificateId: certificate ? certificate.id : null,
+        status: autoSubmit ? SCAN_STATUS.SUBMITTED : SCAN_STATUS.NEEDS_REVIEW,
+        accuracy: confidence.overall,
+        extractedData: documentInfo,
+        fieldConfidence: confidence.fields,
+        expiresAt: autoSubmit ? null : this.getDraftExpiry()
+      }, { transaction });
+
+      await transaction.commit();
+
+      return { scannedDocument, file, certificate, confidence, threshold };
+    } catch (error) {
+      await transaction.rollback();
+      await getStorage().delete(storageKey).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Get the scanned documents waiting for the user to review them
+   * @param {number} userId - The ID of the user
+   * @returns {Promise<Array>} - List of scanned documents with file details
+   */
+  async getReviewQueue(userId) {
+    return ScannedDocument.findAll({
+      where: {
+        userId,
+        status: SCAN_STATUS.NEEDS_REVIEW,
+        ...this.notExpired()
+      },
+      include: [
+        {
+          model: File,
+          as: 'file',
+          attributes: ['id', 'guid', 'title', 'mimeType', 'accuracy', 'uploadedOn']
+        }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Get a scan belonging to the user. Expired drafts are treated as gone.
+   * @param {string} guid - The scan GUID returned by POST /api/scan
+   * @param {number} userId - The ID of the user
+   * @param {Object} [transaction] - Transaction to read the scan in, locking it for update
+   * @returns {Promise<Object|null>} - The scanned document with file details, or null if not found
+   */
+  async getScan(guid, userId, transaction) {
+    if (!uuidValidate(guid)) {
+      return null;
+    }
+
+    return ScannedDocument.findOne({
+      where: {
+        guid,
+        userId,
+        ...this.notExpired()
+      },
+      // Postgres cannot lock rows through an outer join, so skip the file when locking
+      include: transaction ? [] : [
+        {
+          model: File,
+          as: 'file',
+          attributes: ['id', 'guid', 'title', 'mimeType', 'accuracy', 'uploadedOn']
+        }
+      ],
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+  }
+
+  /**
+   * Create the certificate for a draft scan from its extracted fields with the user's edits applied
+   * @param {string} guid - The scan GUID
+   * @param {number} userId - The ID of the user
+   * @param {Object} edits - Certificate attributes that override the extracted values
+   * @returns {Promise<Object>} - The created certificate
+   * @throws {Error} - If the scan is missing or already confirmed, or the certificate is invalid
+   */
+  async confirmScan(guid, userId, edits = {}) {
+    const changes = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (edits[field] !== undefined) {
+        changes[field] = edits[field];
+      }
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const scannedDocument = await this.getScan(guid, userId, transaction);
+
+      if (!scannedDocument) {
+        throw new Error('Scan not found');
+      }
+
+      if (scannedDocument.status === SCAN_STATUS.SUBMITTED) {
+        throw new Error('Scan has already been confirmed');
+      }
+
+      const fields = {
+        ...this.toCertificateFields(scannedDocument.extractedData || {}),
+        ...changes
+      };
+
+      if (!fields.title) {
+        throw new Error('Title is required');
+      }
+
+      if (fields.lcrTypeId === undefined || fields.lcrTypeId === null) {
+        throw new Error('lcrTypeId is required');
+      }
+
+      await this.validateReferences(fields.lcrTypeId, fields.jurisdictionId);
+
+      const certificate = await Certificate.create({
+        ...fields,
+        userId,
+        isDeleted: false
+      }, { transaction });
+
+      if (scannedDocument.fileId) {
+        await CertificateFile.create({
+          certificateId: certificate.id,
+          fileId: scannedDocument.fileId,
+          isDeleted: false
+        }, { transaction });
+      }
+
+      await scannedDocument.update({
+        status: SCAN_STATUS.SUBMITTED,
+        certificateId: certificate.id,
+        expiresAt: null
+      }, { transaction });
+
+      await transaction.commit();
+
+      return certificate;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Discard a draft scan and its stored file
+   * @param {string} guid - The scan GUID
+   * @param {number} userId - The ID of the user
+   * @returns {Promise<void>}
+   * @throws {Error} - If the scan is missing or already confirmed
+   */
+  async deleteScan(guid, userId) {
+    const scannedDocument = await this.getScan(guid, userId);
+
+    if (!scannedDocument) {
+      throw new Error('Scan not found');
+    }
+
+    if (scannedDocument.status === SCAN_STATUS.SUBMITTED) {
+      throw new Error('Scan has already been confirmed');
+    }
+
+    await this.removeDraft(scannedDocument);
+  }
+
+  /**
+   * Find which of some files belong to a draft scan that can still be confirmed. Those files
+   * are removed by discarding the scan, so they are never deleted on their own.
+   * @param {Array<number>} fileIds - The IDs of the files
+   * @returns {Promise<Set<number>>} - The IDs of the draft files
+   */
+  async getDraftFileIds(fileIds) {
+    if (fileIds.length === 0) {
+      return new Set();
+    }
+
+    const drafts = await ScannedDocument.findAll({
+      where: {
+        fileId: fileIds,
+        status: SCAN_STATUS.NEEDS_REVIEW,
+        ...this.notExpired()
+      },
+      attributes: ['fileId']
+    });
+
+    return new Set(drafts.map(draft => draft.fileId));
+  }
+
+  /**
+   * Remove drafts that passed their expiry time, along with their files
+   * @param {Date} now - The reference time (defaults to now)
+   * @returns {Promise<number>} - Number of drafts removed
+   */
+  async purgeExpiredDrafts(now = new Date()) {
+    const drafts = await ScannedDocument.findAll({
+      where: {
+        status: SCAN_STATUS.NEEDS_REVIEW,
+        expiresAt: { [Op.lte]: now }
+      }
+    });
+
+    for (const draft of drafts) {
+      await this.removeDraft(draft);
+    }
+
+    return drafts.length;
+  }
+
+  /**
+   * Delete a draft, the file that was stored for it and the file's content
+   * @param {Object} scannedDocument - The draft scan
+   * @returns {Promise<void>}
+   * @private
+   */
+  async removeDraft(scannedDocument) {
+    const file = scannedDocument.fileId
+      ? await File.findByPk(scannedDocument.fileId, { attributes: ['id', 'storageKey'] })
+      : null;
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      await scannedDocument.destroy({ transaction });
+
+      if (file) {
+        await file.destroy({ transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    if (file && file.storageKey) {
+      await getStorage().delete(file.storageKey);
+    }
+  }
+
+  /**
+   * Condition matching scans whose draft has not expired
+   * @returns {Object} - Sequelize where clause
+   * @private
+   */
+  notExpired() {
+    return {
+      [Op.or]: [
+        { expiresAt: null },
+        { expiresAt: { [Op.gt]: new Date() } }
+      ]
+    };
+  }
+
+  /**
+   * Start removing expired drafts every hour
+   */
+  start() {
+    if (this.timer || config.scan.draftExpiryDays <= 0) {
+      return;
+    }
+
+    this.timer = setInterval(async () => {
+      try {
+        const removed = await this.purgeExpiredDrafts();
+        if (removed > 0) {
+          console.log(`Removed ${removed} expired scan draft${removed === 1 ? '' : 's'}`);
+        }
+      } catch (error) {
+        console.error('Scan draft cleanup failed:', error);
+      }
+    }, PURGE_INTERVAL_MS);
+
+    // Do not keep the process alive just for the cleanup
+    this.timer.unref();
+  }
+
+  /**
+   * Stop removing expired drafts
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new ScanService();
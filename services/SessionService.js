@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const { Session, User, UserCredential } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Record session use at most this often, so authenticated requests do not all write
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Hash a refresh token for storage; only the hash is kept in the database
+ * @param {string} token - The refresh token
+ * @returns {string} - Hex SHA-256 of the token
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class SessionService {
+  /**
+   * Get the device details to record against a session
+   * @param {Object} req - Express request
+   * @returns {Object} - { userAgent, ipAddress }
+   */
+  getClientContext(req) {
+    return {
+      userAgent: (req.headers['user-agent'] || '').slice(0, 500) || null,
+      ipAddress: req.ip || null
+    };
+  }
+
+  /**
+   * Sign a short-lived access token for a session
+   * @param {Object} user - The user
+   * @param {Object} credential - The credential used to sign in
+   * @param {Object} session - The session
+   * @returns {string} - The access token
+   */
+  generateAccessToken(user, credential, session) {
+    return jwt.sign(
+      {
+        userId: user.id,
+        email: user.email,
+        loginName: credential ? credential.loginName : null,
+        authType: credential ? credential.authType : null,
+        credentialId: credential ? credential.id : null,
+        roleId: user.roleId,
+        avatarId: user.avatarId,
+        sid: session.id
+      },
+      config.jwt.secret,
+      { expiresIn: config.jwt.expiresIn }
+    );
+  }
+
+  /**
+   * Issue an access token and a new refresh token for a session
+   * @param {Object} user - The user
+   * @param {Object} credential - The credential used to sign in
+   * @param {Object} session - The session
+   * @param {string} refreshToken - The session's refresh token
+   * @returns {Object} - { token, refreshToken, expiresIn, sessionId }
+   * @private
+   */
+  buildTokens(user, credential, session, refreshToken) {
+    const token = this.generateAccessToken(user, credential, session);
+    const { iat, exp } = jwt.decode(token);
+
+    return {
+      token,
+      refreshToken,
+      expiresIn: exp - iat,
+      sessionId: session.id
+    };
+  }
+
+  /**
+   * Start a session for a user who has just signed in
+   * @param {Object} user - The user
+   * @param {Object} credential - The credential used to sign in
+   * @param {Object} [context] - Device details from getClientContext
+   * @returns {Promise<Object>} - { token, refreshToken, expiresIn, sessionId }
+   */
+  async createSession(user, credential, context = {}) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    const session = await Session.create({
+      userId: user.id,
+      credentialId: credential ? credential.id : null,
+      refreshTokenHash: hashToken(refreshToken),
+      userAgent: context.userAgent || null,
+      ipAddress: context.ipAddress || null,
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + config.jwt.refreshExpiresInDays * DAY_MS)
+    });
+
+    return this.buildTokens(user, credential, session, refreshToken);
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token.
+   * Presenting a refresh token that was already exchanged revokes the session,
+   * since it means the token was copied.
+   * @param {string} refreshToken - The refresh token
+   * @param {Object} [context] - Device details from getClientContext
+   * @returns {Promise<Object>} - { token, refreshToken, expiresIn, sessionId }
+   * @throws {Error} - If the refresh token is not valid
+   */
+  async refreshSession(refreshToken, context = {}) {
+    const tokenHash = hashToken(refreshToken);
+
+    const session = await Session.findOne({ where: { refreshTokenHash: tokenHash } });
+
+    if (!session) {
+      const reused = await Session.findOne({
+        where: {
+          previousRefreshTokenHash: tokenHash,
+          revokedAt: null
+        }
+      });
+
+      if (reused) {
+        await reused.update({ revokedAt: new Date() });
+      }
+
+      throw new Error('Invalid refresh token');
+    }
+
+    if (session.revokedAt || session.expiresAt <= new Date()) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const user = await User.findOne({
+      where: {
+        id: session.userId,
+        isActive: true,
+        isDeleted: false
+      }
+    });
+
+    const credential = session.credentialId
+      ? await UserCredential.findOne({
+        where: {
+          id: session.credentialId,
+          isActive: true,
+          isDeleted: false
+        }
+      })
+      : null;
+
+    if (!user || (session.credentialId && !credential)) {
+      await session.update({ revokedAt: new Date() });
+      throw new Error('Invalid refresh token');
+    }
+
+    const nextRefreshToken = crypto.randomBytes(48).toString('base64url');
+
+    await session.update({
+      refreshTokenHash: hashToken(nextRefreshToken),
+      previousRefreshTokenHash: tokenHash,
+      userAgent: context.userAgent || session.userAgent,
+      ipAddress: context.ipAddress || session.ipAddress,
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + config.jwt.refreshExpiresInDays * DAY_MS)
+    });
+
+    return this.buildTokens(user, credential, session, nextRefreshToken);
+  }
+
+  /**
+   * Check that a verified access token is still allowed: it is an access token, its session
+   * has not been revoked and the user's password has not changed since it was issued
+   * @param {Object} decoded - The verified token payload
+   * @returns {Promise<void>}
+   * @throws {Error} - If the token must no longer be accepted
+   */
+  async validateAccessToken(decoded) {
+    // Tokens issued for a single step, such as an MFA challenge, never grant access
+    if (decoded.purpose) {
+      throw new Error('Invalid access token');
+    }
+
+    if (decoded.sid) {
+      const session = await Session.findByPk(decoded.sid, {
+        attributes: ['id', 'userId', 'revokedAt', 'lastUsedAt']
+      });
+
+      if (!session || session.revokedAt || session.userId !== decoded.userId) {
+        throw new Error('Session has been revoked');
+      }
+
+      if (Date.now() - new Date(session.lastUsedAt).getTime() > LAST_USED_RESOLUTION_MS) {
+        await session.update({ lastUsedAt: new Date() });
+      }
+    }
+
+    const lastPasswordChange = await UserCredential.max('lastPasswordChange', {
+      where: {
+        userId: decoded.userId,
+        authType: 'password',
+        isDeleted: false
+      }
+    });
+
+    // JWT iat is in whole seconds
+    if (lastPasswordChange && Math.floor(new Date(lastPasswordChange).getTime() / 1000) > decoded.iat) {
+      throw new Error('Password changed since the token was issued');
+    }
+  }
+
+  /**
+   * List the user's signed-in sessions
+   * @param {number} userId - The ID of the user
+   * @param {number} [currentSessionId] - The session making the request
+   * @returns {Promise<Array>} - Sessions, most recently used first
+   */
+  async listSessions(userId, currentSessionId) {
+    const sessions = await Session.findAll({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      attributes: ['id', 'userAgent', 'ipAddress', 'createdAt', 'lastUsedAt', 'expiresAt'],
+      order: [['lastUsedAt', 'DESC']]
+    });
+
+    return sessions.map(session => ({
+      ...session.toJSON(),
+      current: session.id === currentSessionId
+    }));
+  }
+
+  /**
+   * Revoke one of the user's sessions, signing that device out
+   * @param {number} sessionId - The ID of the session
+   * @param {number} userId - The ID of the user
+   * @returns {Promise<void>}
+   * @throws {Error} - If the session does not exist or is already revoked
+   */
+  async revokeSession(sessionId, userId) {
+    const [updated] = await Session.update({ revokedAt: new Date() }, {
+      where: {
+        id: sessionId,
+        userId,
+        revokedAt: null
+      }
+    });
+
+    if (updated === 0) {
+      throw new Error('Session not found');
+    }
+  }
+
+  /**
+   * Revoke all of the user's sessions
+   * @param {number} userId - The ID of the user
+   * @param {Object} [options] - Options
+   * @param {number} [options.exceptSessionId] - Keep this session signed in
+   * @param {Object} [options.transaction] - Optional transaction
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeAllSessions(userId, { exceptSessionId, transaction } = {}) {
+    const where = {
+      userId,
+      revokedAt: null
+    };
+
+    if (exceptSessionId) {
+      where.id = { [Op.ne]: exceptSessionId };
+    }
+
+    const [updated] = await Session.update({ revokedAt: new Date() }, { where, transaction });
+    return updated;
+  }
+
+  /**
+   * Revoke the sessions signed in with a credential, e.g. when it is removed
+   * @param {number} credentialId - The ID of the credential
+   * @param {Object} [options] - Options
+   * @param {number} [options.exceptSessionId] - Keep this session signed in
+   * @param {Object} [options.transaction] - Optional transaction
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeCredentialSessions(credentialId, { exceptSessionId, transaction } = {}) {
+    const where = {
+      credentialId,
+      revokedAt: null
+    };
+
+    if (exceptSessionId) {
+      where.id = { [Op.ne]: exceptSessionId };
+    }
+
+    const [updated] = await Session.update({ revokedAt: new Date() }, { where, transaction });
+    return updated;
+  }
+}
+
+module.exports = new SessionService();
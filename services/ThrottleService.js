@@ -0,0 +1,326 @@
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const { User, UserCredential } = require('../models');
+const { getThrottleStore } = require('./throttle');
+const { sendAccountLockedEmail } = require('./EmailService');
+
+// How often counters whose window has ended are removed
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Failed logins for a login name before responses start slowing down
+const FREE_LOGIN_FAILURES = 2;
+const BASE_LOGIN_DELAY_MS = 1000;
+const MAX_LOGIN_DELAY_MS = 10000;
+
+/**
+ * Normalise a login name or email address for use in a counter key
+ * @param {string} value - The login name or email
+ * @returns {string} - The normalised value
+ */
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+class ThrottleService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Length of a counting window
+   * @returns {number} - Milliseconds
+   * @private
+   */
+  getWindowMs() {
+    return config.throttle.windowMinutes * 60 * 1000;
+  }
+
+  /**
+   * How long to hold a login response after a number of recent failures for the login name
+   * @param {number} failures - Failed logins in the current window
+   * @returns {number} - Delay in milliseconds
+   */
+  getLoginDelay(failures) {
+    if (failures <= FREE_LOGIN_FAILURES) {
+      return 0;
+    }
+    return Math.min(BASE_LOGIN_DELAY_MS * 2 ** (failures - FREE_LOGIN_FAILURES - 1), MAX_LOGIN_DELAY_MS);
+  }
+
+  /**
+   * Seconds until a counter that has reached its limit starts a new window
+   * @param {string} key - The counter key
+   * @param {number} limit - Attempts allowed in a window
+   * @param {Date} [now] - The current time
+   * @returns {Promise<number>} - Seconds to wait, or 0 if the limit has not been reached
+   */
+  async getRetryAfter(key, limit, now = new Date()) {
+    const counter = await getThrottleStore().get(key, now);
+
+    if (!counter || counter.count < limit) {
+      return 0;
+    }
+
+    return Math.max(Math.ceil((counter.resetAt.getTime() - now.getTime()) / 1000), 1);
+  }
+
+  /**
+   * Count an attempt
+   * @param {string} key - The counter key
+   * @param {Date} [now] - The current time
+   * @returns {Promise<Object>} - { count, resetAt }
+   */
+  async hit(key, now = new Date()) {
+    return getThrottleStore().increment(key, this.getWindowMs(), now);
+  }
+
+  /**
+   * Check whether a login attempt may go ahead, holding it back if the login name has failed recently
+   * @param {string} loginName - The login name
+   * @param {string} ip - The client IP address
+   * @returns {Promise<number>} - Seconds the client must wait before trying again, or 0 to go ahead
+   */
+  async beforeLogin(loginName, ip) {
+    const retryAfter = await this.getRetryAfter(`login:ip:${ip}`, config.throttle.maxLoginFailuresPerIp);
+    if (retryAfter > 0) {
+      return retryAfter;
+    }
+
+    const counter = await getThrottleStore().get(`login:name:${normalize(loginName)}`);
+    const delay = this.getLoginDelay(counter ? counter.count : 0);
+
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    return 0;
+  }
+
+  /**
+   * Check whether a credential is locked
+   * @param {Object} credential - The credential
+   * @param {Date} [now] - The current time
+   * @returns {boolean} - Whether password logins are refused
+   */
+  isLocked(credential, now = new Date()) {
+    return Boolean(credential.lockedUntil && new Date(credential.lockedUntil) > now);
+  }
+
+  /**
+   * Count a failed login, locking the credential once the login name reaches the threshold
+   * @param {string} loginName - The login name tried
+   * @param {string} ip - The client IP address
+   * @param {Object|null} credential - The matching password credential with its user, if there is one
+   * @returns {Promise<Date|null>} - When the credential is locked until, if this failure locked it
+   */
+  async recordLoginFailure(loginName, ip, credential) {
+    const nameKey = `login:name:${normalize(loginName)}`;
+
+    await this.hit(`login:ip:${ip}`);
+    const { count } = await this.hit(nameKey);
+
+    if (!credential || count < config.throttle.lockoutThreshold) {
+      return null;
+    }
+
+    const lockedUntil = new Date(Date.now() + config.throttle.lockoutMinutes * 60 * 1000);
+    await credential.update({ lockedUntil });
+    await getThrottleStore().delete(nameKey);
+
+    if (credential.user && credential.user.email) {
+      // A failed email must not turn the lockout into a server error
+      sendAccountLockedEmail(credential.user.email, this.createUnlockToken(credential, lockedUntil), lockedUntil)
+        .catch(error => console.error('Failed to send account locked email:', error));
+    }
+
+    return lockedUntil;
+  }
+
+  /**
+   * Forget the failures of a login name after a successful login
+   * @param {string} loginName - The login name
+   * @returns {Promise<void>}
+   */
+  async recordLoginSuccess(loginName) {
+    await getThrottleStore().delete(`login:name:${normalize(loginName)}`);
+  }
+
+  /**
+   * Sign the token in the unlock email. It only works for the lockout it was issued for.
+   * @param {Object} credential - The locked credential
+   * @param {Date} lockedUntil - When the lockout ends
+   * @returns {string} - The unlock token
+   */
+  createUnlockToken(credential, lockedUntil) {
+    return jwt.sign(
+      {
+        credentialId: credential.id,
+        lockedUntil: lockedUntil.getTime(),
+        purpose: 'unlock'
+      },
+      config.jwt.secret,
+      { expiresIn: Math.ceil((lockedUntil.getTime() - Date.now()) / 1000) }
+    );
+  }
+
+  /**
+   * Unlock a credential with the token from the unlock email
+   * @param {string} token - The unlock token
+   * @returns {Promise<number>} - The ID of the unlocked credential
+   * @throws {Error} - If the token is invalid, expired or for an earlier lockout
+   */
+  async unlockWithToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.jwt.secret);
+    } catch (err) {
+      throw new Error('Invalid or expired unlock link');
+    }
+
+    if (decoded.purpose !== 'unlock') {
+      throw new Error('Invalid or expired unlock link');
+    }
+
+    const [updated] = await UserCredential.update({ lockedUntil: null }, {
+      where: {
+        id: decoded.credentialId,
+        lockedUntil: new Date(decoded.lockedUntil)
+      }
+    });
+
+    if (updated === 0) {
+      throw new Error('Invalid or expired unlock link');
+    }
+
+    return decoded.credentialId;
+  }
+
+  /**
+   * List the credentials that are currently locked
+   * @param {Date} [now] - The current time
+   * @returns {Promise<Array>} - Locked credentials with their user, soonest to unlock first
+   */
+  async listLockouts(now = new Date()) {
+    return UserCredential.findAll({
+      where: {
+        lockedUntil: { [Op.gt]: now },
+        isDeleted: false
+      },
+      attributes: ['id', 'userId', 'loginName', 'lockedUntil'],
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'email', 'firstName', 'lastName']
+      }],
+      order: [['lockedUntil', 'ASC']]
+    });
+  }
+
+  /**
+   * Unlock a credential and forget its recent failures
+   * @param {number} credentialId - The ID of the credential
+   * @returns {Promise<void>}
+   * @throws {Error} - If the credential does not exist
+   */
+  async clearLockout(credentialId) {
+    const credential = await UserCredential.findOne({
+      where: {
+        id: credentialId,
+        isDeleted: false
+      }
+    });
+
+    if (!credential) {
+      throw new Error('Credential not found');
+    }
+
+    await credential.update({ lockedUntil: null });
+    await getThrottleStore().delete(`login:name:${normalize(credential.loginName)}`);
+  }
+
+  /**
+   * Count a password reset request, which is limited per IP address and per email address
+   * @param {string} ip - The client IP address
+   * @param {string} email - The email address the reset is for
+   * @returns {Promise<number>} - Seconds to wait if over the limit, or 0 to go ahead
+   */
+  async consumeResetRequest(ip, email) {
+    const now = new Date();
+    const counters = [
+      await this.hit(`reset:ip:${ip}`, now),
+      await this.hit(`reset:email:${normalize(email)}`, now)
+    ];
+
+    const exceeded = counters.filter(counter => counter.count > config.throttle.maxResetRequests);
+    if (exceeded.length === 0) {
+      return 0;
+    }
+
+    return Math.max(...exceeded.map(counter => Math.ceil((counter.resetAt.getTime() - now.getTime()) / 1000)), 1);
+  }
+
+  /**
+   * Check whether an IP address has failed to accept invites too many times
+   * @param {string} ip - The client IP address
+   * @returns {Promise<number>} - Seconds to wait, or 0 to go ahead
+   */
+  async beforeInviteAccept(ip) {
+    return this.getRetryAfter(`invite:ip:${ip}`, config.throttle.maxInviteFailures);
+  }
+
+  /**
+   * Count a failed invite acceptance
+   * @param {string} ip - The client IP address
+   * @returns {Promise<void>}
+   */
+  async recordInviteFailure(ip) {
+    await this.hit(`invite:ip:${ip}`);
+  }
+
+  /**
+   * Count an email verification or email change email sent for a user
+   * @param {number} userId - The ID of the user
+   * @returns {Promise<number>} - Seconds to wait if over the limit, or 0 to go ahead
+   */
+  async consumeVerificationEmail(userId) {
+    const now = new Date();
+    const counter = await this.hit(`verify:user:${userId}`, now);
+
+    if (counter.count <= config.throttle.maxVerificationEmails) {
+      return 0;
+    }
+
+    return Math.max(Math.ceil((counter.resetAt.getTime() - now.getTime()) / 1000), 1);
+  }
+
+  /**
+   * Start removing counters whose window has ended
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(async () => {
+      try {
+        await getThrottleStore().purgeExpired();
+      } catch (error) {
+        console.error('Throttle counter cleanup failed:', error);
+      }
+    }, PURGE_INTERVAL_MS);
+
+    // Do not keep the process alive just for the cleanup
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the cleanup started by start()
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new ThrottleService();
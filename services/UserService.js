@@ -1,35 +1,92 @@
 // services/UserService.js
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
 const { User, UserCredential } = require('../models');
+const sessionService = require('./SessionService');
+const passwordPolicyService = require('./PasswordPolicyService');
+
+// Role given to users unless an administrator picks another
+const DEFAULT_ROLE_ID = 1;
+
+/**
+ * Escape LIKE wildcards so user input is matched literally
+ * @param {string} value - The text
+ * @returns {string} - The escaped text
+ */
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
 
 class UserService {
   constructor() {
     this.config = require('../config/config');
   }
 
-  async registerUser({ email, password, firstName, lastName, loginName, roleId }) {
+  /**
+   * Register a user with a password credential and sign them in. People registering themselves
+   * always get the default role; a role ID in the data is ignored.
+   * @param {Object} data - Email, password, first and last name, login name, and emailVerified
+   *   when the caller already knows the user receives email at the address
+   * @param {Object} [context] - Device details for the new session, from SessionService.getClientContext
+   * @returns {Promise<Object>} - Message, session tokens and the created user
+   * @throws {Error} - If the password breaks the password policy or the email address or login name is already in use
+   */
+  async registerUser(data, context = {}) {
+    const { user, credential } = await this.createUser({ ...data, roleId: DEFAULT_ROLE_ID });
+
+    const { token, refreshToken, expiresIn } = await sessionService.createSession(user, credential, context);
+
+    return {
+      message: 'User registered successfully',
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        roleId: user.roleId,
+        avatarId: user.avatarId,
+        emailVerified: user.emailVerified
+      }
+    };
+  }
+
+  /**
+   * Create a user with a password credential, without signing them in
+   * @param {Object} data - Email, password, first and last name, login name, optional role ID, and
+   *   emailVerified when the caller already knows the user receives email at the address
+   * @returns {Promise<Object>} - { user, credential }
+   * @throws {Error} - If the password breaks the password policy or the email address or login name is already in use
+   */
+  async createUser({ email, password, firstName, lastName, loginName, roleId, emailVerified = false }) {
+    passwordPolicyService.assertNoViolations(passwordPolicyService.validate(password));
+
     const transaction = await sequelize.transaction();
     
     try {
-      // Check if email already exists
-      let existingUser = await User.findOne({ 
-        where: { email },
+      // An address that already has an account is never taken over; its owner adds credentials after signing in
+      const taken = await User.count({
+        where: { email: { [Op.iLike]: escapeLike(String(email).trim()) } },
         transaction
       });
-      
-      if (!existingUser) {
-        // Create the user
-        existingUser = await User.create({
-          email,
-          firstName,
-          lastName,
-          roleId: roleId || 1, // Default role if not specified
-          isActive: true,
-          isDeleted: false
-        }, { transaction });
+
+      if (taken > 0) {
+        await transaction.rollback();
+        throw new Error('Email address is already in use');
       }
+
+      // Create the user
+      const existingUser = await User.create({
+        email,
+        firstName,
+        lastName,
+        roleId: roleId || DEFAULT_ROLE_ID,
+        emailVerified,
+        emailVerifiedAt: emailVerified ? new Date() : null,
+        isActive: true,
+        isDeleted: false
+      }, { transaction });
       
       // Check if login name already exists for password auth
       let existingCredential = await UserCredential.findOne({
@@ -64,25 +121,16 @@ class UserService {
       // Commit the transaction
       await transaction.commit();
       
-      // Generate JWT token
-      const token = this.generateToken(existingUser, existingCredential);
-      
       return {
-        message: 'User registered successfully',
-        token,
-        user: {
-          id: existingUser.id,
-          email: existingUser.email,
-          firstName: existingUser.firstName,
-          lastName: existingUser.lastName,
-          roleId: existingUser.roleId,
-          avatarId: existingUser.avatarId
-        }
+        user: existingUser,
+        credential: existingCredential
       };
     } catch (err) {
       // Rollback the transaction in case of error
       console.error('Registration error:', err);
-      await transaction.rollback();
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
       throw err;
     }
   }
@@ -93,7 +141,7 @@ class UserService {
  * @param {string} currentPassword - The user's current password
  * @param {string} newPassword - The new password to set
  * @returns {Promise<Object>} - Success message
- * @throws {Error} - If current password is incorrect or user not found
+ * @throws {Error} - If current password is incorrect, the new one breaks the password policy or user not found
  */
 async changePassword(userId, currentPassword, newPassword) {
   const transaction = await sequelize.transaction();
@@ -130,16 +178,7 @@ async changePassword(userId, currentPassword, newPassword) {
       throw new Error('Current password is incorrect');
     }
 
-    // Hash the new password
-    const { hash, salt } = await this.hashPassword(newPassword);
-
-    // Update the credential with new password
-    await credential.update({
-      passwordHash: hash,
-      passwordSalt: salt,
-      lastPasswordChange: new Date(),
-      passwordExpired: false
-    }, { transaction });
+    await this.setPassword(credential, newPassword, { transaction });
 
     // Commit the transaction
     await transaction.commit();
@@ -149,29 +188,66 @@ async changePassword(userId, currentPassword, newPassword) {
       message: 'Password changed successfully'
     };
   } catch (err) {
-    await transaction.rollback();
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
     console.error('Password change error:', err);
     throw err; // Re-throw the error to be handled by the route
   }
 }
 
+  /**
+   * Replace the password of a credential, enforcing the password policy and history
+   * @param {Object} credential - The password credential
+   * @param {string} newPassword - The new password
+   * @param {Object} [options] - Options
+   * @param {Object} [options.transaction] - Optional transaction
+   * @returns {Promise<Object>} - The updated credential
+   * @throws {Error} - If the password breaks the password policy or was used recently
+   */
+  async setPassword(credential, newPassword, { transaction } = {}) {
+    const violations = passwordPolicyService.validate(newPassword);
+
+    if (violations.length === 0 && await passwordPolicyService.isReused(newPassword, credential, { transaction })) {
+      violations.push('Password was used recently and cannot be used again');
+    }
+
+    passwordPolicyService.assertNoViolations(violations);
+
+    const { hash, salt } = await this.hashPassword(newPassword);
+
+    await passwordPolicyService.recordHistory(credential, { transaction });
+
+    return credential.update({
+      passwordHash: hash,
+      passwordSalt: salt,
+      lastPasswordChange: new Date(),
+      passwordExpired: false
+    }, { transaction });
+  }
+
+  /**
+   * Mark a credential's password as expired once it is older than the policy allows
+   * @param {Object} credential - The password credential
+   * @returns {Promise<boolean>} - Whether the password has expired
+   */
+  async checkPasswordExpiry(credential) {
+    if (!passwordPolicyService.isExpired(credential)) {
+      return false;
+    }
+
+    if (!credential.passwordExpired) {
+      await credential.update({ passwordExpired: true });
+    }
+
+    return true;
+  }
+
   async hashPassword(password) {
     const salt = await bcrypt.genSalt(10);
     const hash = await bcrypt.hash(password, salt);
     return { hash, salt };
   }
-
-  generateToken(user, credential) {
-    return jwt.sign(
-      {
-        userId: user.id,
-        roleId: user.roleId,
-        credentialId: credential.id
-      },
-      this.config.jwt.secret,
-      { expiresIn: this.config.jwt.expiresIn }
-    );
-  }
 }
 
 module.exports = new UserService();
\ No newline at end of file
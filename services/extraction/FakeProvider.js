@@ -0,0 +1,69 @@
+// Text returned for binary uploads, so scans behave the same on every run
+const SAMPLE_TEXT = `Contractor Licence
+Licence No: TEST-123456
+Issued To: Test Worker
+Issued By: Test Licensing Authority
+Issue Date: 2024-01-01
+Expiry Date: 2027-01-01`;
+
+/**
+ * Find the value following a label such as "Expiry Date:" in the text
+ * @param {string} text - The document text
+ * @param {RegExp} label - Pattern matching the label
+ * @returns {string|null} - The value, or null if the label is not present
+ */
+const valueAfter = (text, label) => {
+  const match = text.match(new RegExp(`${label.source}\\s*[:#]?\\s*(.+)`, 'i'));
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Deterministic provider for tests and local development without cloud credentials
+ */
+class FakeProvider {
+  constructor() {
+    this.name = 'fake';
+  }
+
+  /**
+   * Return text uploads as-is and a fixed sample for anything else
+   * @param {Buffer} content - The uploaded content
+   * @returns {Promise<string>} - The document text
+   */
+  async extractText(content) {
+    const text = content.toString('utf8');
+    return /^[\x09\x0A\x0D\x20-\x7E]+$/.test(text) ? text.trim() : SAMPLE_TEXT;
+  }
+
+  /**
+   * Return the fixed sample for each scanned PDF page
+   * @param {Buffer} content - The PDF content
+   * @param {Array<number>} pageNumbers - The 1-based pages to read
+   * @returns {Promise<Array<Object>>} - [{ page, text }] for the requested pages
+   */
+  async extractPdfText(content, pageNumbers) {
+    return pageNumbers.map(page => ({ page, text: SAMPLE_TEXT }));
+  }
+
+  /**
+   * Extract fields from labelled lines in the text
+   * @param {string} text - The document text
+   * @returns {Promise<Object>} - The extracted fields
+   */
+  async extractFields(text) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+    return {
+      document_id: valueAfter(text, /(?:licen[cs]e|certificate|document)\s*(?:no\.?|number|id)/),
+      title: lines[0] || null,
+      description: null,
+      issued_to: valueAfter(text, /issued\s*to/),
+      issuing_authority: valueAfter(text, /(?:issued\s*by|issuing\s*authority)/),
+      issued_date: valueAfter(text, /(?:issue|issued)\s*date/),
+      expiry_date: valueAfter(text, /expiry\s*date/),
+      renewal_frequency: valueAfter(text, /renewal\s*frequency/)
+    };
+  }
+}
+
+module.exports = FakeProvider;
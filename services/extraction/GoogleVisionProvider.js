@@ -0,0 +1,91 @@
+const config = require('../../config/config');
+
+// Vision annotates at most this many pages of a file per synchronous request
+const PDF_PAGES_PER_REQUEST = 5;
+
+/**
+ * Text recognition using the Google Cloud Vision API
+ */
+class GoogleVisionProvider {
+  constructor() {
+    this.name = 'google-vision';
+    this.client = null;
+  }
+
+  /**
+   * Create the Vision client on first use so the service boots without credentials
+   * @returns {Object} - The Vision ImageAnnotatorClient
+   * @private
+   */
+  getClient() {
+    if (!this.client) {
+      const vision = require('@google-cloud/vision');
+      this.client = new vision.ImageAnnotatorClient({
+        key: config.scan.googleVisionApiKey
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Extract text from an image
+   * @param {Buffer} content - The image content
+   * @returns {Promise<string>} - The recognised text
+   */
+  async extractText(content) {
+    const [result] = await this.getClient().textDetection({ image: { content } });
+
+    if (result.error && result.error.message) {
+      throw new Error(`${result.error.message}\nSee: https://cloud.google.com/apis/design/errors`);
+    }
+
+    const annotations = result.textAnnotations;
+    if (!annotations || annotations.length === 0) return '';
+
+    return annotations[0].description || '';
+  }
+
+  /**
+   * Extract text from selected pages of a PDF
+   * @param {Buffer} content - The PDF content
+   * @param {Array<number>} pageNumbers - The 1-based pages to read
+   * @returns {Promise<Array<Object>>} - [{ page, text }] for the requested pages
+   */
+  async extractPdfText(content, pageNumbers) {
+    const pages = [];
+
+    for (let i = 0; i < pageNumbers.length; i += PDF_PAGES_PER_REQUEST) {
+      const batch = pageNumbers.slice(i, i + PDF_PAGES_PER_REQUEST);
+
+      const [result] = await this.getClient().batchAnnotateFiles({
+        requests: [
+          {
+            inputConfig: { content, mimeType: 'application/pdf' },
+            features: [{ type: 'DOCUMENT_TEXT_DETECTION' }],
+            pages: batch
+          }
+        ]
+      });
+
+      const fileResponse = result.responses[0];
+      if (fileResponse.error && fileResponse.error.message) {
+        throw new Error(`${fileResponse.error.message}\nSee: https://cloud.google.com/apis/design/errors`);
+      }
+
+      fileResponse.responses.forEach((response, index) => {
+        if (response.error && response.error.message) {
+          throw new Error(`${response.error.message}\nSee: https://cloud.google.com/apis/design/errors`);
+        }
+
+        pages.push({
+          page: response.context && response.context.pageNumber ? response.context.pageNumber : batch[index],
+          text: response.fullTextAnnotation ? response.fullTextAnnotation.text : ''
+        });
+      });
+    }
+
+    return pages;
+  }
+}
+
+module.exports = GoogleVisionProvider;
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/config');
+
+const SYSTEM_PROMPT =
+  `You are a helpful assistant that extracts specific fields from certificate text. ` +
+  `Please extract the following fields if they exist:\n` +
+  `1) Document ID\n2) Title\n3) Description\n4) To whom it's issued (Issued To)\n` +
+  `5) Issuing Authority\n6) Issued Date\n7) Expiry Date\n8) Renewal Frequency\n\n` +
+  `Return your answer as valid JSON with these keys:\n` +
+  `document_id, title, description, issued_to, issuing_authority, ` +
+  `issued_date, expiry_date, renewal_frequency.\n` +
+  `If a field is not found, return its value as null.`;
+
+/**
+ * Text recognition and field extraction using the OpenAI API
+ */
+class OpenAIProvider {
+  constructor() {
+    this.name = 'openai';
+    this.client = null;
+  }
+
+  /**
+   * Load the OpenAI API key from configuration, falling back to apis/sk-svcacct.txt
+   * @returns {string} - The API key
+   * @private
+   */
+  getApiKey() {
+    if (config.scan.openaiApiKey) {
+      return config.scan.openaiApiKey;
+    }
+
+    const keyPath = path.join(__dirname, '..', '..', 'apis', 'sk-svcacct.txt');
+    if (fs.existsSync(keyPath)) {
+      return fs.readFileSync(keyPath, 'utf8').trim();
+    }
+
+    throw new Error('OpenAI API key not found');
+  }
+
+  /**
+   * Create the OpenAI client on first use so the service boots without a key
+   * @returns {Object} - The OpenAI client
+   * @private
+   */
+  getClient() {
+    if (!this.client) {
+      const { OpenAI } = require('openai');
+      this.client = new OpenAI({ apiKey: this.getApiKey() });
+    }
+    return this.client;
+  }
+
+  /**
+   * Extract text from an image using a vision-capable model
+   * @param {Buffer} content - The image content
+   * @param {string} mimeType - The image MIME type
+   * @returns {Promise<string>} - The recognised text
+   */
+  async extractText(content, mimeType) {
+    if (!mimeType || !mimeType.startsWith('image/')) {
+      throw new Error(`OpenAI text recognition does not support ${mimeType || 'this file type'}`);
+    }
+
+    const response = await this.getClient().chat.completions.create({
+      model: config.scan.openaiModel,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'Transcribe all text in this document exactly as written. Return only the text.' },
+            { type: 'image_url', image_url: { url: `data:${mimeType};base64,${content.toString('base64')}` } }
+          ]
+        }
+      ],
+      temperature: 0
+    });
+
+    return response.choices[0].message.content || '';
+  }
+
+  /**
+   * Extract structured certificate fields from text
+   * @param {string} text - The document text
+   * @returns {Promise<Object>} - The extracted fields
+   */
+  async extractFields(text) {
+    const response = await this.getClient().chat.completions.create({
+      model: config.scan.openaiModel,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: `Here is the certificate text:\n\n${text}\n\n` }
+      ],
+      temperature: 0
+    });
+
+    let content = response.choices[0].message.content || '';
+    content = content.replace('```json', '').replace('```', '').trim();
+
+    return JSON.parse(content);
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,45 @@
+const { spawn } = require('child_process');
+const config = require('../../config/config');
+
+/**
+ * Local text recognition using the Tesseract command line engine
+ */
+class TesseractProvider {
+  constructor() {
+    this.name = 'tesseract';
+  }
+
+  /**
+   * Extract text from an image by piping it through `tesseract stdin stdout`
+   * @param {Buffer} content - The image content
+   * @returns {Promise<string>} - The recognised text
+   */
+  extractText(content) {
+    return new Promise((resolve, reject) => {
+      const tesseract = spawn(config.scan.tesseractPath, ['stdin', 'stdout', '-l', config.scan.tesseractLanguage]);
+      const output = [];
+      const errors = [];
+
+      tesseract.stdout.on('data', chunk => output.push(chunk));
+      tesseract.stderr.on('data', chunk => errors.push(chunk));
+
+      tesseract.on('error', (error) => {
+        reject(new Error(`Tesseract is not available: ${error.message}`));
+      });
+
+      tesseract.on('close', (code) => {
+        if (code !== 0) {
+          return reject(new Error(`Tesseract failed: ${Buffer.concat(errors).toString().trim()}`));
+        }
+        resolve(Buffer.concat(output).toString().trim());
+      });
+
+      tesseract.stdin.on('error', () => {
+        // Reported through the close or error event
+      });
+      tesseract.stdin.end(content);
+    });
+  }
+}
+
+module.exports = TesseractProvider;
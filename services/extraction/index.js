@@ -0,0 +1,116 @@
+const config = require('../../config/config');
+const GoogleVisionProvider = require('./GoogleVisionProvider');
+const OpenAIProvider = require('./OpenAIProvider');
+const TesseractProvider = require('./TesseractProvider');
+const FakeProvider = require('./FakeProvider');
+const { isPdf, getPdfPageText } = require('./pdf');
+
+/**
+ * Scan providers by configuration name. A provider implements one or both of:
+ * - extractText(content: Buffer, mimeType: string): Promise<string>
+ * - extractFields(text: string): Promise<Object>
+ * Text recognition providers may also implement
+ * - extractPdfText(content: Buffer, pageNumbers: Array<number>): Promise<Array<{ page, text }>>
+ * to read PDF pages that have no embedded text layer.
+ */
+const providers = {
+  'google-vision': GoogleVisionProvider,
+  openai: OpenAIProvider,
+  tesseract: TesseractProvider,
+  fake: FakeProvider
+};
+
+const instances = {};
+
+/**
+ * Get a provider instance by name
+ * @param {string} name - The provider name
+ * @returns {Object} - The provider
+ * @throws {Error} - If the provider is unknown
+ */
+const getProvider = (name) => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown scan provider: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = new Provider();
+  }
+  return instances[name];
+};
+
+/**
+ * Get the configured text recognition provider
+ * @returns {Object} - The provider
+ */
+const getOcrProvider = () => {
+  const provider = getProvider(config.scan.ocrProvider);
+  if (typeof provider.extractText !== 'function') {
+    throw new Error(`Scan provider ${provider.name} does not support text recognition`);
+  }
+  return provider;
+};
+
+/**
+ * Get the configured field extraction provider
+ * @returns {Object} - The provider
+ */
+const getExtractionProvider = () => {
+  const provider = getProvider(config.scan.extractionProvider);
+  if (typeof provider.extractFields !== 'function') {
+    throw new Error(`Scan provider ${provider.name} does not support field extraction`);
+  }
+  return provider;
+};
+
+/**
+ * Extract the text of an uploaded document page by page. PDF pages use their
+ * embedded text layer where there is one; scanned pages and images go through
+ * the configured text recognition provider.
+ * @param {Buffer} content - The uploaded content
+ * @param {string} mimeType - The uploaded file MIME type
+ * @returns {Promise<Object>} - { text, pages: [{ page, text, source }] } with the text merged in page order
+ * @throws {Error} - If the PDF is invalid or too long, or has scanned pages the provider cannot read
+ */
+const extractDocumentText = async (content, mimeType) => {
+  const ocrProvider = getOcrProvider();
+  let pages;
+
+  if (isPdf(content, mimeType)) {
+    pages = (await getPdfPageText(content, config.scan.maxPdfPages))
+      .map(page => ({ ...page, source: 'text-layer' }));
+
+    const scannedPages = pages.filter(page => !page.text).map(page => page.page);
+
+    if (scannedPages.length > 0) {
+      if (typeof ocrProvider.extractPdfText !== 'function') {
+        throw new Error(`Scanned PDF pages cannot be read by the ${ocrProvider.name} scan provider; upload the pages as images instead`);
+      }
+
+      const recognised = await ocrProvider.extractPdfText(content, scannedPages);
+      for (const result of recognised) {
+        const page = pages.find(p => p.page === result.page);
+        if (page) {
+          page.text = (result.text || '').trim();
+          page.source = 'ocr';
+        }
+      }
+    }
+  } else {
+    const text = await ocrProvider.extractText(content, mimeType);
+    pages = [{ page: 1, text: (text || '').trim(), source: 'ocr' }];
+  }
+
+  return {
+    text: pages.map(page => page.text).filter(Boolean).join('\n\n'),
+    pages
+  };
+};
+
+module.exports = {
+  getProvider,
+  getOcrProvider,
+  getExtractionProvider,
+  extractDocumentText
+};
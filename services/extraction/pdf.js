@@ -0,0 +1,69 @@
+const PDF_MIME_TYPE = 'application/pdf';
+
+/**
+ * Check whether an upload is a PDF, by MIME type or by its %PDF- header
+ * @param {Buffer} content - The uploaded content
+ * @param {string} mimeType - The uploaded file MIME type
+ * @returns {boolean} - True if the upload is a PDF
+ */
+const isPdf = (content, mimeType) => {
+  if (mimeType === PDF_MIME_TYPE) {
+    return true;
+  }
+  return Buffer.isBuffer(content) && content.subarray(0, 5).toString('latin1') === '%PDF-';
+};
+
+/**
+ * Read the embedded text layer of every page in a PDF
+ * @param {Buffer} content - The PDF content
+ * @param {number} [maxPages] - Reject documents with more pages than this
+ * @returns {Promise<Array<Object>>} - [{ page, text }] in page order; text is empty for scanned pages
+ * @throws {Error} - If the PDF cannot be read or has too many pages
+ */
+const getPdfPageText = async (content, maxPages) => {
+  // Loaded on first use, pdf.js is only needed for PDF uploads
+  const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+
+  let document;
+  try {
+    document = await pdfjs.getDocument({
+      data: new Uint8Array(content),
+      isEvalSupported: false,
+      verbosity: 0
+    }).promise;
+  } catch (error) {
+    throw new Error(`Invalid PDF document: ${error.message}`);
+  }
+
+  try {
+    if (maxPages && document.numPages > maxPages) {
+      throw new Error(`PDF has too many pages (${document.numPages}, maximum ${maxPages})`);
+    }
+
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+      const page = await document.getPage(pageNumber);
+      const textContent = await page.getTextContent();
+
+      const text = textContent.items
+        .map(item => item.str + (item.hasEOL ? '\n' : ' '))
+        .join('')
+        .replace(/[ \t]+\n/g, '\n')
+        .trim();
+
+      pages.push({ page: pageNumber, text });
+      page.cleanup();
+    }
+
+    return pages;
+  } finally {
+    await document.destroy();
+  }
+};
+
+module.exports = {
+  PDF_MIME_TYPE,
+  isPdf,
+  getPdfPageText
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Stores objects as files under a directory on the local filesystem
+ */
+class LocalStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.root - Directory the objects are stored in
+   */
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Resolve a key to a path inside the storage directory
+   * @param {string} key - The object key
+   * @returns {string} - The absolute file path
+   * @throws {Error} - If the key points outside the storage directory
+   * @private
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store an object, replacing any existing object with the same key
+   * @param {string} key - The object key
+   * @param {Buffer} content - The object content
+   * @returns {Promise<void>}
+   */
+  async put(key, content) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temporary file first so readers never see a partial object
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tempPath, content);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Read a whole object into memory
+   * @param {string} key - The object key
+   * @returns {Promise<Buffer>} - The object content
+   */
+  async get(key) {
+    return fs.promises.readFile(this.resolve(key));
+  }
+
+  /**
+   * Open a stream over an object or a byte range of it
+   * @param {string} key - The object key
+   * @param {Object} [range] - Inclusive byte range { start, end }
+   * @returns {Promise<Readable>} - The object content stream
+   */
+  async getStream(key, range) {
+    const filePath = this.resolve(key);
+    // Fail here rather than on the first read, so callers can still send an error response
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    return fs.createReadStream(filePath, range ? { start: range.start, end: range.end } : undefined);
+  }
+
+  /**
+   * Get the size of an object
+   * @param {string} key - The object key
+   * @returns {Promise<Object|null>} - { size }, or null if the object does not exist
+   */
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return { size: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an object. Deleting a missing object is not an error.
+   * @param {string} key - The object key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,123 @@
+/**
+ * Stores objects in an S3-compatible bucket (AWS S3, MinIO, etc.)
+ */
+class S3Storage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} [options.region] - Bucket region
+   * @param {string} [options.endpoint] - Endpoint URL for S3-compatible services
+   * @param {string} [options.accessKeyId] - Access key, defaults to the AWS credential chain
+   * @param {string} [options.secretAccessKey] - Secret key
+   * @param {boolean} [options.forcePathStyle] - Use bucket-in-path URLs, required by most local stand-ins
+   */
+  constructor(options) {
+    this.name = 's3';
+    this.options = options;
+    this.client = null;
+  }
+
+  /**
+   * Create the S3 client on first use so the service boots without credentials
+   * @returns {Object} - The S3 client
+   * @private
+   */
+  getClient() {
+    if (!this.client) {
+      if (!this.options.bucket) {
+        throw new Error('S3 storage bucket is not configured');
+      }
+
+      const { S3Client } = require('@aws-sdk/client-s3');
+      const { region, endpoint, accessKeyId, secretAccessKey, forcePathStyle } = this.options;
+
+      this.client = new S3Client({
+        region: region || 'us-east-1',
+        endpoint: endpoint || undefined,
+        forcePathStyle: !!forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Send a command to S3
+   * @param {string} commandName - The @aws-sdk/client-s3 command class name
+   * @param {Object} input - The command input, without the bucket
+   * @returns {Promise<Object>} - The command output
+   * @private
+   */
+  send(commandName, input) {
+    const Command = require('@aws-sdk/client-s3')[commandName];
+    return this.getClient().send(new Command({ Bucket: this.options.bucket, ...input }));
+  }
+
+  /**
+   * Store an object, replacing any existing object with the same key
+   * @param {string} key - The object key
+   * @param {Buffer} content - The object content
+   * @param {Object} [options] - Options
+   * @param {string} [options.contentType] - The object MIME type
+   * @returns {Promise<void>}
+   */
+  async put(key, content, { contentType } = {}) {
+    await this.send('PutObjectCommand', {
+      Key: key,
+      Body: content,
+      ContentType: contentType || undefined
+    });
+  }
+
+  /**
+   * Read a whole object into memory
+   * @param {string} key - The object key
+   * @returns {Promise<Buffer>} - The object content
+   */
+  async get(key) {
+    const response = await this.send('GetObjectCommand', { Key: key });
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  /**
+   * Open a stream over an object or a byte range of it
+   * @param {string} key - The object key
+   * @param {Object} [range] - Inclusive byte range { start, end }
+   * @returns {Promise<Readable>} - The object content stream
+   */
+  async getStream(key, range) {
+    const response = await this.send('GetObjectCommand', {
+      Key: key,
+      Range: range ? `bytes=${range.start}-${range.end}` : undefined
+    });
+    return response.Body;
+  }
+
+  /**
+   * Get the size of an object
+   * @param {string} key - The object key
+   * @returns {Promise<Object|null>} - { size }, or null if the object does not exist
+   */
+  async stat(key) {
+    try {
+      const response = await this.send('HeadObjectCommand', { Key: key });
+      return { size: response.ContentLength };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an object. Deleting a missing object is not an error.
+   * @param {string} key - The object key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.send('DeleteObjectCommand', { Key: key });
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,112 @@
+const { pipeline } = require('stream');
+const { getStorage } = require('./index');
+
+/**
+ * Parse a single-range HTTP Range header such as "bytes=0-1023", "bytes=500-" or "bytes=-500"
+ * @param {string} [header] - The Range header value
+ * @param {number} size - The total content size in bytes
+ * @returns {Object|null|false} - Inclusive { start, end }, null to send the whole content,
+ *   or false if the range cannot be satisfied
+ */
+const parseRange = (header, size) => {
+  if (!header) {
+    return null;
+  }
+
+  // Multiple ranges and other units are allowed to fall back to the whole content
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const length = parseInt(match[2], 10);
+    if (length === 0) {
+      return false;
+    }
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    return false;
+  }
+
+  return { start, end };
+};
+
+/**
+ * Send the content of a File or UserAvatar, streaming it from the storage backend
+ * (or its legacy Content column) and honouring Range requests
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} record - The record, with storageKey and/or content
+ * @param {Object} [options] - Options
+ * @param {string} [options.mimeType] - Content-Type to send
+ * @param {string} [options.filename] - Sent as an attachment with this name when given
+ * @returns {Promise<void>}
+ */
+const sendContent = async (req, res, record, { mimeType, filename } = {}) => {
+  let size;
+
+  if (record.storageKey) {
+    const stats = await getStorage().stat(record.storageKey);
+    size = stats ? stats.size : null;
+  } else if (record.content) {
+    size = record.content.length;
+  }
+
+  if (size === null || size === undefined) {
+    return res.status(404).json({ message: 'File content not available' });
+  }
+
+  const range = parseRange(req.headers.range, size);
+
+  if (filename) {
+    // Quotes, control and non-ASCII characters in the name are encoded; set before Content-Type,
+    // which attachment would otherwise guess from the extension
+    res.attachment(filename);
+  }
+
+  res.set({
+    'Content-Type': mimeType || 'application/octet-stream',
+    'Accept-Ranges': 'bytes'
+  });
+
+  if (range === false) {
+    res.set('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  if (range) {
+    res.status(206);
+    res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.set('Content-Length', range.end - range.start + 1);
+  } else {
+    res.set('Content-Length', size);
+  }
+
+  if (!record.storageKey) {
+    return res.end(range ? record.content.subarray(range.start, range.end + 1) : record.content);
+  }
+
+  const stream = await getStorage().getStream(record.storageKey, range || undefined);
+
+  pipeline(stream, res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error(`Error streaming ${record.storageKey}:`, error);
+    }
+  });
+};
+
+module.exports = {
+  parseRange,
+  sendContent
+};
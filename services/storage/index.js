@@ -0,0 +1,68 @@
+const config = require('../../config/config');
+const LocalStorage = require('./LocalStorage');
+const S3Storage = require('./S3Storage');
+
+/**
+ * Storage backends by configuration name. A backend implements:
+ * - put(key: string, content: Buffer, { contentType }): Promise<void>
+ * - get(key: string): Promise<Buffer>
+ * - getStream(key: string, range?: { start, end }): Promise<Readable>
+ * - stat(key: string): Promise<{ size }|null>
+ * - delete(key: string): Promise<void>
+ */
+const backends = {
+  local: () => new LocalStorage({ root: config.storage.localPath }),
+  s3: () => new S3Storage(config.storage.s3)
+};
+
+let instance = null;
+
+/**
+ * Get the configured storage backend
+ * @returns {Object} - The storage backend
+ * @throws {Error} - If the configured driver is unknown
+ */
+const getStorage = () => {
+  if (!instance) {
+    const createBackend = backends[config.storage.driver];
+    if (!createBackend) {
+      throw new Error(`Unknown storage driver: ${config.storage.driver}`);
+    }
+    instance = createBackend();
+  }
+  return instance;
+};
+
+/**
+ * Build the storage key for an uploaded file
+ * @param {string} guid - The file GUID
+ * @returns {string} - The storage key
+ */
+const fileKey = (guid) => `files/${guid}`;
+
+/**
+ * Build the storage key for a user avatar
+ * @param {string} guid - The avatar GUID
+ * @returns {string} - The storage key
+ */
+const avatarKey = (guid) => `avatars/${guid}`;
+
+/**
+ * Read the content of a record stored either in the storage backend or,
+ * until it is migrated, in its legacy Content column
+ * @param {Object} record - A File or UserAvatar with storageKey and content
+ * @returns {Promise<Buffer|null>} - The content, or null if there is none
+ */
+const readContent = async (record) => {
+  if (record.storageKey) {
+    return getStorage().get(record.storageKey);
+  }
+  return record.content || null;
+};
+
+module.exports = {
+  getStorage,
+  fileKey,
+  avatarKey,
+  readContent
+};
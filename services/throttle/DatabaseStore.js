@@ -0,0 +1,81 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../../config/database');
+const { ThrottleCounter } = require('../../models');
+
+/**
+ * Keeps attempt counters in the ThrottleCounters table, so every instance of
+ * the API sees the same counts
+ */
+class DatabaseStore {
+  constructor() {
+    this.name = 'database';
+  }
+
+  /**
+   * Count an attempt, starting a new window if the current one has ended.
+   * Done in a single statement so concurrent attempts are all counted.
+   * @param {string} key - The counter key
+   * @param {number} windowMs - Length of a new window
+   * @param {Date} [now] - The current time
+   * @returns {Promise<Object>} - { count, resetAt }
+   */
+  async increment(key, windowMs, now = new Date()) {
+    const [rows] = await sequelize.query(
+      `INSERT INTO "ThrottleCounters" ("Key", "Count", "ResetAt")
+       VALUES (:key, 1, :resetAt)
+       ON CONFLICT ("Key") DO UPDATE SET
+         "Count" = CASE WHEN "ThrottleCounters"."ResetAt" <= :now THEN 1 ELSE "ThrottleCounters"."Count" + 1 END,
+         "ResetAt" = CASE WHEN "ThrottleCounters"."ResetAt" <= :now THEN EXCLUDED."ResetAt" ELSE "ThrottleCounters"."ResetAt" END
+       RETURNING "Count" AS "count", "ResetAt" AS "resetAt"`,
+      {
+        replacements: {
+          key,
+          now,
+          resetAt: new Date(now.getTime() + windowMs)
+        }
+      }
+    );
+
+    return {
+      count: Number(rows[0].count),
+      resetAt: new Date(rows[0].resetAt)
+    };
+  }
+
+  /**
+   * Get a counter within its window
+   * @param {string} key - The counter key
+   * @param {Date} [now] - The current time
+   * @returns {Promise<Object|null>} - { count, resetAt }, or null if there is no current window
+   */
+  async get(key, now = new Date()) {
+    const counter = await ThrottleCounter.findOne({
+      where: {
+        key,
+        resetAt: { [Op.gt]: now }
+      }
+    });
+
+    return counter ? { count: counter.count, resetAt: counter.resetAt } : null;
+  }
+
+  /**
+   * Remove a counter
+   * @param {string} key - The counter key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await ThrottleCounter.destroy({ where: { key } });
+  }
+
+  /**
+   * Remove counters whose window has ended
+   * @param {Date} [now] - The current time
+   * @returns {Promise<number>} - Number of counters removed
+   */
+  async purgeExpired(now = new Date()) {
+    return ThrottleCounter.destroy({ where: { resetAt: { [Op.lte]: now } } });
+  }
+}
+
+module.exports = DatabaseStore;
@@ -0,0 +1,74 @@
+// Above this many counters, expired ones are swept out on the next increment
+const SWEEP_THRESHOLD = 1000;
+
+/**
+ * Keeps attempt counters in this process. Counters are lost on restart and are
+ * not shared, so use the database store when running more than one instance.
+ */
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.counters = new Map();
+  }
+
+  /**
+   * Count an attempt, starting a new window if the current one has ended
+   * @param {string} key - The counter key
+   * @param {number} windowMs - Length of a new window
+   * @param {Date} [now] - The current time
+   * @returns {Promise<Object>} - { count, resetAt }
+   */
+  async increment(key, windowMs, now = new Date()) {
+    if (this.counters.size > SWEEP_THRESHOLD) {
+      await this.purgeExpired(now);
+    }
+
+    const current = this.counters.get(key);
+    const counter = current && current.resetAt > now
+      ? { count: current.count + 1, resetAt: current.resetAt }
+      : { count: 1, resetAt: new Date(now.getTime() + windowMs) };
+
+    this.counters.set(key, counter);
+    return { ...counter };
+  }
+
+  /**
+   * Get a counter within its window
+   * @param {string} key - The counter key
+   * @param {Date} [now] - The current time
+   * @returns {Promise<Object|null>} - { count, resetAt }, or null if there is no current window
+   */
+  async get(key, now = new Date()) {
+    const counter = this.counters.get(key);
+    return counter && counter.resetAt > now ? { ...counter } : null;
+  }
+
+  /**
+   * Remove a counter
+   * @param {string} key - The counter key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.counters.delete(key);
+  }
+
+  /**
+   * Remove counters whose window has ended
+   * @param {Date} [now] - The current time
+   * @returns {Promise<number>} - Number of counters removed
+   */
+  async purgeExpired(now = new Date()) {
+    let removed = 0;
+
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = MemoryStore;
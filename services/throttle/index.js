@@ -0,0 +1,37 @@
+const config = require('../../config/config');
+const MemoryStore = require('./MemoryStore');
+const DatabaseStore = require('./DatabaseStore');
+
+/**
+ * Attempt counter stores by configuration name. A store implements:
+ * - increment(key: string, windowMs: number, now?: Date): Promise<{ count, resetAt }>
+ * - get(key: string, now?: Date): Promise<{ count, resetAt }|null>
+ * - delete(key: string): Promise<void>
+ * - purgeExpired(now?: Date): Promise<number>
+ */
+const stores = {
+  memory: () => new MemoryStore(),
+  database: () => new DatabaseStore()
+};
+
+let instance = null;
+
+/**
+ * Get the configured attempt counter store
+ * @returns {Object} - The store
+ * @throws {Error} - If the configured store is unknown
+ */
+const getThrottleStore = () => {
+  if (!instance) {
+    const createStore = stores[config.throttle.store];
+    if (!createStore) {
+      throw new Error(`Unknown throttle store: ${config.throttle.store}`);
+    }
+    instance = createStore();
+  }
+  return instance;
+};
+
+module.exports = {
+  getThrottleStore
+};
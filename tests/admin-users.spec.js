@@ -0,0 +1,117 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const adminUserService = require('../services/AdminUserService');
+const auditService = require('../services/AuditService');
+const manageUserApi = require('../apis/manage-user-api');
+
+/**
+ * Start the admin user API for a user whose role holds the given permissions
+ * @param {Array<Array<string>>} permissions - [feature, action] pairs
+ * @returns {Object} - { server, url }
+ */
+const startManageUserApi = (permissions) => {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { userId: 7 };
+    req.userRecord = {
+      id: 7,
+      role: {
+        permissions: permissions.map(([feature, action]) => ({ feature: { code: feature }, permissionAction: { code: action } }))
+      }
+    };
+    next();
+  });
+  app.use('/api/admin/users', manageUserApi);
+
+  const server = app.listen(0);
+  return { server, url: `http://127.0.0.1:${server.address().port}/api/admin/users` };
+};
+
+const newUser = {
+  email: 'new@example.com',
+  password: 'Correct-Horse-42!',
+  firstName: 'New',
+  lastName: 'User'
+};
+
+describe('Admin User Tests', () => {
+  test('should apply defaults and cap the page size', () => {
+    expect(adminUserService.parseSearchQuery({})).toEqual({
+      page: 1,
+      limit: 20,
+      search: null,
+      status: 'all',
+      roleId: null
+    });
+    expect(adminUserService.parseSearchQuery({ page: '3', limit: '500', status: 'Active', roleId: '2' })).toEqual({
+      page: 3,
+      limit: 100,
+      search: null,
+      status: 'active',
+      roleId: 2
+    });
+  });
+
+  test('should reject invalid search parameters', () => {
+    expect(() => adminUserService.parseSearchQuery({ page: '0' })).toThrow('Invalid page: must be a positive integer');
+    expect(() => adminUserService.parseSearchQuery({ limit: 'ten' })).toThrow('Invalid limit: must be a positive integer');
+    expect(() => adminUserService.parseSearchQuery({ status: 'locked' })).toThrow('Invalid status: must be one of active, inactive, all');
+  });
+
+  test('should never list deleted users and match search text literally', () => {
+    expect(adminUserService.buildSearchWhere(adminUserService.parseSearchQuery({}))).toEqual({ isDeleted: false });
+
+    const where = adminUserService.buildSearchWhere(
+      adminUserService.parseSearchQuery({ search: ' 50%_off ', status: 'inactive', roleId: '4' })
+    );
+
+    expect(where).toMatchObject({ isDeleted: false, isActive: false, roleId: 4 });
+    expect(where[Op.or]).toEqual([
+      { email: { [Op.iLike]: '%50\\%\\_off%' } },
+      { firstName: { [Op.iLike]: '%50\\%\\_off%' } },
+      { lastName: { [Op.iLike]: '%50\\%\\_off%' } }
+    ]);
+  });
+
+  test('should need ASSIGN on ROLES to pick the role of a new user', async () => {
+    const createUser = jest.spyOn(adminUserService, 'createUser').mockResolvedValue({ id: 9 });
+    const record = jest.spyOn(auditService, 'record').mockResolvedValue();
+
+    const { server, url } = startManageUserApi([['USERS', 'CREATE']]);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...newUser, roleId: 2 })
+      });
+
+      expect(response.status).toBe(403);
+      expect(createUser).not.toHaveBeenCalled();
+    } finally {
+      server.close();
+      createUser.mockRestore();
+      record.mockRestore();
+    }
+  });
+
+  test('should create users with the default role when no role is given', async () => {
+    const createUser = jest.spyOn(adminUserService, 'createUser').mockResolvedValue({ id: 9 });
+    const record = jest.spyOn(auditService, 'record').mockResolvedValue();
+
+    const { server, url } = startManageUserApi([['USERS', 'CREATE']]);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newUser)
+      });
+
+      expect(response.status).toBe(201);
+      expect(createUser).toHaveBeenCalledWith({ ...newUser, roleId: undefined });
+    } finally {
+      server.close();
+      createUser.mockRestore();
+      record.mockRestore();
+    }
+  });
+});
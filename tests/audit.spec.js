@@ -0,0 +1,82 @@
+const { Op } = require('sequelize');
+const auditService = require('../services/AuditService');
+
+describe('Audit Tests', () => {
+  test('should record only the fields a change touched', () => {
+    const before = { id: 5, title: 'Licence', expiryDate: '2025-06-30', updatedAt: new Date(0) };
+    const after = { id: 5, title: 'Licence', expiryDate: '2026-06-30', updatedAt: new Date() };
+
+    expect(auditService.diff(before, after)).toEqual({
+      expiryDate: { before: '2025-06-30', after: '2026-06-30' }
+    });
+    expect(auditService.diff(before, { ...before })).toBeNull();
+  });
+
+  test('should record every field of created and removed records', () => {
+    expect(auditService.diff(null, { id: 5, title: 'Licence' })).toEqual({
+      id: { before: null, after: 5 },
+      title: { before: null, after: 'Licence' }
+    });
+    expect(auditService.diff({ isDeleted: false }, { isDeleted: true })).toEqual({
+      isDeleted: { before: false, after: true }
+    });
+  });
+
+  test('should compare shared fields only, skip associations and redact secrets', () => {
+    const before = { id: 3, senderId: 1, isLcrAvailable: false, passwordHash: 'a' };
+    const after = { id: 3, isLcrAvailable: true, sender: { id: 1 }, passwordHash: 'b', permissions: ['LIST_USERS'] };
+
+    expect(auditService.diff(before, after)).toEqual({
+      isLcrAvailable: { before: false, after: true },
+      passwordHash: { before: '[redacted]', after: '[redacted]' }
+    });
+  });
+
+  test('should validate and apply search filters', () => {
+    const options = auditService.parseSearchQuery({
+      actorUserId: '7',
+      action: 'certificate_updated',
+      targetType: 'Certificate',
+      targetId: '12',
+      from: '2026-01-01',
+      to: '2026-02-01'
+    });
+
+    expect(options).toMatchObject({ page: 1, limit: 50, actorUserId: 7, action: 'CERTIFICATE_UPDATED' });
+    expect(auditService.buildSearchWhere(options)).toEqual({
+      actorUserId: 7,
+      action: 'CERTIFICATE_UPDATED',
+      targetType: 'Certificate',
+      targetId: '12',
+      createdAt: { [Op.gte]: new Date('2026-01-01'), [Op.lte]: new Date('2026-02-01') }
+    });
+    expect(auditService.buildSearchWhere(auditService.parseSearchQuery({}))).toEqual({});
+
+    expect(() => auditService.parseSearchQuery({ from: 'yesterday' })).toThrow('Invalid from: must be a date');
+    expect(() => auditService.parseSearchQuery({ from: '2026-02-01', to: '2026-01-01' }))
+      .toThrow('Invalid date range: from must be before to');
+  });
+
+  test('should export CSV that spreadsheets cannot run', () => {
+    const csv = auditService.toCsv([{
+      id: 1,
+      createdAt: new Date('2026-03-04T05:06:07Z'),
+      actorUserId: 7,
+      actor: { email: 'jane@example.com' },
+      action: 'CERTIFICATE_UPDATED',
+      targetType: 'Certificate',
+      targetId: '12',
+      changes: { title: { before: 'A', after: 'B, C' } },
+      details: null,
+      ipAddress: '203.0.113.5',
+      userAgent: '=HYPERLINK("http://example.com")'
+    }]);
+
+    expect(csv.split('\r\n')).toEqual([
+      'id,createdAt,actorUserId,actorEmail,action,targetType,targetId,changes,details,ipAddress,userAgent',
+      '1,2026-03-04T05:06:07.000Z,7,jane@example.com,CERTIFICATE_UPDATED,Certificate,12,' +
+        '"{""title"":{""before"":""A"",""after"":""B, C""}}",,203.0.113.5,"\'=HYPERLINK(""http://example.com"")"',
+      ''
+    ]);
+  });
+});
@@ -0,0 +1,128 @@
+const express = require('express');
+const certificateFileService = require('../services/CertificateFileService');
+const scanService = require('../services/ScanService');
+const auditService = require('../services/AuditService');
+const { File, CertificateFile } = require('../models');
+const fileApi = require('../apis/file-api');
+
+/**
+ * Start the file API for a signed-in user
+ * @returns {Object} - { server, url }
+ */
+const startFileApi = () => {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { userId: 7 };
+    req.userRecord = { id: 7 };
+    next();
+  });
+  app.use('/api/files', fileApi);
+
+  const server = app.listen(0);
+  return { server, url: `http://127.0.0.1:${server.address().port}/api/files` };
+};
+
+describe('Certificate File Tests', () => {
+  test('should accept the front, back and supporting labels', () => {
+    expect(certificateFileService.validateLabel('front')).toBe('front');
+    expect(certificateFileService.validateLabel('back')).toBe('back');
+    expect(certificateFileService.validateLabel('supporting')).toBe('supporting');
+  });
+
+  test('should treat a missing label as none', () => {
+    expect(certificateFileService.validateLabel(undefined)).toBeNull();
+    expect(certificateFileService.validateLabel('')).toBeNull();
+  });
+
+  test('should reject unknown labels', () => {
+    expect(() => certificateFileService.validateLabel('side')).toThrow('Label must be one of: front, back, supporting');
+  });
+
+  test('should require the new file order as an array', async () => {
+    await expect(certificateFileService.arrangeFiles(1, 1, undefined)).rejects.toThrow('files must be an array');
+  });
+
+  test('should reject file order entries without an integer fileId', async () => {
+    await expect(certificateFileService.arrangeFiles(1, 1, [null])).rejects.toThrow('files must be objects with an integer fileId');
+    await expect(certificateFileService.arrangeFiles(1, 1, [5])).rejects.toThrow('files must be objects with an integer fileId');
+    await expect(certificateFileService.arrangeFiles(1, 1, [{ fileId: 'abc' }])).rejects.toThrow('files must be objects with an integer fileId');
+  });
+
+  test('should refuse to delete a file attached to a certificate', async () => {
+    const file = { id: 5, storageKey: null, destroy: jest.fn() };
+    const findFile = jest.spyOn(File, 'findOne').mockResolvedValue(file);
+    const getAttached = jest.spyOn(certificateFileService, 'getAttachedFileIds').mockResolvedValue(new Set([5]));
+    const destroyLinks = jest.spyOn(CertificateFile, 'destroy').mockResolvedValue(0);
+
+    const { server, url } = startFileApi();
+    try {
+      const response = await fetch(`${url}/5`, { method: 'DELETE' });
+
+      expect(response.status).toBe(409);
+      expect(getAttached).toHaveBeenCalledWith([5]);
+      expect(destroyLinks).not.toHaveBeenCalled();
+      expect(file.destroy).not.toHaveBeenCalled();
+    } finally {
+      server.close();
+      findFile.mockRestore();
+      getAttached.mockRestore();
+      destroyLinks.mockRestore();
+    }
+  });
+
+  test('should refuse to delete the file of a draft scan', async () => {
+    const file = { id: 6, storageKey: null, destroy: jest.fn() };
+    const findFile = jest.spyOn(File, 'findOne').mockResolvedValue(file);
+    const getAttached = jest.spyOn(certificateFileService, 'getAttachedFileIds').mockResolvedValue(new Set());
+    const getDrafts = jest.spyOn(scanService, 'getDraftFileIds').mockResolvedValue(new Set([6]));
+    const destroyLinks = jest.spyOn(CertificateFile, 'destroy').mockResolvedValue(0);
+
+    const { server, url } = startFileApi();
+    try {
+      const response = await fetch(`${url}/6`, { method: 'DELETE' });
+
+      expect(response.status).toBe(409);
+      expect(await response.json()).toEqual({ message: 'File belongs to a draft scan; confirm or discard the scan first' });
+      expect(getDrafts).toHaveBeenCalledWith([6]);
+      expect(destroyLinks).not.toHaveBeenCalled();
+      expect(file.destroy).not.toHaveBeenCalled();
+    } finally {
+      server.close();
+      findFile.mockRestore();
+      getAttached.mockRestore();
+      getDrafts.mockRestore();
+      destroyLinks.mockRestore();
+    }
+  });
+
+  test('should keep attached and draft files when deleting all files', async () => {
+    const findFiles = jest.spyOn(File, 'findAll').mockResolvedValue([
+      { id: 5, storageKey: null },
+      { id: 6, storageKey: null },
+      { id: 7, storageKey: null }
+    ]);
+    const getAttached = jest.spyOn(certificateFileService, 'getAttachedFileIds').mockResolvedValue(new Set([5]));
+    const getDrafts = jest.spyOn(scanService, 'getDraftFileIds').mockResolvedValue(new Set([6]));
+    const destroyLinks = jest.spyOn(CertificateFile, 'destroy').mockResolvedValue(0);
+    const destroyFiles = jest.spyOn(File, 'destroy').mockResolvedValue(1);
+    const record = jest.spyOn(auditService, 'record').mockResolvedValue();
+
+    const { server, url } = startFileApi();
+    try {
+      const response = await fetch(url, { method: 'DELETE' });
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toMatchObject({ count: 1, skipped: 2 });
+      expect(destroyLinks).toHaveBeenCalledWith({ where: { fileId: [7] } });
+      expect(destroyFiles).toHaveBeenCalledWith({ where: { id: [7], ownerId: 7 } });
+    } finally {
+      server.close();
+      findFiles.mockRestore();
+      getAttached.mockRestore();
+      getDrafts.mockRestore();
+      destroyLinks.mockRestore();
+      destroyFiles.mockRestore();
+      record.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,80 @@
+const express = require('express');
+const certificateService = require('../services/CertificateService');
+const certificateSharingService = require('../services/CertificateSharingService');
+const connectionApi = require('../apis/connection-api');
+const certificateApi = require('../apis/certificate-api');
+const { Certificate } = require('../models');
+
+describe('Certificate History Tests', () => {
+  test('should treat a renewal issued the day after expiry as continuous', () => {
+    expect(certificateService.getCoverageGap({ expiryDate: '2025-01-31' }, { issuedDate: '2025-02-01' })).toBe(0);
+    expect(certificateService.getCoverageGap({ expiryDate: '2025-01-31' }, { issuedDate: '2025-01-15' })).toBe(0);
+  });
+
+  test('should count the days without coverage', () => {
+    expect(certificateService.getCoverageGap({ expiryDate: '2025-01-31' }, { issuedDate: '2025-02-11' })).toBe(10);
+  });
+
+  test('should not know the gap when a date is missing', () => {
+    expect(certificateService.getCoverageGap({ expiryDate: null }, { issuedDate: '2025-02-01' })).toBeNull();
+    expect(certificateService.getCoverageGap({ expiryDate: '2025-01-31' }, { issuedDate: null })).toBeNull();
+  });
+
+  test('should serve the history of a certificate shared through a connection', async () => {
+    const history = { certificates: [{ id: 4 }, { id: 9 }] };
+    const getHistory = jest.spyOn(certificateSharingService, 'getSharedCertificateHistory').mockResolvedValue(history);
+
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { userId: 7 };
+      req.userRecord = { id: 7 };
+      next();
+    });
+    app.use('/api/connections', connectionApi);
+
+    const server = app.listen(0);
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/connections/3/certificates/9/history`);
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual(history);
+      expect(getHistory).toHaveBeenCalledWith('3', 7, '9');
+    } finally {
+      server.close();
+      getHistory.mockRestore();
+    }
+  });
+
+  test('should not change or delete a certificate that has been renewed', async () => {
+    const certificate = { id: 4, supersededOn: '2025-02-01', update: jest.fn() };
+    const getOwnerIds = jest.spyOn(certificateService, 'getOwnerIds').mockResolvedValue([7]);
+    const findCertificate = jest.spyOn(Certificate, 'findOne').mockResolvedValue(certificate);
+
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { userId: 7 };
+      req.userRecord = { id: 7 };
+      next();
+    });
+    app.use('/api/certificates', certificateApi);
+
+    const server = app.listen(0);
+    try {
+      const url = `http://127.0.0.1:${server.address().port}/api/certificates/4`;
+      const updated = await fetch(url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: 'Rewritten' })
+      });
+      const deleted = await fetch(url, { method: 'DELETE' });
+
+      expect(updated.status).toBe(409);
+      expect(deleted.status).toBe(409);
+      expect(certificate.update).not.toHaveBeenCalled();
+    } finally {
+      server.close();
+      getOwnerIds.mockRestore();
+      findCertificate.mockRestore();
+    }
+  });
+});
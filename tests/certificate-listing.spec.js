@@ -0,0 +1,78 @@
+const { Op } = require('sequelize');
+const certificateService = require('../services/CertificateService');
+const { Certificate } = require('../models');
+
+describe('Certificate Listing Tests', () => {
+  test('should default to the first page sorted by expiry date', () => {
+    const options = certificateService.parseListQuery({});
+
+    expect(options.page).toBe(1);
+    expect(options.limit).toBe(20);
+    expect(options.sortBy).toBe('expiryDate');
+    expect(options.sortOrder).toBe('asc');
+  });
+
+  test('should cap the page size', () => {
+    expect(certificateService.parseListQuery({ limit: '500' }).limit).toBe(100);
+  });
+
+  test('should reject invalid parameters', () => {
+    expect(() => certificateService.parseListQuery({ page: '0' })).toThrow('Invalid page');
+    expect(() => certificateService.parseListQuery({ expiry: 'soon' })).toThrow('Invalid expiry');
+    expect(() => certificateService.parseListQuery({ sortBy: 'password' })).toThrow('Invalid sortBy');
+    expect(() => certificateService.parseListQuery({ sortOrder: 'up' })).toThrow('Invalid sortOrder');
+  });
+
+  test('should filter certificates expiring within the window', () => {
+    const options = certificateService.parseListQuery({ expiry: 'expiring', expiringWithinDays: '10', lcrTypeId: '2' });
+    const where = certificateService.buildListWhere(7, options, {}, new Date('2026-03-01T12:00:00.000Z'));
+
+    expect(where.userId).toBe(7);
+    expect(where.lcrTypeId).toBe(2);
+    expect(where[Op.and]).toEqual([{ expiryDate: { [Op.between]: ['2026-03-01', '2026-03-11'] } }]);
+  });
+
+  test('should match search text literally', () => {
+    const options = certificateService.parseListQuery({ search: '100%' });
+    const where = certificateService.buildListWhere(7, options);
+
+    expect(where[Op.and][0][Op.or][0]).toEqual({ title: { [Op.iLike]: '%100\\%%' } });
+  });
+
+  test('should limit /active to certificates that have not expired', () => {
+    const options = certificateService.parseListQuery({});
+    const where = certificateService.buildListWhere(7, options, { activeOnly: true }, new Date('2026-03-01T12:00:00.000Z'));
+
+    expect(where[Op.and]).toEqual([{ [Op.or]: [{ expiryDate: null }, { expiryDate: { [Op.gte]: '2026-03-01' } }] }]);
+  });
+
+  test('should list every certificate as an array when no listing parameters are sent', async () => {
+    const certificates = [{ id: 1 }, { id: 2 }];
+    const findAll = jest.spyOn(Certificate, 'findAll').mockResolvedValue(certificates);
+    const findAndCountAll = jest.spyOn(Certificate, 'findAndCountAll');
+
+    try {
+      expect(await certificateService.listCertificates(7, {})).toBe(certificates);
+      expect(findAll.mock.calls[0][0].limit).toBeUndefined();
+      expect(findAndCountAll).not.toHaveBeenCalled();
+    } finally {
+      findAll.mockRestore();
+      findAndCountAll.mockRestore();
+    }
+  });
+
+  test('should return a page when any listing parameter is sent', async () => {
+    const findAndCountAll = jest.spyOn(Certificate, 'findAndCountAll').mockResolvedValue({ count: 45, rows: [{ id: 1 }] });
+
+    try {
+      expect(await certificateService.listCertificates(7, { search: 'first aid' })).toEqual({
+        certificates: [{ id: 1 }],
+        totalPages: 3,
+        currentPage: 1,
+        totalItems: 45
+      });
+    } finally {
+      findAndCountAll.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,25 @@
+const certificateRemindersService = require('../services/CertificateRemindersService');
+
+describe('Certificate Reminder Tests', () => {
+  const offsets = [90, 30, 7, 0];
+
+  test('should count days until expiry', () => {
+    expect(certificateRemindersService.daysUntil('2025-03-31', '2025-03-01')).toBe(30);
+    expect(certificateRemindersService.daysUntil('2025-03-01', '2025-03-01')).toBe(0);
+    expect(certificateRemindersService.daysUntil('2025-02-28', '2025-03-01')).toBe(-1);
+  });
+
+  test('should pick the closest offset that has been reached', () => {
+    expect(certificateRemindersService.getDueOffset(90, offsets)).toBe(90);
+    expect(certificateRemindersService.getDueOffset(45, offsets)).toBe(90);
+    expect(certificateRemindersService.getDueOffset(10, offsets)).toBe(30);
+    expect(certificateRemindersService.getDueOffset(7, offsets)).toBe(7);
+    expect(certificateRemindersService.getDueOffset(0, offsets)).toBe(0);
+  });
+
+  test('should not remind outside the configured window', () => {
+    expect(certificateRemindersService.getDueOffset(91, offsets)).toBeNull();
+    expect(certificateRemindersService.getDueOffset(-1, offsets)).toBeNull();
+    expect(certificateRemindersService.getDueOffset(5, [])).toBeNull();
+  });
+});
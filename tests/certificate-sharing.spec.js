@@ -0,0 +1,66 @@
+const { Connection } = require('../models');
+const certificateSharingService = require('../services/CertificateSharingService');
+const connectionsService = require('../services/ConnectionsService');
+
+describe('Certificate Sharing Tests', () => {
+  const connection = (fields) => ({
+    id: 5,
+    senderId: 2,
+    recipientId: 9,
+    organisationId: null,
+    status: 1,
+    isLcrAvailable: true,
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(connectionsService, 'getOrganisationIds').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should share the recipient\'s certificates with the sender', async () => {
+    jest.spyOn(Connection, 'findOne').mockResolvedValue(connection());
+
+    await expect(certificateSharingService.getSharingConnection(5, 2)).resolves.toMatchObject({ ownerId: 9 });
+  });
+
+  test('should not share the sender\'s certificates with the recipient', async () => {
+    jest.spyOn(Connection, 'findOne').mockResolvedValue(connection());
+
+    await expect(certificateSharingService.getSharingConnection(5, 9))
+      .rejects.toThrow('Certificates are not shared on this connection');
+  });
+
+  test('should stop sharing once the recipient turns sharing off', async () => {
+    jest.spyOn(Connection, 'findOne').mockResolvedValue(connection({ isLcrAvailable: false }));
+
+    await expect(certificateSharingService.getSharingConnection(5, 2))
+      .rejects.toThrow('Certificates are not shared on this connection');
+  });
+
+  test('should not share before the connection is accepted', async () => {
+    jest.spyOn(Connection, 'findOne').mockResolvedValue(connection({ status: 0 }));
+
+    await expect(certificateSharingService.getSharingConnection(5, 2))
+      .rejects.toThrow('Certificates are not shared on this connection');
+  });
+
+  test('should not find connections the viewer is no party to', async () => {
+    jest.spyOn(Connection, 'findOne').mockResolvedValue(null);
+
+    await expect(certificateSharingService.getSharingConnection(5, 4)).rejects.toThrow('Connection not found');
+  });
+
+  test('should only let the recipient change certificate sharing', () => {
+    const current = connection({ isLcrAvailable: false });
+
+    expect(() => connectionsService.assertCanUpdate(current, { isLcrAvailable: true }, 9)).not.toThrow();
+    expect(() => connectionsService.assertCanUpdate(current, { isLcrAvailable: true }, 2))
+      .toThrow('Only the recipient can change certificate sharing');
+    expect(() => connectionsService.assertCanUpdate(current, { isLcrAvailable: false, note: 'Site B' }, 2)).not.toThrow();
+    expect(() => connectionsService.assertCanUpdate(current, { note: 'Site B' }, 2)).not.toThrow();
+  });
+});
@@ -0,0 +1,79 @@
+const complianceService = require('../services/ComplianceService');
+
+describe('Compliance Tests', () => {
+  const now = new Date('2025-06-01T12:00:00Z');
+  const nsw = { id: 1, name: 'NSW' };
+  const vic = { id: 2, name: 'VIC' };
+
+  const requirement = (id, jurisdiction, lcrTypeId) => ({
+    id,
+    jurisdictionId: jurisdiction.id,
+    jobRoleId: null,
+    lcrTypeId,
+    jurisdiction,
+    lcrType: { id: lcrTypeId, name: `Type ${lcrTypeId}` }
+  });
+
+  const certificate = (id, lcrTypeId, jurisdictionId, expiryDate) => ({
+    id,
+    title: `Certificate ${id}`,
+    documentNumber: `DOC-${id}`,
+    lcrTypeId,
+    jurisdictionId,
+    expiryDate
+  });
+
+  test('should sort requirements into met, expiring and missing', () => {
+    const result = complianceService.evaluate(
+      [requirement(1, nsw, 10), requirement(2, nsw, 11), requirement(3, nsw, 12), requirement(4, nsw, 13)],
+      [
+        certificate(100, 10, 1, '2026-01-01'),
+        certificate(101, 11, 1, '2025-06-20'),
+        certificate(102, 12, 1, '2025-05-01')
+      ],
+      { now }
+    );
+
+    expect(result.summary).toEqual({ met: 1, expiring: 1, missing: 2 });
+    expect(result.compliant).toBe(false);
+    expect(result.met[0]).toMatchObject({ requirementId: 1, status: 'met', certificate: { id: 100 } });
+    expect(result.expiring[0]).toMatchObject({ requirementId: 2, daysUntilExpiry: 19 });
+    expect(result.missing.map(item => [item.requirementId, item.certificate && item.certificate.id]))
+      .toEqual([[3, 102], [4, null]]);
+  });
+
+  test('should only count certificates from the requirement\'s jurisdiction or from none', () => {
+    const result = complianceService.evaluate(
+      [requirement(1, nsw, 10), requirement(2, vic, 10)],
+      [certificate(100, 10, 2, '2026-01-01')],
+      { now }
+    );
+
+    expect(result.missing.map(item => item.requirementId)).toEqual([1]);
+    expect(result.met.map(item => item.requirementId)).toEqual([2]);
+
+    const anywhere = complianceService.evaluate([requirement(1, nsw, 10)], [certificate(100, 10, null, null)], { now });
+    expect(anywhere.met[0]).toMatchObject({ daysUntilExpiry: null });
+  });
+
+  test('should cover a requirement with the certificate that expires last', () => {
+    const result = complianceService.evaluate(
+      [requirement(1, nsw, 10)],
+      [certificate(100, 10, 1, '2025-06-10'), certificate(101, 10, 1, '2027-01-01'), certificate(102, 10, 1, '2025-01-01')],
+      { now, expiringWithinDays: 60 }
+    );
+
+    expect(result.met[0].certificate.id).toBe(101);
+    expect(result.compliant).toBe(true);
+  });
+
+  test('should validate requirement fields', () => {
+    expect(complianceService.parseRequirement({ jurisdictionId: '1', lcrTypeId: 3 }))
+      .toEqual({ jurisdictionId: 1, jobRoleId: null, lcrTypeId: 3, note: null });
+    expect(complianceService.parseRequirement({ jobRoleId: null }, { jurisdictionId: 1, jobRoleId: 4, lcrTypeId: 3, note: 'WHS Act' }))
+      .toEqual({ jurisdictionId: 1, jobRoleId: null, lcrTypeId: 3, note: 'WHS Act' });
+    expect(() => complianceService.parseRequirement({ lcrTypeId: 3 })).toThrow('Invalid jurisdictionId: is required');
+    expect(() => complianceService.parseRequirement({ jurisdictionId: 1, lcrTypeId: 'x' }))
+      .toThrow('Invalid lcrTypeId: must be a positive integer');
+  });
+});
@@ -0,0 +1,91 @@
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const credentialService = require('../services/CredentialService');
+const sessionService = require('../services/SessionService');
+const userService = require('../services/UserService');
+const { sequelize } = require('../config/database');
+const { User, UserCredential } = require('../models');
+
+describe('Credential Management Tests', () => {
+  test('should accept a re-authentication only in the session that made it', () => {
+    const { reauthToken, expiresIn } = credentialService.createReauthToken(7, 21);
+
+    expect(expiresIn).toBe(300);
+    expect(() => credentialService.verifyReauthToken(reauthToken, 7, 21)).not.toThrow();
+    expect(() => credentialService.verifyReauthToken(reauthToken, 7, 22)).toThrow('Re-authentication required');
+    expect(() => credentialService.verifyReauthToken(reauthToken, 8, 21)).toThrow('Re-authentication required');
+    expect(() => credentialService.verifyReauthToken(undefined, 7, 21)).toThrow('Re-authentication required');
+  });
+
+  test('should not take other tokens as a re-authentication', () => {
+    const accessToken = jwt.sign({ userId: 7, sid: 21 }, config.jwt.secret, { expiresIn: '5m' });
+    const expired = jwt.sign({ userId: 7, sid: 21, purpose: 'reauth' }, config.jwt.secret, { expiresIn: -1 });
+
+    expect(() => credentialService.verifyReauthToken(accessToken, 7, 21)).toThrow('Re-authentication required');
+    expect(() => credentialService.verifyReauthToken(expired, 7, 21)).toThrow('Re-authentication required');
+  });
+
+  test('should not add a password to an account that already has the email address', async () => {
+    const transaction = { commit: jest.fn(), rollback: jest.fn(), finished: 'rollback' };
+    const startTransaction = jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    const countUsers = jest.spyOn(User, 'count').mockResolvedValue(1);
+    const createUser = jest.spyOn(User, 'create');
+    const createCredential = jest.spyOn(UserCredential, 'create');
+    const logError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      await expect(userService.createUser({
+        email: 'Own_er@example.com',
+        password: 'Correct-Horse-42!',
+        firstName: 'Mallory',
+        lastName: 'Example',
+        loginName: 'mallory'
+      })).rejects.toThrow('Email address is already in use');
+
+      expect(countUsers.mock.calls[0][0].where.email).toEqual({ [Op.iLike]: 'Own\\_er@example.com' });
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(createUser).not.toHaveBeenCalled();
+      expect(createCredential).not.toHaveBeenCalled();
+    } finally {
+      startTransaction.mockRestore();
+      countUsers.mockRestore();
+      createUser.mockRestore();
+      createCredential.mockRestore();
+      logError.mockRestore();
+    }
+  });
+
+  test('should give people who register themselves the default role', async () => {
+    const transaction = { commit: jest.fn(), rollback: jest.fn() };
+    const startTransaction = jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    const countUsers = jest.spyOn(User, 'count').mockResolvedValue(0);
+    const createUser = jest.spyOn(User, 'create').mockResolvedValue({ id: 9, email: 'new@example.com', roleId: 1 });
+    const findCredential = jest.spyOn(UserCredential, 'findOne').mockResolvedValue(null);
+    const createCredential = jest.spyOn(UserCredential, 'create').mockResolvedValue({ id: 12 });
+    const hashPassword = jest.spyOn(userService, 'hashPassword').mockResolvedValue({ hash: 'hash', salt: 'salt' });
+    const createSession = jest.spyOn(sessionService, 'createSession').mockResolvedValue({ token: 'token', refreshToken: 'refresh', expiresIn: 900 });
+
+    try {
+      const result = await userService.registerUser({
+        email: 'new@example.com',
+        password: 'Correct-Horse-42!',
+        firstName: 'New',
+        lastName: 'User',
+        loginName: 'newuser',
+        roleId: 3
+      });
+
+      expect(createUser.mock.calls[0][0].roleId).toBe(1);
+      expect(result.user.roleId).toBe(1);
+    } finally {
+      startTransaction.mockRestore();
+      countUsers.mockRestore();
+      createUser.mockRestore();
+      findCredential.mockRestore();
+      createCredential.mockRestore();
+      hashPassword.mockRestore();
+      createSession.mockRestore();
+    }
+  });
+});
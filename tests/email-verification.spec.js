@@ -0,0 +1,58 @@
+const config = require('../config/config');
+const { requireVerifiedEmail } = require('../middleware/auth');
+const throttleService = require('../services/ThrottleService');
+const emailVerificationService = require('../services/EmailVerificationService');
+const { Op } = require('sequelize');
+const { User } = require('../models');
+
+/**
+ * Minimal Express response that records the status and body
+ * @returns {Object} - The response
+ */
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Email Verification Tests', () => {
+  test('should only let users with a verified email address through', () => {
+    const next = jest.fn();
+    const res = createResponse();
+
+    requireVerifiedEmail({ userRecord: { id: 1, emailVerified: false } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ emailVerificationRequired: true }));
+
+    requireVerifiedEmail({ userRecord: { id: 1, emailVerified: true } }, createResponse(), next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test('should limit the verification emails sent for a user', async () => {
+    for (let sent = 1; sent <= config.throttle.maxVerificationEmails; sent++) {
+      expect(await throttleService.consumeVerificationEmail(42)).toBe(0);
+    }
+
+    expect(await throttleService.consumeVerificationEmail(42)).toBeGreaterThan(0);
+    expect(await throttleService.consumeVerificationEmail(43)).toBe(0);
+  });
+
+  test('should match email addresses in use literally', async () => {
+    const countUsers = jest.spyOn(User, 'count').mockResolvedValue(0);
+
+    try {
+      expect(await emailVerificationService.isEmailTaken('a_b@x.com', 7)).toBe(false);
+
+      expect(countUsers.mock.calls[0][0].where).toEqual({
+        email: { [Op.iLike]: 'a\\_b@x.com' },
+        id: { [Op.ne]: 7 }
+      });
+    } finally {
+      countUsers.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,58 @@
+const jwt = require('jsonwebtoken');
+const mfaService = require('../services/MfaService');
+const sessionService = require('../services/SessionService');
+
+// RFC 6238 test secret: the ASCII string "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('MFA Tests', () => {
+  test('should generate the RFC 6238 SHA-1 test codes', () => {
+    expect(mfaService.generateTotp(RFC_SECRET, mfaService.getCounter(59 * 1000))).toBe('287082');
+    expect(mfaService.generateTotp(RFC_SECRET, mfaService.getCounter(1111111109 * 1000))).toBe('081804');
+    expect(mfaService.generateTotp(RFC_SECRET, mfaService.getCounter(2000000000 * 1000))).toBe('279037');
+  });
+
+  test('should accept codes from the adjacent time steps only', () => {
+    const now = 1111111109 * 1000;
+    const counter = mfaService.getCounter(now);
+
+    expect(mfaService.verifyTotp(RFC_SECRET, mfaService.generateTotp(RFC_SECRET, counter - 1), { now })).toBe(counter - 1);
+    expect(mfaService.verifyTotp(RFC_SECRET, mfaService.generateTotp(RFC_SECRET, counter + 1), { now })).toBe(counter + 1);
+    expect(mfaService.verifyTotp(RFC_SECRET, mfaService.generateTotp(RFC_SECRET, counter - 2), { now })).toBeNull();
+    expect(mfaService.verifyTotp(RFC_SECRET, 'abc123', { now })).toBeNull();
+  });
+
+  test('should not accept a code twice', () => {
+    const now = 1111111109 * 1000;
+    const code = mfaService.generateTotp(RFC_SECRET, mfaService.getCounter(now));
+    const counter = mfaService.verifyTotp(RFC_SECRET, code, { now });
+
+    expect(mfaService.verifyTotp(RFC_SECRET, code, { now, lastCounter: counter })).toBeNull();
+  });
+
+  test('should build an otpauth URI for authenticator apps', () => {
+    const uri = new URL(mfaService.buildOtpauthUri(RFC_SECRET, 'jane@example.com'));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Compliance MAIT:jane@example.com');
+    expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(uri.searchParams.get('issuer')).toBe('Compliance MAIT');
+  });
+
+  test('should generate distinct recovery codes', () => {
+    const codes = mfaService.generateRecoveryCodes(10);
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[A-Z2-7]{4}-[A-Z2-7]{4}$/));
+  });
+
+  test('should keep MFA tokens apart from access tokens', async () => {
+    const token = mfaService.createChallengeToken({ id: 7 }, { id: 11 }, 'mfa');
+
+    expect(mfaService.verifyChallengeToken(token, 'mfa')).toMatchObject({ userId: 7, credentialId: 11 });
+    expect(() => mfaService.verifyChallengeToken(token, 'mfa-enroll')).toThrow('Invalid or expired MFA token');
+    await expect(sessionService.validateAccessToken(jwt.decode(token))).rejects.toThrow('Invalid access token');
+  });
+});
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const oidcService = require('../services/OidcService');
+
+const CLIENT_ID = 'compliance-api';
+const REDIRECT_URI = 'http://localhost:5173/auth/callback/mock';
+
+/**
+ * Minimal OpenID Connect provider: discovery, JWKS and an authorization-code
+ * token endpoint that checks the PKCE verifier
+ * @returns {Promise<Object>} - { server, issuer, issueCode, signIdToken }
+ */
+const startMockIdentityProvider = async () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const codes = new Map();
+  let issuer;
+
+  const signIdToken = (claims, options = {}) => jwt.sign(
+    { aud: CLIENT_ID, ...claims },
+    options.key || privateKey,
+    { algorithm: 'RS256', keyid: 'key-1', issuer: options.issuer || issuer, expiresIn: '5m' }
+  );
+
+  const issueCode = ({ codeChallenge, claims }) => {
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { codeChallenge, claims });
+    return code;
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const json = (status, body) => res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+
+      if (req.url === '/.well-known/openid-configuration') {
+        return json(200, {
+          issuer,
+          authorization_endpoint: `${issuer}/authorize`,
+          token_endpoint: `${issuer}/token`,
+          jwks_uri: `${issuer}/jwks`
+        });
+      }
+
+      if (req.url === '/jwks') {
+        return json(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }] });
+      }
+
+      if (req.url === '/token' && req.method === 'POST') {
+        const params = new URLSearchParams(Buffer.concat(chunks).toString());
+        const grant = codes.get(params.get('code'));
+        codes.delete(params.get('code'));
+
+        const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+
+        if (!grant || grant.codeChallenge !== challenge || params.get('redirect_uri') !== REDIRECT_URI) {
+          return json(400, { error: 'invalid_grant' });
+        }
+
+        return json(200, { access_token: 'access', token_type: 'Bearer', id_token: signIdToken(grant.claims) });
+      }
+
+      json(404, { error: 'not_found' });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return { server, issuer, issueCode, signIdToken };
+};
+
+describe('OpenID Connect Tests', () => {
+  let idp;
+  let provider;
+
+  beforeAll(async () => {
+    idp = await startMockIdentityProvider();
+    provider = {
+      id: 'mock',
+      name: 'Mock',
+      issuer: idp.issuer,
+      clientId: CLIENT_ID,
+      redirectUri: REDIRECT_URI,
+      scopes: 'openid email profile'
+    };
+  });
+
+  afterAll(() => new Promise(resolve => idp.server.close(resolve)));
+
+  test('should send the user to the provider with state, nonce and a PKCE challenge', async () => {
+    const metadata = await oidcService.discover(provider);
+    const url = new URL(oidcService.buildAuthorizationUrl(provider, metadata, {
+      state: 'state-1',
+      nonce: 'nonce-1',
+      codeChallenge: 'challenge-1'
+    }));
+
+    expect(`${url.origin}${url.pathname}`).toBe(`${idp.issuer}/authorize`);
+    expect(Object.fromEntries(url.searchParams)).toMatchObject({
+      response_type: 'code',
+      client_id: CLIENT_ID,
+      redirect_uri: REDIRECT_URI,
+      state: 'state-1',
+      nonce: 'nonce-1',
+      code_challenge: 'challenge-1',
+      code_challenge_method: 'S256'
+    });
+  });
+
+  test('should exchange the code with the PKCE verifier and verify the ID token', async () => {
+    const { codeVerifier, codeChallenge } = oidcService.createPkce();
+    const code = idp.issueCode({
+      codeChallenge,
+      claims: { sub: 'user-1', email: 'jane@example.com', email_verified: true, nonce: 'nonce-1' }
+    });
+
+    const tokens = await oidcService.exchangeCode(provider, code, codeVerifier);
+    const claims = await oidcService.verifyIdToken(provider, tokens.id_token, 'nonce-1');
+
+    expect(claims).toMatchObject({ sub: 'user-1', email: 'jane@example.com', iss: idp.issuer, aud: CLIENT_ID });
+  });
+
+  test('should reject a code exchanged with the wrong verifier', async () => {
+    const { codeChallenge } = oidcService.createPkce();
+    const code = idp.issueCode({ codeChallenge, claims: { sub: 'user-1', nonce: 'nonce-1' } });
+
+    await expect(oidcService.exchangeCode(provider, code, oidcService.createPkce().codeVerifier))
+      .rejects.toThrow('Identity provider request failed: 400 invalid_grant');
+  });
+
+  test('should reject ID tokens for another sign-in, client or issuer', async () => {
+    await expect(oidcService.verifyIdToken(provider, idp.signIdToken({ sub: 'user-1', nonce: 'other' }), 'nonce-1'))
+      .rejects.toThrow('Invalid ID token: nonce does not match');
+
+    await expect(oidcService.verifyIdToken(provider, idp.signIdToken({ sub: 'user-1', nonce: 'nonce-1', aud: 'other-client' }), 'nonce-1'))
+      .rejects.toThrow('Invalid ID token: jwt audience invalid');
+
+    await expect(oidcService.verifyIdToken(provider, idp.signIdToken({ sub: 'user-1', nonce: 'nonce-1' }, { issuer: 'https://evil.example.com' }), 'nonce-1'))
+      .rejects.toThrow('Invalid ID token: jwt issuer invalid');
+  });
+
+  test('should reject ID tokens not signed by the provider', async () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const forged = idp.signIdToken({ sub: 'user-1', nonce: 'nonce-1' }, { key: privateKey });
+    const unsigned = jwt.sign({ sub: 'user-1', nonce: 'nonce-1', aud: CLIENT_ID, iss: idp.issuer }, 'shared-secret');
+
+    await expect(oidcService.verifyIdToken(provider, forged, 'nonce-1')).rejects.toThrow('Invalid ID token: invalid signature');
+    await expect(oidcService.verifyIdToken(provider, unsigned, 'nonce-1')).rejects.toThrow('Invalid ID token: unsupported signature');
+  });
+});
@@ -0,0 +1,75 @@
+const { Op } = require('sequelize');
+const organisationService = require('../services/OrganisationService');
+const connectionsService = require('../services/ConnectionsService');
+const { User } = require('../models');
+const certificateSharingService = require('../services/CertificateSharingService');
+
+describe('Organisation Tests', () => {
+  const owner = { userId: 1, role: 'owner' };
+  const admin = { userId: 2, role: 'admin' };
+  const member = { userId: 3, role: 'member' };
+
+  test('should only accept organisation roles', () => {
+    expect(organisationService.parseRole('admin')).toBe('admin');
+    expect(() => organisationService.parseRole('Admin')).toThrow('Invalid role: must be one of owner, admin, member');
+  });
+
+  test('should rank organisation roles', () => {
+    expect(organisationService.hasRole(owner, 'admin')).toBe(true);
+    expect(organisationService.hasRole(admin, 'admin')).toBe(true);
+    expect(organisationService.hasRole(member, 'admin')).toBe(false);
+    expect(organisationService.hasRole(null, 'member')).toBe(false);
+  });
+
+  test('should let admins manage members but not owners', () => {
+    expect(() => organisationService.assertCanChangeMember(admin, member, 'admin', 1)).not.toThrow();
+    expect(() => organisationService.assertCanChangeMember(admin, member, 'owner', 1))
+      .toThrow('Only organisation owners can add or remove owners');
+    expect(() => organisationService.assertCanChangeMember(admin, owner, null, 2))
+      .toThrow('Only organisation owners can add or remove owners');
+    expect(() => organisationService.assertCanChangeMember(member, admin, null, 1))
+      .toThrow('Only organisation owners and admins can manage members');
+  });
+
+  test('should let members leave but keep the last owner', () => {
+    expect(() => organisationService.assertCanChangeMember(member, member, null, 1)).not.toThrow();
+    expect(() => organisationService.assertCanChangeMember(owner, owner, null, 1))
+      .toThrow('An organisation must keep at least one owner');
+    expect(() => organisationService.assertCanChangeMember(owner, owner, 'admin', 1))
+      .toThrow('An organisation must keep at least one owner');
+    expect(() => organisationService.assertCanChangeMember(owner, owner, 'admin', 2)).not.toThrow();
+  });
+
+  test('should match user-to-user and organisation connections a user is party to', () => {
+    expect(connectionsService.buildPartyWhere(5, [7, 8])).toEqual({
+      [Op.or]: [
+        { organisationId: null, [Op.or]: [{ recipientId: 5 }, { senderId: 5 }] },
+        { organisationId: { [Op.ne]: null }, recipientId: 5 },
+        { organisationId: { [Op.in]: [7, 8] } }
+      ]
+    });
+    expect(connectionsService.buildPartyWhere(5, [])[Op.or]).toHaveLength(2);
+  });
+
+  test('should share the worker\'s certificates with organisation members only', () => {
+    const connection = { senderId: 2, recipientId: 9, organisationId: 4 };
+
+    expect(certificateSharingService.getSharedOwnerId(connection, 2)).toBe(9);
+    expect(certificateSharingService.getSharedOwnerId(connection, 3)).toBe(9);
+    expect(certificateSharingService.getSharedOwnerId(connection, 9)).toBeNull();
+  });
+
+  test('should match the email of a new member literally', async () => {
+    const findMembership = jest.spyOn(organisationService, 'findMembership').mockResolvedValue({ organisation: { id: 4 }, membership: owner });
+    const findUser = jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    try {
+      await expect(organisationService.addMember(4, { email: ' a_b%@x.com ' }, 1)).rejects.toThrow('User not found');
+
+      expect(findUser.mock.calls[0][0].where.email).toEqual({ [Op.iLike]: 'a\\_b\\%@x.com' });
+    } finally {
+      findMembership.mockRestore();
+      findUser.mockRestore();
+    }
+  });
+});
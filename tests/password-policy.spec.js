@@ -0,0 +1,61 @@
+const config = require('../config/config');
+const passwordPolicyService = require('../services/PasswordPolicyService');
+
+describe('Password Policy Tests', () => {
+  const defaults = { ...config.passwordPolicy };
+
+  afterEach(() => {
+    Object.assign(config.passwordPolicy, defaults);
+  });
+
+  test('should require the minimum length and reject common passwords', () => {
+    expect(passwordPolicyService.validate('correct horse battery')).toEqual([]);
+    expect(passwordPolicyService.validate('short')).toEqual([
+      `Password must be at least ${config.passwordPolicy.minLength} characters long`
+    ]);
+    expect(passwordPolicyService.validate('Password123')).toEqual(['Password is too common']);
+    expect(passwordPolicyService.validate('x'.repeat(73))).toEqual(['Password must be at most 72 bytes long']);
+  });
+
+  test('should enforce the configured character classes', () => {
+    Object.assign(config.passwordPolicy, {
+      requireUppercase: true,
+      requireLowercase: true,
+      requireDigit: true,
+      requireSymbol: true
+    });
+
+    expect(passwordPolicyService.validate('lowercase only')).toEqual([
+      'Password must contain an uppercase letter',
+      'Password must contain a digit'
+    ]);
+    expect(passwordPolicyService.validate('Tr0ub4dor&3x')).toEqual([]);
+  });
+
+  test('should report all broken rules in the error', () => {
+    expect(() => passwordPolicyService.assertNoViolations([])).not.toThrow();
+
+    try {
+      passwordPolicyService.assertNoViolations(passwordPolicyService.validate('admin'));
+      throw new Error('Expected the password to be rejected');
+    } catch (err) {
+      expect(err.message).toBe('Password does not meet the password policy');
+      expect(err.violations).toEqual([
+        `Password must be at least ${config.passwordPolicy.minLength} characters long`,
+        'Password is too common'
+      ]);
+    }
+  });
+
+  test('should expire passwords older than the maximum age', () => {
+    const now = new Date('2025-06-01T00:00:00Z');
+    const credential = { lastPasswordChange: new Date('2025-01-01T00:00:00Z'), passwordExpired: false };
+
+    expect(passwordPolicyService.isExpired(credential, now)).toBe(false);
+
+    config.passwordPolicy.maxAgeDays = 90;
+    expect(passwordPolicyService.isExpired(credential, now)).toBe(true);
+    expect(passwordPolicyService.isExpired({ ...credential, lastPasswordChange: new Date('2025-05-01T00:00:00Z') }, now)).toBe(false);
+    expect(passwordPolicyService.isExpired({ lastPasswordChange: null, passwordExpired: true }, now)).toBe(true);
+  });
+});
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const { UserCredential, PasswordResetToken } = require('../models');
+const passwordResetService = require('../services/PasswordResetService');
+const sessionService = require('../services/SessionService');
+const userService = require('../services/UserService');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('Password Reset Tests', () => {
+  let transaction;
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    jest.spyOn(PasswordResetToken, 'update').mockResolvedValue([1]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Stub the stored token found for a reset link, and the models the reset touches
+   * @param {Object|null} resetToken - Stored token fields, or null for an unknown token
+   * @returns {Object} - { resetToken, credential, setPassword, revokeAllSessions }
+   */
+  const stubReset = (resetToken) => {
+    const stored = resetToken && { userId: 7, usedAt: null, revokedAt: null, update: jest.fn(), ...resetToken };
+    const credential = { id: 11, update: jest.fn() };
+
+    jest.spyOn(PasswordResetToken, 'findOne').mockResolvedValue(stored);
+    jest.spyOn(UserCredential, 'findOne').mockResolvedValue(credential);
+
+    return {
+      resetToken: stored,
+      credential,
+      setPassword: jest.spyOn(userService, 'setPassword').mockResolvedValue(),
+      revokeAllSessions: jest.spyOn(sessionService, 'revokeAllSessions').mockResolvedValue(1)
+    };
+  };
+
+  test('should store only the hash of a new token and revoke earlier ones', async () => {
+    jest.spyOn(PasswordResetToken, 'destroy').mockResolvedValue(0);
+    const create = jest.spyOn(PasswordResetToken, 'create').mockResolvedValue({});
+    const now = new Date('2026-03-01T12:00:00.000Z');
+
+    const token = await passwordResetService.createResetToken(7, now);
+
+    expect(create).toHaveBeenCalledWith({
+      userId: 7,
+      tokenHash: sha256(token),
+      expiresAt: new Date('2026-03-01T13:00:00.000Z')
+    }, { transaction });
+    expect(JSON.stringify(create.mock.calls)).not.toContain(token);
+    expect(PasswordResetToken.update).toHaveBeenCalledWith(
+      { revokedAt: expect.any(Date) },
+      { where: { userId: 7, usedAt: null, revokedAt: null }, transaction }
+    );
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  test('should look tokens up by their hash', async () => {
+    stubReset({ expiresAt: new Date(Date.now() + 60000) });
+
+    await passwordResetService.resetPassword('reset-token', 'Correct-Horse-42!');
+
+    expect(PasswordResetToken.findOne.mock.calls[0][0].where).toEqual({ tokenHash: sha256('reset-token') });
+  });
+
+  test('should use up the token, set the password and sign out every session', async () => {
+    const { resetToken, credential, setPassword, revokeAllSessions } = stubReset({ expiresAt: new Date(Date.now() + 60000) });
+
+    expect(await passwordResetService.resetPassword('reset-token', 'Correct-Horse-42!')).toBe(7);
+
+    expect(resetToken.update).toHaveBeenCalledWith({ usedAt: expect.any(Date) }, { transaction });
+    expect(setPassword).toHaveBeenCalledWith(credential, 'Correct-Horse-42!', { transaction });
+    expect(credential.update).toHaveBeenCalledWith({ lockedUntil: null }, { transaction });
+    expect(PasswordResetToken.update.mock.calls[0][1].where).toEqual({ userId: 7, usedAt: null, revokedAt: null });
+    expect(revokeAllSessions).toHaveBeenCalledWith(7, { transaction });
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  test('should refuse a token that was already used', async () => {
+    const { setPassword } = stubReset({ usedAt: new Date(), expiresAt: new Date(Date.now() + 60000) });
+
+    await expect(passwordResetService.resetPassword('reset-token', 'Correct-Horse-42!')).rejects.toThrow('Invalid or expired reset token');
+
+    expect(setPassword).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  test('should refuse a token replaced by a later one', async () => {
+    const { setPassword } = stubReset({ revokedAt: new Date(), expiresAt: new Date(Date.now() + 60000) });
+
+    await expect(passwordResetService.resetPassword('reset-token', 'Correct-Horse-42!')).rejects.toThrow('Invalid or expired reset token');
+
+    expect(setPassword).not.toHaveBeenCalled();
+  });
+
+  test('should refuse an expired token', async () => {
+    const { setPassword } = stubReset({ expiresAt: new Date(Date.now() - 1000) });
+
+    await expect(passwordResetService.resetPassword('reset-token', 'Correct-Horse-42!')).rejects.toThrow('Invalid or expired reset token');
+
+    expect(setPassword).not.toHaveBeenCalled();
+  });
+
+  test('should refuse an unknown token', async () => {
+    const { setPassword, revokeAllSessions } = stubReset(null);
+
+    await expect(passwordResetService.resetPassword('reset-token', 'Correct-Horse-42!')).rejects.toThrow('Invalid or expired reset token');
+
+    expect(setPassword).not.toHaveBeenCalled();
+    expect(revokeAllSessions).not.toHaveBeenCalled();
+  });
+});
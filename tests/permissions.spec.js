@@ -0,0 +1,90 @@
+const express = require('express');
+const { FEATURES, ACTIONS, PUBLIC, AUTHENTICATED, permission, ROUTE_POLICIES } = require('../config/permissions');
+const { compilePolicies, findPolicy, assertRoutePolicies } = require('../middleware/permissions');
+const { hasPermission, ownerGuard } = require('../middleware/auth');
+
+describe('Permission Tests', () => {
+  const routes = compilePolicies(ROUTE_POLICIES);
+
+  test('should find the policy of the route a request goes to', () => {
+    expect(findPolicy(routes, 'GET', '/api/countries').policy).toBe(PUBLIC);
+    expect(findPolicy(routes, 'HEAD', '/api/countries/').policy).toBe(PUBLIC);
+    expect(findPolicy(routes, 'DELETE', '/api/Countries/GB').policy).toEqual(permission(FEATURES.COUNTRIES, ACTIONS.DELETE));
+    expect(findPolicy(routes, 'PUT', '/api/certificates/12').policy).toBe(AUTHENTICATED);
+    expect(findPolicy(routes, 'GET', '/api/notifications/user/7')).toEqual({
+      policy: permission(FEATURES.NOTIFICATIONS, ACTIONS.READ, { self: 'userId' }),
+      params: { userId: '7' }
+    });
+    expect(findPolicy(routes, 'PATCH', '/api/countries/GB')).toBeNull();
+    expect(findPolicy(routes, 'GET', '/api/unknown')).toBeNull();
+  });
+
+  test('should prefer literal segments over parameters', () => {
+    expect(findPolicy(routes, 'GET', '/api/profiles/me').policy).toBe(AUTHENTICATED);
+    expect(findPolicy(routes, 'GET', '/api/profiles/').policy).toEqual(permission(FEATURES.PROFILES, ACTIONS.LIST));
+    expect(findPolicy(routes, 'GET', '/api/scan/review').params).toEqual({});
+    expect(findPolicy(routes, 'GET', '/api/scan/abc').params).toEqual({ guid: 'abc' });
+  });
+
+  test('should grant permissions by feature and action', () => {
+    const user = {
+      role: {
+        permissions: [
+          { code: 'MANAGE_ROLES', feature: { code: 'ROLES' }, permissionAction: { code: 'MANAGE' } },
+          { code: 'LEGACY', feature: { code: 'USERS' }, permissionAction: null }
+        ]
+      }
+    };
+
+    expect(hasPermission(user, FEATURES.ROLES, ACTIONS.MANAGE)).toBe(true);
+    expect(hasPermission(user, FEATURES.ROLES, ACTIONS.DELETE)).toBe(false);
+    expect(hasPermission(user, FEATURES.USERS, ACTIONS.MANAGE)).toBe(false);
+    expect(hasPermission({ role: null }, FEATURES.ROLES, ACTIONS.MANAGE)).toBe(false);
+  });
+
+  test('should refuse routers with routes that have no policy', () => {
+    const router = express.Router();
+    router.get('/', () => {});
+    router.put('/:id', () => {});
+    router.delete('/:id', () => {});
+
+    const policies = {
+      '/api/things': {
+        'GET /': AUTHENTICATED,
+        'PUT /:id': permission('THINGS', ACTIONS.UPDATE)
+      }
+    };
+
+    expect(() => assertRoutePolicies([['/api/things', router]], policies))
+      .toThrow('Routes without a permission policy: DELETE /api/things/:id');
+    expect(() => assertRoutePolicies([['/api/other', router]], policies))
+      .toThrow('Routes without a permission policy: GET /api/other, PUT /api/other/:id, DELETE /api/other/:id');
+
+    policies['/api/things']['DELETE /:id'] = permission('THINGS', ACTIONS.DELETE);
+    expect(() => assertRoutePolicies([['/api/things', router]], policies)).not.toThrow();
+  });
+
+  test('should let owners, counter-parties and holders of the override through', async () => {
+    const run = async (userId, ownerIds, permissions = []) => {
+      const req = {
+        user: { userId },
+        userRecord: { id: userId, role: { permissions } }
+      };
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      const next = jest.fn();
+      const guard = ownerGuard(async () => ownerIds, { feature: FEATURES.CONNECTIONS, action: ACTIONS.UPDATE });
+
+      await guard(req, res, next);
+      return next.mock.calls.length === 1 ? 'next' : res.status.mock.calls[0][0];
+    };
+    const override = { feature: { code: 'CONNECTIONS' }, permissionAction: { code: 'UPDATE' } };
+
+    expect(await run(7, [7, 9])).toBe('next');
+    expect(await run(9, [7, 9])).toBe('next');
+    expect(await run(8, [7, 9])).toBe(403);
+    expect(await run(8, [null])).toBe(403);
+    expect(await run(8, [7, 9], [override])).toBe('next');
+    // Missing records are left to the route
+    expect(await run(8, null)).toBe('next');
+  });
+});
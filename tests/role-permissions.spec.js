@@ -0,0 +1,73 @@
+const rolePermissionService = require('../services/RolePermissionService');
+
+const permission = (id, code, feature, action) => ({
+  id,
+  code,
+  featureId: feature.id,
+  permissionActionId: action.id,
+  feature,
+  permissionAction: action
+});
+
+describe('Role Permission Tests', () => {
+  const users = { id: 2, code: 'USERS', description: 'User accounts' };
+  const roles = { id: 1, code: 'ROLES', description: 'Roles' };
+  const list = { id: 1, code: 'LIST', description: 'List records' };
+  const manage = { id: 6, code: 'MANAGE', description: 'Full control' };
+
+  const listUsers = permission(10, 'LIST_USERS', users, list);
+  const manageUsers = permission(11, 'MANAGE_USERS', users, manage);
+  const manageRoles = permission(12, 'MANAGE_ROLES', roles, manage);
+
+  test('should group the catalogue by feature and action', () => {
+    expect(rolePermissionService.groupCatalogue([manageUsers, manageRoles, listUsers])).toEqual([
+      {
+        id: 1,
+        code: 'ROLES',
+        description: 'Roles',
+        actions: [
+          { id: 6, code: 'MANAGE', description: 'Full control', permissions: [{ id: 12, code: 'MANAGE_ROLES' }] }
+        ]
+      },
+      {
+        id: 2,
+        code: 'USERS',
+        description: 'User accounts',
+        actions: [
+          { id: 1, code: 'LIST', description: 'List records', permissions: [{ id: 10, code: 'LIST_USERS' }] },
+          { id: 6, code: 'MANAGE', description: 'Full control', permissions: [{ id: 11, code: 'MANAGE_USERS' }] }
+        ]
+      }
+    ]);
+  });
+
+  test('should show what replacing a permission set grants and revokes', () => {
+    expect(rolePermissionService.diffPermissionSets([listUsers, manageUsers], [manageUsers, manageRoles])).toEqual({
+      grant: [manageRoles],
+      revoke: [listUsers],
+      unchanged: [manageUsers]
+    });
+    expect(rolePermissionService.diffPermissionSets([listUsers], [])).toEqual({
+      grant: [],
+      revoke: [listUsers],
+      unchanged: []
+    });
+  });
+
+  test('should accept only arrays of permission IDs', () => {
+    expect(rolePermissionService.parsePermissionIds(['3', 3, 5])).toEqual([3, 5]);
+    expect(rolePermissionService.parsePermissionIds([])).toEqual([]);
+    expect(() => rolePermissionService.parsePermissionIds('3')).toThrow('Invalid permissionIds');
+    expect(() => rolePermissionService.parsePermissionIds([1, 'x'])).toThrow('Invalid permissionIds');
+    expect(() => rolePermissionService.parsePermissionIds([0])).toThrow('Invalid permissionIds');
+  });
+
+  test('should not let admins take role management away from their own role', () => {
+    const role = { id: 4 };
+
+    expect(() => rolePermissionService.assertKeepsRoleManagement(role, [listUsers], { roleId: 4 }))
+      .toThrow('You cannot remove role management from your own role');
+    expect(() => rolePermissionService.assertKeepsRoleManagement(role, [manageRoles], { roleId: 4 })).not.toThrow();
+    expect(() => rolePermissionService.assertKeepsRoleManagement(role, [], { roleId: 5 })).not.toThrow();
+  });
+});
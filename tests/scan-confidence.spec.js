@@ -0,0 +1,53 @@
+const scanService = require('../services/ScanService');
+
+describe('Scan Confidence Tests', () => {
+  const text = `NSW Fair Trading
+Contractor Licence
+Licence No. 123456C
+Expiry 31/12/2026`;
+
+  test('should score values found in the text highest', () => {
+    expect(scanService.scoreField('document_id', '123456C', text)).toBe(100);
+    expect(scanService.scoreField('issuing_authority', 'NSW Fair Trading', text)).toBe(100);
+  });
+
+  test('should score missing and failed values as zero', () => {
+    expect(scanService.scoreField('title', null, text)).toBe(0);
+    expect(scanService.scoreField('title', 'Error processing', text)).toBe(0);
+  });
+
+  test('should give reformatted dates partial confidence', () => {
+    expect(scanService.scoreField('expiry_date', '2026-12-31', text)).toBe(70);
+    expect(scanService.scoreField('expiry_date', 'next year', text)).toBe(10);
+  });
+
+  test('should combine field scores into an overall score', () => {
+    const complete = scanService.scoreDocument({
+      title: 'Contractor Licence',
+      document_id: '123456C',
+      issuing_authority: 'NSW Fair Trading',
+      expiry_date: '2026-12-31'
+    }, text);
+    const failed = scanService.scoreDocument({ title: 'Error processing' }, text);
+
+    expect(complete.fields.title).toBe(100);
+    expect(complete.overall).toBeGreaterThan(failed.overall);
+    expect(failed.overall).toBe(0);
+  });
+
+  test('should convert renewal frequency to months', () => {
+    expect(scanService.parseRenewalFrequency('2 years')).toBe(24);
+    expect(scanService.parseRenewalFrequency('6 months')).toBe(6);
+    expect(scanService.parseRenewalFrequency('Annual')).toBe(12);
+    expect(scanService.parseRenewalFrequency(null)).toBeNull();
+  });
+
+  test('should expire drafts after the configured number of days', () => {
+    const now = new Date('2026-01-01T00:00:00.000Z');
+    expect(scanService.getDraftExpiry(now).toISOString()).toBe('2026-01-31T00:00:00.000Z');
+  });
+
+  test('should not find scans by an invalid guid', async () => {
+    await expect(scanService.getScan('not-a-guid', 1)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+const config = require('../config/config');
+const { extractDocumentText } = require('../services/extraction');
+const { isPdf } = require('../services/extraction/pdf');
+
+/**
+ * Build a minimal PDF with one Helvetica text line per page; null gives a page with no text layer
+ * @param {Array<string|null>} pages - Text for each page
+ * @returns {Buffer} - The PDF content
+ */
+const buildPdf = (pages) => {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  pages.forEach((text, i) => {
+    const stream = text === null ? '' : `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`);
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(offset => { pdf += `${String(offset).padStart(10, '0')} 00000 n \n`; });
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+describe('Scan PDF Tests', () => {
+  test('should detect PDFs by MIME type or header', () => {
+    expect(isPdf(Buffer.from('anything'), 'application/pdf')).toBe(true);
+    expect(isPdf(buildPdf(['Page one']), 'application/octet-stream')).toBe(true);
+    expect(isPdf(Buffer.from([0xff, 0xd8, 0xff, 0xe0]), 'image/jpeg')).toBe(false);
+  });
+
+  test('should merge the text of every page in page order', async () => {
+    const result = await extractDocumentText(buildPdf(['Training Transcript', 'Module 2 completed']), 'application/pdf');
+
+    expect(result.pages).toEqual([
+      { page: 1, text: 'Training Transcript', source: 'text-layer' },
+      { page: 2, text: 'Module 2 completed', source: 'text-layer' }
+    ]);
+    expect(result.text).toBe('Training Transcript\n\nModule 2 completed');
+  });
+
+  test('should use text recognition for pages without a text layer', async () => {
+    const result = await extractDocumentText(buildPdf(['Cover Page', null]), 'application/pdf');
+
+    expect(result.pages[0].source).toBe('text-layer');
+    expect(result.pages[1].source).toBe('ocr');
+    expect(result.pages[1].text).toContain('Expiry Date: 2027-01-01');
+    expect(result.text.startsWith('Cover Page\n\n')).toBe(true);
+  });
+
+  test('should explain when the provider cannot read scanned PDF pages', async () => {
+    const ocrProvider = config.scan.ocrProvider;
+    config.scan.ocrProvider = 'tesseract';
+
+    try {
+      await expect(extractDocumentText(buildPdf(['Cover Page', null]), 'application/pdf'))
+        .rejects.toThrow('Scanned PDF pages cannot be read by the tesseract scan provider; upload the pages as images instead');
+    } finally {
+      config.scan.ocrProvider = ocrProvider;
+    }
+  });
+
+  test('should treat images as a single page', async () => {
+    const result = await extractDocumentText(Buffer.from([0xff, 0xd8, 0xff, 0xe0]), 'image/jpeg');
+
+    expect(result.pages).toHaveLength(1);
+    expect(result.pages[0].source).toBe('ocr');
+    expect(result.text).toBe(result.pages[0].text);
+  });
+
+  test('should reject files that are not valid PDFs', async () => {
+    await expect(extractDocumentText(Buffer.from('not a pdf'), 'application/pdf')).rejects.toThrow('Invalid PDF document');
+  });
+});
@@ -0,0 +1,30 @@
+const { getProvider, getOcrProvider, getExtractionProvider } = require('../services/extraction');
+
+describe('Scan Provider Tests', () => {
+  test('should use the fake provider in the test environment', () => {
+    expect(getOcrProvider().name).toBe('fake');
+    expect(getExtractionProvider().name).toBe('fake');
+  });
+
+  test('should load the scan API without cloud credentials', () => {
+    const scanApi = require('../apis/scan-api');
+    expect(typeof scanApi.analyzeDocument).toBe('function');
+    expect(typeof scanApi.extractDocumentInfo).toBe('function');
+  });
+
+  test('should reject unknown providers', () => {
+    expect(() => getProvider('unknown')).toThrow('Unknown scan provider: unknown');
+  });
+
+  test('should extract the same fields from the same document every time', async () => {
+    const fake = getProvider('fake');
+    const text = await fake.extractText(Buffer.from([0xff, 0xd8, 0xff, 0xe0]));
+    const first = await fake.extractFields(text);
+    const second = await fake.extractFields(text);
+
+    expect(first).toEqual(second);
+    expect(first.title).toBe('Contractor Licence');
+    expect(first.document_id).toBe('TEST-123456');
+    expect(first.expiry_date).toBe('2027-01-01');
+  });
+});
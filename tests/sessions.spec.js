@@ -0,0 +1,33 @@
+const jwt = require('jsonwebtoken');
+const sessionService = require('../services/SessionService');
+
+describe('Session Tests', () => {
+  test('should sign access tokens with the session ID and a single payload shape', () => {
+    const user = { id: 7, email: 'jane@example.com', roleId: 2, avatarId: 3 };
+    const credential = { id: 11, loginName: 'jane', authType: 'password' };
+
+    const decoded = jwt.decode(sessionService.generateAccessToken(user, credential, { id: 42 }));
+
+    expect(decoded).toMatchObject({
+      userId: 7,
+      email: 'jane@example.com',
+      loginName: 'jane',
+      authType: 'password',
+      credentialId: 11,
+      roleId: 2,
+      avatarId: 3,
+      sid: 42
+    });
+    expect(decoded.exp).toBeGreaterThan(decoded.iat);
+  });
+
+  test('should record the device of the request', () => {
+    const context = sessionService.getClientContext({
+      headers: { 'user-agent': 'Mozilla/5.0' },
+      ip: '203.0.113.5'
+    });
+
+    expect(context).toEqual({ userAgent: 'Mozilla/5.0', ipAddress: '203.0.113.5' });
+    expect(sessionService.getClientContext({ headers: {} })).toEqual({ userAgent: null, ipAddress: null });
+  });
+});
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const LocalStorage = require('../services/storage/LocalStorage');
+const S3Storage = require('../services/storage/S3Storage');
+const { parseRange, sendContent } = require('../services/storage/download');
+
+/**
+ * Read a stream to the end
+ * @param {Readable} stream - The stream
+ * @returns {Promise<string>} - The content as text
+ */
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+/**
+ * Minimal path-style S3 stand-in keeping objects in memory
+ * @returns {http.Server} - The server
+ */
+const createS3StandIn = () => {
+  const objects = new Map();
+
+  return http.createServer((req, res) => {
+    const key = decodeURIComponent(req.url.split('?')[0]);
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      if (req.method === 'PUT') {
+        objects.set(key, Buffer.concat(chunks));
+        return res.writeHead(200, { ETag: '"etag"' }).end();
+      }
+
+      const object = objects.get(key);
+
+      if (req.method === 'DELETE') {
+        objects.delete(key);
+        return res.writeHead(204).end();
+      }
+
+      if (!object) {
+        return res.writeHead(404, { 'Content-Type': 'application/xml' })
+          .end(req.method === 'HEAD' ? undefined : '<Error><Code>NoSuchKey</Code></Error>');
+      }
+
+      const range = parseRange(req.headers.range, object.length);
+      const body = range ? object.subarray(range.start, range.end + 1) : object;
+
+      res.writeHead(range ? 206 : 200, { 'Content-Length': body.length });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    });
+  });
+};
+
+describe('Storage Tests', () => {
+  test('should parse byte ranges', () => {
+    expect(parseRange(undefined, 100)).toBeNull();
+    expect(parseRange('bytes=0-9', 100)).toEqual({ start: 0, end: 9 });
+    expect(parseRange('bytes=90-', 100)).toEqual({ start: 90, end: 99 });
+    expect(parseRange('bytes=-10', 100)).toEqual({ start: 90, end: 99 });
+    expect(parseRange('bytes=50-500', 100)).toEqual({ start: 50, end: 99 });
+    expect(parseRange('bytes=0-1,5-9', 100)).toBeNull();
+    expect(parseRange('bytes=100-', 100)).toBe(false);
+  });
+
+  test('should encode the download file name', async () => {
+    const app = express();
+    app.get('/download', (req, res) => sendContent(req, res, { content: Buffer.from('%PDF') }, {
+      mimeType: 'application/pdf',
+      filename: 'Licence "final"\r\nX-Injected: 1 – Zoë.pdf'
+    }));
+
+    const server = app.listen(0);
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/download`);
+      const disposition = response.headers.get('content-disposition');
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toBe('application/pdf');
+      expect(response.headers.get('x-injected')).toBeNull();
+      expect(disposition).toMatch(/^attachment; filename="Licence \\"final\\".*"; filename\*=UTF-8''/);
+      expect(disposition).toContain("filename*=UTF-8''Licence%20%22final%22%0D%0AX-Injected%3A%201%20%E2%80%93%20Zo%C3%AB.pdf");
+    } finally {
+      server.close();
+    }
+  });
+
+  describe('LocalStorage', () => {
+    let root;
+    let storage;
+
+    beforeAll(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-spec-'));
+      storage = new LocalStorage({ root });
+    });
+
+    afterAll(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('should store, read and delete objects', async () => {
+      await storage.put('files/abc', Buffer.from('hello world'));
+
+      expect((await storage.get('files/abc')).toString()).toBe('hello world');
+      expect(await storage.stat('files/abc')).toEqual({ size: 11 });
+      expect(await readAll(await storage.getStream('files/abc', { start: 6, end: 10 }))).toBe('world');
+
+      await storage.delete('files/abc');
+      expect(await storage.stat('files/abc')).toBeNull();
+      await expect(storage.delete('files/abc')).resolves.toBeUndefined();
+    });
+
+    test('should reject keys outside the storage directory', async () => {
+      await expect(storage.put('../outside', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    });
+  });
+
+  describe('S3Storage', () => {
+    let server;
+    let storage;
+
+    beforeAll(async () => {
+      server = createS3StandIn();
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      storage = new S3Storage({
+        bucket: 'test-bucket',
+        region: 'us-east-1',
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        accessKeyId: 'test',
+        secretAccessKey: 'test',
+        forcePathStyle: true
+      });
+    });
+
+    afterAll(async () => {
+      storage.getClient().destroy();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should store, read and delete objects', async () => {
+      await storage.put('files/abc', Buffer.from('hello world'), { contentType: 'text/plain' });
+
+      expect((await storage.get('files/abc')).toString()).toBe('hello world');
+      expect(await storage.stat('files/abc')).toEqual({ size: 11 });
+      expect(await readAll(await storage.getStream('files/abc', { start: 0, end: 4 }))).toBe('hello');
+
+      await storage.delete('files/abc');
+      expect(await storage.stat('files/abc')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const MemoryStore = require('../services/throttle/MemoryStore');
+const throttleService = require('../services/ThrottleService');
+
+describe('Throttle Tests', () => {
+  test('should count attempts within a window and start again after it', async () => {
+    const store = new MemoryStore();
+    const start = new Date('2025-01-01T00:00:00Z');
+
+    expect((await store.increment('login:ip:1', 60000, start)).count).toBe(1);
+    expect((await store.increment('login:ip:1', 60000, new Date(start.getTime() + 30000))).count).toBe(2);
+    expect(await store.get('login:ip:1', new Date(start.getTime() + 59999))).toMatchObject({ count: 2 });
+    expect(await store.get('login:ip:1', new Date(start.getTime() + 60000))).toBeNull();
+    expect((await store.increment('login:ip:1', 60000, new Date(start.getTime() + 60000))).count).toBe(1);
+
+    expect(await store.purgeExpired(new Date(start.getTime() + 120000))).toBe(1);
+  });
+
+  test('should slow down logins progressively after repeated failures', () => {
+    expect(throttleService.getLoginDelay(0)).toBe(0);
+    expect(throttleService.getLoginDelay(2)).toBe(0);
+    expect(throttleService.getLoginDelay(3)).toBe(1000);
+    expect(throttleService.getLoginDelay(4)).toBe(2000);
+    expect(throttleService.getLoginDelay(20)).toBe(10000);
+  });
+
+  test('should lock the credential once the login name reaches the threshold', async () => {
+    const credential = { id: 5, update: jest.fn().mockResolvedValue() };
+
+    for (let attempt = 1; attempt < config.throttle.lockoutThreshold; attempt++) {
+      expect(await throttleService.recordLoginFailure('Locked.User', '198.51.100.7', credential)).toBeNull();
+    }
+
+    const lockedUntil = await throttleService.recordLoginFailure('locked.user', '198.51.100.7', credential);
+
+    expect(lockedUntil).toBeInstanceOf(Date);
+    expect(credential.update).toHaveBeenCalledWith({ lockedUntil });
+    expect(throttleService.isLocked({ lockedUntil })).toBe(true);
+    expect(throttleService.isLocked({ lockedUntil: null })).toBe(false);
+
+    const unlock = jwt.decode(throttleService.createUnlockToken(credential, lockedUntil));
+    expect(unlock).toMatchObject({ credentialId: 5, lockedUntil: lockedUntil.getTime(), purpose: 'unlock' });
+  });
+
+  test('should limit password reset requests per email address', async () => {
+    for (let request = 0; request < config.throttle.maxResetRequests; request++) {
+      expect(await throttleService.consumeResetRequest(`203.0.113.${request}`, 'Reset@Example.com')).toBe(0);
+    }
+
+    expect(await throttleService.consumeResetRequest('203.0.113.99', 'reset@example.com')).toBeGreaterThan(0);
+  });
+});